@@ -1,24 +1,44 @@
 // js/audio.js
-import { FFT_SIZE } from './config.js';
+import { DEVICE_CHANGE_DEBOUNCE_MS, DEFAULT_DEVICE_ID, DEFAULT_METER_TAP } from './config.js';
 import * as ui from './ui.js'; // Import all ui functions
+import { clearVisualizations } from './visualizer.js';
+import { buildAudioConstraints, findUnappliedConstraints, getRequestedConstraints } from './constraints.js';
+import { isPcmCaptureSupported, startPcmCapture, stopPcmCapture } from './pcmRecorder.js';
+import { startLiveLoudness, stopLiveLoudness } from './loudness.js';
+import { findPreferredDeviceId } from './devicePrefs.js';
+import { createProcessingChain, destroyProcessingChain } from './processing.js';
+import { createInputSession } from './inputSession.js';
+import { attachSpectrumAnalyser, detachSpectrumAnalyser } from './spectrumAnalyser.js';
+import { createSampleStream, createAnalysisFramer } from './sampleStream.js';
+import { startStabilityMonitor, stopStabilityMonitor } from './stabilityMonitor.js';
 
 // --- State Variables ---
 let audioContext = null;
-let analyserNode = null;
-let sourceNode = null;
-let mediaStream = null;
+let session = null; // The monitored microphone (see inputSession.js)
+const extraSessions = new Set(); // Further microphones opened on the same context, e.g. for comparison
+let processedNode = null; // Output of the processing chain
+let meterTap = DEFAULT_METER_TAP;
+let processedStream = null; // Sample stream of the processed signal, only while the meters show it
+let unsubscribeAnalysis = null; // Detaches the analysis frames from the stream they are cut from
+let analysisGeneration = 0; // Tells a stream that finished opening whether it is still wanted
 let mediaRecorder = null;
 let audioChunks = [];
 let isMonitoring = false;
 let isRecording = false;
 let currentDeviceId = null;
-let timeDomainData = null;
-let frequencyData = null;
+let knownDevices = []; // Audio inputs from the last enumeration, to tell what was plugged in or out
+let lastError = null; // {stage: 'permission' | 'enumerate' | 'start', name} of the last failure to list or open a microphone
+let deviceChangeTimer = null;
 let mediaRecorderSupported = ('MediaRecorder' in window);
+let lastRecording = null; // {blob, pcm, deviceLabel, startedAt, ...} of the most recent recording
+let pendingRecording = null; // Same fields, filled in while recording
 let animationFrameId = null; // Store animation frame ID
 
 // --- Callback for visualization loop ---
 let visualizationLoopCallback = null;
+let analysisFrameCallback = null;
+let recordingFinishedCallback = null;
+let deviceLostCallback = null;
 
 /**
  * Sets the callback function to be executed in the animation loop.
@@ -28,16 +48,158 @@ export function setVisualizationLoopCallback(callback) {
     visualizationLoopCallback = callback;
 }
 
+/**
+ * Sets the callback function called with every analysis frame of the metered signal
+ * (see sampleStream.createAnalysisFramer). Without AudioWorklet there is no stream and no calls.
+ * @param {function(object)} callback
+ */
+export function setAnalysisFrameCallback(callback) {
+    analysisFrameCallback = callback;
+}
+
+/**
+ * Sets the callback function called with each finished recording (see getLastRecording).
+ * @param {function} callback
+ */
+export function setRecordingFinishedCallback(callback) {
+    recordingFinishedCallback = callback;
+}
+
+/**
+ * Sets the callback function called with the device label when the microphone being
+ * monitored is unplugged or its track ends. The callback is expected to stop monitoring.
+ * @param {function(string)} callback
+ */
+export function setDeviceLostCallback(callback) {
+    deviceLostCallback = callback;
+}
+
 // --- Getters ---
 export const getIsMonitoring = () => isMonitoring;
 export const getIsRecording = () => isRecording;
 export const getSampleRate = () => audioContext ? audioContext.sampleRate : null;
-export const getAnalyserNode = () => analyserNode;
-export const getTimeDomainData = () => timeDomainData;
-export const getFrequencyData = () => frequencyData;
+export const getAudioContext = () => audioContext;
+export const getSourceNode = () => (session ? session.sourceNode : null);
+export const getSession = () => session;
+export const getMeterTap = () => meterTap;
+/** Whether analysis frames arrive from a sample stream (otherwise the animation loop has to analyse). */
+export const getIsStreaming = () => unsubscribeAnalysis !== null;
+
+/**
+ * Returns the live track's actual settings and capabilities.
+ * @returns {{settings: MediaTrackSettings, capabilities: MediaTrackCapabilities} | null}
+ */
+export const getTrackInfo = () => (session ? session.getTrackInfo() : null);
+/** Whether the system or another application has muted the live track (it then delivers silence). */
+export const getTrackMuted = () => (session ? session.track.muted : false);
+export const getAnalyserNode = () => (session ? session.analyserNode : null);
+export const getTimeDomainData = () => (session ? session.timeDomainData : null);
+export const getFloatTimeDomainData = () => (session ? session.floatTimeDomainData : null);
+export const getFloatFrequencyData = () => (session ? session.floatFrequencyData : null);
+export const getChannelCount = () => (session ? session.channelCount : 1);
+export const getChannelAnalysers = () => (session ? session.channelAnalysers : []);
+export const getChannelTimeData = () => (session ? session.channelTimeData : []);
+export const getLastRecording = () => lastRecording;
+export const getLastError = () => lastError;
+export const getKnownDevices = () => knownDevices;
+
+/**
+ * Looks up an available audio input.
+ * @param {string} deviceId
+ * @returns {{deviceId: string, label: string} | null} Null if it isn't in the last enumeration.
+ */
+export function getDeviceInfo(deviceId) {
+    const device = knownDevices.find(known => known.deviceId === deviceId);
+    return device ? { deviceId: device.deviceId, label: device.label } : null;
+}
+
+/**
+ * Device to fall back to when the active one disappears: the system default where the
+ * browser lists one, otherwise the first input.
+ * @returns {string | null}
+ */
+export function getFallbackDeviceId() {
+    if (knownDevices.some(device => device.deviceId === DEFAULT_DEVICE_ID)) return DEFAULT_DEVICE_ID;
+    return knownDevices.length > 0 ? knownDevices[0].deviceId : null;
+}
 
 // --- Core Logic ---
 
+/**
+ * Connects the meters to the raw input or the processed signal.
+ */
+function connectMeterTap() {
+    session.setMeterSource(meterTap === 'post' ? processedNode : session.sourceNode);
+    connectAnalysisStream().catch(err => console.warn('Sample stream unavailable, analysing once per animation frame:', err));
+}
+
+/**
+ * Stops cutting analysis frames and closes the processed signal's stream.
+ */
+function disconnectAnalysisStream() {
+    analysisGeneration++;
+    if (unsubscribeAnalysis) unsubscribeAnalysis();
+    unsubscribeAnalysis = null;
+    if (processedStream) processedStream.stop();
+    processedStream = null;
+}
+
+/**
+ * Cuts the analysis frames from the signal the meters show: the session's own stream of the raw
+ * input, or a stream of the processing chain's output.
+ * @returns {Promise<void>}
+ */
+async function connectAnalysisStream() {
+    disconnectAnalysisStream();
+    const generation = analysisGeneration;
+    let stream = session.sampleStream;
+    if (stream && meterTap === 'post') {
+        const opened = await createSampleStream(audioContext, processedNode, session.channelCount);
+        if (generation !== analysisGeneration) {
+            // The tap changed again, or monitoring stopped, while the stream opened
+            opened.stop();
+            return;
+        }
+        processedStream = stream = opened;
+    }
+    if (!stream) return;
+    unsubscribeAnalysis = stream.subscribe(createAnalysisFramer(stream.sampleRate, frame => {
+        if (analysisFrameCallback) analysisFrameCallback(frame);
+    }));
+}
+
+/**
+ * Opens another microphone on the monitoring AudioContext, so its samples run on the same clock
+ * as the monitored one. It gets the same requested constraints, which keeps comparisons fair.
+ * @param {string} deviceId
+ * @returns {Promise<object>} The input session (see inputSession.js); close it with closeExtraSession().
+ */
+export async function openExtraSession(deviceId) {
+    if (!audioContext || !session) throw new Error('Not monitoring');
+    const extra = await createInputSession(audioContext, buildAudioConstraints(deviceId));
+    extraSessions.add(extra);
+    return extra;
+}
+
+/**
+ * Closes a microphone opened with openExtraSession(). Monitoring stopping closes any still open.
+ * @param {object} extra - The input session.
+ */
+export function closeExtraSession(extra) {
+    if (!extraSessions.delete(extra)) return;
+    extra.stop();
+}
+
+/**
+ * Chooses whether the meters and graphs show the signal before or after the processing chain.
+ * @param {string} tap - 'pre' or 'post'.
+ */
+export function setMeterTap(tap) {
+    meterTap = tap === 'post' ? 'post' : 'pre';
+    console.log(`Meters show the ${meterTap === 'post' ? 'processed' : 'raw'} signal`);
+    if (isMonitoring) connectMeterTap();
+}
+
 /**
  * Requests microphone permission (implicitly called by getUserMedia).
  * @returns {Promise<boolean>} True if permission granted, false otherwise.
@@ -51,6 +213,7 @@ async function requestMicrophonePermission() {
         return true;
     } catch (err) {
         console.error('Microphone permission error:', err);
+        lastError = { stage: 'permission', name: err.name };
         return false;
     }
 }
@@ -60,7 +223,9 @@ async function requestMicrophonePermission() {
  * @param {function} i18n_t - Translation function.
  */
 export async function enumerateDevices(i18n_t) {
+    lastError = null;
     if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        lastError = { stage: 'enumerate', name: 'NotSupportedError' };
         ui.setStatus('statusErrorNoDeviceEnum', 'error', {}, i18n_t);
         ui.disableAllControls();
         return;
@@ -75,8 +240,10 @@ export async function enumerateDevices(i18n_t) {
              // Try enumerating anyway, might show default devices without labels
              const devices = await navigator.mediaDevices.enumerateDevices();
              const audioInputDevices = devices.filter(device => device.kind === 'audioinput');
+             knownDevices = audioInputDevices;
              if (audioInputDevices.length > 0) {
-                 ui.populateMicListOptions(audioInputDevices, i18n_t);
+                 ui.populateMicListOptions(audioInputDevices, i18n_t, findPreferredDeviceId(audioInputDevices));
+                 ui.populateDualMicOptions(audioInputDevices, i18n_t);
                  ui.setStatus('statusPermissionDeniedLimited', 'warning', {}, i18n_t);
                  ui.enableSetupControls(); // Allow selection, but warn
              } else {
@@ -88,19 +255,23 @@ export async function enumerateDevices(i18n_t) {
 
         const devices = await navigator.mediaDevices.enumerateDevices();
         const audioInputDevices = devices.filter(device => device.kind === 'audioinput');
+        knownDevices = audioInputDevices;
 
         if (audioInputDevices.length === 0) {
+            lastError = { stage: 'enumerate', name: 'NotFoundError' };
             ui.setStatus('statusNoMicFound', 'warning', {}, i18n_t);
             ui.disableAllControls();
             return;
         }
 
-        ui.populateMicListOptions(audioInputDevices, i18n_t);
+        ui.populateMicListOptions(audioInputDevices, i18n_t, findPreferredDeviceId(audioInputDevices));
+        ui.populateDualMicOptions(audioInputDevices, i18n_t);
         ui.enableSetupControls();
         ui.setStatus('statusReady', 'success', {}, i18n_t);
 
     } catch (err) {
         console.error('Error enumerating devices:', err);
+        lastError = { stage: 'enumerate', name: err.name };
         let errorKey = 'statusErrorListingMics';
         if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
             errorKey = 'statusPermissionDenied';
@@ -112,6 +283,92 @@ export async function enumerateDevices(i18n_t) {
     }
 }
 
+/**
+ * Re-reads the audio inputs after a devicechange event, keeps the current selection in
+ * #micSelect where it still exists, and announces what was plugged in or out.
+ * @param {function} i18n_t - Translation function.
+ */
+export async function refreshDevices(i18n_t) {
+    let audioInputDevices;
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        audioInputDevices = devices.filter(device => device.kind === 'audioinput');
+    } catch (err) {
+        console.error('Error refreshing devices:', err);
+        return;
+    }
+    const previous = knownDevices;
+    knownDevices = audioInputDevices;
+    const isNew = (device, list) => !list.some(other => other.deviceId === device.deviceId);
+    // The "default" entry only changes its label when the system default moves, so it never counts
+    const added = audioInputDevices.filter(device => device.deviceId !== DEFAULT_DEVICE_ID && isNew(device, previous));
+    const removed = previous.filter(device => device.deviceId !== DEFAULT_DEVICE_ID && isNew(device, audioInputDevices));
+    console.log(`Devices changed: ${added.length} added, ${removed.length} removed`);
+
+    ui.populateMicListOptions(audioInputDevices, i18n_t, ui.uiElements.micSelect().value);
+    ui.populateDualMicOptions(audioInputDevices, i18n_t);
+    if (!isMonitoring) {
+        if (audioInputDevices.length === 0) {
+            ui.disableAllControls();
+        } else if (previous.length === 0) {
+            ui.enableSetupControls();
+        }
+    }
+
+    const activeTrack = session ? session.track : null;
+    const activeDeviceId = activeTrack?.getSettings?.().deviceId || currentDeviceId;
+    const lostActive = isMonitoring && removed.some(device => device.deviceId === activeDeviceId);
+    if (lostActive) {
+        handleDeviceLost(activeTrack ? activeTrack.label : '');
+    } else if (removed.length > 0) {
+        ui.setStatus('statusMicRemoved', 'warning', { micName: removed.map(device => device.label).join(', ') }, i18n_t);
+    } else if (added.length > 0) {
+        ui.setStatus('statusMicAdded', 'info', { micName: added.map(device => device.label).join(', ') }, i18n_t);
+    }
+}
+
+/**
+ * Listens for microphones being plugged in or out.
+ * @param {function} i18n_t - Translation function.
+ */
+export function watchDeviceChanges(i18n_t) {
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.addEventListener !== 'function') return;
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+        clearTimeout(deviceChangeTimer);
+        deviceChangeTimer = setTimeout(() => refreshDevices(i18n_t), DEVICE_CHANGE_DEBOUNCE_MS);
+    });
+}
+
+/**
+ * Reports the loss of the monitored device once, however it was noticed.
+ * @param {string} label - Label of the lost device.
+ */
+function handleDeviceLost(label) {
+    if (!isMonitoring) return;
+    console.warn(`Active microphone lost: ${label || currentDeviceId}`);
+    if (deviceLostCallback) deviceLostCallback(label);
+}
+
+/**
+ * Watches the live track for the device going away or being muted by the system.
+ * @param {MediaStreamTrack} track
+ * @param {function} i18n_t - Translation function.
+ */
+function watchTrack(track, i18n_t) {
+    track.addEventListener('ended', () => {
+        if (track.readyState === 'ended' && session && session.track === track) {
+            handleDeviceLost(track.label);
+        }
+    });
+    // Muted tracks deliver silence, e.g. while the OS or another app holds the device
+    track.addEventListener('mute', () => {
+        if (isMonitoring) ui.setStatus('statusMicMuted', 'warning', { micName: track.label }, i18n_t);
+    });
+    track.addEventListener('unmute', () => {
+        if (isMonitoring) ui.setStatus('statusMicUnmuted', 'success', { micName: track.label }, i18n_t);
+    });
+}
+
 /**
  * Starts audio monitoring and visualization.
  * @param {string} deviceId - The ID of the microphone device to use.
@@ -123,37 +380,30 @@ export async function startMonitoring(deviceId, i18n_t) {
 
     ui.setStatus('statusStarting', 'info', {}, i18n_t);
     currentDeviceId = deviceId;
+    lastError = null;
 
     try {
-        const constraints = {
-            audio: {
-                deviceId: deviceId ? { exact: deviceId } : undefined,
-                // Optional: Add constraints like echoCancellation, noiseSuppression
-                // echoCancellation: true, noiseSuppression: true, autoGainControl: false
-            },
-            video: false
-        };
-
-        mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
-
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        analyserNode = audioContext.createAnalyser();
-        analyserNode.fftSize = FFT_SIZE;
-        analyserNode.smoothingTimeConstant = 0.8; // Adjust for smoother visuals
-
-        sourceNode = audioContext.createMediaStreamSource(mediaStream);
-        sourceNode.connect(analyserNode);
-        // DO NOT connect analyserNode to audioContext.destination for monitoring
-
-        // Allocate data arrays
-        timeDomainData = new Uint8Array(analyserNode.frequencyBinCount);
-        frequencyData = new Uint8Array(analyserNode.frequencyBinCount);
+        // Includes echoCancellation, noiseSuppression, etc.
+        session = await createInputSession(audioContext, buildAudioConstraints(deviceId));
+        watchTrack(session.track, i18n_t);
+
+        const { sourceNode, channelCount } = session;
+        console.log(`Input channels: ${channelCount}`);
+        processedNode = await createProcessingChain(audioContext, sourceNode, channelCount);
+        connectMeterTap();
+        attachSpectrumAnalyser(session.spectrumAnalyserNode);
+        ui.showLoudnessPanel(startLiveLoudness(session.sampleStream));
+        // On the raw input: the noise gate would otherwise pass for dropouts
+        ui.showStabilityPanel(startStabilityMonitor(session.sampleStream, session.track));
 
         isMonitoring = true;
         ui.showAnalysisSection(true);
         ui.updateButtonStates(isMonitoring, isRecording, mediaRecorderSupported, i18n_t);
-        ui.updateResultsBar(0, getSampleRate()); // Update sample rate display
+        ui.updateResultsBar(null, getSampleRate()); // Update sample rate display
         ui.setStatus('statusMonitoring', 'success', {}, i18n_t);
+        ui.showTrackSettings(getTrackInfo(), getRequestedConstraints(), i18n_t);
+        ui.showChannelPanel(channelCount, i18n_t);
 
         // Start the visualization loop
         if (visualizationLoopCallback) {
@@ -164,6 +414,7 @@ export async function startMonitoring(deviceId, i18n_t) {
 
     } catch (err) {
         console.error('Error starting monitoring:', err);
+        lastError = { stage: 'start', name: err.name };
         let errorKey = 'statusErrorStartingMic';
          if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
              errorKey = 'statusPermissionDenied';
@@ -185,7 +436,7 @@ export async function startMonitoring(deviceId, i18n_t) {
  * @param {function} i18n_t - Translation function.
  */
 export async function stopMonitoring(i18n_t) {
-    if (!isMonitoring && !mediaStream) return; // Already stopped
+    if (!isMonitoring && !session && !audioContext) return; // Already stopped
 
     console.log("Stopping monitoring...");
     if (isRecording) {
@@ -198,15 +449,17 @@ export async function stopMonitoring(i18n_t) {
         animationFrameId = null;
     }
 
-    if (mediaStream) {
-        mediaStream.getTracks().forEach(track => track.stop());
-        mediaStream = null;
+    stopLiveLoudness();
+    stopStabilityMonitor();
+    disconnectAnalysisStream();
+    detachSpectrumAnalyser();
+    destroyProcessingChain();
+    processedNode = null;
+    extraSessions.forEach(closeExtraSession);
+    if (session) {
+        session.stop();
+        session = null;
     }
-    if (sourceNode) {
-        sourceNode.disconnect();
-        sourceNode = null;
-    }
-    analyserNode = null; // No need to disconnect analyser if source is gone
 
     if (audioContext && audioContext.state !== 'closed') {
         try {
@@ -219,35 +472,85 @@ export async function stopMonitoring(i18n_t) {
     }
 
     isMonitoring = false;
-    timeDomainData = null;
-    frequencyData = null;
 
     // Update UI
     ui.showAnalysisSection(false);
     ui.showRecordingSection(false); // Hide recording section too
     ui.hidePlayback();
     ui.updateButtonStates(isMonitoring, isRecording, mediaRecorderSupported, i18n_t);
-    ui.updateVolumeMeter(0); // Reset volume meter visually
-    ui.updateResultsBar(0, null); // Reset results bar volume, keep sample rate empty
-    ui.clearVisualizations(); // Clear canvases
+    ui.updateVolumeMeter(null); // Reset volume meter visually
+    ui.updateResultsBar(null, null); // Reset results bar levels, keep sample rate empty
+    ui.setClipIndicator(false);
+    clearVisualizations(); // Clear canvases
+    ui.showTrackSettings(null, getRequestedConstraints(), i18n_t);
+    ui.showChannelPanel(0, i18n_t);
     ui.setStatus('statusStopped', 'info', {}, i18n_t);
 }
 
 
+/**
+ * Applies the requested constraints to the live track without restarting, where the browser allows it.
+ * @param {function} i18n_t - Translation function.
+ * @returns {Promise<boolean>} True if applied live; false if monitoring must restart to take effect.
+ */
+export async function applyTrackConstraints(i18n_t) {
+    const track = session ? session.track : null;
+    if (!isMonitoring || !track) return true; // Nothing live; used on next start
+
+    try {
+        await track.applyConstraints(buildAudioConstraints(currentDeviceId));
+    } catch (err) {
+        console.warn('applyConstraints failed:', err);
+        return false;
+    }
+
+    const trackInfo = getTrackInfo();
+    ui.showTrackSettings(trackInfo, getRequestedConstraints(), i18n_t);
+    // Some browsers accept the call but only honour e.g. echoCancellation on a fresh track
+    const unapplied = findUnappliedConstraints(trackInfo.settings, trackInfo.capabilities);
+    if (unapplied.length > 0) {
+        console.warn(`Constraints not applied live: ${unapplied.join(', ')}`);
+        return false;
+    }
+    ui.setStatus('statusConstraintsApplied', 'success', {}, i18n_t);
+    return true;
+}
+
+
 // --- Recording Logic ---
 
 /**
  * Starts recording audio from the current media stream.
+ * Alongside MediaRecorder, the raw PCM is captured (where AudioWorklet is available) for lossless export.
  * @param {function} i18n_t - Translation function.
  */
-export function startRecording(i18n_t) {
-    if (!isMonitoring || !mediaStream || !mediaRecorderSupported) {
+export async function startRecording(i18n_t) {
+    if (!isMonitoring || !session || !mediaRecorderSupported) {
         ui.setRecordingStatus('recStatusCannotStart', 'warning', {}, i18n_t);
         return;
     }
     if (isRecording) return;
 
     audioChunks = []; // Reset chunks
+    const track = session.track;
+    pendingRecording = {
+        blob: null,
+        pcm: null,
+        deviceLabel: track ? track.label : '',
+        startedAt: new Date(),
+        constraints: getRequestedConstraints(),
+        trackSettings: getTrackInfo().settings,
+        sampleRate: audioContext.sampleRate
+    };
+    if (isPcmCaptureSupported()) {
+        try {
+            await startPcmCapture(audioContext, session.sourceNode, session.channelCount);
+        } catch (err) {
+            // Not fatal: the compressed recording still works, only lossless export is lost
+            console.warn('PCM capture unavailable, lossless export disabled:', err);
+        }
+    }
+
     try {
         // Determine supported MIME type (prefer Opus in WebM)
         let options = { mimeType: 'audio/webm;codecs=opus' };
@@ -265,7 +568,7 @@ export function startRecording(i18n_t) {
         }
         console.log("Using MediaRecorder options:", options);
 
-        mediaRecorder = new MediaRecorder(mediaStream, options);
+        mediaRecorder = new MediaRecorder(session.mediaStream, options);
 
         mediaRecorder.ondataavailable = event => {
             if (event.data.size > 0) {
@@ -288,9 +591,12 @@ export function startRecording(i18n_t) {
 
             const audioBlob = new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' });
             const audioUrl = URL.createObjectURL(audioBlob);
+            lastRecording = { ...pendingRecording, blob: audioBlob };
+            pendingRecording = null;
 
             console.log(`Blob created: Size=${audioBlob.size}, Type=${audioBlob.type}`);
             ui.displayPlayback(audioUrl, audioBlob); // Pass blob for potential info display
+            ui.showExportControls(lastRecording.pcm !== null, i18n_t);
             ui.showRecordingSection(true);
             ui.setRecordingStatus('recStatusFinished', 'success', {
                 size: formatBytes(audioBlob.size), // Utility function needed
@@ -300,6 +606,7 @@ export function startRecording(i18n_t) {
             isRecording = false;
             ui.updateButtonStates(isMonitoring, isRecording, mediaRecorderSupported, i18n_t);
             audioChunks = []; // Clear chunks after processing
+            if (recordingFinishedCallback) recordingFinishedCallback(lastRecording);
         };
 
         mediaRecorder.onerror = (event) => {
@@ -321,6 +628,8 @@ export function startRecording(i18n_t) {
     } catch (err) {
         console.error('Error starting recording:', err);
         ui.setRecordingStatus('recStatusErrorStart', 'error', { errorName: err.name }, i18n_t);
+        await stopPcmCapture(); // Discard whatever was captured
+        pendingRecording = null;
         isRecording = false; // Ensure state is reset
         ui.updateButtonStates(isMonitoring, isRecording, mediaRecorderSupported, i18n_t);
     }
@@ -330,13 +639,15 @@ export function startRecording(i18n_t) {
  * Stops the current audio recording.
  * @param {function} i18n_t - Translation function.
  */
-export function stopRecording(i18n_t) {
+export async function stopRecording(i18n_t) {
     if (!isRecording || !mediaRecorder || mediaRecorder.state === 'inactive') {
         console.log("Stop recording called but not recording or recorder inactive.");
         return;
     }
 
     ui.setRecordingStatus('recStatusStopping', 'info', {}, i18n_t);
+    // Collect the PCM first, while the AudioContext is certainly still running
+    pendingRecording.pcm = await stopPcmCapture();
     try {
         mediaRecorder.stop(); // This will trigger the 'onstop' event handler asynchronously
         console.log("MediaRecorder stop() called.");
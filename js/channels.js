@@ -0,0 +1,228 @@
+// js/channels.js
+import { uiElements } from './ui.js';
+import {
+    CHANNEL_SILENT_DB,
+    CORRELATION_TIME_MS,
+    GONIOMETER_PERSISTENCE,
+    GONIOMETER_MIN_SCALE
+} from './config.js';
+import { linearToDbfs } from './metering.js';
+import { fitCanvasToDisplay } from './visualizer.js';
+
+// --- State Variables ---
+let channelWaveformCtx = null;
+let goniometerCtx = null;
+// Smoothed sums for the correlation coefficient (L*R, L*L, R*R)
+let productMean = 0;
+let leftPowerMean = 0;
+let rightPowerMean = 0;
+let lastTimestamp = null;
+
+/**
+ * Initializes the channel waveform and goniometer canvas contexts.
+ */
+export function initChannelViews() {
+    const waveformCanvas = uiElements.channelWaveformCanvas();
+    const goniometerCanvas = uiElements.goniometerCanvas();
+    if (!waveformCanvas || !goniometerCanvas) {
+        console.error("Could not get channel canvas contexts.");
+        return;
+    }
+    channelWaveformCtx = waveformCanvas.getContext('2d');
+    goniometerCtx = goniometerCanvas.getContext('2d');
+}
+
+/**
+ * Resets the correlation averaging. Call when monitoring (re)starts.
+ */
+export function resetChannelAnalysis() {
+    productMean = 0;
+    leftPowerMean = 0;
+    rightPowerMean = 0;
+    lastTimestamp = null;
+}
+
+/**
+ * Measures the level of one channel.
+ * @param {Float32Array} samples - Time domain samples in the range -1..1.
+ * @returns {{rmsDb: number, peakDb: number, silent: boolean}}
+ */
+export function measureChannel(samples) {
+    let sumSquares = 0;
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sumSquares += samples[i] * samples[i];
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    const rmsDb = linearToDbfs(samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0);
+    return { rmsDb, peakDb: linearToDbfs(peak), silent: rmsDb < CHANNEL_SILENT_DB };
+}
+
+/**
+ * Updates the phase correlation between two channels.
+ * +1 means identical (mono), 0 unrelated, -1 one channel is inverted.
+ * @param {Float32Array} left - Samples of the first channel.
+ * @param {Float32Array} right - Samples of the second channel.
+ * @param {number} timestamp - Current time in milliseconds.
+ * @returns {number | null} The smoothed correlation, or null while either channel is silent.
+ */
+export function measureCorrelation(left, right, timestamp) {
+    let product = 0;
+    let leftPower = 0;
+    let rightPower = 0;
+    const length = Math.min(left.length, right.length);
+    for (let i = 0; i < length; i++) {
+        product += left[i] * right[i];
+        leftPower += left[i] * left[i];
+        rightPower += right[i] * right[i];
+    }
+
+    const elapsedMs = lastTimestamp === null ? CORRELATION_TIME_MS : Math.max(0, timestamp - lastTimestamp);
+    lastTimestamp = timestamp;
+    // Average the sums rather than the coefficient, so loud passages weigh more than quiet ones
+    const weight = 1 - Math.exp(-elapsedMs / CORRELATION_TIME_MS);
+    productMean += (product / length - productMean) * weight;
+    leftPowerMean += (leftPower / length - leftPowerMean) * weight;
+    rightPowerMean += (rightPower / length - rightPowerMean) * weight;
+
+    const silentPower = Math.pow(10, CHANNEL_SILENT_DB / 10);
+    if (leftPowerMean < silentPower || rightPowerMean < silentPower) return null;
+    return Math.max(-1, Math.min(1, productMean / Math.sqrt(leftPowerMean * rightPowerMean)));
+}
+
+/**
+ * Draws each channel's waveform in its own lane.
+ * @param {Float32Array[]} channelData - Time domain samples per channel.
+ * @param {string[]} labels - Display label per channel.
+ */
+export function drawChannelWaveforms(channelData, labels) {
+    if (!channelWaveformCtx) return;
+    const canvas = uiElements.channelWaveformCanvas();
+    if (!fitCanvasToDisplay(canvas)) return;
+
+    const width = canvas.width;
+    const laneHeight = canvas.height / channelData.length;
+    const style = getComputedStyle(document.documentElement);
+    const bgColor = style.getPropertyValue('--canvas-bg').trim();
+    const lineColor = style.getPropertyValue('--primary-color').trim();
+    const gridColor = style.getPropertyValue('--border-color').trim();
+    const textColor = style.getPropertyValue('--text-color').trim();
+
+    channelWaveformCtx.fillStyle = bgColor;
+    channelWaveformCtx.fillRect(0, 0, width, canvas.height);
+    channelWaveformCtx.font = '10px sans-serif';
+    channelWaveformCtx.textBaseline = 'top';
+
+    channelData.forEach((samples, channel) => {
+        const top = channel * laneHeight;
+        const centre = top + laneHeight / 2;
+
+        // Lane separator and centre line
+        channelWaveformCtx.strokeStyle = gridColor;
+        channelWaveformCtx.lineWidth = 1;
+        channelWaveformCtx.beginPath();
+        if (channel > 0) {
+            channelWaveformCtx.moveTo(0, top);
+            channelWaveformCtx.lineTo(width, top);
+        }
+        channelWaveformCtx.moveTo(0, centre);
+        channelWaveformCtx.lineTo(width, centre);
+        channelWaveformCtx.stroke();
+
+        channelWaveformCtx.strokeStyle = lineColor;
+        channelWaveformCtx.lineWidth = 1.5;
+        channelWaveformCtx.beginPath();
+        const sliceWidth = width / samples.length;
+        for (let i = 0; i < samples.length; i++) {
+            const y = centre - samples[i] * laneHeight / 2;
+            if (i === 0) {
+                channelWaveformCtx.moveTo(0, y);
+            } else {
+                channelWaveformCtx.lineTo(i * sliceWidth, y);
+            }
+        }
+        channelWaveformCtx.stroke();
+
+        channelWaveformCtx.fillStyle = textColor;
+        channelWaveformCtx.fillText(labels[channel] || `${channel + 1}`, 4, top + 3);
+    });
+}
+
+/**
+ * Draws the stereo goniometer (vectorscope): mono content forms a vertical line,
+ * wide stereo a round cloud, and out-of-phase content a horizontal line.
+ * @param {Float32Array} left - Samples of the left channel.
+ * @param {Float32Array} right - Samples of the right channel.
+ */
+export function drawGoniometer(left, right) {
+    if (!goniometerCtx) return;
+    const canvas = uiElements.goniometerCanvas();
+    if (!fitCanvasToDisplay(canvas)) return;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    const centreX = width / 2;
+    const centreY = height / 2;
+    const radius = Math.min(width, height) / 2 - 4;
+    const style = getComputedStyle(document.documentElement);
+
+    // Fade the previous frame instead of clearing it, leaving a short trail
+    goniometerCtx.globalAlpha = 1 - GONIOMETER_PERSISTENCE;
+    goniometerCtx.fillStyle = style.getPropertyValue('--canvas-bg').trim();
+    goniometerCtx.fillRect(0, 0, width, height);
+    goniometerCtx.globalAlpha = 1;
+
+    // Axes: M (mono) vertical, S (side) horizontal, L and R on the diagonals
+    goniometerCtx.strokeStyle = style.getPropertyValue('--border-color').trim();
+    goniometerCtx.lineWidth = 1;
+    goniometerCtx.beginPath();
+    goniometerCtx.moveTo(centreX, centreY - radius);
+    goniometerCtx.lineTo(centreX, centreY + radius);
+    goniometerCtx.moveTo(centreX - radius, centreY);
+    goniometerCtx.lineTo(centreX + radius, centreY);
+    const diagonal = radius / Math.SQRT2;
+    goniometerCtx.moveTo(centreX - diagonal, centreY - diagonal);
+    goniometerCtx.lineTo(centreX + diagonal, centreY + diagonal);
+    goniometerCtx.moveTo(centreX + diagonal, centreY - diagonal);
+    goniometerCtx.lineTo(centreX - diagonal, centreY + diagonal);
+    goniometerCtx.stroke();
+
+    goniometerCtx.fillStyle = style.getPropertyValue('--text-color').trim();
+    goniometerCtx.font = '10px sans-serif';
+    goniometerCtx.textAlign = 'center';
+    goniometerCtx.textBaseline = 'top';
+    goniometerCtx.fillText('M', centreX + 8, 2);
+    goniometerCtx.fillText('L', centreX - diagonal + 6, centreY - diagonal);
+    goniometerCtx.fillText('R', centreX + diagonal - 6, centreY - diagonal);
+    goniometerCtx.textAlign = 'start';
+
+    // Scale to the frame's peak so quiet signals still fill the display
+    let peak = GONIOMETER_MIN_SCALE;
+    const length = Math.min(left.length, right.length);
+    for (let i = 0; i < length; i++) {
+        peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+    }
+    const scale = radius / (2 * peak); // Full-scale mono (L = R = peak) reaches the edge
+
+    goniometerCtx.fillStyle = style.getPropertyValue('--primary-color').trim();
+    for (let i = 0; i < length; i++) {
+        const x = centreX + (right[i] - left[i]) * scale;
+        const y = centreY - (left[i] + right[i]) * scale;
+        goniometerCtx.fillRect(x, y, 1.5, 1.5);
+    }
+}
+
+/**
+ * Clears the channel waveform and goniometer canvases.
+ */
+export function clearChannelViews() {
+    if (!channelWaveformCtx || !goniometerCtx) {
+        initChannelViews();
+        if (!channelWaveformCtx || !goniometerCtx) return;
+    }
+    const bgColor = getComputedStyle(document.documentElement).getPropertyValue('--canvas-bg').trim();
+    [channelWaveformCtx, goniometerCtx].forEach(ctx => {
+        ctx.fillStyle = bgColor;
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    });
+}
@@ -0,0 +1,144 @@
+// js/comparison.js
+import { decodeRecordingBlob } from './library.js';
+
+// --- State Variables ---
+let playbackContext = null; // Own context, so comparing works without a live microphone
+let decodedBuffers = new Map(); // Entry id -> AudioBuffer
+let sides = { a: null, b: null }; // {entry, buffer, gainDb} per side
+let activeSide = null;
+let activeSource = null;
+let startContextTime = 0; // Context time when the active source started
+let startOffset = 0; // Position in the recording at that moment (seconds)
+let endedCallback = null;
+let playRequest = 0; // Counts play and stop requests, so only the latest one acts after resuming the context
+
+// --- Getters ---
+export const getActiveSide = () => activeSide;
+
+/**
+ * Sets a function called when playback reaches the end of a recording.
+ * @param {function} callback
+ */
+export function setComparisonEndedCallback(callback) {
+    endedCallback = callback;
+}
+
+function getPlaybackContext() {
+    if (!playbackContext || playbackContext.state === 'closed') {
+        playbackContext = new (window.AudioContext || window.webkitAudioContext)();
+        decodedBuffers = new Map(); // Buffers belong to their context's sample rate
+    }
+    return playbackContext;
+}
+
+async function getBuffer(entry) {
+    if (!decodedBuffers.has(entry.id)) {
+        decodedBuffers.set(entry.id, await decodeRecordingBlob(entry.blob, getPlaybackContext()));
+    }
+    return decodedBuffers.get(entry.id);
+}
+
+/**
+ * Loads two library entries for A/B playback.
+ * With loudness matching, the louder one is turned down to the RMS level of the quieter one.
+ * @param {object} entryA
+ * @param {object} entryB
+ * @param {boolean} matchLoudness
+ * @returns {Promise<{gainDbA: number, gainDbB: number}>} Gain applied to each side.
+ */
+export async function prepareComparison(entryA, entryB, matchLoudness) {
+    const [bufferA, bufferB] = await Promise.all([getBuffer(entryA), getBuffer(entryB)]);
+    let gainDbA = 0;
+    let gainDbB = 0;
+    const levelA = entryA.levels.rmsDb;
+    const levelB = entryB.levels.rmsDb;
+    if (matchLoudness && Number.isFinite(levelA) && Number.isFinite(levelB)) {
+        const target = Math.min(levelA, levelB); // Only attenuate, so matching never causes clipping
+        gainDbA = target - levelA;
+        gainDbB = target - levelB;
+    }
+    sides = {
+        a: { entry: entryA, buffer: bufferA, gainDb: gainDbA },
+        b: { entry: entryB, buffer: bufferB, gainDb: gainDbB }
+    };
+    return { gainDbA, gainDbB };
+}
+
+/**
+ * Current playback position in seconds.
+ * @returns {number}
+ */
+function getPosition() {
+    if (!activeSide) return startOffset;
+    return startOffset + (playbackContext.currentTime - startContextTime);
+}
+
+function stopSource() {
+    if (!activeSource) return;
+    activeSource.onended = null;
+    try {
+        activeSource.stop();
+    } catch (e) {
+        // Already stopped
+    }
+    activeSource.disconnect();
+    activeSource = null;
+}
+
+/**
+ * Plays side A or B. Switching sides keeps the playback position, so the same passage can be compared.
+ * @param {'a' | 'b'} side
+ */
+export async function playSide(side) {
+    const selected = sides[side];
+    if (!selected) return;
+    const context = getPlaybackContext();
+    const request = ++playRequest;
+    if (context.state === 'suspended') await context.resume();
+    if (request !== playRequest) return; // Another side was chosen, or playback stopped, meanwhile
+
+    let position = getPosition();
+    if (position >= selected.buffer.duration) position = 0;
+    stopSource();
+
+    const source = context.createBufferSource();
+    source.buffer = selected.buffer;
+    const gain = context.createGain();
+    gain.gain.value = Math.pow(10, selected.gainDb / 20);
+    source.connect(gain).connect(context.destination);
+    source.onended = () => {
+        if (source !== activeSource) return;
+        activeSource = null;
+        activeSide = null;
+        startOffset = 0;
+        if (endedCallback) endedCallback();
+    };
+    source.start(0, position);
+
+    activeSource = source;
+    activeSide = side;
+    startContextTime = context.currentTime;
+    startOffset = position;
+}
+
+/**
+ * Stops A/B playback and rewinds to the start.
+ */
+export function stopComparison() {
+    playRequest++;
+    stopSource();
+    activeSide = null;
+    startOffset = 0;
+}
+
+/**
+ * Drops a deleted entry from the decode cache and from the comparison.
+ * @param {number} id
+ */
+export function forgetEntry(id) {
+    decodedBuffers.delete(id);
+    if ((sides.a && sides.a.entry.id === id) || (sides.b && sides.b.entry.id === id)) {
+        stopComparison();
+        sides = { a: null, b: null };
+    }
+}
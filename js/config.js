@@ -1,5 +1,5 @@
 // js/config.js
-export const FFT_SIZE = 2048;
+export const FFT_SIZE = 2048; // Analysis window of the waveform, meters, voice and tone detection
 export const DEFAULT_THEME = 'dark';
 export const SUPPORTED_LANGUAGES = {
     'en': 'English',
@@ -12,3 +12,264 @@ export const SUPPORTED_LANGUAGES = {
 export const DEFAULT_LANG = 'en';
 export const LOCAL_STORAGE_THEME_KEY = 'micAnalyzerTheme';
 export const LOCAL_STORAGE_LANG_KEY = 'micAnalyzerLang';
+export const LOCAL_STORAGE_DEVICE_PREFS_KEY = 'micAnalyzerDevicePrefs';
+export const LOCAL_STORAGE_AUTO_START_KEY = 'micAnalyzerAutoStart';
+export const DEVICE_PREFS_MAX_DEVICES = 20; // Oldest device settings are dropped beyond this
+
+// --- Level Metering ---
+export const METER_MIN_DB = -60; // Bottom of the level meter scale (dBFS)
+export const PEAK_HOLD_MS = 1500; // How long the peak-hold marker stays put before decaying
+export const PEAK_HOLD_DECAY_DB_PER_SEC = 20;
+export const CLIP_THRESHOLD = 0.999; // Absolute sample value treated as full scale
+export const CLIP_MIN_CONSECUTIVE_SAMPLES = 3; // Full-scale run length that trips the clip indicator
+export const DEFAULT_BALLISTICS = 'vu';
+// Time constants for the one-pole smoothing applied to the meter bar.
+export const METER_BALLISTICS = {
+    vu: { source: 'rms', attackMs: 65, releaseMs: 65 },    // ~300 ms to reach a step, like a VU needle
+    ppm: { source: 'peak', attackMs: 10, releaseMs: 740 }, // Quick rise, falls ~20 dB in 1.7 s
+    fast: { source: 'peak', attackMs: 0, releaseMs: 0 }    // Unsmoothed sample peak
+};
+
+// --- Spectrogram ---
+export const SPECTROGRAM_MIN_FREQ = 20; // Lowest frequency on the log axis (Hz)
+export const SPECTROGRAM_MAX_FREQ = 20000; // Capped at Nyquist for low sample rates
+export const SPECTROGRAM_DEFAULT_FLOOR_DB = -100;
+export const SPECTROGRAM_DEFAULT_CEILING_DB = -20;
+export const SPECTROGRAM_MIN_RANGE_DB = 10; // Smallest allowed gap between floor and ceiling
+export const DEFAULT_COLORMAP = 'viridis';
+// Colormap gradient stops (RGB), interpolated evenly from floor to ceiling
+export const COLORMAPS = {
+    viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+    magma: [[0, 0, 4], [81, 18, 124], [183, 55, 121], [252, 137, 97], [252, 253, 191]],
+    inferno: [[0, 0, 4], [87, 16, 110], [188, 55, 84], [249, 142, 9], [252, 255, 164]],
+    grayscale: [[0, 0, 0], [255, 255, 255]]
+};
+
+// --- Frequency Spectrum ---
+export const SPECTRUM_MIN_FREQ = 20; // Left edge of the log-frequency axis (Hz)
+export const SPECTRUM_MAX_FREQ = 20000; // Capped at Nyquist for low sample rates
+export const SPECTRUM_MIN_DB = -120; // Default bottom of the dBFS axis
+export const SPECTRUM_MAX_DB = 0; // Default top
+export const SPECTRUM_DB_LIMITS = [-160, 0]; // The axis range can be set within these
+export const SPECTRUM_MIN_RANGE_DB = 20; // Smallest allowed gap between the axis bottom and top
+export const SPECTRUM_FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+export const DEFAULT_SPECTRUM_FFT_SIZE = 2048;
+export const DEFAULT_SPECTRUM_SMOOTHING = 0.8; // AnalyserNode smoothingTimeConstant
+export const SPECTRUM_MAX_SMOOTHING = 0.95; // 1 would freeze the display
+// 'blackman' is the AnalyserNode's own window; the others run in an AudioWorklet
+export const SPECTRUM_WINDOWS = ['blackman', 'hann', 'blackmanHarris', 'flatTop'];
+export const DEFAULT_SPECTRUM_WINDOW = 'blackman';
+export const SPECTRUM_WORKLET_MIN_HOP = 1024; // Frames between worklet FFTs; large sizes use a quarter of their length
+export const SPECTRUM_WORKLET_WORK_PER_QUANTUM = 4096; // FFT steps per render quantum; a transform spreads over as many as it needs
+// AnalyserNode scales the FFT by 1/N after a Blackman window (coherent gain 0.42), so a
+// full-scale sine reads about -13.6 dB. Adding this offset makes it read 0 dBFS.
+export const SPECTRUM_DBFS_OFFSET = -20 * Math.log10(0.5 * 0.42);
+export const SPECTRUM_PEAK_DECAY_DB_PER_SEC = 10;
+export const DEFAULT_SPECTRUM_GRID = 'octave';
+export const DUAL_DIFFERENCE_RANGE_DB = 20; // Difference strip of the dual-microphone spectrum spans ±this
+// Nominal band centre frequencies (IEC 61260) used for the grid lines
+export const OCTAVE_BANDS = [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const THIRD_OCTAVE_BANDS = [
+    25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+    1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000
+];
+
+// --- Noise Floor / SNR Test ---
+export const NOISE_TEST_FFT_SIZE = 4096; // Analysis block size for the test's own analyser
+export const NOISE_TEST_DEFAULT_DURATION_SEC = 5; // Length of each phase (silence, then speech)
+export const NOISE_TEST_SPEECH_GATE_DB = 6; // Speech blocks must be this far above the noise floor
+export const NOISE_TEST_DEFAULT_THRESHOLDS = {
+    noiseFloorPassDb: -60, // Noise floor at or below this passes
+    noiseFloorWarnDb: -50, // ...at or below this warns, above it fails
+    snrPassDb: 30, // SNR at or above this passes
+    snrWarnDb: 20 // ...at or above this warns, below it fails
+};
+
+// --- Hum & Tone Detection ---
+export const MAINS_FREQUENCIES = [50, 60]; // Hz
+export const HUM_MAX_HARMONIC = 10; // Highest harmonic checked for the mains series
+export const HUM_MIN_MATCHED_HARMONICS = 2; // Stable peaks needed on the series to call it hum
+export const TONE_MIN_PROMINENCE_DB = 15; // Peak height above the local median spectrum
+export const TONE_MIN_LEVEL_DB = -80; // Ignore peaks quieter than this (dBFS)
+export const TONE_STABILITY_TIME_MS = 700; // Persistence time constant for "stable" peaks
+export const WHINE_MIN_FREQ = 5000; // Stable tones above this are reported as whine (Hz)
+export const DC_OFFSET_THRESHOLD_DB = -40; // Mean sample value above this is reported (dBFS)
+export const DETECTION_ANNOUNCE_INTERVAL_MS = 3000; // Minimum time each detection message stays up
+
+// --- Voice Analysis ---
+export const VOICE_MIN_F0 = 60; // Lowest fundamental searched for (Hz)
+export const VOICE_MAX_F0 = 1000; // Highest fundamental searched for (Hz)
+export const VOICE_YIN_THRESHOLD = 0.15; // YIN dip needed to call a frame voiced (lower is stricter)
+export const VOICE_MIN_LEVEL_DB = -50; // Quieter frames count as silence, neither voiced nor unvoiced (dBFS)
+export const VOICE_ANALYSIS_INTERVAL_MS = 50; // Time between analysed frames
+export const VOICE_TRACE_SECONDS = 10; // Length of the pitch trace, also the window of the voiced ratio
+export const VOICE_ANALYSIS_RATE = 11025; // Frames are resampled to about this rate (formants lie below 5 kHz)
+export const VOICE_FORMANT_COUNT = 3; // F1..F3
+export const VOICE_MIN_FORMANT_HZ = 200; // Envelope peaks below this are the fundamental, not a formant
+export const VOICE_IN_TUNE_CENTS = 10; // Cents deviation still shown as in tune
+export const VOICE_A4_HZ = 440; // Tuning reference for note names
+
+// --- Troubleshooting Wizard ---
+export const WIZARD_MEASURE_SECONDS = 3; // Length of the signal, level and noise checks
+export const WIZARD_PLAYBACK_SECONDS = 4; // Length of the sample recorded for the playback check
+export const WIZARD_SILENCE_DB = -100; // Peaks below this mean the input delivers no signal at all
+export const WIZARD_LEVEL_LOW_DB = -30; // Speech peaking below this is too quiet to use...
+export const WIZARD_LEVEL_QUIET_DB = -18; // ...below this it works but leaves little margin over the noise
+export const WIZARD_CLIP_DB = -0.5; // Peaks at or above this count as clipping
+
+// --- Diagnostic Report ---
+export const REPORT_LEVEL_SAMPLE_INTERVAL_MS = 100; // How often the live level is sampled for the report
+export const REPORT_MAX_LEVEL_SAMPLES = 6000; // Keeps the last 10 minutes at the interval above
+export const REPORT_NOISE_FLOOR_PERCENTILE = 10; // The quietest 10% of the session stands in for the noise floor
+export const REPORT_QUIET_PEAK_DB = -40; // Highest peak below this suggests the input level is far too low
+export const REPORT_SPECTRUM_IMAGE_TYPE = 'image/png';
+
+// --- Microphone Constraints ---
+// Requested getUserMedia audio constraints; null leaves the choice to the browser
+export const DEFAULT_AUDIO_CONSTRAINTS = {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+    sampleRate: null,
+    channelCount: null,
+    latency: null
+};
+
+// --- Device Hot-plug ---
+export const DEVICE_CHANGE_DEBOUNCE_MS = 500; // Browsers fire several devicechange events per plug/unplug
+export const DEFAULT_DEVICE_ID = 'default'; // Chromium's entry that follows the system default input
+
+// --- Offline Support ---
+export const SERVICE_WORKER_UPDATE_CHECK_MS = 60 * 60 * 1000; // How often an open tab looks for a new version
+
+// --- Processing Chain & Listen ---
+export const DEFAULT_PROCESSING_SETTINGS = {
+    inputGainDb: 0,
+    highPassEnabled: false,
+    highPassHz: 80,
+    gateEnabled: false,
+    gateThresholdDb: -50,
+    gateRatio: 4, // Expansion ratio below the threshold; 100 behaves as a gate
+    compressorEnabled: false,
+    compressorThresholdDb: -24,
+    compressorRatio: 4
+};
+export const GATE_ATTACK_SEC = 0.002;
+export const GATE_RELEASE_SEC = 0.15;
+export const GATE_MAX_ATTENUATION_DB = 80; // How far a closed gate turns the signal down
+export const COMPRESSOR_KNEE_DB = 6;
+export const COMPRESSOR_ATTACK_SEC = 0.005;
+export const COMPRESSOR_RELEASE_SEC = 0.15;
+export const PARAM_SMOOTHING_SEC = 0.02; // Time constant for gain and filter changes, avoids zipper noise
+export const DEFAULT_METER_TAP = 'pre'; // Meters and graphs show the input 'pre' or 'post' the chain
+
+// --- Multi-channel Analysis ---
+export const CHANNEL_SILENT_DB = -90; // A channel whose RMS stays below this is shown as having no signal (dBFS)
+export const CORRELATION_TIME_MS = 300; // Averaging time constant of the phase correlation meter
+export const CORRELATION_WARN_BELOW = 0; // Correlation below this is flagged as a polarity/phase problem
+export const GONIOMETER_PERSISTENCE = 0.7; // Fraction of the previous goniometer frame kept (trail length)
+export const GONIOMETER_MIN_SCALE = 0.01; // Smallest peak the goniometer zooms in to (linear)
+
+// --- Sample Stream ---
+// Every sample of the metered signal reaches the meters and detectors, not only what the analyser
+// holds at each animation frame
+export const SAMPLE_STREAM_BLOCK_FRAMES = 512; // Frames between deliveries (or wake-ups) from the worklet
+export const SAMPLE_STREAM_RING_FRAMES = 262144; // Shared ring (a power of two): about 2.7 s at 96 kHz, bridging a busy page
+export const SAMPLE_STREAM_HOP_FRAMES = 1024; // Analysis frames of FFT_SIZE samples start this far apart
+
+// --- Lossless Recording & Export ---
+export const PCM_CAPTURE_BLOCK_FRAMES = 4096; // Frames the capture worklet collects before posting them
+export const FLAC_BLOCK_SIZE = 4096; // Samples per channel in each FLAC frame
+// Download formats; 'original' is whatever MediaRecorder produced (usually Opus)
+export const EXPORT_FORMATS = {
+    wav16: { encoder: 'wav', bitDepth: 16, extension: 'wav', lossless: true },
+    wav24: { encoder: 'wav', bitDepth: 24, extension: 'wav', lossless: true },
+    flac16: { encoder: 'flac', bitDepth: 16, extension: 'flac', lossless: true },
+    flac24: { encoder: 'flac', bitDepth: 24, extension: 'flac', lossless: true },
+    original: { encoder: null, bitDepth: null, extension: null, lossless: false }
+};
+
+// --- Recording Inspector ---
+export const INSPECTOR_FFT_SIZE = 8192; // FFT size for the spectrum of a selected region
+export const INSPECTOR_MAX_FFT_FRAMES = 200; // Long selections are sampled down to this many FFT frames
+export const INSPECTOR_MIN_VIEW_SAMPLES = 64; // Narrowest zoom of the detail view
+export const INSPECTOR_ZOOM_STEP = 2; // Zoom factor per button press or wheel notch
+
+// --- Round-trip Latency Test ---
+export const LATENCY_TEST_DEFAULT_REPEATS = 5; // Test signals played per run
+export const LATENCY_TEST_MAX_REPEATS = 20;
+export const LATENCY_TEST_DEFAULT_SIGNAL = 'chirp'; // 'chirp' or 'mls'
+export const LATENCY_MAX_MS = 1000; // Longest round trip searched for after each test signal
+export const LATENCY_LEAD_IN_SEC = 0.3; // Silence before the first test signal
+export const LATENCY_SIGNAL_GAIN_DB = -12; // Playback level of the test signal (dBFS)
+export const LATENCY_CHIRP_DURATION_SEC = 0.25; // Length of the logarithmic chirp
+export const LATENCY_CHIRP_START_FREQ = 300; // Hz; small speakers reproduce little below this
+export const LATENCY_CHIRP_END_FREQ = 8000; // Hz
+export const LATENCY_MIN_PEAK_RATIO = 8; // Correlation peak vs. its RMS needed to trust a run
+
+// --- Frequency Response (sweep measurement) ---
+export const FREQUENCY_RESPONSE_SWEEP_DURATIONS = [2, 4, 8]; // Seconds; longer sweeps raise the signal-to-noise ratio
+export const FREQUENCY_RESPONSE_DEFAULT_DURATION = 4;
+export const FREQUENCY_RESPONSE_START_FREQ = 20; // Hz
+export const FREQUENCY_RESPONSE_END_FREQ = 20000; // Hz; capped below Nyquist
+export const FREQUENCY_RESPONSE_SIGNAL_GAIN_DB = -12; // Playback level of the sweep (dBFS)
+export const FREQUENCY_RESPONSE_LEAD_IN_SEC = 0.3; // Silence before the sweep
+export const FREQUENCY_RESPONSE_TAIL_SEC = 1; // Recorded after the sweep: round trip plus room decay
+export const FREQUENCY_RESPONSE_REGULARIZATION = 1e-6; // Keeps the deconvolution finite outside the swept band (relative to peak power)
+export const FREQUENCY_RESPONSE_PRE_PEAK_MS = 5; // Impulse response kept before its peak...
+export const FREQUENCY_RESPONSE_WINDOW_MS = 200; // ...and after it; shorter windows leave out more of the room
+export const FREQUENCY_RESPONSE_MIN_PEAK_RATIO = 8; // Impulse response peak vs. its RMS needed to trust a measurement
+export const FREQUENCY_RESPONSE_POINTS_PER_OCTAVE = 48; // Resolution of the plotted and exported curve
+export const FREQUENCY_RESPONSE_SMOOTHING_OPTIONS = [0, 24, 12, 6, 3]; // 1/N octave; 0 = none
+export const FREQUENCY_RESPONSE_DEFAULT_SMOOTHING = 6;
+export const FREQUENCY_RESPONSE_NORMALIZE_BAND = [500, 2000]; // Hz; the curve's average over this band is 0 dB
+export const FREQUENCY_RESPONSE_PLOT_RANGE_DB = 30; // The plot spans ±this around 0 dB
+export const FREQUENCY_RESPONSE_CLIP_DB = -0.5; // A recording peaking above this clipped
+
+// --- Distortion Test (THD / THD+N) ---
+export const DISTORTION_TEST_DURATIONS = [3, 5, 10]; // Seconds of tone analysed
+export const DISTORTION_TEST_DEFAULT_DURATION = 5;
+export const DISTORTION_TEST_DEFAULT_FREQUENCY = 1000; // Hz; the usual THD test frequency
+export const DISTORTION_TEST_FREQUENCY_RANGE = [50, 5000]; // Hz; limits for the generated tone
+export const DISTORTION_TEST_DEFAULT_LEVEL_DB = -12; // Generated tone level (dBFS)
+export const DISTORTION_TEST_LEVEL_RANGE = [-40, 0]; // dBFS
+export const DISTORTION_TEST_SETTLE_SEC = 0.5; // Captured but not analysed: the tone starts and gain control settles
+export const DISTORTION_TEST_FADE_SEC = 0.02; // Generated tone ramps in and out, avoids clicks
+export const DISTORTION_TEST_FFT_SIZE = 32768; // About 1.5 Hz per bin at 48 kHz
+export const DISTORTION_TEST_MAX_HARMONIC = 10; // Harmonics 2..this count towards THD
+export const DISTORTION_TEST_LOBE_BINS = 5; // Bins either side of a tone's peak that belong to it (Blackman-Harris main lobe)
+export const DISTORTION_TEST_BANDWIDTH = [20, 20000]; // Hz; THD+N counts everything in this band
+export const DISTORTION_TEST_MIN_LEVEL_DB = -50; // A quieter fundamental is too close to the noise to measure
+export const DISTORTION_TEST_CLIP_MERGE_MS = 50; // Clipped runs closer together than this are one event
+export const DISTORTION_TEST_CLIP_EVENTS_SHOWN = 20; // Longer event lists are cut short in the table
+
+// --- Loudness (EBU R128 / ITU-R BS.1770) ---
+// Delivery targets: integrated loudness and the highest allowed true peak
+export const LOUDNESS_PRESETS = {
+    streaming: { targetLufs: -14, maxTruePeakDb: -1 },
+    podcast: { targetLufs: -16, maxTruePeakDb: -1 },
+    broadcast: { targetLufs: -23, maxTruePeakDb: -1 }
+};
+export const DEFAULT_LOUDNESS_PRESET = 'streaming';
+export const LOUDNESS_PASS_TOLERANCE_LU = 1; // Integrated loudness within this of the target passes...
+export const LOUDNESS_WARN_TOLERANCE_LU = 2; // ...within this it warns, beyond it fails
+
+// --- Stream Stability (dropouts and glitches) ---
+export const STABILITY_SILENCE_MIN_MS = 5; // Runs of exact zeros at least this long are gaps; real signals rarely hold 0 that long
+export const STABILITY_DISCONTINUITY_RATIO = 12; // A sample-to-sample jump (second difference) this many times its running RMS...
+export const STABILITY_DISCONTINUITY_MIN = 0.05; // ...and at least this large (linear) is a discontinuity
+export const STABILITY_DISCONTINUITY_TIME_MS = 50; // Averaging time of that running RMS
+export const STABILITY_DISCONTINUITY_CHECK_MS = 3; // What follows a jump for this long is compared with what came before...
+export const STABILITY_DISCONTINUITY_SETTLE_RATIO = 3; // ...and may be at most this many times louder or brighter (RMS)
+export const STABILITY_REPEAT_LAGS_MS = [10, 20]; // Common device buffer lengths checked for repeated blocks...
+export const STABILITY_REPEAT_LAG_FRAMES = [128, 256, 512, 1024, 2048]; // ...and the power-of-two ones
+export const STABILITY_REPEAT_MIN_FRAMES = 64; // Samples that must repeat exactly, one buffer length apart
+export const STABILITY_EVENT_MERGE_MS = 50; // Events of one kind closer together than this are one event
+export const STABILITY_DRIFT_WINDOW_SEC = 30; // The device's frame counter is compared with the page clock over this long
+export const STABILITY_DRIFT_MIN_SEC = 10; // No drift is reported before this much time
+export const STABILITY_DRIFT_WARN_PPM = 2000; // More than this many samples per million missing or extra is logged
+export const STABILITY_SCORE_HALF_RATE = 6; // Events per minute that halve the stability score
+export const STABILITY_SCORE_GOOD = 90; // Scores from here up pass...
+export const STABILITY_SCORE_FAIR = 70; // ...from here up warn, below fail
+export const STABILITY_MAX_EVENTS = 1000; // The log keeps the newest events; the counts keep going
+export const STABILITY_EVENTS_SHOWN = 50; // Newest events listed in the panel
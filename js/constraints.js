@@ -0,0 +1,79 @@
+// js/constraints.js
+import { DEFAULT_AUDIO_CONSTRAINTS } from './config.js';
+
+const BOOLEAN_CONSTRAINTS = ['echoCancellation', 'noiseSuppression', 'autoGainControl'];
+const NUMERIC_CONSTRAINTS = ['sampleRate', 'channelCount', 'latency'];
+export const CONSTRAINT_NAMES = [...BOOLEAN_CONSTRAINTS, ...NUMERIC_CONSTRAINTS];
+
+// --- State Variables ---
+let requested = { ...DEFAULT_AUDIO_CONSTRAINTS };
+
+// --- Getters ---
+export const getRequestedConstraints = () => ({ ...requested });
+
+/**
+ * Updates one requested constraint.
+ * @param {string} name - Constraint name, e.g. 'echoCancellation' or 'sampleRate'.
+ * @param {boolean | number | null} value - New value; null means browser default.
+ */
+export function setRequestedConstraint(name, value) {
+    if (!CONSTRAINT_NAMES.includes(name)) {
+        console.warn(`Unknown audio constraint: ${name}`);
+        return;
+    }
+    requested[name] = value;
+    console.log(`Requested constraint ${name} = ${value}`);
+}
+
+/**
+ * Builds the audio constraints object for getUserMedia/applyConstraints.
+ * Numeric values are requested as `ideal` so an unsupported value degrades instead of failing.
+ * @param {string | null} deviceId - The microphone device ID.
+ * @returns {MediaTrackConstraints}
+ */
+export function buildAudioConstraints(deviceId) {
+    const audioConstraints = {
+        deviceId: deviceId ? { exact: deviceId } : undefined
+    };
+    BOOLEAN_CONSTRAINTS.forEach(name => {
+        if (requested[name] !== null) audioConstraints[name] = requested[name];
+    });
+    NUMERIC_CONSTRAINTS.forEach(name => {
+        if (requested[name] !== null) audioConstraints[name] = { ideal: requested[name] };
+    });
+    return audioConstraints;
+}
+
+/**
+ * Checks whether a value lies within a capability reported by getCapabilities().
+ * @param {*} capability - A capability entry ({min, max} range or list of values).
+ * @param {*} value - The requested value.
+ * @returns {boolean} True if supported, or if the browser doesn't say.
+ */
+export function isWithinCapability(capability, value) {
+    if (capability === undefined || capability === null) return true;
+    if (Array.isArray(capability)) return capability.includes(value);
+    if (typeof capability === 'object') {
+        const aboveMin = capability.min === undefined || value >= capability.min;
+        const belowMax = capability.max === undefined || value <= capability.max;
+        return aboveMin && belowMax;
+    }
+    return true;
+}
+
+/**
+ * Lists the requested constraints the track did not take on although it claims to support them.
+ * Latency is left out because browsers round it to their own buffer sizes.
+ * @param {MediaTrackSettings} settings - From track.getSettings().
+ * @param {MediaTrackCapabilities} capabilities - From track.getCapabilities(), or {}.
+ * @returns {string[]} Names of the constraints that still differ.
+ */
+export function findUnappliedConstraints(settings, capabilities) {
+    return CONSTRAINT_NAMES.filter(name => {
+        const value = requested[name];
+        if (value === null || name === 'latency') return false;
+        if (settings[name] === undefined) return false; // Browser doesn't report it
+        if (settings[name] === value) return false;
+        return isWithinCapability(capabilities[name], value);
+    });
+}
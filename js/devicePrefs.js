@@ -0,0 +1,89 @@
+// js/devicePrefs.js
+import { saveToLocalStorage, getFromLocalStorage } from './storage.js';
+import {
+    LOCAL_STORAGE_DEVICE_PREFS_KEY,
+    LOCAL_STORAGE_AUTO_START_KEY,
+    DEVICE_PREFS_MAX_DEVICES
+} from './config.js';
+
+/**
+ * Reads the stored preferences.
+ * @returns {{lastDevice: {deviceId: string, label: string} | null, devices: object[]}}
+ *     devices holds {deviceId, label, settings, savedAt} entries, most recently saved first.
+ */
+function loadPrefs() {
+    const empty = { lastDevice: null, devices: [] };
+    const stored = getFromLocalStorage(LOCAL_STORAGE_DEVICE_PREFS_KEY);
+    if (!stored) return empty;
+    try {
+        const prefs = JSON.parse(stored);
+        return Array.isArray(prefs.devices) ? prefs : empty;
+    } catch (e) {
+        console.warn('Ignoring unreadable device preferences:', e);
+        return empty;
+    }
+}
+
+/**
+ * Finds the entry for a device: by deviceId first, then by label, since browsers
+ * rotate device IDs (e.g. after clearing site data or in private windows).
+ * @param {{deviceId: string, label: string}[]} entries
+ * @param {{deviceId: string, label: string}} device
+ * @returns {number} Index of the entry, or -1.
+ */
+function findEntryIndex(entries, device) {
+    const byId = device.deviceId ? entries.findIndex(entry => entry.deviceId === device.deviceId) : -1;
+    if (byId !== -1 || !device.label) return byId;
+    return entries.findIndex(entry => entry.label === device.label);
+}
+
+/**
+ * Picks the last used microphone out of the available ones.
+ * @param {MediaDeviceInfo[]} devices - Available audio inputs.
+ * @returns {string | null} Its current deviceId, or null if it isn't plugged in.
+ */
+export function findPreferredDeviceId(devices) {
+    const { lastDevice } = loadPrefs();
+    if (!lastDevice) return null;
+    const index = findEntryIndex(devices, lastDevice);
+    return index === -1 ? null : devices[index].deviceId;
+}
+
+/**
+ * Returns the settings saved for a device.
+ * @param {{deviceId: string, label: string}} device
+ * @returns {object | null} The settings object given to saveDeviceSettings(), or null.
+ */
+export function getDeviceSettings(device) {
+    const { devices } = loadPrefs();
+    const index = findEntryIndex(devices, device);
+    return index === -1 ? null : devices[index].settings;
+}
+
+/**
+ * Saves the settings for a device and remembers it as the last used one.
+ * @param {{deviceId: string, label: string}} device
+ * @param {object} settings - E.g. {constraints, view}; stored as JSON.
+ */
+export function saveDeviceSettings(device, settings) {
+    if (!device.deviceId && !device.label) return; // Nothing to recognise it by next time
+    const prefs = loadPrefs();
+    const index = findEntryIndex(prefs.devices, device);
+    if (index !== -1) prefs.devices.splice(index, 1);
+    prefs.devices.unshift({ deviceId: device.deviceId, label: device.label, settings, savedAt: Date.now() });
+    prefs.devices = prefs.devices.slice(0, DEVICE_PREFS_MAX_DEVICES);
+    prefs.lastDevice = { deviceId: device.deviceId, label: device.label };
+    saveToLocalStorage(LOCAL_STORAGE_DEVICE_PREFS_KEY, JSON.stringify(prefs));
+}
+
+// --- Auto-start ---
+export const getAutoStart = () => getFromLocalStorage(LOCAL_STORAGE_AUTO_START_KEY) === 'true';
+
+/**
+ * Sets whether monitoring starts by itself on the next visit.
+ * @param {boolean} enabled
+ */
+export function setAutoStart(enabled) {
+    saveToLocalStorage(LOCAL_STORAGE_AUTO_START_KEY, String(enabled));
+    console.log(`Auto-start ${enabled ? 'enabled' : 'disabled'}`);
+}
@@ -0,0 +1,292 @@
+// js/distortionTest.js
+import {
+    CLIP_THRESHOLD,
+    CLIP_MIN_CONSECUTIVE_SAMPLES,
+    DISTORTION_TEST_SETTLE_SEC,
+    DISTORTION_TEST_FADE_SEC,
+    DISTORTION_TEST_FFT_SIZE,
+    DISTORTION_TEST_MAX_HARMONIC,
+    DISTORTION_TEST_LOBE_BINS,
+    DISTORTION_TEST_BANDWIDTH,
+    DISTORTION_TEST_MIN_LEVEL_DB,
+    DISTORTION_TEST_CLIP_MERGE_MS
+} from './config.js';
+import { createPcmCapture, isPcmCaptureSupported } from './pcmRecorder.js';
+import { averagedSpectrumDb, blackmanHarrisWindow } from './fft.js';
+import { linearToDbfs } from './metering.js';
+import { waitForContextTime } from './testSignals.js';
+
+// --- State Variables ---
+let isRunning = false;
+let cancelRequested = false;
+
+// --- Getters ---
+export const getIsRunning = () => isRunning;
+export const isDistortionTestSupported = () => isPcmCaptureSupported(); // Needs AudioWorklet for gap-free capture
+
+/**
+ * Ratio between summed bin power and a tone's power: the window's equivalent noise bandwidth in bins.
+ * @param {Float64Array} window
+ * @returns {number}
+ */
+function noiseBandwidthBins(window) {
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < window.length; i++) {
+        sum += window[i];
+        sumSquares += window[i] * window[i];
+    }
+    return window.length * sumSquares / (sum * sum);
+}
+
+/**
+ * Sums the power of the bins a tone occupies.
+ * @param {Float64Array} power - Linear power per bin.
+ * @param {number} centreBin - Fractional bin of the tone.
+ * @param {number} lowBin - Lowest bin that may be counted.
+ * @param {number} highBin - Highest bin that may be counted.
+ * @returns {{power: number, low: number, high: number}} The power and the bin range summed.
+ */
+function sumTonePower(power, centreBin, lowBin, highBin) {
+    const low = Math.max(lowBin, Math.round(centreBin) - DISTORTION_TEST_LOBE_BINS);
+    const high = Math.min(highBin, Math.round(centreBin) + DISTORTION_TEST_LOBE_BINS);
+    let sum = 0;
+    for (let bin = low; bin <= high; bin++) sum += power[bin];
+    return { power: sum, low, high };
+}
+
+/**
+ * Measures THD and THD+N of a steady tone.
+ * @param {Float32Array} samples - The tone, without its start-up.
+ * @param {number} sampleRate
+ * @param {number | null} expectedFrequency - Frequency of a generated tone; null to take the strongest one.
+ * @returns {{valid: boolean, fundamentalFrequency: number, fundamentalDb: number, harmonics: object[],
+ *     thdRatio: number, thdnRatio: number, spectrumDb: Float32Array}} Harmonics are
+ *     {order, frequency, levelDb} with levelDb relative to the fundamental (dBc).
+ */
+export function analyzeDistortion(samples, sampleRate, expectedFrequency) {
+    let fftSize = DISTORTION_TEST_FFT_SIZE;
+    while (fftSize > 1024 && fftSize > samples.length) fftSize >>= 1;
+    const spectrumDb = averagedSpectrumDb(samples, fftSize, Infinity, blackmanHarrisWindow);
+    const power = Float64Array.from(spectrumDb, db => Math.pow(10, db / 10));
+    const binWidth = sampleRate / fftSize;
+    const [bandLow, bandHigh] = DISTORTION_TEST_BANDWIDTH;
+    const lowBin = Math.max(1, Math.ceil(bandLow / binWidth));
+    const highBin = Math.min(power.length - 1, Math.floor(Math.min(bandHigh, sampleRate / 2) / binWidth));
+
+    // Search near the generated frequency (the speaker's clock may differ slightly), or the whole band
+    let searchLow = lowBin;
+    let searchHigh = highBin;
+    if (expectedFrequency) {
+        const margin = Math.max(DISTORTION_TEST_LOBE_BINS, expectedFrequency * 0.02 / binWidth);
+        searchLow = Math.max(lowBin, Math.floor(expectedFrequency / binWidth - margin));
+        searchHigh = Math.min(highBin, Math.ceil(expectedFrequency / binWidth + margin));
+    }
+    let peakBin = searchLow;
+    for (let bin = searchLow; bin <= searchHigh; bin++) {
+        if (power[bin] > power[peakBin]) peakBin = bin;
+    }
+
+    // Parabolic interpolation on the log spectrum places the peak between bins
+    let offset = 0;
+    if (peakBin > 0 && peakBin < power.length - 1) {
+        const [a, b, c] = [spectrumDb[peakBin - 1], spectrumDb[peakBin], spectrumDb[peakBin + 1]];
+        const denominator = a - 2 * b + c;
+        if (Number.isFinite(denominator) && denominator < 0) offset = 0.5 * (a - c) / denominator;
+    }
+    const fundamentalBin = peakBin + offset;
+    const fundamental = sumTonePower(power, fundamentalBin, lowBin, highBin);
+    const enbw = noiseBandwidthBins(blackmanHarrisWindow(fftSize));
+
+    const harmonics = [];
+    let harmonicPower = 0;
+    for (let order = 2; order <= DISTORTION_TEST_MAX_HARMONIC; order++) {
+        const bin = fundamentalBin * order;
+        if (bin + DISTORTION_TEST_LOBE_BINS > highBin) break;
+        const harmonic = sumTonePower(power, bin, lowBin, highBin);
+        harmonicPower += harmonic.power;
+        harmonics.push({
+            order,
+            frequency: bin * binWidth,
+            levelDb: fundamental.power > 0 ? 10 * Math.log10(harmonic.power / fundamental.power) : -Infinity
+        });
+    }
+
+    // Everything in the band except the fundamental: harmonics, noise, hum and other tones
+    let residualPower = 0;
+    for (let bin = lowBin; bin <= highBin; bin++) {
+        if (bin < fundamental.low || bin > fundamental.high) residualPower += power[bin];
+    }
+
+    const fundamentalDb = linearToDbfs(Math.sqrt(fundamental.power / enbw));
+    const thdRatio = fundamental.power > 0 ? Math.sqrt(harmonicPower / fundamental.power) : Infinity;
+    const thdnRatio = fundamental.power > 0 ? Math.sqrt(residualPower / fundamental.power) : Infinity;
+    return {
+        // A fundamental weaker than everything else together is not a test tone
+        valid: fundamentalDb >= DISTORTION_TEST_MIN_LEVEL_DB && thdnRatio < 1,
+        fundamentalFrequency: fundamentalBin * binWidth,
+        fundamentalDb,
+        harmonics,
+        thdRatio,
+        thdnRatio,
+        spectrumDb
+    };
+}
+
+/**
+ * Finds digital clipping: runs of at least CLIP_MIN_CONSECUTIVE_SAMPLES full-scale samples
+ * in any channel. Runs close together are merged into one event.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {{timeSec: number, durationMs: number, clippedSamples: number}[]} Events in time order,
+ *     timed from the start of the capture.
+ */
+export function findClippingEvents(channels, sampleRate) {
+    const runs = [];
+    channels.forEach(samples => {
+        let runStart = -1;
+        for (let i = 0; i <= samples.length; i++) {
+            const clipped = i < samples.length && Math.abs(samples[i]) >= CLIP_THRESHOLD;
+            if (clipped && runStart < 0) {
+                runStart = i;
+            } else if (!clipped && runStart >= 0) {
+                if (i - runStart >= CLIP_MIN_CONSECUTIVE_SAMPLES) runs.push({ start: runStart, end: i });
+                runStart = -1;
+            }
+        }
+    });
+    runs.sort((a, b) => a.start - b.start);
+
+    const mergeGap = DISTORTION_TEST_CLIP_MERGE_MS / 1000 * sampleRate;
+    const events = [];
+    let current = null;
+    runs.forEach(run => {
+        if (current && run.start - current.end <= mergeGap) {
+            current.end = Math.max(current.end, run.end);
+            current.clippedSamples += run.end - run.start;
+        } else {
+            current = { start: run.start, end: run.end, clippedSamples: run.end - run.start };
+            events.push(current);
+        }
+    });
+    return events.map(event => ({
+        timeSec: event.start / sampleRate,
+        durationMs: (event.end - event.start) / sampleRate * 1000,
+        clippedSamples: event.clippedSamples
+    }));
+}
+
+/**
+ * Picks the channel carrying the most signal, so a mono microphone on one side of a stereo
+ * input is still measured.
+ * @param {Float32Array[]} channels
+ * @returns {number} Channel index.
+ */
+function findLoudestChannel(channels) {
+    let loudest = 0;
+    let loudestPower = -1;
+    channels.forEach((samples, index) => {
+        let sumSquares = 0;
+        for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+        if (sumSquares > loudestPower) {
+            loudestPower = sumSquares;
+            loudest = index;
+        }
+    });
+    return loudest;
+}
+
+/**
+ * Records a steady tone from the microphone and measures its harmonic distortion and any
+ * clipping. The tone is either played by the user (an instrument, a tone generator or a held
+ * note) or generated here and played through the speakers or a loopback cable.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {MediaStreamAudioSourceNode} sourceNode - The microphone source.
+ * @param {number} channelCount - Channels delivered by the microphone.
+ * @param {{source: string, frequency: number, levelDb: number, durationSec: number}} settings -
+ *     source is 'generated' or 'external'; frequency and levelDb only apply to a generated tone.
+ * @param {function(number)} onProgress - Called with the seconds left.
+ * @returns {Promise<object>} The analysis (see analyzeDistortion()) plus clippingEvents, peakDb and channel.
+ */
+export async function runDistortionTest(audioContext, sourceNode, channelCount, settings, onProgress) {
+    if (isRunning) throw new Error('Distortion test already running');
+    isRunning = true;
+    cancelRequested = false;
+
+    const generated = settings.source === 'generated';
+    let oscillator = null;
+    let gainNode = null;
+    let capture = null;
+
+    try {
+        capture = await createPcmCapture(audioContext, sourceNode, channelCount);
+        const startTime = audioContext.currentTime;
+        const endTime = startTime + DISTORTION_TEST_SETTLE_SEC + settings.durationSec;
+        if (generated) {
+            oscillator = audioContext.createOscillator();
+            oscillator.frequency.value = settings.frequency;
+            gainNode = audioContext.createGain();
+            const level = Math.pow(10, settings.levelDb / 20);
+            gainNode.gain.setValueAtTime(0, startTime);
+            gainNode.gain.linearRampToValueAtTime(level, startTime + DISTORTION_TEST_FADE_SEC);
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+            oscillator.start(startTime);
+        }
+
+        await waitForContextTime(audioContext, endTime, {
+            isCancelled: () => cancelRequested,
+            cancelMessage: 'Distortion test cancelled',
+            onProgress
+        });
+
+        const captured = await capture.stop();
+        if (!captured) throw new Error('Nothing was captured');
+        const { channels, sampleRate } = captured;
+        const channel = findLoudestChannel(channels);
+        const settleSamples = Math.round(DISTORTION_TEST_SETTLE_SEC * sampleRate);
+        const analysis = analyzeDistortion(channels[channel].subarray(settleSamples), sampleRate,
+            generated ? settings.frequency : null);
+
+        let peak = 0;
+        channels.forEach(samples => {
+            for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+        });
+
+        const results = {
+            ...analysis,
+            sampleRate,
+            channel,
+            peakDb: linearToDbfs(peak),
+            clippingEvents: findClippingEvents(channels, sampleRate)
+        };
+        console.log("Distortion test results:", { ...results, spectrumDb: undefined });
+        return results;
+    } finally {
+        if (oscillator) {
+            // Ramp down rather than cut off, so a cancelled test doesn't end with a click
+            const stopTime = audioContext.currentTime + DISTORTION_TEST_FADE_SEC;
+            gainNode.gain.cancelScheduledValues(audioContext.currentTime);
+            gainNode.gain.setValueAtTime(gainNode.gain.value, audioContext.currentTime);
+            gainNode.gain.linearRampToValueAtTime(0, stopTime);
+            try {
+                oscillator.stop(stopTime);
+            } catch (e) {
+                // Already stopped
+            }
+            oscillator.onended = () => {
+                oscillator.disconnect();
+                gainNode.disconnect();
+            };
+        }
+        if (capture) await capture.stop();
+        isRunning = false;
+    }
+}
+
+/**
+ * Requests cancellation of a running test. runDistortionTest rejects with an AbortError.
+ */
+export function cancelDistortionTest() {
+    if (isRunning) cancelRequested = true;
+}
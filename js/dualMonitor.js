@@ -0,0 +1,149 @@
+// js/dualMonitor.js
+import { createPcmCapture, isPcmCaptureSupported } from './pcmRecorder.js';
+import { measureChannel } from './channels.js';
+import { createAnalysisFramer } from './sampleStream.js';
+
+// --- State Variables ---
+let primary = null; // Input session of the main microphone
+let second = null; // Input session of the second microphone
+let secondDeviceId = null;
+let comparison = null; // {a, b}: latest {levels, spectrumDb} per microphone, from their sample streams
+let unsubscribers = [];
+let dualCapture = null; // {capture, merger, taps, startedAt, channelCount} while recording both
+let secondDeviceLostCallback = null;
+
+/**
+ * Sets the callback function called with the device label when the second microphone's track ends.
+ * @param {function(string)} callback
+ */
+export function setSecondDeviceLostCallback(callback) {
+    secondDeviceLostCallback = callback;
+}
+
+// --- Getters ---
+export const getIsActive = () => second !== null;
+export const getIsRecording = () => dualCapture !== null;
+export const getSecondDeviceId = () => secondDeviceId;
+export const getSecondLabel = () => (second && second.track ? second.track.label : '');
+export const isDualRecordingSupported = () => isPcmCaptureSupported();
+
+/**
+ * Compares a second microphone with the main one. Both sessions must share one AudioContext
+ * (see audio.openExtraSession()), so they run on one clock.
+ * @param {object} primarySession - Input session of the main microphone.
+ * @param {object} secondSession - Input session of the second microphone.
+ * @param {string} deviceId - The second microphone.
+ */
+export function startSecondDevice(primarySession, secondSession, deviceId) {
+    if (second) throw new Error('Second microphone already started');
+    primary = primarySession;
+    second = secondSession;
+    secondDeviceId = deviceId;
+    comparison = { a: null, b: null };
+
+    // The raw inputs: the main meters may be showing the processed signal
+    [['a', primary], ['b', second]].forEach(([key, session]) => {
+        if (!session.sampleStream) return;
+        const stream = session.sampleStream;
+        // The framer keeps updating its frequencyData array, which is the latest spectrum to draw
+        unsubscribers.push(stream.subscribe(createAnalysisFramer(stream.sampleRate, ({ samples, frequencyData }) => {
+            comparison[key] = { levels: measureChannel(samples), spectrumDb: frequencyData };
+        })));
+    });
+    secondSession.track.addEventListener('ended', () => {
+        if (second === secondSession && secondDeviceLostCallback) secondDeviceLostCallback(secondSession.track.label);
+    });
+    console.log(`Second microphone started: ${secondSession.track.label}`);
+}
+
+/**
+ * Ends the comparison, discarding a dual recording in progress.
+ * @returns {Promise<object | null>} The second microphone's session, for the caller to close.
+ */
+export async function stopSecondDevice() {
+    if (dualCapture) await stopDualRecording();
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    unsubscribers = [];
+    const released = second;
+    primary = null;
+    second = null;
+    secondDeviceId = null;
+    comparison = null;
+    if (released) console.log('Second microphone stopped');
+    return released;
+}
+
+/**
+ * Reads the current levels and spectra of both microphones.
+ * Without sample streams the session analysers are read instead; the main one follows the meter tap.
+ * @returns {{a: object | null, b: object | null} | null} Per device {levels, spectrumDb} (null until
+ *     analysed), with levels from channels.measureChannel() and spectrumDb in analyser dB; null when not active.
+ */
+export function readComparison() {
+    if (!second) return null;
+    if (!primary.sampleStream) comparison.a = readAnalyser(primary);
+    if (!second.sampleStream) comparison.b = readAnalyser(second);
+    return comparison;
+}
+
+/**
+ * @param {object} session - Input session.
+ * @returns {{levels: object, spectrumDb: Float32Array}} What the session's analyser shows now.
+ */
+function readAnalyser(session) {
+    session.analyserNode.getFloatTimeDomainData(session.floatTimeDomainData);
+    session.analyserNode.getFloatFrequencyData(session.floatFrequencyData);
+    return { levels: measureChannel(session.floatTimeDomainData), spectrumDb: session.floatFrequencyData };
+}
+
+/**
+ * Starts recording both microphones into one capture, so the two takes start on the same sample.
+ * @returns {Promise<void>}
+ */
+export async function startDualRecording() {
+    if (!second) throw new Error('Second microphone not started');
+    if (dualCapture) return;
+    const { sourceNode, channelCount } = primary;
+    const audioContext = sourceNode.context;
+    const totalChannels = channelCount + second.channelCount;
+
+    // Main microphone on the first channels of the merger, the second one after it
+    const merger = audioContext.createChannelMerger(totalChannels);
+    const taps = [[sourceNode, channelCount, 0], [second.sourceNode, second.channelCount, channelCount]]
+        .map(([node, count, offset]) => {
+            const splitter = audioContext.createChannelSplitter(count);
+            node.connect(splitter);
+            for (let channel = 0; channel < count; channel++) splitter.connect(merger, channel, offset + channel);
+            return { node, splitter };
+        });
+    const capture = await createPcmCapture(audioContext, merger, totalChannels);
+    dualCapture = { capture, merger, taps, startedAt: new Date(), channelCount };
+    console.log(`Dual recording started: ${totalChannels} channel(s)`);
+}
+
+/**
+ * Stops the dual recording and splits the capture back into one recording per microphone.
+ * @returns {Promise<{startedAt: Date, a: {channels: Float32Array[], sampleRate: number},
+ *     b: {channels: Float32Array[], sampleRate: number}} | null>} Null if nothing was captured.
+ */
+export async function stopDualRecording() {
+    if (!dualCapture) return null;
+    const { capture, merger, taps, startedAt, channelCount } = dualCapture;
+    dualCapture = null;
+    const captured = await capture.stop();
+    taps.forEach(({ node, splitter }) => {
+        try {
+            node.disconnect(splitter);
+        } catch (e) {
+            // Source already disconnected
+        }
+        splitter.disconnect();
+    });
+    merger.disconnect();
+    if (!captured) return null;
+    return {
+        startedAt,
+        a: { channels: captured.channels.slice(0, channelCount), sampleRate: captured.sampleRate },
+        b: { channels: captured.channels.slice(channelCount), sampleRate: captured.sampleRate }
+    };
+}
@@ -0,0 +1,435 @@
+// js/encoders.js
+import { FLAC_BLOCK_SIZE, EXPORT_FORMATS } from './config.js';
+
+const MAX_RICE_PARAMETER = 14; // 15 is the escape code in 4-bit Rice partitions
+const MAX_PARTITION_ORDER = 8;
+
+/**
+ * Converts float samples to signed integers of the given bit depth.
+ * @param {Float32Array} samples - Samples in the range -1..1 (clamped).
+ * @param {number} bitDepth - 16 or 24.
+ * @returns {Int32Array}
+ */
+export function floatToInt(samples, bitDepth) {
+    const maxValue = Math.pow(2, bitDepth - 1) - 1;
+    const result = new Int32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const clamped = Math.max(-1, Math.min(1, samples[i]));
+        result[i] = Math.round(clamped * maxValue);
+    }
+    return result;
+}
+
+// --- WAV ---
+
+/**
+ * Encodes PCM as a WAV file.
+ * @param {Float32Array[]} channels - Samples per channel.
+ * @param {number} sampleRate - Sample rate in Hz.
+ * @param {number} bitDepth - 16 or 24.
+ * @returns {Blob}
+ */
+export function encodeWav(channels, sampleRate, bitDepth) {
+    const channelCount = channels.length;
+    const frameCount = channels[0].length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channelCount * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // Integer PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const intChannels = channels.map(samples => floatToInt(samples, bitDepth));
+    let offset = 44;
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const value = intChannels[channel][frame];
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+// --- FLAC ---
+
+/**
+ * Big-endian bit writer over a growable byte buffer. Unwritten bits are zero.
+ */
+class BitWriter {
+    constructor(initialSize) {
+        this.bytes = new Uint8Array(Math.max(1024, initialSize));
+        this.bytePos = 0;
+        this.bitPos = 0; // Bits used in the current byte
+    }
+
+    ensureCapacity(extraBytes) {
+        if (this.bytePos + extraBytes < this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.bytePos + extraBytes + 1));
+        grown.set(this.bytes);
+        this.bytes = grown;
+    }
+
+    /**
+     * @param {number} value - Unsigned value (mask signed values first).
+     * @param {number} count - Number of bits, at most 32.
+     */
+    writeBits(value, count) {
+        this.ensureCapacity(5);
+        let remaining = count;
+        while (remaining > 0) {
+            const free = 8 - this.bitPos;
+            const take = Math.min(free, remaining);
+            remaining -= take;
+            const chunk = (value >>> remaining) & ((1 << take) - 1);
+            this.bytes[this.bytePos] |= chunk << (free - take);
+            this.bitPos += take;
+            if (this.bitPos === 8) {
+                this.bytePos++;
+                this.bitPos = 0;
+            }
+        }
+    }
+
+    /**
+     * Writes zero bits by skipping over them.
+     * @param {number} count
+     */
+    writeZeros(count) {
+        const totalBits = this.bitPos + count;
+        this.ensureCapacity((totalBits >> 3) + 1);
+        this.bytePos += totalBits >> 3;
+        this.bitPos = totalBits & 7;
+    }
+
+    writeUnsignedRice(value, parameter) {
+        this.writeZeros(value >>> parameter);
+        this.writeBits(1, 1);
+        if (parameter > 0) this.writeBits(value, parameter);
+    }
+
+    alignToByte() {
+        if (this.bitPos > 0) this.writeZeros(8 - this.bitPos);
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.bytePos + (this.bitPos > 0 ? 1 : 0));
+    }
+}
+
+const CRC8_TABLE = buildCrcTable(0x07, 8);
+const CRC16_TABLE = buildCrcTable(0x8005, 16);
+
+/**
+ * Builds a lookup table for an MSB-first CRC.
+ * @param {number} polynomial
+ * @param {number} width - 8 or 16.
+ * @returns {Uint16Array}
+ */
+function buildCrcTable(polynomial, width) {
+    const topBit = 1 << (width - 1);
+    const mask = (1 << width) - 1;
+    const table = new Uint16Array(256);
+    for (let byte = 0; byte < 256; byte++) {
+        let crc = byte << (width - 8);
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & topBit ? ((crc << 1) ^ polynomial) & mask : (crc << 1) & mask;
+        }
+        table[byte] = crc;
+    }
+    return table;
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    return crc;
+}
+
+/**
+ * Writes a frame number in FLAC's UTF-8-like variable length coding.
+ * @param {BitWriter} writer
+ * @param {number} value
+ */
+function writeUtf8Number(writer, value) {
+    if (value < 0x80) {
+        writer.writeBits(value, 8);
+        return;
+    }
+    let extraBytes = 1;
+    while (value >= Math.pow(2, 5 * extraBytes + 6) && extraBytes < 5) extraBytes++;
+    const leadBits = 6 - extraBytes; // Payload bits left in the first byte
+    const lead = (0xff << (7 - extraBytes)) & 0xff;
+    writer.writeBits(lead | ((value >>> (6 * extraBytes)) & ((1 << leadBits) - 1)), 8);
+    for (let i = extraBytes - 1; i >= 0; i--) {
+        writer.writeBits(0x80 | ((value >>> (6 * i)) & 0x3f), 8);
+    }
+}
+
+/**
+ * Computes the residual of a fixed polynomial predictor.
+ * @param {Int32Array} samples
+ * @param {number} order - 0 to 4.
+ * @returns {Int32Array} Residual for samples[order..].
+ */
+function fixedResidual(samples, order) {
+    const n = samples.length;
+    const residual = new Int32Array(Math.max(0, n - order));
+    for (let i = order; i < n; i++) {
+        const x = samples;
+        let prediction;
+        switch (order) {
+            case 0: prediction = 0; break;
+            case 1: prediction = x[i - 1]; break;
+            case 2: prediction = 2 * x[i - 1] - x[i - 2]; break;
+            case 3: prediction = 3 * x[i - 1] - 3 * x[i - 2] + x[i - 3]; break;
+            default: prediction = 4 * x[i - 1] - 6 * x[i - 2] + 4 * x[i - 3] - x[i - 4];
+        }
+        residual[i - order] = x[i] - prediction;
+    }
+    return residual;
+}
+
+/**
+ * Picks the Rice parameter and cost for one partition of folded (unsigned) residuals.
+ * @param {Uint32Array} folded
+ * @param {number} start
+ * @param {number} end
+ * @returns {{parameter: number, bits: number}}
+ */
+function bestRiceParameter(folded, start, end) {
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += folded[i];
+    const count = end - start;
+    const mean = count > 0 ? sum / count : 0;
+    const estimate = mean > 1 ? Math.min(MAX_RICE_PARAMETER, Math.floor(Math.log2(mean))) : 0;
+
+    let best = null;
+    for (let parameter = Math.max(0, estimate - 1); parameter <= Math.min(MAX_RICE_PARAMETER, estimate + 1); parameter++) {
+        let bits = count * (parameter + 1);
+        for (let i = start; i < end; i++) bits += folded[i] >>> parameter;
+        if (!best || bits < best.bits) best = { parameter, bits };
+    }
+    return best;
+}
+
+/**
+ * Plans the residual coding: the partition order and Rice parameter per partition with the fewest bits.
+ * @param {Uint32Array} folded - Folded residual.
+ * @param {number} blockSize - Samples in the block.
+ * @param {number} predictorOrder - Warm-up samples not in the residual.
+ * @returns {{order: number, parameters: number[], bits: number}}
+ */
+function planResidual(folded, blockSize, predictorOrder) {
+    let best = null;
+    for (let order = 0; order <= MAX_PARTITION_ORDER; order++) {
+        const partitionSize = blockSize >> order;
+        if (partitionSize << order !== blockSize || partitionSize <= predictorOrder) break;
+        const parameters = [];
+        let bits = 2 + 4; // Coding method and partition order
+        let start = 0;
+        for (let partition = 0; partition < (1 << order); partition++) {
+            const end = start + partitionSize - (partition === 0 ? predictorOrder : 0);
+            const choice = bestRiceParameter(folded, start, end);
+            parameters.push(choice.parameter);
+            bits += 4 + choice.bits;
+            start = end;
+        }
+        if (!best || bits < best.bits) best = { order, parameters, bits };
+    }
+    return best;
+}
+
+/**
+ * Encodes one channel of one block as a FIXED (or VERBATIM/CONSTANT) subframe.
+ * @param {BitWriter} writer
+ * @param {Int32Array} samples - The block's samples for this channel.
+ * @param {number} bitDepth
+ */
+function writeSubframe(writer, samples, bitDepth) {
+    const blockSize = samples.length;
+    const mask = bitDepth === 32 ? 0xffffffff : (1 << bitDepth) - 1;
+
+    if (samples.every(value => value === samples[0])) {
+        writer.writeBits(0b00000000, 8); // CONSTANT
+        writer.writeBits(samples[0] & mask, bitDepth);
+        return;
+    }
+
+    // Choose the predictor order with the smallest total absolute residual
+    let bestOrder = 0;
+    let bestResidual = null;
+    let bestSum = Infinity;
+    for (let order = 0; order <= Math.min(4, blockSize - 1); order++) {
+        const residual = fixedResidual(samples, order);
+        let sum = 0;
+        for (let i = 0; i < residual.length; i++) sum += Math.abs(residual[i]);
+        if (sum < bestSum) {
+            bestSum = sum;
+            bestOrder = order;
+            bestResidual = residual;
+        }
+    }
+
+    const folded = new Uint32Array(bestResidual.length);
+    for (let i = 0; i < bestResidual.length; i++) {
+        const value = bestResidual[i];
+        folded[i] = value >= 0 ? value * 2 : -value * 2 - 1;
+    }
+    const plan = planResidual(folded, blockSize, bestOrder);
+
+    const fixedBits = 8 + bestOrder * bitDepth + plan.bits;
+    if (fixedBits >= 8 + blockSize * bitDepth) {
+        writer.writeBits(0b00000010, 8); // VERBATIM: noise-like blocks that don't compress
+        for (let i = 0; i < blockSize; i++) writer.writeBits(samples[i] & mask, bitDepth);
+        return;
+    }
+
+    writer.writeBits(0b00010000 | (bestOrder << 1), 8); // FIXED, predictor order in bits 1-3
+    for (let i = 0; i < bestOrder; i++) writer.writeBits(samples[i] & mask, bitDepth);
+    writer.writeBits(0b00, 2); // Rice coding with 4-bit parameters
+    writer.writeBits(plan.order, 4);
+    let position = 0;
+    plan.parameters.forEach((parameter, partition) => {
+        const count = (blockSize >> plan.order) - (partition === 0 ? bestOrder : 0);
+        writer.writeBits(parameter, 4);
+        for (let i = 0; i < count; i++) writer.writeUnsignedRice(folded[position + i], parameter);
+        position += count;
+    });
+}
+
+/**
+ * Encodes PCM as a FLAC file (fixed-predictor subframes, Rice-coded residuals).
+ * @param {Float32Array[]} channels - Samples per channel (1-8 channels).
+ * @param {number} sampleRate - Sample rate in Hz.
+ * @param {number} bitDepth - 16 or 24.
+ * @returns {Blob}
+ */
+export function encodeFlac(channels, sampleRate, bitDepth) {
+    const channelCount = channels.length;
+    const frameCount = channels[0].length;
+    if (channelCount < 1 || channelCount > 8) throw new Error(`FLAC supports 1-8 channels, got ${channelCount}`);
+    const intChannels = channels.map(samples => floatToInt(samples, bitDepth));
+    const writer = new BitWriter(Math.ceil(frameCount * channelCount * bitDepth / 8 * 0.7));
+
+    // Stream marker and STREAMINFO (the only, hence last, metadata block)
+    writer.writeBits(0x664c6143, 32); // "fLaC"
+    writer.writeBits(1, 1);
+    writer.writeBits(0, 7);
+    writer.writeBits(34, 24);
+    writer.writeBits(FLAC_BLOCK_SIZE, 16); // Min block size (the last block may be shorter)
+    writer.writeBits(FLAC_BLOCK_SIZE, 16); // Max block size
+    writer.writeBits(0, 24); // Min frame size: unknown
+    writer.writeBits(0, 24); // Max frame size: unknown
+    writer.writeBits(sampleRate, 20);
+    writer.writeBits(channelCount - 1, 3);
+    writer.writeBits(bitDepth - 1, 5);
+    writer.writeBits(Math.floor(frameCount / 0x100000000), 4); // 36-bit total sample count
+    writer.writeBits(frameCount >>> 0, 32);
+    writer.writeZeros(128); // MD5 of the audio: zero means not computed
+
+    const sampleSizeCode = bitDepth === 16 ? 0b100 : 0b110;
+    for (let start = 0, frameNumber = 0; start < frameCount; start += FLAC_BLOCK_SIZE, frameNumber++) {
+        const blockSize = Math.min(FLAC_BLOCK_SIZE, frameCount - start);
+        const frameStart = writer.bytePos;
+
+        writer.writeBits(0b11111111111110, 14); // Sync code
+        writer.writeBits(0, 1); // Reserved
+        writer.writeBits(0, 1); // Fixed block size stream
+        writer.writeBits(0b0111, 4); // Block size: 16-bit value at the end of the header
+        writer.writeBits(0b0000, 4); // Sample rate: from STREAMINFO
+        writer.writeBits(channelCount - 1, 4); // Independent channels
+        writer.writeBits(sampleSizeCode, 3);
+        writer.writeBits(0, 1); // Reserved
+        writeUtf8Number(writer, frameNumber);
+        writer.writeBits(blockSize - 1, 16);
+        writer.writeBits(crc8(writer.bytes, frameStart, writer.bytePos), 8);
+
+        intChannels.forEach(samples => writeSubframe(writer, samples.subarray(start, start + blockSize), bitDepth));
+
+        writer.alignToByte();
+        writer.writeBits(crc16(writer.bytes, frameStart, writer.bytePos), 16);
+    }
+
+    return new Blob([writer.toUint8Array()], { type: 'audio/flac' });
+}
+
+/**
+ * Builds a download file name from the device label and the recording time.
+ * @param {string} deviceLabel - The microphone's label (may be empty).
+ * @param {Date} date - When the recording started.
+ * @param {string} extension - File extension without the dot.
+ * @returns {string} E.g. "mic-test_USB-Microphone_2024-05-01_14-03-22.wav".
+ */
+export function buildRecordingFileName(deviceLabel, date, extension) {
+    const device = (deviceLabel || 'microphone')
+        .replace(/[^\p{L}\p{N}_-]+/gu, '-') // Keep letters in any script, drop characters file systems dislike
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'microphone';
+    const pad = (value) => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_` +
+        `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    return `mic-test_${device}_${stamp}.${extension}`;
+}
+
+/**
+ * Picks a file extension for a MediaRecorder MIME type.
+ * @param {string} mimeType - E.g. 'audio/webm;codecs=opus'.
+ * @returns {string}
+ */
+function extensionForMimeType(mimeType) {
+    const subtype = (mimeType || '').split(';')[0].split('/')[1];
+    if (subtype === 'mp4') return 'm4a';
+    return subtype || 'webm';
+}
+
+/**
+ * Produces the downloadable file for a recording in the chosen format.
+ * @param {{blob: Blob, pcm: object | null, deviceLabel: string, startedAt: Date}} recording - From audio.getLastRecording().
+ * @param {string} formatKey - Key of EXPORT_FORMATS.
+ * @returns {{blob: Blob, fileName: string}}
+ */
+export function exportRecording(recording, formatKey) {
+    const format = EXPORT_FORMATS[formatKey];
+    if (!format) throw new Error(`Unknown export format: ${formatKey}`);
+
+    if (!format.lossless) {
+        const extension = extensionForMimeType(recording.blob.type);
+        return { blob: recording.blob, fileName: buildRecordingFileName(recording.deviceLabel, recording.startedAt, extension) };
+    }
+    if (!recording.pcm) throw new Error('No PCM captured for this recording');
+
+    const { channels, sampleRate } = recording.pcm;
+    const blob = format.encoder === 'flac'
+        ? encodeFlac(channels, sampleRate, format.bitDepth)
+        : encodeWav(channels, sampleRate, format.bitDepth);
+    return { blob, fileName: buildRecordingFileName(recording.deviceLabel, recording.startedAt, format.extension) };
+}
@@ -0,0 +1,279 @@
+// js/fft.js
+
+const twiddleCache = new Map(); // FFT size -> {cos, sin} tables
+
+/**
+ * Returns cached cosine/sine tables for an FFT size.
+ * @param {number} size - Power of two.
+ * @returns {{cos: Float64Array, sin: Float64Array}}
+ */
+function getTwiddles(size) {
+    if (!twiddleCache.has(size)) {
+        const cos = new Float64Array(size / 2);
+        const sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            cos[i] = Math.cos(-2 * Math.PI * i / size);
+            sin[i] = Math.sin(-2 * Math.PI * i / size);
+        }
+        twiddleCache.set(size, { cos, sin });
+    }
+    return twiddleCache.get(size);
+}
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @param {Float64Array | Float32Array} real - Real parts (length must be a power of two).
+ * @param {Float64Array | Float32Array} imag - Imaginary parts, same length.
+ */
+export function fft(real, imag) {
+    const size = real.length;
+    if (size & (size - 1)) throw new Error(`FFT size must be a power of two, got ${size}`);
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < size; i++) {
+        let bit = size >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    const { cos, sin } = getTwiddles(size);
+    for (let length = 2; length <= size; length <<= 1) {
+        const half = length >> 1;
+        const step = size / length;
+        for (let start = 0; start < size; start += length) {
+            for (let k = 0; k < half; k++) {
+                const wr = cos[k * step];
+                const wi = sin[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = real[b] * wr - imag[b] * wi;
+                const ti = real[b] * wi + imag[b] * wr;
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * Radix-2 FFT that runs a bounded amount of work per call, so one transform can be spread over
+ * several AudioWorklet render quanta. Fill real and imag, call begin(), then call step() until it
+ * returns true; the result is then in real and imag, as after fft().
+ * @param {number} size - Power of two.
+ * @returns {{real: Float64Array, imag: Float64Array, begin: function(), step: function(number): boolean}}
+ *     step() takes the number of swaps and butterflies it may do.
+ */
+export function createSteppedFft(size) {
+    if (size & (size - 1)) throw new Error(`FFT size must be a power of two, got ${size}`);
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    const { cos, sin } = getTwiddles(size);
+    const butterflies = size / 2; // Per stage
+    let index = size; // Next index of the bit-reversal permutation
+    let reversed = 0; // Its bit-reversed counterpart
+    let length = size * 2; // Transform length of the current stage
+    let butterfly = 0; // Next butterfly of the stage
+
+    return {
+        real,
+        imag,
+
+        /**
+         * Starts a transform of the current contents of real and imag.
+         */
+        begin() {
+            index = 1;
+            reversed = 0;
+            length = 2;
+            butterfly = 0;
+        },
+
+        /**
+         * @param {number} budget - Swaps and butterflies to do at most.
+         * @returns {boolean} True once the transform is complete.
+         */
+        step(budget) {
+            let work = budget;
+            for (; index < size && work > 0; index++, work--) {
+                let bit = size >> 1;
+                for (; reversed & bit; bit >>= 1) reversed ^= bit;
+                reversed ^= bit;
+                if (index < reversed) {
+                    const realValue = real[index];
+                    real[index] = real[reversed];
+                    real[reversed] = realValue;
+                    const imagValue = imag[index];
+                    imag[index] = imag[reversed];
+                    imag[reversed] = imagValue;
+                }
+            }
+            while (length <= size && work > 0) {
+                const half = length >> 1;
+                const twiddleStep = size / length;
+                const end = Math.min(butterflies, butterfly + work);
+                work -= end - butterfly;
+                for (; butterfly < end; butterfly++) {
+                    const k = butterfly % half;
+                    const a = (butterfly - k) * 2 + k; // Group start (butterfly - k) / half * length, plus k
+                    const b = a + half;
+                    const wr = cos[k * twiddleStep];
+                    const wi = sin[k * twiddleStep];
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+                if (butterfly === butterflies) {
+                    butterfly = 0;
+                    length <<= 1;
+                }
+            }
+            return length > size;
+        }
+    };
+}
+
+/**
+ * Blackman window as used by AnalyserNode (alpha 0.16), to reproduce its spectrum.
+ * @param {number} size
+ * @returns {Float64Array}
+ */
+export function blackmanWindow(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        const phase = 2 * Math.PI * i / size;
+        window[i] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+    }
+    return window;
+}
+
+/**
+ * Hann window.
+ * @param {number} size
+ * @returns {Float64Array}
+ */
+export function hannWindow(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    return window;
+}
+
+/**
+ * 4-term Blackman-Harris window. Its side lobes stay below -92 dB, so a strong tone does not
+ * bury weak harmonics and noise next to it, at the cost of a wider main lobe than Hann.
+ * @param {number} size
+ * @returns {Float64Array}
+ */
+export function blackmanHarrisWindow(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        const phase = 2 * Math.PI * i / size;
+        window[i] = 0.35875 - 0.48829 * Math.cos(phase) + 0.14128 * Math.cos(2 * phase) - 0.01168 * Math.cos(3 * phase);
+    }
+    return window;
+}
+
+/**
+ * 5-term flat-top window. Its main lobe is flat to within 0.01 dB, so a tone reads at its true
+ * level wherever it falls between bins; frequency resolution is the poorest of these windows.
+ * @param {number} size
+ * @returns {Float64Array}
+ */
+export function flatTopWindow(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        const phase = 2 * Math.PI * i / size;
+        window[i] = 0.21557895 - 0.41663158 * Math.cos(phase) + 0.277263158 * Math.cos(2 * phase)
+            - 0.083578947 * Math.cos(3 * phase) + 0.006947368 * Math.cos(4 * phase);
+    }
+    return window;
+}
+
+/**
+ * Averaged (Welch) spectrum of a block of samples, scaled so a full-scale sine reads 0 dBFS.
+ * @param {Float32Array} samples - Time domain samples.
+ * @param {number} fftSize - Power of two.
+ * @param {number} [maxFrames] - Upper limit on analysed frames; long inputs are sampled evenly.
+ * @param {function(number): Float64Array} [windowFunction] - Builds the analysis window, Hann by default.
+ * @returns {Float32Array} Level per bin in dBFS (fftSize / 2 bins, like an AnalyserNode).
+ */
+export function averagedSpectrumDb(samples, fftSize, maxFrames = Infinity, windowFunction = hannWindow) {
+    const window = windowFunction(fftSize);
+    let windowSum = 0;
+    for (let i = 0; i < fftSize; i++) windowSum += window[i];
+    const scale = 2 / windowSum; // Amplitude scaling that undoes the window's coherent gain
+
+    const binCount = fftSize / 2;
+    const powerSum = new Float64Array(binCount);
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+
+    // 50% overlapping frames; a block shorter than one frame is zero-padded
+    const hop = fftSize / 2;
+    const available = Math.max(1, Math.floor((samples.length - fftSize) / hop) + 1);
+    const frameCount = Math.min(available, maxFrames);
+    const frameStep = available / frameCount;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const start = Math.floor(frame * frameStep) * hop;
+        for (let i = 0; i < fftSize; i++) {
+            const index = start + i;
+            real[i] = index < samples.length ? samples[index] * window[i] : 0;
+            imag[i] = 0;
+        }
+        fft(real, imag);
+        for (let bin = 0; bin < binCount; bin++) {
+            const magnitude = Math.hypot(real[bin], imag[bin]) * scale;
+            powerSum[bin] += magnitude * magnitude;
+        }
+    }
+
+    const spectrumDb = new Float32Array(binCount);
+    for (let bin = 0; bin < binCount; bin++) {
+        const power = powerSum[bin] / frameCount;
+        spectrumDb[bin] = power > 0 ? 10 * Math.log10(power) : -Infinity;
+    }
+    return spectrumDb;
+}
+
+/**
+ * Cross-correlation of a signal with a known reference, computed via FFT.
+ * @param {Float32Array} reference - The known signal.
+ * @param {Float32Array} signal - The signal to search for the reference.
+ * @returns {Float64Array} Correlation for lags 0..signal.length - 1; a peak at lag L means
+ *     the reference appears starting at signal[L].
+ */
+export function crossCorrelate(reference, signal) {
+    let size = 1;
+    while (size < reference.length + signal.length) size <<= 1; // Zero padding avoids circular wrap-around
+
+    const signalReal = new Float64Array(size);
+    const signalImag = new Float64Array(size);
+    const referenceReal = new Float64Array(size);
+    const referenceImag = new Float64Array(size);
+    signalReal.set(signal);
+    referenceReal.set(reference);
+    fft(signalReal, signalImag);
+    fft(referenceReal, referenceImag);
+
+    // Signal spectrum times the conjugate reference spectrum, conjugated again for the inverse transform
+    for (let k = 0; k < size; k++) {
+        const real = signalReal[k] * referenceReal[k] + signalImag[k] * referenceImag[k];
+        const imag = signalImag[k] * referenceReal[k] - signalReal[k] * referenceImag[k];
+        signalReal[k] = real;
+        signalImag[k] = -imag;
+    }
+    fft(signalReal, signalImag);
+
+    const correlation = new Float64Array(signal.length);
+    for (let lag = 0; lag < signal.length; lag++) correlation[lag] = signalReal[lag] / size;
+    return correlation;
+}
@@ -0,0 +1,361 @@
+// js/frequencyResponse.js
+import {
+    FREQUENCY_RESPONSE_START_FREQ,
+    FREQUENCY_RESPONSE_END_FREQ,
+    FREQUENCY_RESPONSE_SIGNAL_GAIN_DB,
+    FREQUENCY_RESPONSE_LEAD_IN_SEC,
+    FREQUENCY_RESPONSE_TAIL_SEC,
+    FREQUENCY_RESPONSE_REGULARIZATION,
+    FREQUENCY_RESPONSE_PRE_PEAK_MS,
+    FREQUENCY_RESPONSE_WINDOW_MS,
+    FREQUENCY_RESPONSE_MIN_PEAK_RATIO,
+    FREQUENCY_RESPONSE_POINTS_PER_OCTAVE,
+    FREQUENCY_RESPONSE_NORMALIZE_BAND,
+    FREQUENCY_RESPONSE_CLIP_DB
+} from './config.js';
+import { isPcmCaptureSupported } from './pcmRecorder.js';
+import { fft } from './fft.js';
+import { createLogSweep, startLoopbackCapture, findSignalStart, waitForContextTime } from './testSignals.js';
+import { linearToDbfs } from './metering.js';
+
+const WINDOW_FADE_RATIO = 0.3; // Share of the window after the peak that fades out
+
+// --- State Variables ---
+let isRunning = false;
+let cancelRequested = false;
+
+// --- Getters ---
+export const getIsRunning = () => isRunning;
+export const isFrequencyResponseSupported = () => isPcmCaptureSupported(); // Needs AudioWorklet for sample-aligned capture
+
+/**
+ * Highest frequency the sweep reaches at a sample rate.
+ * @param {number} sampleRate
+ * @returns {number} Hz.
+ */
+export function getSweepEndFrequency(sampleRate) {
+    return Math.min(FREQUENCY_RESPONSE_END_FREQ, sampleRate * 0.45);
+}
+
+/**
+ * Builds the sweep at playback level.
+ * @param {number} sampleRate
+ * @param {number} durationSec
+ * @returns {Float32Array}
+ */
+export function createSweepSignal(sampleRate, durationSec) {
+    const samples = createLogSweep(sampleRate, durationSec, FREQUENCY_RESPONSE_START_FREQ, getSweepEndFrequency(sampleRate));
+    const gain = Math.pow(10, FREQUENCY_RESPONSE_SIGNAL_GAIN_DB / 20);
+    for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+    return samples;
+}
+
+/**
+ * Recovers the impulse response of the path the sweep took (speaker, room, microphone) by
+ * dividing the recording's spectrum by the sweep's. The harmonic distortion of an exponential
+ * sweep ends up before the main response (at the end of the circular result), out of its way.
+ * @param {Float32Array} sweep - The sweep as played.
+ * @param {Float32Array} recorded - Microphone samples starting when the sweep started playing.
+ * @returns {Float64Array} Impulse response; index 0 is the start of the sweep.
+ */
+export function deconvolve(sweep, recorded) {
+    let size = 1;
+    while (size < sweep.length + recorded.length) size <<= 1; // Zero padding avoids circular wrap-around
+
+    const sweepReal = new Float64Array(size);
+    const sweepImag = new Float64Array(size);
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    sweepReal.set(sweep);
+    real.set(recorded);
+    fft(sweepReal, sweepImag);
+    fft(real, imag);
+
+    let maxPower = 0;
+    for (let k = 0; k < size; k++) maxPower = Math.max(maxPower, sweepReal[k] ** 2 + sweepImag[k] ** 2);
+    const regularization = maxPower * FREQUENCY_RESPONSE_REGULARIZATION;
+
+    // Recording times the conjugate sweep over the sweep's power, conjugated again for the inverse transform
+    for (let k = 0; k < size; k++) {
+        const power = sweepReal[k] ** 2 + sweepImag[k] ** 2 + regularization;
+        const resultReal = (real[k] * sweepReal[k] + imag[k] * sweepImag[k]) / power;
+        const resultImag = (imag[k] * sweepReal[k] - real[k] * sweepImag[k]) / power;
+        real[k] = resultReal;
+        imag[k] = -resultImag;
+    }
+    fft(real, imag);
+    for (let i = 0; i < size; i++) real[i] /= size;
+    return real;
+}
+
+/**
+ * Cuts the direct response out of an impulse response and takes its spectrum.
+ * @param {Float64Array} impulse - From deconvolve().
+ * @param {number} searchLength - Samples from the start searched for the peak.
+ * @param {number} sampleRate
+ * @returns {{power: Float64Array, binWidth: number, peakRatio: number, delayMs: number}} Power per
+ *     bin of the windowed response, and how far its peak stands out (peak / RMS).
+ */
+export function analyzeImpulse(impulse, searchLength, sampleRate) {
+    const lastIndex = Math.min(searchLength, impulse.length) - 1;
+    let peakIndex = 0;
+    let peak = 0;
+    let sumSquares = 0;
+    for (let i = 0; i <= lastIndex; i++) {
+        const magnitude = Math.abs(impulse[i]); // Absolute value: a polarity-inverted path still counts
+        sumSquares += magnitude * magnitude;
+        if (magnitude > peak) {
+            peak = magnitude;
+            peakIndex = i;
+        }
+    }
+    const rms = Math.sqrt(sumSquares / (lastIndex + 1));
+
+    // Half-Hann fades into and out of the window, so its edges add no ripple of their own
+    const preLength = Math.min(peakIndex, Math.round(FREQUENCY_RESPONSE_PRE_PEAK_MS / 1000 * sampleRate));
+    const postLength = Math.round(FREQUENCY_RESPONSE_WINDOW_MS / 1000 * sampleRate);
+    const fadeOutLength = Math.round(postLength * WINDOW_FADE_RATIO);
+    const windowLength = preLength + postLength;
+    let size = 1;
+    while (size < windowLength * 2) size <<= 1; // Zero padding for a finer frequency grid
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    for (let i = 0; i < windowLength; i++) {
+        const index = peakIndex - preLength + i;
+        if (index >= impulse.length) break;
+        let gain = 1;
+        if (i < preLength) {
+            gain = 0.5 - 0.5 * Math.cos(Math.PI * i / preLength);
+        } else if (i >= windowLength - fadeOutLength) {
+            gain = 0.5 + 0.5 * Math.cos(Math.PI * (i - (windowLength - fadeOutLength)) / fadeOutLength);
+        }
+        real[i] = impulse[index] * gain;
+    }
+    fft(real, imag);
+
+    const power = new Float64Array(size / 2 + 1);
+    for (let bin = 0; bin < power.length; bin++) power[bin] = real[bin] ** 2 + imag[bin] ** 2;
+    return {
+        power,
+        binWidth: sampleRate / size,
+        peakRatio: rms > 0 ? peak / rms : 0,
+        delayMs: peakIndex / sampleRate * 1000
+    };
+}
+
+/**
+ * Turns a capture into a measurement. The capture's first channel holds the sweep as it was
+ * sent to the output, the second one the microphone.
+ * @param {Float32Array[]} channels - Captured [reference, microphone] samples.
+ * @param {Float32Array} sweep - The sweep as played.
+ * @param {number} sampleRate
+ * @returns {object} The measurement: power spectrum, bin width, frequency range, peakRatio,
+ *     valid, delayMs, peakDb and clipped.
+ */
+export function measureCapture(channels, sweep, sampleRate) {
+    const [reference, microphone] = channels;
+    const start = findSignalStart(reference, sweep);
+    if (start < 0) throw new Error('Sweep not found in the capture');
+
+    const tailLength = Math.round(FREQUENCY_RESPONSE_TAIL_SEC * sampleRate);
+    const recorded = microphone.subarray(start, start + sweep.length + tailLength);
+    let peak = 0;
+    for (let i = 0; i < recorded.length; i++) peak = Math.max(peak, Math.abs(recorded[i]));
+    const peakDb = linearToDbfs(peak);
+
+    const impulse = deconvolve(sweep, recorded);
+    // The direct sound arrives within the tail; later peaks would be reflections
+    const analysis = analyzeImpulse(impulse, tailLength, sampleRate);
+    const measurement = {
+        ...analysis,
+        sampleRate,
+        startFrequency: FREQUENCY_RESPONSE_START_FREQ,
+        endFrequency: getSweepEndFrequency(sampleRate),
+        valid: analysis.peakRatio >= FREQUENCY_RESPONSE_MIN_PEAK_RATIO,
+        peakDb,
+        clipped: peakDb >= FREQUENCY_RESPONSE_CLIP_DB
+    };
+    console.log(`Frequency response measured: peak ratio ${analysis.peakRatio.toFixed(1)}, delay ${analysis.delayMs.toFixed(1)} ms, recording peak ${peakDb.toFixed(1)} dBFS`);
+    return measurement;
+}
+
+/**
+ * Reads a power spectrum at a frequency, averaged over a fractional-octave band.
+ * @param {Float64Array} power - Power per bin.
+ * @param {number} binWidth - Hz per bin.
+ * @param {number} frequency - Hz.
+ * @param {number} smoothing - 1/N octave band width; 0 reads the nearest bins without averaging.
+ * @returns {number} Level in dB.
+ */
+function readSmoothedDb(power, binWidth, frequency, smoothing) {
+    if (smoothing > 0) {
+        const halfBand = Math.pow(2, 1 / (2 * smoothing));
+        const firstBin = Math.ceil(frequency / halfBand / binWidth);
+        const lastBin = Math.min(power.length - 1, Math.floor(frequency * halfBand / binWidth));
+        if (lastBin >= firstBin) {
+            let sum = 0;
+            for (let bin = firstBin; bin <= lastBin; bin++) sum += power[bin];
+            return 10 * Math.log10(sum / (lastBin - firstBin + 1));
+        }
+    }
+    // Band narrower than a bin (low frequencies) or no smoothing: interpolate between the two nearest bins
+    const position = Math.min(power.length - 1, frequency / binWidth);
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, power.length - 1);
+    const value = power[index] + (power[next] - power[index]) * (position - index);
+    return 10 * Math.log10(value);
+}
+
+/**
+ * Parses a calibration file: one "frequency dB" pair per line, separated by spaces, tabs, commas
+ * or semicolons. Header and comment lines (anything not starting with two numbers) are skipped,
+ * so the files of common measurement microphones load as they are; a third (phase) column is ignored.
+ * @param {string} text
+ * @returns {{frequency: number, db: number}[]} Points sorted by frequency; empty if none were found.
+ */
+export function parseCalibration(text) {
+    const byFrequency = new Map();
+    text.split(/\r?\n/).forEach(line => {
+        const fields = line.trim().split(/[\s,;]+/).filter(Boolean);
+        if (fields.length < 2) return;
+        const frequency = Number(fields[0]);
+        const db = Number(fields[1]);
+        if (!Number.isFinite(frequency) || !Number.isFinite(db) || frequency <= 0) return;
+        byFrequency.set(frequency, db);
+    });
+    return [...byFrequency.entries()]
+        .map(([frequency, db]) => ({ frequency, db }))
+        .sort((a, b) => a.frequency - b.frequency);
+}
+
+/**
+ * Reads a calibration curve at a frequency, interpolating on a log-frequency axis.
+ * Outside the curve's range the nearest end value applies.
+ * @param {{frequency: number, db: number}[]} calibration - From parseCalibration().
+ * @param {number} frequency - Hz.
+ * @returns {number} dB.
+ */
+export function interpolateCalibration(calibration, frequency) {
+    if (frequency <= calibration[0].frequency) return calibration[0].db;
+    const last = calibration[calibration.length - 1];
+    if (frequency >= last.frequency) return last.db;
+    let high = 1;
+    while (calibration[high].frequency < frequency) high++;
+    const low = calibration[high - 1];
+    const ratio = Math.log(frequency / low.frequency) / Math.log(calibration[high].frequency / low.frequency);
+    return low.db + (calibration[high].db - low.db) * ratio;
+}
+
+/**
+ * Builds the response curve from a measurement: smoothed, with the calibration subtracted,
+ * and shifted so its average over FREQUENCY_RESPONSE_NORMALIZE_BAND is 0 dB.
+ * @param {object} measurement - From measureCapture().
+ * @param {number} smoothing - 1/N octave; 0 for none.
+ * @param {{frequency: number, db: number}[] | null} calibration - From parseCalibration().
+ * @returns {{frequency: number, db: number, uncalibratedDb: number, calibrationDb: number | null}[]}
+ *     Points spaced FREQUENCY_RESPONSE_POINTS_PER_OCTAVE per octave across the swept range.
+ */
+export function computeResponseCurve(measurement, smoothing, calibration) {
+    const { power, binWidth, startFrequency, endFrequency } = measurement;
+    const octaves = Math.log2(endFrequency / startFrequency);
+    const pointCount = Math.floor(octaves * FREQUENCY_RESPONSE_POINTS_PER_OCTAVE) + 1;
+    const points = [];
+    for (let i = 0; i < pointCount; i++) {
+        const frequency = startFrequency * Math.pow(2, i / FREQUENCY_RESPONSE_POINTS_PER_OCTAVE);
+        const calibrationDb = calibration && calibration.length > 0 ? interpolateCalibration(calibration, frequency) : null;
+        const measuredDb = readSmoothedDb(power, binWidth, frequency, smoothing);
+        points.push({ frequency, db: measuredDb - (calibrationDb || 0), uncalibratedDb: measuredDb, calibrationDb });
+    }
+
+    // Playback volume only shifts the curve, so show it relative to the midrange
+    const [bandLow, bandHigh] = FREQUENCY_RESPONSE_NORMALIZE_BAND;
+    const band = points.filter(point => point.frequency >= bandLow && point.frequency <= bandHigh && Number.isFinite(point.db));
+    if (band.length > 0) {
+        const referenceDb = band.reduce((sum, point) => sum + point.db, 0) / band.length;
+        points.forEach(point => {
+            point.db -= referenceDb;
+            point.uncalibratedDb -= referenceDb;
+        });
+    }
+    return points;
+}
+
+/**
+ * Formats a response curve as CSV, one row per frequency.
+ * @param {object[]} points - From computeResponseCurve().
+ * @returns {string}
+ */
+export function buildCsv(points) {
+    const calibrated = points.length > 0 && points[0].calibrationDb !== null;
+    const header = calibrated
+        ? 'frequency_hz,response_db,uncalibrated_db,calibration_db'
+        : 'frequency_hz,response_db';
+    const formatDb = (db) => (Number.isFinite(db) ? db.toFixed(2) : '');
+    const rows = points.map(point => {
+        const fields = [point.frequency.toFixed(2), formatDb(point.db)];
+        if (calibrated) fields.push(formatDb(point.uncalibratedDb), formatDb(point.calibrationDb));
+        return fields.join(',');
+    });
+    return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Plays a logarithmic sweep through the speakers, records it through the microphone and
+ * measures the frequency response of the path.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {MediaStreamAudioSourceNode} sourceNode - The microphone source.
+ * @param {{durationSec: number}} settings
+ * @param {function(number)} onProgress - Called with the seconds left.
+ * @returns {Promise<object>} The measurement, see measureCapture().
+ */
+export async function runFrequencyResponse(audioContext, sourceNode, settings, onProgress) {
+    if (isRunning) throw new Error('Frequency response measurement already running');
+    isRunning = true;
+    cancelRequested = false;
+
+    const sampleRate = audioContext.sampleRate;
+    const sweep = createSweepSignal(sampleRate, settings.durationSec);
+    const sweepBuffer = audioContext.createBuffer(1, sweep.length, sampleRate);
+    sweepBuffer.copyToChannel(sweep, 0);
+
+    let player = null;
+    let capture = null;
+
+    try {
+        capture = await startLoopbackCapture(audioContext, sourceNode);
+        const startTime = audioContext.currentTime + FREQUENCY_RESPONSE_LEAD_IN_SEC;
+        player = audioContext.createBufferSource();
+        player.buffer = sweepBuffer;
+        player.connect(audioContext.destination);
+        capture.connectSignal(player);
+        player.start(startTime);
+
+        await waitForContextTime(audioContext, startTime + settings.durationSec + FREQUENCY_RESPONSE_TAIL_SEC, {
+            isCancelled: () => cancelRequested,
+            cancelMessage: 'Frequency response measurement cancelled',
+            onProgress
+        });
+
+        const captured = await capture.stop();
+        if (!captured) throw new Error('Nothing was captured');
+        return measureCapture(captured.channels, sweep, sampleRate);
+    } finally {
+        if (player) {
+            try {
+                player.stop();
+            } catch (e) {
+                // Already finished
+            }
+            player.disconnect();
+        }
+        if (capture) await capture.close();
+        isRunning = false;
+    }
+}
+
+/**
+ * Requests cancellation of a running measurement. runFrequencyResponse rejects with an AbortError.
+ */
+export function cancelFrequencyResponse() {
+    if (isRunning) cancelRequested = true;
+}
@@ -0,0 +1,108 @@
+// js/inputSession.js
+import { FFT_SIZE, DEFAULT_SPECTRUM_FFT_SIZE, DEFAULT_SPECTRUM_SMOOTHING } from './config.js';
+import { createSampleStream } from './sampleStream.js';
+
+/**
+ * Opens one microphone on an AudioContext and sets up its analysers. Several sessions can
+ * share a context, which keeps their samples on one clock.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {MediaTrackConstraints} audioConstraints - Constraints for getUserMedia's audio track.
+ * @returns {Promise<object>} The session: its media stream, sample stream, nodes, data arrays and stop().
+ */
+export async function createInputSession(audioContext, audioConstraints) {
+    const mediaStream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints, video: false });
+    const track = mediaStream.getAudioTracks()[0];
+
+    const analyserNode = audioContext.createAnalyser();
+    analyserNode.fftSize = FFT_SIZE;
+    analyserNode.smoothingTimeConstant = 0.8; // Adjust for smoother visuals
+    // The spectrum display has its own analyser, resized from the UI (see spectrumAnalyser.js)
+    const spectrumAnalyserNode = audioContext.createAnalyser();
+    spectrumAnalyserNode.fftSize = DEFAULT_SPECTRUM_FFT_SIZE;
+    spectrumAnalyserNode.smoothingTimeConstant = DEFAULT_SPECTRUM_SMOOTHING;
+
+    const sourceNode = audioContext.createMediaStreamSource(mediaStream);
+    // Feeds the analysers; by default from the source, see setMeterSource()
+    const meterInput = audioContext.createGain();
+    meterInput.connect(analyserNode);
+    meterInput.connect(spectrumAnalyserNode);
+    // DO NOT connect analyserNode to audioContext.destination for monitoring
+    let meterSource = sourceNode;
+    meterSource.connect(meterInput);
+
+    const getTrackInfo = () => ({
+        settings: track.getSettings ? track.getSettings() : {},
+        // Not implemented in every browser (e.g. older Firefox)
+        capabilities: typeof track.getCapabilities === 'function' ? track.getCapabilities() : {}
+    });
+
+    // The track settings report what the device actually delivers; browsers that don't say get mono
+    const channelCount = getTrackInfo().settings.channelCount || 1;
+    let channelSplitter = null;
+    const channelAnalysers = []; // One analyser per input channel (multi-channel inputs only)
+    const channelTimeData = []; // Float time domain buffer per channel
+    if (channelCount > 1) {
+        channelSplitter = audioContext.createChannelSplitter(channelCount);
+        meterInput.connect(channelSplitter);
+        for (let channel = 0; channel < channelCount; channel++) {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = FFT_SIZE;
+            analyser.smoothingTimeConstant = 0; // Only time domain data is used
+            channelSplitter.connect(analyser, channel);
+            channelAnalysers.push(analyser);
+            channelTimeData.push(new Float32Array(analyser.fftSize));
+        }
+    }
+    // Every raw sample of every channel, for the meters and detectors that must not miss any
+    let sampleStream = null;
+    try {
+        sampleStream = await createSampleStream(audioContext, sourceNode, channelCount);
+    } catch (err) {
+        console.warn('Sample stream unavailable, analysing once per animation frame:', err);
+    }
+    console.log(`Input session opened: ${track ? track.label : 'unknown'} (${channelCount} channel(s))`);
+
+    return {
+        mediaStream,
+        track,
+        sourceNode,
+        sampleStream, // Null without AudioWorklet
+        analyserNode,
+        spectrumAnalyserNode,
+        meterNode: meterInput, // Carries whatever the analysers see, raw or processed
+        channelCount,
+        channelAnalysers,
+        channelTimeData,
+        timeDomainData: new Uint8Array(analyserNode.frequencyBinCount),
+        floatTimeDomainData: new Float32Array(analyserNode.fftSize), // Full window for metering
+        floatFrequencyData: new Float32Array(analyserNode.frequencyBinCount), // dB values for tone detection
+        getTrackInfo,
+
+        /**
+         * Points the analysers at another node, e.g. the output of a processing chain.
+         * @param {AudioNode} node
+         */
+        setMeterSource(node) {
+            meterSource.disconnect(meterInput);
+            meterSource = node;
+            meterSource.connect(meterInput);
+        },
+
+        /**
+         * Stops the track and disconnects every node of the session.
+         */
+        stop() {
+            mediaStream.getTracks().forEach(mediaTrack => mediaTrack.stop());
+            if (sampleStream) sampleStream.stop();
+            try {
+                meterSource.disconnect(meterInput);
+            } catch (e) {
+                // Meter source already disconnected
+            }
+            meterInput.disconnect();
+            sourceNode.disconnect();
+            if (channelSplitter) channelSplitter.disconnect();
+            console.log(`Input session closed: ${track ? track.label : 'unknown'}`);
+        }
+    };
+}
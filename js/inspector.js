@@ -0,0 +1,438 @@
+// js/inspector.js
+import { uiElements, formatTime } from './ui.js';
+import { fitCanvasToDisplay, drawWaveformEnvelope, drawSpectrumPlot } from './visualizer.js';
+import { averagedSpectrumDb } from './fft.js';
+import { decodeRecordingBlob, measureLevels } from './library.js';
+import { measureLoudness } from './loudness.js';
+import {
+    CLIP_THRESHOLD,
+    INSPECTOR_FFT_SIZE,
+    INSPECTOR_MAX_FFT_FRAMES,
+    INSPECTOR_MIN_VIEW_SAMPLES,
+    INSPECTOR_ZOOM_STEP
+} from './config.js';
+
+const DRAG_THRESHOLD_PX = 3; // Pointer movement below this counts as a click
+
+// --- State Variables ---
+let buffer = null; // Decoded AudioBuffer of the inspected recording
+let channels = []; // Float32Array per channel
+let mono = null; // Channel average used for the waveform and spectrum
+let wholeLoudness = null; // Loudness of the whole recording, measured once as it is the slowest statistic
+let view = { start: 0, end: 0 }; // Sample range shown in the detail view
+let selection = null; // {start, end} in samples, or null
+let drag = null; // {canvas, startX, anchor, moved} while a pointer is down
+let playbackContext = null;
+let playbackSource = null;
+let playbackStartTime = 0; // Context time when region playback started
+let playbackRange = null; // {start, end} in samples being played
+let playheadFrame = null;
+let selectionChangeCallback = null;
+let playbackChangeCallback = null;
+
+// --- Getters ---
+export const hasRecording = () => buffer !== null;
+export const getSelection = () => (selection ? { ...selection } : null);
+export const getIsPlaying = () => playbackSource !== null;
+
+/**
+ * Sets a function called with the new analysis (or null) whenever the selection changes.
+ * @param {function(object | null)} callback
+ */
+export function setSelectionChangeCallback(callback) {
+    selectionChangeCallback = callback;
+}
+
+/**
+ * Sets a function called with true/false when region playback starts or stops.
+ * @param {function(boolean)} callback
+ */
+export function setPlaybackChangeCallback(callback) {
+    playbackChangeCallback = callback;
+}
+
+/**
+ * Registers the pointer and wheel handlers on the inspector canvases.
+ */
+export function initInspector() {
+    const overview = uiElements.inspectorOverviewCanvas();
+    const detail = uiElements.inspectorDetailCanvas();
+    if (!overview || !detail) {
+        console.error("Could not find the recording inspector canvases.");
+        return;
+    }
+    [overview, detail].forEach(canvas => {
+        canvas.addEventListener('pointerdown', handlePointerDown);
+        canvas.addEventListener('pointermove', handlePointerMove);
+        canvas.addEventListener('pointerup', handlePointerUp);
+        canvas.addEventListener('pointercancel', handlePointerUp);
+    });
+    detail.addEventListener('wheel', handleWheel, { passive: false });
+    window.addEventListener('resize', () => {
+        if (buffer) redraw();
+    });
+}
+
+/**
+ * Decodes a recording and shows it in the inspector, fully zoomed out.
+ * @param {Blob} blob - The recorded file.
+ * @param {number} sampleRate - Rate to decode at (the recording's own rate avoids resampling).
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function loadRecording(blob, sampleRate) {
+    closeRecording();
+    const decoded = await decodeRecordingBlob(blob, new OfflineAudioContext(1, 1, sampleRate));
+    buffer = decoded;
+    channels = Array.from({ length: decoded.numberOfChannels }, (_, channel) => decoded.getChannelData(channel));
+    mono = mixToMono(channels);
+    wholeLoudness = null;
+    view = { start: 0, end: mono.length };
+    selection = null;
+    console.log(`Inspector loaded ${decoded.duration.toFixed(2)} s, ${decoded.numberOfChannels} channel(s) at ${decoded.sampleRate} Hz`);
+    redraw();
+    notifySelectionChange();
+    return decoded;
+}
+
+/**
+ * Stops playback and forgets the inspected recording.
+ */
+export function closeRecording() {
+    stopRegion();
+    buffer = null;
+    channels = [];
+    mono = null;
+    wholeLoudness = null;
+    selection = null;
+    drag = null;
+}
+
+/**
+ * Averages all channels into one.
+ * @param {Float32Array[]} channelData
+ * @returns {Float32Array}
+ */
+function mixToMono(channelData) {
+    if (channelData.length === 1) return channelData[0];
+    const mixed = new Float32Array(channelData[0].length);
+    channelData.forEach(samples => {
+        for (let i = 0; i < samples.length; i++) mixed[i] += samples[i] / channelData.length;
+    });
+    return mixed;
+}
+
+// --- Drawing ---
+
+function getColors() {
+    const styles = getComputedStyle(document.documentElement);
+    return {
+        background: styles.getPropertyValue('--canvas-bg').trim(),
+        waveform: styles.getPropertyValue('--primary-color').trim(),
+        grid: styles.getPropertyValue('--border-color').trim(),
+        label: styles.getPropertyValue('--footer-text-color').trim()
+    };
+}
+
+/**
+ * Shades a sample range on a canvas whose full width spans rangeStart..rangeEnd.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} start - First shaded sample.
+ * @param {number} end - Last shaded sample.
+ * @param {number} rangeStart - Sample at the left edge.
+ * @param {number} rangeEnd - Sample at the right edge.
+ * @param {string} fillStyle
+ */
+function shadeRange(ctx, canvas, start, end, rangeStart, rangeEnd, fillStyle) {
+    const scale = canvas.width / (rangeEnd - rangeStart);
+    const x1 = Math.max(0, (start - rangeStart) * scale);
+    const x2 = Math.min(canvas.width, (end - rangeStart) * scale);
+    if (x2 <= x1) return;
+    ctx.fillStyle = fillStyle;
+    ctx.fillRect(x1, 0, Math.max(1, x2 - x1), canvas.height);
+}
+
+function drawOverview(colors) {
+    const canvas = uiElements.inspectorOverviewCanvas();
+    if (!fitCanvasToDisplay(canvas)) return;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (selection) shadeRange(ctx, canvas, selection.start, selection.end, 0, mono.length, 'rgba(255, 193, 7, 0.3)');
+    drawWaveformEnvelope(ctx, mono, 0, mono.length, { left: 0, top: 0, width: canvas.width, height: canvas.height }, colors.waveform);
+
+    // Outline the part shown in the detail view
+    const scale = canvas.width / mono.length;
+    ctx.strokeStyle = colors.label;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(view.start * scale + 0.5, 0.5, Math.max(1, (view.end - view.start) * scale - 1), canvas.height - 1);
+}
+
+function drawDetail(colors) {
+    const canvas = uiElements.inspectorDetailCanvas();
+    if (!fitCanvasToDisplay(canvas)) return;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (selection) shadeRange(ctx, canvas, selection.start, selection.end, view.start, view.end, 'rgba(255, 193, 7, 0.3)');
+
+    // Centre line
+    ctx.strokeStyle = colors.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, canvas.height / 2);
+    ctx.lineTo(canvas.width, canvas.height / 2);
+    ctx.stroke();
+
+    drawWaveformEnvelope(ctx, mono, view.start, view.end, { left: 0, top: 0, width: canvas.width, height: canvas.height }, colors.waveform);
+
+    // Time labels at both edges
+    const sampleRate = buffer.sampleRate;
+    ctx.fillStyle = colors.label;
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(formatTime(view.start / sampleRate), 4, canvas.height - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(formatTime(view.end / sampleRate), canvas.width - 4, canvas.height - 2);
+
+    if (playbackRange) {
+        const position = getPlaybackPosition();
+        const x = (position - view.start) / (view.end - view.start) * canvas.width;
+        if (x >= 0 && x <= canvas.width) {
+            ctx.strokeStyle = colors.label;
+            ctx.beginPath();
+            ctx.moveTo(Math.round(x) + 0.5, 0);
+            ctx.lineTo(Math.round(x) + 0.5, canvas.height);
+            ctx.stroke();
+        }
+    }
+}
+
+/**
+ * Redraws the overview and detail waveforms.
+ */
+function redraw() {
+    if (!buffer) return;
+    const colors = getColors();
+    drawOverview(colors);
+    drawDetail(colors);
+}
+
+// --- Zoom ---
+
+/**
+ * Shows a sample range in the detail view, clamped to the recording and the minimum zoom.
+ * @param {number} start
+ * @param {number} end
+ */
+function setView(start, end) {
+    const total = mono.length;
+    const minLength = Math.min(total, INSPECTOR_MIN_VIEW_SAMPLES);
+    const length = Math.min(total, Math.max(minLength, end - start));
+    const newStart = Math.min(Math.max(0, (start + end - length) / 2), total - length);
+    view = { start: newStart, end: newStart + length };
+    redraw();
+}
+
+/**
+ * Zooms the detail view around a sample position.
+ * @param {number} factor - Above 1 zooms in, below 1 zooms out.
+ * @param {number} [centre] - Sample that stays in place; defaults to the middle of the view.
+ */
+function zoomAround(factor, centre = (view.start + view.end) / 2) {
+    if (!buffer) return;
+    const ratio = (centre - view.start) / (view.end - view.start);
+    const length = (view.end - view.start) / factor;
+    const start = centre - ratio * length;
+    setView(start, start + length);
+}
+
+export const zoomIn = () => zoomAround(INSPECTOR_ZOOM_STEP);
+export const zoomOut = () => zoomAround(1 / INSPECTOR_ZOOM_STEP);
+
+/**
+ * Zooms the detail view to the selection.
+ */
+export function zoomToSelection() {
+    if (!buffer || !selection) return;
+    setView(selection.start, selection.end);
+}
+
+/**
+ * Zooms the detail view out to the whole recording.
+ */
+export function showAll() {
+    if (!buffer) return;
+    setView(0, mono.length);
+}
+
+// --- Pointer Handling ---
+
+/**
+ * Converts a pointer position to a sample index on the given canvas.
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} clientX
+ * @returns {number}
+ */
+function pointerToSample(canvas, clientX) {
+    const rect = canvas.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    if (canvas === uiElements.inspectorOverviewCanvas()) return fraction * mono.length;
+    return view.start + fraction * (view.end - view.start);
+}
+
+function handlePointerDown(event) {
+    if (!buffer || event.button !== 0) return;
+    const canvas = event.currentTarget;
+    canvas.setPointerCapture(event.pointerId);
+    drag = { canvas, startX: event.clientX, anchor: pointerToSample(canvas, event.clientX), moved: false };
+}
+
+function handlePointerMove(event) {
+    if (!drag || event.currentTarget !== drag.canvas) return;
+    if (!drag.moved && Math.abs(event.clientX - drag.startX) < DRAG_THRESHOLD_PX) return;
+    drag.moved = true;
+    const position = pointerToSample(drag.canvas, event.clientX);
+    const start = Math.round(Math.min(drag.anchor, position));
+    const end = Math.round(Math.max(drag.anchor, position));
+    if (drag.canvas === uiElements.inspectorOverviewCanvas()) {
+        setView(start, end); // Dragging on the overview picks the zoom window
+    } else {
+        selection = end > start ? { start, end } : null;
+        redraw();
+    }
+}
+
+function handlePointerUp(event) {
+    if (!drag || event.currentTarget !== drag.canvas) return;
+    const { canvas, anchor, moved } = drag;
+    drag = null;
+    if (canvas === uiElements.inspectorOverviewCanvas()) {
+        if (!moved) {
+            // A click recentres the detail view without changing the zoom
+            const length = view.end - view.start;
+            setView(anchor - length / 2, anchor + length / 2);
+        }
+        return;
+    }
+    if (!moved) selection = null; // A click on the detail view clears the selection
+    redraw();
+    notifySelectionChange();
+}
+
+function handleWheel(event) {
+    if (!buffer || event.deltaY === 0) return;
+    event.preventDefault();
+    const centre = pointerToSample(event.currentTarget, event.clientX);
+    zoomAround(event.deltaY < 0 ? INSPECTOR_ZOOM_STEP : 1 / INSPECTOR_ZOOM_STEP, centre);
+}
+
+// --- Analysis ---
+
+/**
+ * Measures a sample range of the inspected recording.
+ * @param {number} start - First sample.
+ * @param {number} end - Sample after the last one.
+ * @returns {{durationSec: number, rmsDb: number, peakDb: number, crestDb: number,
+ *     clippedSamples: number, loudness: object, spectrumDb: Float32Array, sampleRate: number}}
+ *     loudness is the result of loudness.measureLoudness().
+ */
+export function analyzeRange(start, end) {
+    const regionChannels = channels.map(samples => samples.subarray(start, end));
+    const { rmsDb, peakDb } = measureLevels(regionChannels);
+    let clippedSamples = 0;
+    regionChannels.forEach(samples => {
+        for (let i = 0; i < samples.length; i++) {
+            if (Math.abs(samples[i]) >= CLIP_THRESHOLD) clippedSamples++;
+        }
+    });
+    const isWhole = start === 0 && end === mono.length;
+    const loudness = isWhole && wholeLoudness ? wholeLoudness : measureLoudness(regionChannels, buffer.sampleRate);
+    if (isWhole) wholeLoudness = loudness;
+    return {
+        durationSec: (end - start) / buffer.sampleRate,
+        rmsDb,
+        peakDb,
+        crestDb: peakDb - rmsDb,
+        clippedSamples,
+        loudness,
+        spectrumDb: averagedSpectrumDb(mono.subarray(start, end), INSPECTOR_FFT_SIZE, INSPECTOR_MAX_FFT_FRAMES),
+        sampleRate: buffer.sampleRate
+    };
+}
+
+/**
+ * Analyses the selection (or the whole recording), draws its spectrum and reports it.
+ */
+function notifySelectionChange() {
+    if (!buffer) return;
+    const range = selection || { start: 0, end: mono.length };
+    const analysis = analyzeRange(range.start, range.end);
+    analysis.isSelection = selection !== null;
+    analysis.startSec = range.start / buffer.sampleRate;
+    drawSpectrumPlot(uiElements.inspectorSpectrumCanvas(), analysis.spectrumDb, buffer.sampleRate);
+    if (selectionChangeCallback) selectionChangeCallback(analysis);
+}
+
+// --- Region Playback ---
+
+function getPlaybackPosition() {
+    if (!playbackRange) return 0;
+    const elapsed = (playbackContext.currentTime - playbackStartTime) * buffer.sampleRate;
+    return Math.min(playbackRange.end, playbackRange.start + elapsed);
+}
+
+function animatePlayhead() {
+    if (!playbackRange) return;
+    drawDetail(getColors());
+    playheadFrame = requestAnimationFrame(animatePlayhead);
+}
+
+/**
+ * Plays the selection, or what the detail view shows if nothing is selected.
+ */
+export async function playRegion() {
+    if (!buffer) return;
+    stopRegion();
+    if (!playbackContext || playbackContext.state === 'closed') {
+        playbackContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (playbackContext.state === 'suspended') await playbackContext.resume();
+
+    const range = selection || { start: Math.floor(view.start), end: Math.ceil(view.end) };
+    const source = playbackContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(playbackContext.destination);
+    source.onended = () => {
+        if (source !== playbackSource) return;
+        stopRegion();
+    };
+    source.start(0, range.start / buffer.sampleRate, (range.end - range.start) / buffer.sampleRate);
+
+    playbackSource = source;
+    playbackRange = range;
+    playbackStartTime = playbackContext.currentTime;
+    playheadFrame = requestAnimationFrame(animatePlayhead);
+    if (playbackChangeCallback) playbackChangeCallback(true);
+}
+
+/**
+ * Stops region playback.
+ */
+export function stopRegion() {
+    if (!playbackSource) return;
+    playbackSource.onended = null;
+    try {
+        playbackSource.stop();
+    } catch (e) {
+        // Already stopped
+    }
+    playbackSource.disconnect();
+    playbackSource = null;
+    playbackRange = null;
+    if (playheadFrame !== null) cancelAnimationFrame(playheadFrame);
+    playheadFrame = null;
+    if (buffer) drawDetail(getColors());
+    if (playbackChangeCallback) playbackChangeCallback(false);
+}
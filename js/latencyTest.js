@@ -0,0 +1,230 @@
+// js/latencyTest.js
+import {
+    LATENCY_MAX_MS,
+    LATENCY_LEAD_IN_SEC,
+    LATENCY_SIGNAL_GAIN_DB,
+    LATENCY_CHIRP_DURATION_SEC,
+    LATENCY_CHIRP_START_FREQ,
+    LATENCY_CHIRP_END_FREQ,
+    LATENCY_MIN_PEAK_RATIO
+} from './config.js';
+import { isPcmCaptureSupported } from './pcmRecorder.js';
+import { crossCorrelate } from './fft.js';
+import { createLogSweep, startLoopbackCapture, findSignalStart, waitForContextTime } from './testSignals.js';
+
+const MLS_ORDER = 14; // 16383 samples: about a third of a second at 48 kHz
+const MLS_TAPS = [14, 13, 12, 2]; // Feedback taps of a maximal-length 14-bit shift register
+
+// --- State Variables ---
+let isRunning = false;
+let cancelRequested = false;
+
+// --- Getters ---
+export const getIsRunning = () => isRunning;
+export const isLatencyTestSupported = () => isPcmCaptureSupported(); // Needs AudioWorklet for sample-aligned capture
+
+/**
+ * Logarithmic sine sweep with short fades at both ends.
+ * @param {number} sampleRate
+ * @returns {Float32Array} Samples at full scale.
+ */
+export function createChirp(sampleRate) {
+    const endFrequency = Math.min(LATENCY_CHIRP_END_FREQ, sampleRate * 0.45);
+    return createLogSweep(sampleRate, LATENCY_CHIRP_DURATION_SEC, LATENCY_CHIRP_START_FREQ, endFrequency);
+}
+
+/**
+ * Maximum length sequence of ±1 values from a linear feedback shift register.
+ * Its autocorrelation is a single sharp peak, which makes the delay easy to pick out.
+ * @returns {Float32Array} 2^MLS_ORDER - 1 samples.
+ */
+export function createMls() {
+    const length = (1 << MLS_ORDER) - 1;
+    const samples = new Float32Array(length);
+    let register = 1;
+    for (let i = 0; i < length; i++) {
+        samples[i] = register & 1 ? 1 : -1;
+        let feedback = 0;
+        MLS_TAPS.forEach(tap => { feedback ^= (register >> (MLS_ORDER - tap)) & 1; });
+        register = (register >> 1) | (feedback << (MLS_ORDER - 1));
+    }
+    return samples;
+}
+
+/**
+ * Builds the test signal at playback level.
+ * @param {string} type - 'chirp' or 'mls'.
+ * @param {number} sampleRate
+ * @returns {Float32Array}
+ */
+export function createTestSignal(type, sampleRate) {
+    const samples = type === 'mls' ? createMls() : createChirp(sampleRate);
+    const gain = Math.pow(10, LATENCY_SIGNAL_GAIN_DB / 20);
+    for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+    return samples;
+}
+
+/**
+ * Finds where the reference shows up in the recorded signal.
+ * @param {Float32Array} reference - The test signal as played.
+ * @param {Float32Array} recorded - Microphone samples starting when the reference started playing.
+ * @param {number} maxLag - Largest delay searched, in samples.
+ * @returns {{lagSamples: number, peakRatio: number}} Sub-sample delay and how far the
+ *     correlation peak stands out from the rest (peak / RMS).
+ */
+export function findDelay(reference, recorded, maxLag) {
+    const correlation = crossCorrelate(reference, recorded);
+    const lastLag = Math.min(maxLag, correlation.length - 1);
+    let peakLag = 0;
+    let peak = 0;
+    let sumSquares = 0;
+    for (let lag = 0; lag <= lastLag; lag++) {
+        const magnitude = Math.abs(correlation[lag]); // Absolute value: a polarity-inverted path still counts
+        sumSquares += magnitude * magnitude;
+        if (magnitude > peak) {
+            peak = magnitude;
+            peakLag = lag;
+        }
+    }
+    const rms = Math.sqrt(sumSquares / (lastLag + 1));
+
+    // Parabolic interpolation around the peak for a sub-sample estimate
+    let offset = 0;
+    if (peakLag > 0 && peakLag < lastLag) {
+        const left = Math.abs(correlation[peakLag - 1]);
+        const right = Math.abs(correlation[peakLag + 1]);
+        const denominator = left - 2 * peak + right;
+        if (denominator !== 0) offset = 0.5 * (left - right) / denominator;
+    }
+    return { lagSamples: peakLag + offset, peakRatio: rms > 0 ? peak / rms : 0 };
+}
+
+/**
+ * Measures each test signal in a capture whose first channel holds the signal as it
+ * was sent to the output and whose second channel holds the microphone.
+ * @param {Float32Array[]} channels - Captured [reference, microphone] samples.
+ * @param {Float32Array} signal - The test signal.
+ * @param {number} repeats - How many times it was played.
+ * @param {number} maxLag - Largest delay searched, in samples.
+ * @param {number} sampleRate
+ * @returns {{latencyMs: number, peakRatio: number, valid: boolean}[]}
+ */
+export function measureRuns(channels, signal, repeats, maxLag, sampleRate) {
+    const [reference, microphone] = channels;
+    const runs = [];
+    let position = 0;
+    for (let run = 0; run < repeats; run++) {
+        const start = findSignalStart(reference, signal, position);
+        if (start < 0) {
+            runs.push({ latencyMs: NaN, peakRatio: 0, valid: false });
+            continue;
+        }
+        const recorded = microphone.subarray(start, start + signal.length + maxLag);
+        const { lagSamples, peakRatio } = findDelay(signal, recorded, maxLag);
+        runs.push({
+            latencyMs: lagSamples / sampleRate * 1000,
+            peakRatio,
+            valid: peakRatio >= LATENCY_MIN_PEAK_RATIO
+        });
+        position = start + signal.length;
+    }
+    return runs;
+}
+
+/**
+ * Mean, jitter (standard deviation) and range of the valid runs.
+ * @param {object[]} runs - From measureRuns().
+ * @returns {{meanMs: number, jitterMs: number, minMs: number, maxMs: number, validCount: number}}
+ */
+export function summarizeRuns(runs) {
+    const latencies = runs.filter(run => run.valid).map(run => run.latencyMs);
+    if (latencies.length === 0) {
+        return { meanMs: NaN, jitterMs: NaN, minMs: NaN, maxMs: NaN, validCount: 0 };
+    }
+    const meanMs = latencies.reduce((sum, value) => sum + value, 0) / latencies.length;
+    const variance = latencies.reduce((sum, value) => sum + (value - meanMs) ** 2, 0) / latencies.length;
+    return {
+        meanMs,
+        jitterMs: Math.sqrt(variance),
+        minMs: Math.min(...latencies),
+        maxMs: Math.max(...latencies),
+        validCount: latencies.length
+    };
+}
+
+/**
+ * Runs the round-trip latency test: plays a test signal through the speakers several times and
+ * finds it again in the microphone input by cross-correlation.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {MediaStreamAudioSourceNode} sourceNode - The microphone source.
+ * @param {{signalType: string, repeats: number}} settings
+ * @param {function} onProgress - Called with (run, repeats) as each test signal plays.
+ * @returns {Promise<object>} Per-run results, their summary and the context's reported latencies.
+ */
+export async function runLatencyTest(audioContext, sourceNode, settings, onProgress) {
+    if (isRunning) throw new Error('Latency test already running');
+    isRunning = true;
+    cancelRequested = false;
+
+    const sampleRate = audioContext.sampleRate;
+    const signal = createTestSignal(settings.signalType, sampleRate);
+    const signalBuffer = audioContext.createBuffer(1, signal.length, sampleRate);
+    signalBuffer.copyToChannel(signal, 0);
+    const maxLag = Math.round(LATENCY_MAX_MS / 1000 * sampleRate);
+    const spacingSec = (signal.length + maxLag) / sampleRate;
+
+    const players = [];
+    let capture = null;
+
+    try {
+        capture = await startLoopbackCapture(audioContext, sourceNode);
+        const firstStart = audioContext.currentTime + LATENCY_LEAD_IN_SEC;
+        for (let run = 0; run < settings.repeats; run++) {
+            const player = audioContext.createBufferSource();
+            player.buffer = signalBuffer;
+            player.connect(audioContext.destination);
+            capture.connectSignal(player);
+            player.start(firstStart + run * spacingSec);
+            players.push(player);
+        }
+
+        for (let run = 0; run < settings.repeats; run++) {
+            onProgress(run + 1, settings.repeats);
+            await waitForContextTime(audioContext, firstStart + (run + 1) * spacingSec, {
+                isCancelled: () => cancelRequested,
+                cancelMessage: 'Latency test cancelled'
+            });
+        }
+
+        const captured = await capture.stop();
+        if (!captured) throw new Error('Nothing was captured');
+        const runs = measureRuns(captured.channels, signal, settings.repeats, maxLag, sampleRate);
+        const results = {
+            runs,
+            ...summarizeRuns(runs),
+            repeats: settings.repeats,
+            baseLatencyMs: Number.isFinite(audioContext.baseLatency) ? audioContext.baseLatency * 1000 : NaN,
+            outputLatencyMs: Number.isFinite(audioContext.outputLatency) ? audioContext.outputLatency * 1000 : NaN
+        };
+        console.log("Latency test results:", results);
+        return results;
+    } finally {
+        players.forEach(player => {
+            try {
+                player.stop();
+            } catch (e) {
+                // Never started or already finished
+            }
+            player.disconnect();
+        });
+        if (capture) await capture.close();
+        isRunning = false;
+    }
+}
+
+/**
+ * Requests cancellation of a running test. runLatencyTest rejects with an AbortError.
+ */
+export function cancelLatencyTest() {
+    if (isRunning) cancelRequested = true;
+}
@@ -0,0 +1,112 @@
+// js/library.js
+import * as storage from './storage.js';
+import { linearToDbfs } from './metering.js';
+
+// --- State Variables ---
+let entries = []; // Cached library entries, newest first
+
+// --- Getters ---
+export const getEntries = () => entries;
+export const findEntry = (id) => entries.find(entry => entry.id === id);
+
+/**
+ * Measures the overall RMS and peak level of a recording.
+ * @param {Float32Array[]} channels - Samples per channel.
+ * @returns {{rmsDb: number, peakDb: number}} Levels in dBFS (RMS is power-averaged over all channels).
+ */
+export function measureLevels(channels) {
+    let sumSquares = 0;
+    let sampleCount = 0;
+    let peak = 0;
+    channels.forEach(samples => {
+        for (let i = 0; i < samples.length; i++) {
+            sumSquares += samples[i] * samples[i];
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        sampleCount += samples.length;
+    });
+    return {
+        rmsDb: linearToDbfs(sampleCount > 0 ? Math.sqrt(sumSquares / sampleCount) : 0),
+        peakDb: linearToDbfs(peak)
+    };
+}
+
+/**
+ * Decodes a compressed recording. Needs no live AudioContext.
+ * @param {Blob} blob
+ * @param {BaseAudioContext} [context] - Context to decode with; its sample rate is the output rate.
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeRecordingBlob(blob, context = new OfflineAudioContext(1, 1, 48000)) {
+    return context.decodeAudioData(await blob.arrayBuffer());
+}
+
+/**
+ * Loads the library from IndexedDB.
+ * @returns {Promise<object[]>} The entries, newest first.
+ */
+export async function loadLibrary() {
+    if (!storage.isDatabaseAvailable()) throw new Error('IndexedDB not available');
+    entries = await storage.getAllRecordings();
+    console.log(`Recordings library loaded: ${entries.length} entries`);
+    return entries;
+}
+
+/**
+ * Measures a finished recording and stores it in the library.
+ * @param {object} recording - From audio.getLastRecording().
+ * @param {string} name - Initial display name.
+ * @returns {Promise<object>} The stored entry (with its id).
+ */
+export async function saveRecording(recording, name) {
+    let channels;
+    let durationSec;
+    if (recording.pcm) {
+        channels = recording.pcm.channels;
+        durationSec = channels[0].length / recording.pcm.sampleRate;
+    } else {
+        // No raw capture (no AudioWorklet): measure the compressed file instead
+        const buffer = await decodeRecordingBlob(recording.blob);
+        channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+        durationSec = buffer.duration;
+    }
+
+    const entry = {
+        name,
+        createdAt: recording.startedAt.getTime(),
+        blob: recording.blob,
+        mimeType: recording.blob.type,
+        deviceLabel: recording.deviceLabel,
+        constraints: recording.constraints,
+        trackSettings: recording.trackSettings,
+        sampleRate: recording.sampleRate,
+        channelCount: channels.length,
+        durationSec,
+        levels: measureLevels(channels)
+    };
+    entry.id = await storage.addRecording(entry);
+    entries.unshift(entry);
+    console.log(`Saved recording ${entry.id} to the library`);
+    return entry;
+}
+
+/**
+ * Renames a library entry.
+ * @param {number} id
+ * @param {string} name
+ * @returns {Promise<object>} The updated entry.
+ */
+export async function renameEntry(id, name) {
+    const updated = await storage.updateRecording(id, { name });
+    entries = entries.map(entry => (entry.id === id ? updated : entry));
+    return updated;
+}
+
+/**
+ * Deletes a library entry.
+ * @param {number} id
+ */
+export async function deleteEntry(id) {
+    await storage.deleteRecording(id);
+    entries = entries.filter(entry => entry.id !== id);
+}
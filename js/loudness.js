@@ -0,0 +1,483 @@
+// js/loudness.js
+// Loudness per ITU-R BS.1770-4 / EBU R128: K-weighting, gated integrated loudness,
+// momentary and short-term loudness, loudness range (EBU Tech 3342) and true peak.
+import {
+    LOUDNESS_PRESETS,
+    DEFAULT_LOUDNESS_PRESET,
+    LOUDNESS_PASS_TOLERANCE_LU,
+    LOUDNESS_WARN_TOLERANCE_LU
+} from './config.js';
+import { linearToDbfs } from './metering.js';
+
+const SUB_BLOCK_SEC = 0.1; // Measurements advance in 100 ms steps
+const MOMENTARY_SUB_BLOCKS = 4; // 400 ms window
+const SHORT_TERM_SUB_BLOCKS = 30; // 3 s window
+const ABSOLUTE_GATE_LUFS = -70;
+const INTEGRATED_RELATIVE_GATE_LU = -10;
+const RANGE_RELATIVE_GATE_LU = -20;
+const RANGE_LOW_PERCENTILE = 0.1;
+const RANGE_HIGH_PERCENTILE = 0.95;
+const TRUE_PEAK_TAPS_PER_PHASE = 12; // 48-tap interpolator at 4x, as in BS.1770 Annex 2
+// Block loudness is kept as a histogram (as libebur128 does), so gating costs the same after hours
+const HISTOGRAM_STEP_LU = 0.1;
+const HISTOGRAM_MAX_LUFS = 10; // Louder blocks land in the top bin; full-scale noise is about +3 LUFS
+
+// --- State Variables ---
+let liveMeter = null;
+let unsubscribeLive = null; // Detaches the live meter from the session's sample stream
+let presetName = DEFAULT_LOUDNESS_PRESET;
+
+// --- Getters ---
+export const isLiveLoudnessRunning = () => unsubscribeLive !== null;
+export const getLoudnessPreset = () => presetName;
+
+/**
+ * Selects the delivery target the measurements are graded against.
+ * @param {string} name - One of the keys of LOUDNESS_PRESETS.
+ */
+export function setLoudnessPreset(name) {
+    if (!LOUDNESS_PRESETS[name]) {
+        console.warn(`Unknown loudness preset: ${name}`);
+        return;
+    }
+    presetName = name;
+    console.log(`Loudness target set to: ${name}`);
+}
+
+/**
+ * Grades integrated loudness and true peak against the selected preset.
+ * @param {number} integratedLufs
+ * @param {number} truePeakDb
+ * @returns {{targetLufs: number, maxTruePeakDb: number, offsetLu: number,
+ *     loudness: string | null, truePeak: string | null}} Grades are 'pass', 'warn', 'fail',
+ *     or null while there is nothing to grade yet.
+ */
+export function gradeLoudness(integratedLufs, truePeakDb) {
+    const { targetLufs, maxTruePeakDb } = LOUDNESS_PRESETS[presetName];
+    const offsetLu = integratedLufs - targetLufs;
+    let loudness = null;
+    if (Number.isFinite(offsetLu)) {
+        if (Math.abs(offsetLu) <= LOUDNESS_PASS_TOLERANCE_LU) {
+            loudness = 'pass';
+        } else {
+            loudness = Math.abs(offsetLu) <= LOUDNESS_WARN_TOLERANCE_LU ? 'warn' : 'fail';
+        }
+    }
+    const truePeak = Number.isFinite(truePeakDb) ? (truePeakDb <= maxTruePeakDb ? 'pass' : 'fail') : null;
+    return { targetLufs, maxTruePeakDb, offsetLu, loudness, truePeak };
+}
+
+/**
+ * Converts a mean square (already K-weighted and channel-weighted) to LUFS.
+ * @param {number} power
+ * @returns {number} Loudness in LUFS, or -Infinity for silence.
+ */
+export function powerToLufs(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * Coefficients of the two K-weighting stages (high-shelf "pre-filter", then RLB high-pass)
+ * for any sample rate, derived from the analogue prototypes behind the 48 kHz values in BS.1770.
+ * @param {number} sampleRate
+ * @returns {{b: number[], a: number[]}[]} Biquad coefficients, a[0] normalised to 1.
+ */
+export function kWeightingCoefficients(sampleRate) {
+    // Stage 1: high shelf, about +4 dB above 2 kHz (models the acoustic effect of the head)
+    let f0 = 1681.974450955533;
+    const gainDb = 3.999843853973347;
+    let q = 0.7071752369554196;
+    let k = Math.tan(Math.PI * f0 / sampleRate);
+    const vh = Math.pow(10, gainDb / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+        a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+
+    // Stage 2: second-order high-pass around 38 Hz
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan(Math.PI * f0 / sampleRate);
+    a0 = 1 + k / q + k * k;
+    const highPass = {
+        b: [1, -2, 1],
+        a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+    return [shelf, highPass];
+}
+
+/**
+ * Per-channel weights from BS.1770: surround channels count 1.41, the LFE not at all.
+ * @param {number} channelCount
+ * @returns {number[]}
+ */
+function channelWeights(channelCount) {
+    if (channelCount === 6) return [1, 1, 1, 0, 1.41, 1.41]; // L, R, C, LFE, Ls, Rs
+    return new Array(channelCount).fill(1);
+}
+
+/**
+ * Windowed-sinc interpolation filter split into polyphase branches.
+ * @param {number} factor - Oversampling factor.
+ * @returns {Float64Array[]} One set of taps per output phase.
+ */
+function buildInterpolationPhases(factor) {
+    const length = TRUE_PEAK_TAPS_PER_PHASE * factor;
+    const centre = (length - 1) / 2;
+    const phases = Array.from({ length: factor }, () => new Float64Array(TRUE_PEAK_TAPS_PER_PHASE));
+    for (let n = 0; n < length; n++) {
+        const x = (n - centre) / factor;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length); // Hann
+        phases[n % factor][Math.floor(n / factor)] = sinc * window;
+    }
+    // Normalise each branch to unity gain at DC so a constant signal reads the same after interpolation
+    phases.forEach(taps => {
+        const sum = taps.reduce((total, tap) => total + tap, 0);
+        for (let i = 0; i < taps.length; i++) taps[i] /= sum;
+    });
+    return phases;
+}
+
+/**
+ * Oversampling factor BS.1770 asks for: 4x below 96 kHz, 2x below 192 kHz.
+ * @param {number} sampleRate
+ * @returns {number}
+ */
+function truePeakFactor(sampleRate) {
+    if (sampleRate < 96000) return 4;
+    return sampleRate < 192000 ? 2 : 1;
+}
+
+/**
+ * Creates a true-peak estimator for one channel: the sample peak plus the peak of the signal
+ * oversampled by truePeakFactor(), through the BS.1770 Annex 2 interpolator. Blocks fed in a row are
+ * treated as one signal; interpolated points are only taken once the filter has a full history.
+ * @param {number} sampleRate
+ * @returns {{process: function(Float32Array): number, reset: function()}} process() returns the
+ *     block's true peak (linear).
+ */
+export function createTruePeakDetector(sampleRate) {
+    const factor = truePeakFactor(sampleRate);
+    const phases = factor > 1 ? buildInterpolationPhases(factor) : null;
+    // The last TRUE_PEAK_TAPS_PER_PHASE input samples, stored twice in a row so the
+    // newest-to-oldest run never wraps
+    const history = new Float64Array(2 * TRUE_PEAK_TAPS_PER_PHASE);
+    let historyIndex;
+    let filled; // Samples in the history since the last reset
+
+    function reset() {
+        history.fill(0);
+        historyIndex = 0;
+        filled = 0;
+    }
+    reset();
+
+    return {
+        process(samples) {
+            let peak = 0;
+            for (let i = 0; i < samples.length; i++) {
+                const input = samples[i];
+                const magnitude = Math.abs(input);
+                if (magnitude > peak) peak = magnitude;
+                if (phases) {
+                    const newest = historyIndex + TRUE_PEAK_TAPS_PER_PHASE;
+                    history[historyIndex] = input;
+                    history[newest] = input;
+                    historyIndex = (historyIndex + 1) % TRUE_PEAK_TAPS_PER_PHASE;
+                    if (filled < TRUE_PEAK_TAPS_PER_PHASE) filled++;
+                    if (filled < TRUE_PEAK_TAPS_PER_PHASE) continue;
+                    for (let phase = 0; phase < phases.length; phase++) {
+                        const taps = phases[phase];
+                        let sum = 0;
+                        for (let tap = 0; tap < TRUE_PEAK_TAPS_PER_PHASE; tap++) sum += taps[tap] * history[newest - tap];
+                        if (Math.abs(sum) > peak) peak = Math.abs(sum);
+                    }
+                }
+            }
+            return peak;
+        },
+        reset
+    };
+}
+
+/**
+ * Creates a histogram of block loudness above the absolute gate, in HISTOGRAM_STEP_LU bins. Each bin
+ * keeps its block count and summed power, so gated means stay exact but for the bin the gate falls in.
+ * @returns {{add: function(number), reset: function(), gatedMean: function(number): object,
+ *     percentiles: function(number, number[]): number[]}}
+ */
+function createLoudnessHistogram() {
+    const binCount = Math.ceil((HISTOGRAM_MAX_LUFS - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU);
+    const counts = new Float64Array(binCount);
+    const powers = new Float64Array(binCount);
+    // A bin's blocks pass a gate if the bin's centre does
+    const binLufs = (bin) => ABSOLUTE_GATE_LUFS + (bin + 0.5) * HISTOGRAM_STEP_LU;
+
+    /**
+     * @param {number} gateLufs
+     * @returns {number} First bin whose blocks pass a gate.
+     */
+    const firstBinAbove = (gateLufs) => Math.max(0, Math.ceil((gateLufs - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU - 0.5));
+
+    return {
+        /**
+         * Counts one block; blocks at or below the absolute gate are left out.
+         * @param {number} power - The block's weighted mean square.
+         */
+        add(power) {
+            const lufs = powerToLufs(power);
+            if (!(lufs > ABSOLUTE_GATE_LUFS)) return;
+            const bin = Math.min(binCount - 1, Math.floor((lufs - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU));
+            counts[bin]++;
+            powers[bin] += power;
+        },
+
+        reset() {
+            counts.fill(0);
+            powers.fill(0);
+        },
+
+        /**
+         * Mean power of the blocks above a gate.
+         * @param {number} gateLufs - -Infinity for every block counted.
+         * @returns {{power: number, count: number}}
+         */
+        gatedMean(gateLufs) {
+            let count = 0;
+            let sum = 0;
+            for (let bin = firstBinAbove(gateLufs); bin < binCount; bin++) {
+                count += counts[bin];
+                sum += powers[bin];
+            }
+            return { power: count > 0 ? sum / count : 0, count };
+        },
+
+        /**
+         * Levels at the given fractions of the blocks above a gate, lowest first.
+         * @param {number} gateLufs
+         * @param {number[]} fractions - Ascending, 0..1.
+         * @returns {number[]} LUFS per fraction, to the bin centre.
+         */
+        percentiles(gateLufs, fractions) {
+            const first = firstBinAbove(gateLufs);
+            let total = 0;
+            for (let bin = first; bin < binCount; bin++) total += counts[bin];
+            const levels = [];
+            let seen = 0;
+            let bin = first;
+            for (const fraction of fractions) {
+                // The block at this rank in ascending order, as a sorted list would give it
+                const rank = Math.round((total - 1) * fraction);
+                while (bin < binCount - 1 && seen + counts[bin] <= rank) seen += counts[bin++];
+                levels.push(binLufs(bin));
+            }
+            return levels;
+        }
+    };
+}
+
+/**
+ * Creates a loudness meter that consumes blocks of samples of any length.
+ * @param {number} sampleRate
+ * @param {number} channelCount
+ * @returns {object} The meter: process(channels), reset(), and getters for each measurement.
+ */
+export function createLoudnessMeter(sampleRate, channelCount) {
+    const [shelf, highPass] = kWeightingCoefficients(sampleRate);
+    const weights = channelWeights(channelCount);
+    const subBlockLength = Math.round(sampleRate * SUB_BLOCK_SEC);
+    const truePeakDetectors = Array.from({ length: channelCount }, () => createTruePeakDetector(sampleRate));
+
+    let filterState; // Per channel: [x1, x2, y1, y2] for each of the two stages
+    let subBlockSums; // Per channel sum of squares in the current sub-block
+    let subBlockFill;
+    let subBlockPowers; // Weighted mean square of every completed 100 ms sub-block
+    const momentaryBlocks = createLoudnessHistogram(); // Gating blocks for integrated loudness (400 ms, 75% overlap)
+    const shortTermBlocks = createLoudnessHistogram(); // 3 s blocks for the loudness range
+    let truePeak;
+    let cachedIntegrated;
+    let cachedRange;
+
+    function reset() {
+        filterState = Array.from({ length: channelCount }, () => new Float64Array(8));
+        truePeakDetectors.forEach(detector => detector.reset());
+        subBlockSums = new Float64Array(channelCount);
+        subBlockFill = 0;
+        subBlockPowers = [];
+        momentaryBlocks.reset();
+        shortTermBlocks.reset();
+        truePeak = 0;
+        cachedIntegrated = null;
+        cachedRange = null;
+    }
+    reset();
+
+    function windowPower(subBlocks) {
+        if (subBlockPowers.length < subBlocks) return null;
+        let sum = 0;
+        for (let i = subBlockPowers.length - subBlocks; i < subBlockPowers.length; i++) sum += subBlockPowers[i];
+        return sum / subBlocks;
+    }
+
+    function completeSubBlock() {
+        let power = 0;
+        for (let channel = 0; channel < channelCount; channel++) {
+            power += weights[channel] * subBlockSums[channel] / subBlockLength;
+            subBlockSums[channel] = 0;
+        }
+        subBlockFill = 0;
+        subBlockPowers.push(power);
+        // Only the last 3 s are needed for the sliding windows
+        if (subBlockPowers.length > SHORT_TERM_SUB_BLOCKS) subBlockPowers.shift();
+
+        const momentary = windowPower(MOMENTARY_SUB_BLOCKS);
+        if (momentary !== null) momentaryBlocks.add(momentary);
+        const shortTerm = windowPower(SHORT_TERM_SUB_BLOCKS);
+        if (shortTerm !== null) shortTermBlocks.add(shortTerm);
+        cachedIntegrated = null;
+        cachedRange = null;
+    }
+
+    /**
+     * Feeds a block of samples.
+     * @param {Float32Array[]} channels - One array per channel, all the same length.
+     */
+    function process(channels) {
+        const frames = channels[0].length;
+        const [sb0, sb1, sb2] = shelf.b;
+        const [, sa1, sa2] = shelf.a;
+        const [, ha1, ha2] = highPass.a;
+
+        for (let channel = 0; channel < channelCount; channel++) {
+            if (channels[channel]) truePeak = Math.max(truePeak, truePeakDetectors[channel].process(channels[channel]));
+        }
+
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                const input = channels[channel] ? channels[channel][i] : 0;
+                const state = filterState[channel];
+
+                // K-weighting: two direct form I biquads
+                const shelved = sb0 * input + sb1 * state[0] + sb2 * state[1] - sa1 * state[2] - sa2 * state[3];
+                state[1] = state[0];
+                state[0] = input;
+                state[3] = state[2];
+                state[2] = shelved;
+                const weighted = shelved - 2 * state[4] + state[5] - ha1 * state[6] - ha2 * state[7];
+                state[5] = state[4];
+                state[4] = shelved;
+                state[7] = state[6];
+                state[6] = weighted;
+                subBlockSums[channel] += weighted * weighted;
+            }
+            if (++subBlockFill === subBlockLength) completeSubBlock();
+        }
+    }
+
+    function getIntegrated() {
+        if (cachedIntegrated === null) {
+            const absoluteGated = momentaryBlocks.gatedMean(-Infinity);
+            if (absoluteGated.count === 0) {
+                cachedIntegrated = -Infinity;
+            } else {
+                const relativeGate = powerToLufs(absoluteGated.power) + INTEGRATED_RELATIVE_GATE_LU;
+                cachedIntegrated = powerToLufs(momentaryBlocks.gatedMean(relativeGate).power);
+            }
+        }
+        return cachedIntegrated;
+    }
+
+    function getRange() {
+        if (cachedRange === null) {
+            const absoluteGated = shortTermBlocks.gatedMean(-Infinity);
+            if (absoluteGated.count === 0) {
+                cachedRange = NaN;
+            } else {
+                const relativeGate = powerToLufs(absoluteGated.power) + RANGE_RELATIVE_GATE_LU;
+                const [low, high] = shortTermBlocks.percentiles(relativeGate, [RANGE_LOW_PERCENTILE, RANGE_HIGH_PERCENTILE]);
+                cachedRange = high - low;
+            }
+        }
+        return cachedRange;
+    }
+
+    return {
+        process,
+        reset,
+        getMomentary: () => powerToLufs(windowPower(MOMENTARY_SUB_BLOCKS) ?? 0),
+        getShortTerm: () => powerToLufs(windowPower(SHORT_TERM_SUB_BLOCKS) ?? 0),
+        getIntegrated,
+        getRange,
+        getTruePeakDb: () => linearToDbfs(truePeak)
+    };
+}
+
+/**
+ * Measures the loudness of a complete recording.
+ * @param {Float32Array[]} channels - Samples per channel.
+ * @param {number} sampleRate
+ * @returns {{integratedLufs: number, rangeLu: number, truePeakDb: number}}
+ *     Integrated loudness is -Infinity for recordings shorter than 400 ms or entirely below the gate;
+ *     the range is NaN for recordings shorter than 3 s.
+ */
+export function measureLoudness(channels, sampleRate) {
+    const meter = createLoudnessMeter(sampleRate, channels.length);
+    meter.process(channels);
+    return {
+        integratedLufs: meter.getIntegrated(),
+        rangeLu: meter.getRange(),
+        truePeakDb: meter.getTruePeakDb()
+    };
+}
+
+// --- Live Metering ---
+
+/**
+ * Starts measuring the loudness of the live input.
+ * @param {object | null} stream - The session's sample stream of the raw input (see sampleStream.js).
+ * @returns {boolean} False if there is no sample stream (no AudioWorklet).
+ */
+export function startLiveLoudness(stream) {
+    stopLiveLoudness();
+    if (!stream) return false;
+    const meter = createLoudnessMeter(stream.sampleRate, stream.channelCount);
+    unsubscribeLive = stream.subscribe(channels => meter.process(channels));
+    liveMeter = meter;
+    console.log(`Loudness metering started (${stream.channelCount} channel(s))`);
+    return true;
+}
+
+/**
+ * Stops live loudness measurement.
+ */
+export function stopLiveLoudness() {
+    if (unsubscribeLive) unsubscribeLive();
+    unsubscribeLive = null;
+    liveMeter = null;
+}
+
+/**
+ * Restarts the integrated loudness, loudness range and true peak of the live measurement.
+ */
+export function resetLiveLoudness() {
+    if (liveMeter) liveMeter.reset();
+}
+
+/**
+ * Current live loudness readings.
+ * @returns {{momentaryLufs: number, shortTermLufs: number, integratedLufs: number,
+ *     rangeLu: number, truePeakDb: number} | null} Null when not running.
+ */
+export function getLiveLoudness() {
+    if (!liveMeter) return null;
+    return {
+        momentaryLufs: liveMeter.getMomentary(),
+        shortTermLufs: liveMeter.getShortTerm(),
+        integratedLufs: liveMeter.getIntegrated(),
+        rangeLu: liveMeter.getRange(),
+        truePeakDb: liveMeter.getTruePeakDb()
+    };
+}
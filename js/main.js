@@ -2,17 +2,119 @@
 import * as ui from './ui.js';
 import * as audio from './audio.js';
 import * as visualizer from './visualizer.js';
+import * as metering from './metering.js';
+import * as spectrogram from './spectrogram.js';
+import * as spectrumAnalyser from './spectrumAnalyser.js';
+import * as noiseTest from './noiseTest.js';
+import * as latencyTest from './latencyTest.js';
+import * as frequencyResponse from './frequencyResponse.js';
+import * as distortionTest from './distortionTest.js';
+import * as toneDetector from './toneDetector.js';
+import * as voice from './voice.js';
+import * as channels from './channels.js';
+import * as constraints from './constraints.js';
+import * as encoders from './encoders.js';
+import * as library from './library.js';
+import * as comparison from './comparison.js';
+import * as inspector from './inspector.js';
+import * as loudness from './loudness.js';
+import * as stabilityMonitor from './stabilityMonitor.js';
+import * as devicePrefs from './devicePrefs.js';
+import * as processing from './processing.js';
+import * as dualMonitor from './dualMonitor.js';
+import * as report from './report.js';
+import * as troubleshooter from './troubleshooter.js';
+import * as offline from './offline.js';
 import * as theme from './theme.js';
 import * as i18n from './i18n.js'; // Import translation functions
 
 let animationFrameId = null;
+let toneDetectionEnabled = true;
+let voiceAnalysisEnabled = true;
+let latestLevels = null; // Levels of the most recent analysis frame, shown by the animation loop
+let latestChannelFrame = null; // {samples, levels, correlation} per channel of the same frame (multi-channel inputs)
+let compareSelection = { a: null, b: null }; // Library entry ids chosen for A/B comparison
+let comparisonGains = null; // Gains applied by the last prepared comparison
+let inspectorAnalysis = null; // Last analysis shown by the inspector, kept for regrading
+let restoringSettings = false; // Suppresses saving while saved settings are being applied
+let dualRecording = null; // Last synchronized recording of both microphones {startedAt, a, b, labels}
+let lastNoiseTestResults = null; // Kept for the report
+let lastLatencyTestResults = null;
+let lastFrequencyResponse = null; // {measurement, deviceLabel, measuredAt, points}; redrawn when smoothing or calibration change
+let calibration = null; // Reference microphone calibration {fileName, points}
+const browserFamily = troubleshooter.detectBrowser(navigator.userAgent); // Picks the wizard's remedy texts
+let wizardBusy = false; // A troubleshooter check is running
+let wizardProgress = null; // {key, replacements} shown instead of the step's result while checking
+let wizardAwaitingAnswer = false; // The playback check waits for the user's verdict
+let shownStabilityVersion = null; // Event log version on screen; the list is only rebuilt when it changes
 
 // --- Main Application Logic ---
 
+/**
+ * Measures the channels of one analysis frame: per-channel levels and, for stereo, the correlation.
+ * @param {Float32Array[]} channelSamples - Time domain samples per channel.
+ * @param {number} timestamp - Frame time in milliseconds.
+ */
+function analyseChannels(channelSamples, timestamp) {
+    latestChannelFrame = {
+        samples: channelSamples,
+        levels: channelSamples.map(channels.measureChannel),
+        correlation: channelSamples.length === 2
+            ? channels.measureCorrelation(channelSamples[0], channelSamples[1], timestamp)
+            : null
+    };
+}
+
+/**
+ * Shows the latest channel analysis: per-channel meters, lane waveforms and, for stereo,
+ * correlation and goniometer.
+ * @param {{samples: Float32Array[], levels: object[], correlation: number | null}} channelFrame
+ */
+function drawChannelAnalysis({ samples, levels, correlation }) {
+    ui.updateChannelMeters(levels, i18n.t);
+    const labels = samples.map((_, channel) => ui.getChannelLabel(channel, samples.length, i18n.t));
+    channels.drawChannelWaveforms(samples, labels);
+
+    if (samples.length === 2) {
+        ui.updateCorrelationMeter(correlation);
+        channels.drawGoniometer(samples[0], samples[1]);
+    }
+}
+
+/**
+ * Measures one analysis frame of the input: levels, channels, hum and tones, voice. Fed by the sample
+ * stream, so no audio is skipped; without one, by the animation loop from the analysers.
+ * @param {{samples: Float32Array, frequencyData: Float32Array, channelSamples: Float32Array[] | null,
+ *     sampleRate: number, timestamp: number}} frame
+ *     FFT_SIZE time domain samples and their spectrum in dB (analyser scale), and the samples per
+ *     channel of a multi-channel input.
+ */
+function analyseFrame({ samples, frequencyData, channelSamples, sampleRate, timestamp }) {
+    latestLevels = metering.processSamples(samples, timestamp, sampleRate);
+    report.noteLevels(latestLevels, timestamp);
+    if (channelSamples) analyseChannels(channelSamples, timestamp);
+
+    if (toneDetectionEnabled) {
+        const toneResult = toneDetector.analyzeFrame(frequencyData, samples, sampleRate, timestamp);
+        report.noteDetections(toneResult.detections);
+        if (toneResult.announcement) {
+            ui.announceDetection(toneResult.announcement, i18n.t);
+        } else if (toneResult.cleared) {
+            ui.setStatus('statusDetectionsCleared', 'success', {}, i18n.t);
+        }
+    }
+
+    if (voiceAnalysisEnabled) {
+        const voiceResult = voice.analyzeVoiceFrame(samples, sampleRate, timestamp);
+        if (voiceResult) ui.updateVoiceDisplay(voiceResult, i18n.t);
+    }
+}
+
 /**
  * The main animation loop for visualization.
+ * @param {DOMHighResTimeStamp} timestamp - Frame time supplied by requestAnimationFrame.
  */
-function visualizationLoop() {
+function visualizationLoop(timestamp) {
     if (!audio.getIsMonitoring()) {
         animationFrameId = null; // Ensure loop stops if monitoring stops unexpectedly
         return;
@@ -20,16 +122,65 @@ function visualizationLoop() {
 
     const analyserNode = audio.getAnalyserNode();
     const timeData = audio.getTimeDomainData();
-    const freqData = audio.getFrequencyData();
+    const freqData = audio.getFloatFrequencyData();
+    const floatTimeData = audio.getFloatTimeDomainData();
+    const spectrumData = spectrumAnalyser.readFrequencyData();
 
-    if (analyserNode && timeData && freqData) {
-        // Draw visualizations and get volume level
-        const volumeLevel = visualizer.draw(analyserNode, timeData, freqData);
+    if (analyserNode && timeData && freqData && floatTimeData && spectrumData) {
+        // Draw visualizations
+        visualizer.draw(analyserNode, timeData, spectrumData, audio.getSampleRate());
+        spectrogram.drawSpectrogram(spectrumData, audio.getSampleRate());
+
+        if (!audio.getIsStreaming()) {
+            // No sample stream (yet): analyse what the analyser holds right now
+            analyserNode.getFloatTimeDomainData(floatTimeData);
+            analyserNode.getFloatFrequencyData(freqData);
+            const channelAnalysers = audio.getChannelAnalysers();
+            const channelTimeData = audio.getChannelTimeData();
+            channelAnalysers.forEach((analyser, channel) => analyser.getFloatTimeDomainData(channelTimeData[channel]));
+            analyseFrame({
+                samples: floatTimeData,
+                frequencyData: freqData,
+                channelSamples: channelAnalysers.length > 1 ? channelTimeData : null,
+                sampleRate: audio.getSampleRate(),
+                timestamp
+            });
+        }
 
         // Update UI elements
-        ui.updateVolumeMeter(volumeLevel);
-        const volumePercent = Math.round(volumeLevel * 100);
-        ui.updateResultsBar(volumePercent, null); // Only update volume here, sample rate is static
+        if (latestLevels) {
+            ui.updateVolumeMeter(latestLevels);
+            ui.updateResultsBar(latestLevels, null); // Only update levels here, sample rate is static
+            ui.setClipIndicator(latestLevels.clipped);
+        }
+
+        ui.updateCompressorReduction(processing.getCompressorReductionDb());
+
+        const comparison = dualMonitor.readComparison();
+        if (comparison && comparison.a && comparison.b) {
+            ui.updateDualMeters(comparison, i18n.t);
+            visualizer.drawComparisonSpectrum(ui.uiElements.dualSpectrumCanvas(), comparison.a.spectrumDb,
+                comparison.b.spectrumDb, audio.getSampleRate());
+        }
+
+        const loudnessReadings = loudness.getLiveLoudness();
+        if (loudnessReadings) {
+            const grades = loudness.gradeLoudness(loudnessReadings.integratedLufs, loudnessReadings.truePeakDb);
+            ui.updateLoudnessDisplay(loudnessReadings, grades, i18n.t);
+        }
+
+        const stability = stabilityMonitor.getLiveStability();
+        if (stability) {
+            ui.updateStabilityDisplay(stability, stabilityMonitor.gradeStability(stability.score), i18n.t);
+            if (stability.version !== shownStabilityVersion) {
+                shownStabilityVersion = stability.version;
+                ui.showStabilityEvents(stabilityMonitor.getLiveStabilityEvents(), i18n.t);
+            }
+        }
+
+        if (latestChannelFrame) drawChannelAnalysis(latestChannelFrame);
+
+        if (voiceAnalysisEnabled) voice.drawPitchTrace(timestamp);
     }
 
     // Continue the loop
@@ -37,11 +188,24 @@ function visualizationLoop() {
 }
 
 
+/**
+ * Cancels every running test and check and stops the second microphone, before the session they use ends.
+ */
+async function cancelRunningTests() {
+    noiseTest.cancelNoiseTest();
+    latencyTest.cancelLatencyTest();
+    frequencyResponse.cancelFrequencyResponse();
+    distortionTest.cancelDistortionTest();
+    troubleshooter.cancelCheck();
+    await stopDualMonitoring();
+}
+
 /**
  * Handles the Start/Stop button click.
  */
 async function handleStartStopClick() {
     if (audio.getIsMonitoring()) {
+        await cancelRunningTests();
         await audio.stopMonitoring(i18n.t); // Pass translation function
     } else {
         const selectedDeviceId = ui.uiElements.micSelect().value;
@@ -55,7 +219,24 @@ async function handleStartStopClick() {
              return;
          }
 
+        ui.showMicFallbackButton(false);
+        metering.resetMeter(); // Fresh peak hold and clip state for each session
+        latestLevels = null;
+        latestChannelFrame = null;
+        shownStabilityVersion = null;
+        toneDetector.resetDetector();
+        voice.resetVoiceAnalysis();
+        ui.updateVoiceDisplay(null, i18n.t);
+        report.resetReportSession();
+        lastNoiseTestResults = null;
+        lastLatencyTestResults = null;
         const success = await audio.startMonitoring(selectedDeviceId, i18n.t);
+        if (success) {
+            saveDeviceSettings(); // Remembers this as the microphone to preselect next time
+            handleSpectrumSettingsInput(); // Shows the resolution at the new sample rate
+        } else {
+            showTroubleshooterForError();
+        }
         if (success && !animationFrameId) {
             // Start visualization loop only if monitoring started successfully and loop isn't running
             audio.setVisualizationLoopCallback(visualizationLoop); // Ensure audio module knows the loop function
@@ -71,20 +252,223 @@ function handleRecordClick() {
     if (audio.getIsRecording()) {
         audio.stopRecording(i18n.t);
     } else {
+        inspector.closeRecording();
         audio.startRecording(i18n.t);
     }
 }
 
+/**
+ * Stops monitoring and starts it again with the current selection and settings.
+ * @param {string} statusKey - i18n key of the status shown while restarting.
+ */
+async function restartMonitoring(statusKey) {
+    ui.setStatus(statusKey, 'info', {}, i18n.t);
+    await cancelRunningTests();
+    await audio.stopMonitoring(i18n.t);
+    // Short delay might help ensure resources are released before restarting
+    setTimeout(() => handleStartStopClick(), 100);
+}
+
+/**
+ * Handles the Download button: encodes the last recording in the selected format and saves it.
+ */
+async function handleDownloadClick() {
+    const recording = audio.getLastRecording();
+    if (!recording) return;
+    const formatKey = ui.uiElements.exportFormatSelect().value;
+    const downloadButton = ui.uiElements.downloadRecordingButton();
+
+    downloadButton.disabled = true;
+    ui.setRecordingStatus('recStatusEncoding', 'info', {}, i18n.t);
+    // Let the status paint before encoding blocks the main thread
+    await new Promise(resolve => setTimeout(resolve, 0));
+    try {
+        const { blob, fileName } = encoders.exportRecording(recording, formatKey);
+        ui.downloadBlob(blob, fileName);
+        ui.setRecordingStatus('recStatusExported', 'success', { file: fileName }, i18n.t);
+    } catch (err) {
+        console.error('Error exporting recording:', err);
+        ui.setRecordingStatus('recStatusExportError', 'error', { errorName: err.name }, i18n.t);
+    } finally {
+        downloadButton.disabled = false;
+    }
+}
+
+// --- Recording Inspector ---
+
+/**
+ * Decodes a recording into the inspector.
+ * @param {object} recording - From audio.getLastRecording().
+ */
+async function loadInspector(recording) {
+    showInspectorAnalysis(null);
+    try {
+        await inspector.loadRecording(recording.blob, recording.sampleRate);
+    } catch (err) {
+        console.error('Error decoding recording for the inspector:', err);
+        ui.setRecordingStatus('inspectorDecodeError', 'error', { errorName: err.name }, i18n.t);
+    }
+}
+
+/**
+ * Handles the inspector's Play/Stop button.
+ */
+function handleInspectorPlayClick() {
+    if (inspector.getIsPlaying()) {
+        inspector.stopRegion();
+    } else {
+        inspector.playRegion().catch(err => console.error('Error playing region:', err));
+    }
+}
+
+// --- Recordings Library ---
+
+/**
+ * Re-renders the library table and the comparison controls.
+ */
+function refreshLibrary() {
+    ui.renderLibrary(library.getEntries(), compareSelection, i18n.t);
+    ui.updateComparisonControls(compareSelection, comparison.getActiveSide(), comparisonGains, i18n.t);
+}
+
+/**
+ * Loads the stored recordings on startup.
+ */
+async function initLibrary() {
+    try {
+        await library.loadLibrary();
+    } catch (err) {
+        console.warn('Recordings library unavailable:', err);
+        return; // The section stays hidden; recording itself still works
+    }
+    comparison.setComparisonEndedCallback(() => {
+        ui.updateComparisonControls(compareSelection, null, comparisonGains, i18n.t);
+    });
+    refreshLibrary();
+}
+
+/**
+ * Opens each finished recording in the inspector and stores it in the library.
+ * @param {object} recording - From audio.getLastRecording().
+ */
+async function handleRecordingFinished(recording) {
+    await loadInspector(recording);
+    const name = i18n.t('libraryDefaultName', { number: library.getEntries().length + 1 });
+    try {
+        await library.saveRecording(recording, name);
+        refreshLibrary();
+        ui.setLibraryStatus('librarySaved', 'success', { name }, i18n.t);
+    } catch (err) {
+        console.error('Error saving recording to the library:', err);
+        refreshLibrary(); // Shows the section so the error is visible when entries exist
+        ui.setLibraryStatus('librarySaveError', 'error', { errorName: err.name }, i18n.t);
+    }
+}
+
+/**
+ * Handles the Play/Rename/Delete buttons in the library table (delegated).
+ * @param {Event} event
+ */
+async function handleLibraryClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const id = Number(button.closest('tr').dataset.id);
+    const entry = library.findEntry(id);
+    if (!entry) return;
+
+    if (button.dataset.action === 'play') {
+        comparison.stopComparison();
+        ui.updateComparisonControls(compareSelection, null, comparisonGains, i18n.t);
+        ui.playLibraryEntry(entry.blob);
+    } else if (button.dataset.action === 'rename') {
+        ui.startRenameEntry(id, async (newName) => {
+            if (newName === null) return;
+            try {
+                await library.renameEntry(id, newName);
+            } catch (err) {
+                console.error('Error renaming recording:', err);
+                ui.setLibraryStatus('libraryRenameError', 'error', { errorName: err.name }, i18n.t);
+            }
+            refreshLibrary();
+        });
+    } else if (button.dataset.action === 'delete') {
+        if (!window.confirm(i18n.t('libraryConfirmDelete', { name: entry.name }))) return;
+        try {
+            await library.deleteEntry(id);
+        } catch (err) {
+            console.error('Error deleting recording:', err);
+            ui.setLibraryStatus('libraryDeleteError', 'error', { errorName: err.name }, i18n.t);
+            return;
+        }
+        comparison.forgetEntry(id);
+        ui.hideLibraryPlayback();
+        if (compareSelection.a === id || compareSelection.b === id) comparisonGains = null;
+        if (compareSelection.a === id) compareSelection.a = null;
+        if (compareSelection.b === id) compareSelection.b = null;
+        refreshLibrary();
+        ui.setLibraryStatus('libraryDeleted', 'info', { name: entry.name }, i18n.t);
+    }
+}
+
+/**
+ * Handles choosing an entry as A or B.
+ * @param {Event} event
+ */
+function handleCompareSelectionChange(event) {
+    const radio = event.target;
+    if (!radio.dataset.side) return;
+    compareSelection[radio.dataset.side] = Number(radio.value);
+    comparison.stopComparison();
+    comparisonGains = null; // Prepared again on the next play
+    ui.updateComparisonControls(compareSelection, null, comparisonGains, i18n.t);
+}
+
+/**
+ * Plays side A or B of the comparison, preparing (decoding, matching) the pair first if needed.
+ * @param {'a' | 'b'} side
+ */
+async function handleComparePlay(side) {
+    const entryA = library.findEntry(compareSelection.a);
+    const entryB = library.findEntry(compareSelection.b);
+    if (!entryA || !entryB) return;
+    ui.hideLibraryPlayback();
+    try {
+        if (!comparisonGains) {
+            comparisonGains = await comparison.prepareComparison(entryA, entryB, ui.uiElements.matchLoudnessCheckbox().checked);
+        }
+        await comparison.playSide(side);
+    } catch (err) {
+        console.error('Error playing comparison:', err);
+        ui.setLibraryStatus('compareError', 'error', { errorName: err.name }, i18n.t);
+    }
+    ui.updateComparisonControls(compareSelection, comparison.getActiveSide(), comparisonGains, i18n.t);
+}
+
+/**
+ * Handles the Stop button of the comparison.
+ */
+function handleCompareStop() {
+    comparison.stopComparison();
+    ui.updateComparisonControls(compareSelection, null, comparisonGains, i18n.t);
+}
+
+/**
+ * Handles the loudness matching checkbox: the pair is prepared again with the new setting.
+ */
+function handleMatchLoudnessChange() {
+    comparison.stopComparison();
+    comparisonGains = null;
+    ui.updateComparisonControls(compareSelection, null, comparisonGains, i18n.t);
+}
+
 /**
  * Handles microphone selection change.
  */
 async function handleMicChange() {
+    restoreDeviceSettings(ui.uiElements.micSelect().value);
     if (audio.getIsMonitoring()) {
         // If monitoring, stop, then restart with the new mic
-        ui.setStatus('statusChangingMic', 'info', {}, i18n.t);
-        await audio.stopMonitoring(i18n.t);
-        // Short delay might help ensure resources are released before restarting
-        setTimeout(() => handleStartStopClick(), 100);
+        await restartMonitoring('statusChangingMic');
     } else {
          // If not monitoring, just update status to reflect selection
          const selectedMicText = ui.uiElements.micSelect().options[ui.uiElements.micSelect().selectedIndex]?.text || 'N/A';
@@ -92,14 +476,1003 @@ async function handleMicChange() {
     }
 }
 
+// --- Remembered Settings ---
+
+/**
+ * Saves the input and view settings for the selected microphone.
+ */
+function saveDeviceSettings() {
+    if (restoringSettings) return;
+    const device = audio.getDeviceInfo(ui.uiElements.micSelect().value);
+    if (!device) return;
+    devicePrefs.saveDeviceSettings(device, {
+        constraints: constraints.getRequestedConstraints(),
+        view: ui.getViewSettings()
+    });
+}
+
+/**
+ * Restores the input and view settings saved for a microphone, if there are any.
+ * @param {string} deviceId
+ */
+function restoreDeviceSettings(deviceId) {
+    const device = audio.getDeviceInfo(deviceId);
+    const saved = device ? devicePrefs.getDeviceSettings(device) : null;
+    if (!saved) return;
+    console.log(`Restoring saved settings for ${device.label || device.deviceId}`);
+    Object.entries(saved.constraints || {}).forEach(([name, value]) => constraints.setRequestedConstraint(name, value));
+    ui.setConstraintInputs(constraints.getRequestedConstraints());
+    ui.showTrackSettings(audio.getTrackInfo(), constraints.getRequestedConstraints(), i18n.t);
+    restoringSettings = true;
+    try {
+        ui.applyViewSettings(saved.view || {});
+    } finally {
+        restoringSettings = false;
+    }
+}
+
+/**
+ * Handles the auto-start checkbox.
+ * @param {Event} event
+ */
+function handleAutoStartChange(event) {
+    devicePrefs.setAutoStart(event.target.checked);
+}
+
+/**
+ * Starts monitoring on page load if the user asked for it. Browsers may keep the
+ * AudioContext suspended until the first click or key press; it is resumed then.
+ */
+async function autoStartMonitoring() {
+    if (!ui.uiElements.micSelect().value || ui.uiElements.startStopButton().disabled) return;
+    console.log("Auto-starting monitoring...");
+    await handleStartStopClick();
+    const context = audio.getAudioContext();
+    if (!context || context.state !== 'suspended') return;
+    ui.setStatus('statusAutoStartNeedsGesture', 'warning', {}, i18n.t);
+    const resume = async () => {
+        const suspendedContext = audio.getAudioContext();
+        if (!suspendedContext || suspendedContext.state !== 'suspended') return;
+        await suspendedContext.resume();
+        ui.setStatus('statusMonitoring', 'success', {}, i18n.t);
+    };
+    document.addEventListener('pointerdown', resume, { once: true });
+    document.addEventListener('keydown', resume, { once: true });
+}
+
+/**
+ * Handles the loss of the monitored microphone (unplugged, or its track ended).
+ * @param {string} label - Label of the lost device.
+ */
+async function handleDeviceLost(label) {
+    await cancelRunningTests();
+    await audio.stopMonitoring(i18n.t);
+    ui.setStatus('statusMicLost', 'warning', { micName: label || i18n.t('unknownMicLabel') }, i18n.t);
+    ui.showMicFallbackButton(audio.getFallbackDeviceId() !== null);
+}
+
+/**
+ * Handles the fallback button: selects the default microphone and starts monitoring it.
+ */
+async function handleMicFallbackClick() {
+    const fallbackId = audio.getFallbackDeviceId();
+    ui.showMicFallbackButton(false);
+    if (fallbackId === null) return;
+    ui.uiElements.micSelect().value = fallbackId;
+    await handleStartStopClick();
+}
+
+/**
+ * Handles a change to one of the input settings (getUserMedia constraints).
+ * @param {Event} event
+ */
+async function handleConstraintChange(event) {
+    const input = event.target;
+    const name = input.dataset.constraint;
+    let value;
+    if (input.type === 'checkbox') {
+        value = input.checked;
+    } else {
+        value = input.value === '' ? null : Number(input.value);
+    }
+    constraints.setRequestedConstraint(name, value);
+    ui.showTrackSettings(audio.getTrackInfo(), constraints.getRequestedConstraints(), i18n.t);
+    saveDeviceSettings();
+
+    if (!audio.getIsMonitoring()) return; // Applied on next start
+    const appliedLive = await audio.applyTrackConstraints(i18n.t);
+    if (!appliedLive) {
+        await restartMonitoring('statusConstraintsRestarting');
+    }
+}
+
+/**
+ * Handles a change of meter ballistics.
+ * @param {Event} event
+ */
+function handleBallisticsChange(event) {
+    metering.setBallistics(event.target.value);
+}
+
+/**
+ * Handles a click on the clip indicator, which resets it.
+ */
+function handleClipIndicatorClick() {
+    metering.resetClip();
+    ui.setClipIndicator(false);
+}
+
+/**
+ * Handles a change to any processing chain control.
+ */
+function handleProcessingInput() {
+    const settings = ui.getProcessingSettings();
+    processing.setProcessingSettings(settings);
+    ui.updateProcessingReadouts(settings);
+}
+
+/**
+ * Handles the Listen checkbox, warning about feedback unless the output looks like headphones.
+ * @param {Event} event
+ */
+async function handleListenChange(event) {
+    const enabled = event.target.checked;
+    processing.setListening(enabled);
+    if (!enabled) {
+        ui.showListenWarning(null, {}, i18n.t);
+        return;
+    }
+    const { headphones, label } = await processing.detectHeadphones(audio.getAudioContext());
+    if (headphones === true) {
+        ui.showListenWarning(null, {}, i18n.t);
+    } else if (headphones === false) {
+        ui.showListenWarning('listenWarningSpeakers', { device: label }, i18n.t);
+    } else {
+        ui.showListenWarning('listenWarningUnknown', {}, i18n.t);
+    }
+}
+
+/**
+ * Handles the choice between showing the raw or the processed signal.
+ * @param {Event} event
+ */
+function handleMeterTapChange(event) {
+    audio.setMeterTap(event.target.value);
+}
+
+/**
+ * Shows the inspector's statistics, with the loudness graded against the selected preset.
+ * @param {object | null} analysis - From the inspector, or null to clear.
+ */
+function showInspectorAnalysis(analysis) {
+    inspectorAnalysis = analysis;
+    const grades = analysis ? loudness.gradeLoudness(analysis.loudness.integratedLufs, analysis.loudness.truePeakDb) : null;
+    ui.showInspectorStats(analysis, grades, i18n.t);
+}
+
+/**
+ * Handles a change of loudness target preset.
+ * @param {Event} event
+ */
+function handleLoudnessPresetChange(event) {
+    loudness.setLoudnessPreset(event.target.value);
+    showInspectorAnalysis(inspectorAnalysis); // Regrade the inspected recording against the new target
+}
+
+/**
+ * Handles the loudness Reset button.
+ */
+function handleLoudnessResetClick() {
+    loudness.resetLiveLoudness();
+}
+
+/**
+ * Handles the stability monitor's Reset button.
+ */
+function handleStabilityResetClick() {
+    stabilityMonitor.resetStabilityMonitor();
+    shownStabilityVersion = null;
+}
+
+/**
+ * Handles the stability monitor's Export button: downloads the event log as JSON.
+ */
+function handleStabilityExportClick() {
+    const deviceLabel = getPrimaryLabel();
+    const log = stabilityMonitor.buildStabilityLog({
+        deviceLabel,
+        sampleRate: audio.getSampleRate(),
+        channelCount: audio.getChannelCount()
+    });
+    if (!log) return;
+    const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+    ui.downloadBlob(blob, encoders.buildRecordingFileName(deviceLabel, new Date(log.generatedAt), 'stability.json'));
+}
+
+/**
+ * Handles a change of spectrum grid density.
+ * @param {Event} event
+ */
+function handleSpectrumGridChange(event) {
+    visualizer.setSpectrumGrid(event.target.value);
+}
+
+/**
+ * Handles the spectrum peak-hold checkbox.
+ * @param {Event} event
+ */
+function handleSpectrumPeakHoldChange(event) {
+    visualizer.setSpectrumPeakHold(event.target.checked);
+}
+
+/**
+ * Handles the spectrum long-term average checkbox.
+ * @param {Event} event
+ */
+function handleSpectrumAverageChange(event) {
+    visualizer.setSpectrumAverage(event.target.checked);
+}
+
+/**
+ * Handles changes to the spectrum FFT size, window, smoothing and dB range. Applies them live.
+ */
+function handleSpectrumSettingsInput() {
+    const applied = spectrumAnalyser.applySpectrumSettings(ui.getSpectrumSettings());
+    visualizer.setSpectrumDbRange(applied.minDb, applied.maxDb);
+    ui.updateSpectrumControls(applied, audio.getSampleRate(), i18n.t);
+}
+
+/**
+ * Handles the hum & tone detection checkbox.
+ * @param {Event} event
+ */
+function handleToneDetectionChange(event) {
+    toneDetectionEnabled = event.target.checked;
+    toneDetector.resetDetector();
+}
+
+/**
+ * Handles the voice analysis toggle.
+ * @param {Event} event
+ */
+function handleVoiceAnalysisChange(event) {
+    voiceAnalysisEnabled = event.target.checked;
+    voice.resetVoiceAnalysis();
+    ui.updateVoiceDisplay(null, i18n.t);
+    voice.clearVoiceView();
+}
+
+/**
+ * Handles a change of spectrogram colormap.
+ * @param {Event} event
+ */
+function handleColormapChange(event) {
+    spectrogram.setColormap(event.target.value);
+}
+
+/**
+ * Handles changes to the spectrogram floor/ceiling sliders.
+ */
+function handleSpectrogramRangeInput() {
+    const floorInput = ui.uiElements.spectrogramFloorInput();
+    const ceilingInput = ui.uiElements.spectrogramCeilingInput();
+    const range = spectrogram.setDbRange(Number(floorInput.value), Number(ceilingInput.value));
+    ui.updateSpectrogramRange(range.floorDb, range.ceilingDb);
+}
+
+/**
+ * Handles the spectrogram Pause/Resume button click.
+ */
+function handleSpectrogramPauseClick() {
+    const paused = spectrogram.togglePaused();
+    ui.updateSpectrogramPauseButton(paused, i18n.t);
+}
+
+/**
+ * Handles the Run/Cancel Noise Test button click.
+ */
+async function handleNoiseTestClick() {
+    if (noiseTest.getIsRunning()) {
+        noiseTest.cancelNoiseTest();
+        return;
+    }
+
+    const audioContext = audio.getAudioContext();
+    const sourceNode = audio.getSourceNode();
+    if (!audio.getIsMonitoring() || !audioContext || !sourceNode) {
+        ui.setNoiseTestStatus('noiseTestNeedsMonitoring', 'warning', {}, i18n.t);
+        return;
+    }
+
+    ui.showNoiseTestResults(null, i18n.t);
+    ui.updateNoiseTestButton(true, i18n.t);
+    try {
+        const results = await noiseTest.runNoiseTest(audioContext, sourceNode, ui.getNoiseTestSettings(), (phase, secondsLeft) => {
+            const stepKey = phase === 'noise' ? 'noiseTestStepNoise' : 'noiseTestStepSpeech';
+            ui.setNoiseTestStatus(stepKey, 'info', { seconds: secondsLeft }, i18n.t);
+        });
+        ui.showNoiseTestResults(results, i18n.t);
+        lastNoiseTestResults = results;
+        if (!results.speechDetected) {
+            ui.setNoiseTestStatus('noiseTestNoSpeech', 'warning', {}, i18n.t);
+        } else {
+            const verdict = i18n.t(ui.gradeToKey(results.grades.overall));
+            ui.setNoiseTestStatus('noiseTestStatusDone', ui.gradeToStatusType(results.grades.overall), { verdict }, i18n.t);
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            ui.setNoiseTestStatus('noiseTestCancelled', 'info', {}, i18n.t);
+        } else {
+            console.error('Error running noise test:', err);
+            ui.setNoiseTestStatus('noiseTestError', 'error', { errorName: err.name }, i18n.t);
+        }
+    } finally {
+        ui.updateNoiseTestButton(false, i18n.t);
+    }
+}
+
+/**
+ * Whether the browser's echo cancellation is on for the current track. The loopback tests then hear
+ * nothing, since echo cancellation is built to remove exactly this speaker-to-mic path.
+ * @returns {boolean}
+ */
+function isEchoCancellationOn() {
+    return audio.getTrackInfo()?.settings.echoCancellation === true;
+}
+
+/**
+ * Handles the Run/Cancel Latency Test button.
+ */
+async function handleLatencyTestClick() {
+    if (latencyTest.getIsRunning()) {
+        latencyTest.cancelLatencyTest();
+        return;
+    }
+
+    const audioContext = audio.getAudioContext();
+    const sourceNode = audio.getSourceNode();
+    if (!audio.getIsMonitoring() || !audioContext || !sourceNode) {
+        ui.setLatencyTestStatus('latencyTestNeedsMonitoring', 'warning', {}, i18n.t);
+        return;
+    }
+    if (!latencyTest.isLatencyTestSupported()) {
+        ui.setLatencyTestStatus('latencyTestUnsupported', 'error', {}, i18n.t);
+        return;
+    }
+
+    ui.showLatencyTestResults(null, i18n.t);
+    ui.updateLatencyTestButton(true, i18n.t);
+    try {
+        const results = await latencyTest.runLatencyTest(audioContext, sourceNode, ui.getLatencyTestSettings(), (run, total) => {
+            ui.setLatencyTestStatus('latencyTestStep', 'info', { run, total }, i18n.t);
+        });
+        ui.showLatencyTestResults(results, i18n.t);
+        lastLatencyTestResults = results;
+        if (results.validCount === 0) {
+            ui.setLatencyTestStatus(isEchoCancellationOn() ? 'latencyTestNoSignalEchoCancellation' : 'latencyTestNoSignal', 'error', {}, i18n.t);
+        } else {
+            const replacements = {
+                mean: results.meanMs.toFixed(1),
+                jitter: results.jitterMs.toFixed(1),
+                valid: results.validCount,
+                total: results.repeats
+            };
+            if (results.validCount < results.repeats) {
+                ui.setLatencyTestStatus('latencyTestStatusPartial', 'warning', replacements, i18n.t);
+            } else {
+                ui.setLatencyTestStatus('latencyTestStatusDone', 'success', replacements, i18n.t);
+            }
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            ui.setLatencyTestStatus('latencyTestCancelled', 'info', {}, i18n.t);
+        } else {
+            console.error('Error running latency test:', err);
+            ui.setLatencyTestStatus('latencyTestError', 'error', { errorName: err.name }, i18n.t);
+        }
+    } finally {
+        ui.updateLatencyTestButton(false, i18n.t);
+    }
+}
+
+// --- Frequency Response ---
+
+/**
+ * Recomputes the response curve with the current smoothing and calibration and draws it.
+ */
+function renderFrequencyResponse() {
+    if (!lastFrequencyResponse) return;
+    const { measurement } = lastFrequencyResponse;
+    const points = frequencyResponse.computeResponseCurve(measurement, ui.getFrequencyResponseSettings().smoothing,
+        calibration ? calibration.points : null);
+    lastFrequencyResponse.points = points;
+    ui.showFrequencyResponsePlot(true);
+    visualizer.drawFrequencyResponse(ui.uiElements.frequencyResponseCanvas(), points, measurement.sampleRate);
+}
+
+/**
+ * Handles the Measure/Cancel Frequency Response button.
+ */
+async function handleFrequencyResponseClick() {
+    if (frequencyResponse.getIsRunning()) {
+        frequencyResponse.cancelFrequencyResponse();
+        return;
+    }
+
+    const audioContext = audio.getAudioContext();
+    const sourceNode = audio.getSourceNode();
+    if (!audio.getIsMonitoring() || !audioContext || !sourceNode) {
+        ui.setFrequencyResponseStatus('frequencyResponseNeedsMonitoring', 'warning', {}, i18n.t);
+        return;
+    }
+    if (!frequencyResponse.isFrequencyResponseSupported()) {
+        ui.setFrequencyResponseStatus('frequencyResponseUnsupported', 'error', {}, i18n.t);
+        return;
+    }
+
+    ui.updateFrequencyResponseButton(true, i18n.t);
+    try {
+        const deviceLabel = getPrimaryLabel();
+        const measurement = await frequencyResponse.runFrequencyResponse(audioContext, sourceNode,
+            ui.getFrequencyResponseSettings(), (seconds) => {
+                ui.setFrequencyResponseStatus('frequencyResponseStep', 'info', { seconds }, i18n.t);
+            });
+        if (!measurement.valid) {
+            ui.setFrequencyResponseStatus(isEchoCancellationOn() ? 'frequencyResponseNoSignalEchoCancellation' : 'frequencyResponseNoSignal',
+                'error', {}, i18n.t);
+            return;
+        }
+        lastFrequencyResponse = { measurement, deviceLabel, measuredAt: new Date(), points: null };
+        renderFrequencyResponse();
+        const replacements = {
+            low: Math.round(measurement.startFrequency),
+            high: Math.round(measurement.endFrequency),
+            peak: measurement.peakDb.toFixed(1)
+        };
+        if (measurement.clipped) {
+            ui.setFrequencyResponseStatus('frequencyResponseClipped', 'warning', replacements, i18n.t);
+        } else {
+            ui.setFrequencyResponseStatus('frequencyResponseStatusDone', 'success', replacements, i18n.t);
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            ui.setFrequencyResponseStatus('frequencyResponseCancelled', 'info', {}, i18n.t);
+        } else {
+            console.error('Error measuring frequency response:', err);
+            ui.setFrequencyResponseStatus('frequencyResponseError', 'error', { errorName: err.name }, i18n.t);
+        }
+    } finally {
+        ui.updateFrequencyResponseButton(false, i18n.t);
+    }
+}
+
+/**
+ * Loads a reference microphone calibration file chosen in the file input.
+ * @param {Event} event - The input's change event.
+ */
+async function handleCalibrationFileChange(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+        const points = frequencyResponse.parseCalibration(await file.text());
+        if (points.length < 2) {
+            ui.setFrequencyResponseStatus('calibrationInvalid', 'error', { fileName: file.name }, i18n.t);
+            return;
+        }
+        calibration = { fileName: file.name, points };
+        console.log(`Calibration loaded from ${file.name}: ${points.length} points`);
+        ui.showCalibrationInfo(calibration, i18n.t);
+        renderFrequencyResponse();
+    } catch (err) {
+        console.error('Error reading calibration file:', err);
+        ui.setFrequencyResponseStatus('calibrationReadError', 'error', { fileName: file.name, errorName: err.name }, i18n.t);
+    }
+}
+
+/**
+ * Removes the calibration, so the plot shows the measurement as it is.
+ */
+function handleCalibrationClear() {
+    calibration = null;
+    ui.uiElements.calibrationFileInput().value = '';
+    ui.showCalibrationInfo(null, i18n.t);
+    renderFrequencyResponse();
+}
+
+/**
+ * Downloads the response curve as CSV.
+ */
+function handleFrequencyResponseCsvClick() {
+    if (!lastFrequencyResponse || !lastFrequencyResponse.points) return;
+    const { points, deviceLabel, measuredAt } = lastFrequencyResponse;
+    const blob = new Blob([frequencyResponse.buildCsv(points)], { type: 'text/csv;charset=utf-8' });
+    ui.downloadBlob(blob, encoders.buildRecordingFileName(deviceLabel, measuredAt, 'csv'));
+}
+
+/**
+ * Downloads the response plot as a PNG image.
+ */
+function handleFrequencyResponseImageClick() {
+    if (!lastFrequencyResponse) return;
+    const { deviceLabel, measuredAt } = lastFrequencyResponse;
+    ui.uiElements.frequencyResponseCanvas().toBlob(blob => {
+        if (blob) ui.downloadBlob(blob, encoders.buildRecordingFileName(deviceLabel, measuredAt, 'png'));
+    }, 'image/png');
+}
+
+// --- Distortion Test ---
+
+/**
+ * Handles the Run/Cancel Distortion Test button.
+ */
+async function handleDistortionTestClick() {
+    if (distortionTest.getIsRunning()) {
+        distortionTest.cancelDistortionTest();
+        return;
+    }
+
+    const audioContext = audio.getAudioContext();
+    const sourceNode = audio.getSourceNode();
+    if (!audio.getIsMonitoring() || !audioContext || !sourceNode) {
+        ui.setDistortionTestStatus('distortionNeedsMonitoring', 'warning', {}, i18n.t);
+        return;
+    }
+    if (!distortionTest.isDistortionTestSupported()) {
+        ui.setDistortionTestStatus('distortionUnsupported', 'error', {}, i18n.t);
+        return;
+    }
+
+    const settings = ui.getDistortionTestSettings();
+    const generated = settings.source === 'generated';
+    ui.showDistortionTestResults(null, i18n.t);
+    ui.updateDistortionTestButton(true, i18n.t);
+    try {
+        const results = await distortionTest.runDistortionTest(audioContext, sourceNode, audio.getChannelCount(), settings,
+            (seconds) => {
+                ui.setDistortionTestStatus(generated ? 'distortionStepGenerated' : 'distortionStepExternal', 'info', { seconds }, i18n.t);
+            });
+        if (!results.valid) {
+            ui.setDistortionTestStatus(generated && isEchoCancellationOn() ? 'distortionNoToneEchoCancellation' : 'distortionNoTone',
+                'error', {}, i18n.t);
+            return;
+        }
+        ui.showDistortionTestResults(results, i18n.t);
+        const markers = [results.fundamentalFrequency, ...results.harmonics.map(harmonic => harmonic.frequency)]
+            .map((frequency, index) => ({ frequency, label: `H${index + 1}` }));
+        visualizer.showSpectrumPlot(ui.uiElements.distortionSpectrumCanvas(), results.spectrumDb, results.sampleRate, markers);
+
+        const replacements = {
+            thd: (results.thdRatio * 100).toPrecision(3),
+            thdn: (results.thdnRatio * 100).toPrecision(3),
+            count: results.clippingEvents.length
+        };
+        if (results.clippingEvents.length > 0) {
+            ui.setDistortionTestStatus('distortionStatusClipped', 'warning', replacements, i18n.t);
+        } else {
+            ui.setDistortionTestStatus('distortionStatusDone', 'success', replacements, i18n.t);
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            ui.setDistortionTestStatus('distortionCancelled', 'info', {}, i18n.t);
+        } else {
+            console.error('Error running distortion test:', err);
+            ui.setDistortionTestStatus('distortionError', 'error', { errorName: err.name }, i18n.t);
+        }
+    } finally {
+        ui.updateDistortionTestButton(false, i18n.t);
+    }
+}
+
+// --- Diagnostic Report ---
+
+const REPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json', build: (data) => report.buildJson(data) },
+    markdown: { extension: 'md', mimeType: 'text/markdown;charset=utf-8', build: (data) => report.buildMarkdown(data, i18n.t) },
+    html: { extension: 'html', mimeType: 'text/html;charset=utf-8', build: (data) => report.buildHtml(data, i18n.t) }
+};
+
+/**
+ * Handles the Generate Report button: builds the report in the chosen format and saves it.
+ */
+function handleReportClick() {
+    const trackInfo = audio.getTrackInfo();
+    if (!audio.getIsMonitoring() || !trackInfo) {
+        ui.setReportStatus('reportNeedsMonitoring', 'warning', {}, i18n.t);
+        return;
+    }
+    const format = REPORT_FORMATS[ui.uiElements.reportFormatSelect().value] || REPORT_FORMATS.html;
+    try {
+        const deviceLabel = getPrimaryLabel();
+        const data = report.buildReport({
+            deviceLabel,
+            channelCount: audio.getChannelCount(),
+            audioContext: audio.getAudioContext(),
+            trackInfo,
+            requestedConstraints: constraints.getRequestedConstraints(),
+            unappliedConstraints: constraints.findUnappliedConstraints(trackInfo.settings, trackInfo.capabilities),
+            loudness: loudness.getLiveLoudness(),
+            noiseTest: lastNoiseTestResults,
+            latencyTest: lastLatencyTestResults,
+            spectrumCanvas: ui.uiElements.frequencyCanvas(),
+            timestamp: performance.now()
+        }, i18n.t);
+        const blob = new Blob([format.build(data)], { type: format.mimeType });
+        const fileName = encoders.buildRecordingFileName(deviceLabel, new Date(data.generatedAt), format.extension);
+        ui.downloadBlob(blob, fileName);
+        ui.setReportStatus('reportStatusDone', 'success', { fileName, issues: data.issues.length }, i18n.t);
+    } catch (err) {
+        console.error('Error generating report:', err);
+        ui.setReportStatus('reportStatusError', 'error', { errorName: err.name }, i18n.t);
+    }
+}
+
+// --- Troubleshooting Wizard ---
+
+/**
+ * Redraws the wizard from its current state.
+ */
+function renderWizard() {
+    const step = troubleshooter.getCurrentStep();
+    ui.renderWizard({
+        step,
+        stepIndex: troubleshooter.getStepIndex(),
+        stepCount: troubleshooter.WIZARD_STEPS.length,
+        results: troubleshooter.getResults(),
+        ...troubleshooter.getStepKeys(step, browserFamily),
+        progress: wizardProgress,
+        running: wizardBusy,
+        awaitingAnswer: wizardAwaitingAnswer
+    }, i18n.t);
+}
+
+/**
+ * Opens the wizard at the step for the last microphone error, if there was one.
+ */
+function showTroubleshooterForError() {
+    const error = audio.getLastError();
+    if (!error) return;
+    troubleshooter.applyError(error);
+    wizardAwaitingAnswer = false;
+    renderWizard();
+    ui.openTroubleshooter();
+}
+
+/**
+ * Starts monitoring for the checks that need a live input.
+ * @returns {Promise<boolean>} Whether monitoring is running.
+ */
+async function ensureWizardMonitoring() {
+    if (!audio.getIsMonitoring()) await handleStartStopClick();
+    return audio.getIsMonitoring();
+}
+
+/**
+ * Shows a countdown message while a check runs.
+ * @param {string} key - i18n key with a {seconds} placeholder.
+ * @returns {function(number)} Progress callback for the troubleshooter.
+ */
+function wizardCountdown(key) {
+    return (seconds) => {
+        wizardProgress = { key, replacements: { seconds } };
+        renderWizard();
+    };
+}
+
+/**
+ * Runs the check of one wizard step.
+ * @param {string} step - One of troubleshooter.WIZARD_STEPS.
+ * @returns {Promise<object | null>} The result, or null while waiting for the user's answer.
+ */
+async function runWizardCheck(step) {
+    if (step === 'permission') {
+        const result = await troubleshooter.checkPermission();
+        // Microphone names are only listed once access is granted
+        if (result.status === 'pass' && !audio.getIsMonitoring()) await audio.enumerateDevices(i18n.t);
+        return result;
+    }
+    if (step === 'device') {
+        await ensureWizardMonitoring();
+        return troubleshooter.checkDevice({
+            devices: audio.getKnownDevices(),
+            isMonitoring: audio.getIsMonitoring(),
+            lastError: audio.getLastError(),
+            label: getPrimaryLabel()
+        });
+    }
+
+    if (!await ensureWizardMonitoring()) return { status: 'fail', key: 'wizardNeedsMicrophone' };
+    const audioContext = audio.getAudioContext();
+    const sourceNode = audio.getSourceNode();
+    if (step === 'playback') {
+        const recorded = await troubleshooter.recordPlaybackSample(audioContext, sourceNode, audio.getChannelCount(),
+            wizardCountdown('wizardRecordingSample'));
+        if (!recorded) return { status: 'warn', key: 'wizardPlaybackUnsupported' };
+        wizardProgress = { key: 'wizardPlayingSample', replacements: {} };
+        renderWizard();
+        await troubleshooter.playPlaybackSample(audioContext);
+        wizardProgress = { key: 'wizardPlaybackQuestion', replacements: {} };
+        wizardAwaitingAnswer = true;
+        return null;
+    }
+
+    const countdownKeys = { signal: 'wizardMeasuringSignal', level: 'wizardMeasuringLevel', noise: 'wizardMeasuringNoise' };
+    const measurement = await troubleshooter.measureInput(audioContext, sourceNode, wizardCountdown(countdownKeys[step]));
+    if (step === 'signal') return troubleshooter.gradeSignal(measurement, audio.getTrackMuted());
+    if (step === 'level') return troubleshooter.gradeLevel(measurement);
+    return troubleshooter.gradeNoise(measurement, ui.getNoiseTestSettings().thresholds);
+}
+
+/**
+ * Handles the wizard's Run Check button.
+ */
+async function handleWizardCheckClick() {
+    const step = troubleshooter.getCurrentStep();
+    wizardBusy = true;
+    wizardAwaitingAnswer = false;
+    renderWizard();
+    try {
+        const result = await runWizardCheck(step);
+        if (result) troubleshooter.setResult(step, result.status, result.key, result.replacements);
+    } catch (err) {
+        if (err.name !== 'AbortError') {
+            console.error('Troubleshooter check failed:', err);
+            troubleshooter.setResult(step, 'fail', 'wizardCheckError', { errorName: err.name });
+        }
+    } finally {
+        wizardBusy = false;
+        if (!wizardAwaitingAnswer) wizardProgress = null;
+        renderWizard();
+    }
+}
+
+/**
+ * Handles the Yes/No answer to the playback check.
+ * @param {boolean} soundedRight
+ */
+function handleWizardAnswer(soundedRight) {
+    troubleshooter.setResult('playback', soundedRight ? 'pass' : 'fail', soundedRight ? 'wizardPlaybackPass' : 'wizardPlaybackFail');
+    wizardAwaitingAnswer = false;
+    wizardProgress = null;
+    renderWizard();
+}
+
+/**
+ * Moves the wizard one step back or forward.
+ * @param {number} offset - -1 or 1.
+ */
+function handleWizardNavigate(offset) {
+    troubleshooter.stopPlayback();
+    troubleshooter.goToStep(troubleshooter.getStepIndex() + offset);
+    wizardAwaitingAnswer = false;
+    wizardProgress = null;
+    renderWizard();
+}
+
+/**
+ * Handles the wizard's Start Over button.
+ */
+function handleWizardRestart() {
+    troubleshooter.resetWizard();
+    wizardAwaitingAnswer = false;
+    wizardProgress = null;
+    renderWizard();
+}
+
+// --- Dual Microphone Comparison ---
+
+/**
+ * Label of the main microphone, for the comparison panel and the report.
+ * @returns {string}
+ */
+function getPrimaryLabel() {
+    const device = audio.getDeviceInfo(ui.uiElements.micSelect().value);
+    return device ? device.label : '';
+}
+
+/**
+ * Stops the second microphone (if running) and resets the comparison panel.
+ * A dual recording in progress is finished and kept.
+ */
+async function stopDualMonitoring() {
+    if (!dualMonitor.getIsActive()) return;
+    const kept = dualMonitor.getIsRecording() && await finishDualRecording();
+    audio.closeExtraSession(await dualMonitor.stopSecondDevice());
+    ui.showDualView(null, i18n.t);
+    ui.updateDualControls(false, false, i18n.t);
+    if (!kept) ui.setDualStatus('dualStatusStopped', 'info', {}, i18n.t);
+}
+
+/**
+ * Opens the microphone chosen in the comparison panel next to the main one.
+ */
+async function startDualMonitoring() {
+    const deviceId = ui.uiElements.dualMicSelect().value;
+    const primarySession = audio.getSession();
+    if (!audio.getIsMonitoring() || !primarySession) {
+        ui.setDualStatus('dualNeedsMonitoring', 'warning', {}, i18n.t);
+        return;
+    }
+    if (!deviceId || deviceId === ui.uiElements.micSelect().value) {
+        ui.setDualStatus('dualSameDevice', 'warning', {}, i18n.t);
+        return;
+    }
+
+    ui.setDualStatus('dualStatusStarting', 'info', {}, i18n.t);
+    let secondSession = null;
+    try {
+        secondSession = await audio.openExtraSession(deviceId);
+        dualMonitor.startSecondDevice(primarySession, secondSession, deviceId);
+    } catch (err) {
+        audio.closeExtraSession(secondSession);
+        console.error('Error starting the second microphone:', err);
+        ui.setDualStatus('dualStatusError', 'error', { errorName: err.name }, i18n.t);
+        return;
+    }
+    const labels = { a: getPrimaryLabel(), b: dualMonitor.getSecondLabel() };
+    ui.showDualView(labels, i18n.t);
+    ui.updateDualControls(true, false, i18n.t);
+    ui.setDualStatus('dualStatusRunning', 'success', {
+        micA: labels.a || i18n.t('dualUnnamedMic'),
+        micB: labels.b || i18n.t('dualUnnamedMic')
+    }, i18n.t);
+}
+
+/**
+ * Handles the Start/Stop Second Microphone button.
+ */
+async function handleDualStartClick() {
+    if (dualMonitor.getIsActive()) {
+        await stopDualMonitoring();
+    } else {
+        await startDualMonitoring();
+    }
+}
+
+/**
+ * Handles a change of the second microphone: switches over if one is running.
+ */
+async function handleDualMicChange() {
+    if (!dualMonitor.getIsActive()) return;
+    await stopDualMonitoring();
+    await startDualMonitoring();
+}
+
+/**
+ * Handles the loss of the second microphone.
+ * @param {string} label - Label of the lost device.
+ */
+async function handleSecondDeviceLost(label) {
+    await stopDualMonitoring();
+    ui.setDualStatus('dualStatusLost', 'warning', { micName: label || i18n.t('dualUnnamedMic') }, i18n.t);
+}
+
+/**
+ * Stops the dual recording and offers both takes for download.
+ * @returns {Promise<boolean>} True if anything was recorded.
+ */
+async function finishDualRecording() {
+    const labels = { a: getPrimaryLabel(), b: dualMonitor.getSecondLabel() };
+    const recorded = await dualMonitor.stopDualRecording();
+    ui.updateDualControls(dualMonitor.getIsActive(), false, i18n.t);
+    if (!recorded) {
+        ui.setDualStatus('dualRecordEmpty', 'warning', {}, i18n.t);
+        return false;
+    }
+    dualRecording = { ...recorded, labels };
+    ui.showDualDownloads(labels, i18n.t);
+    const seconds = (recorded.a.channels[0].length / recorded.a.sampleRate).toFixed(1);
+    ui.setDualStatus('dualRecordFinished', 'success', { seconds }, i18n.t);
+    return true;
+}
+
+/**
+ * Handles the Record Both / Stop button.
+ */
+async function handleDualRecordClick() {
+    if (dualMonitor.getIsRecording()) {
+        await finishDualRecording();
+        return;
+    }
+
+    if (!dualMonitor.isDualRecordingSupported()) {
+        ui.setDualStatus('dualRecordUnsupported', 'error', {}, i18n.t);
+        return;
+    }
+    try {
+        await dualMonitor.startDualRecording();
+        ui.updateDualControls(true, true, i18n.t);
+        ui.setDualStatus('dualRecordingStatus', 'info', {}, i18n.t);
+    } catch (err) {
+        console.error('Error starting the dual recording:', err);
+        ui.setDualStatus('dualRecordError', 'error', { errorName: err.name }, i18n.t);
+    }
+}
+
+/**
+ * Downloads one side of the last dual recording as a 24-bit WAV file.
+ * @param {string} side - 'a' or 'b'.
+ */
+function handleDualDownload(side) {
+    if (!dualRecording) return;
+    const { channels, sampleRate } = dualRecording[side];
+    const blob = encoders.encodeWav(channels, sampleRate, 24);
+    ui.downloadBlob(blob, encoders.buildRecordingFileName(dualRecording.labels[side], dualRecording.startedAt, 'wav'));
+}
+
 /**
  * Sets up all event listeners for UI controls.
  */
 function setupEventListeners() {
     ui.uiElements.startStopButton()?.addEventListener('click', handleStartStopClick);
     ui.uiElements.recordButton()?.addEventListener('click', handleRecordClick);
+    ui.uiElements.downloadRecordingButton()?.addEventListener('click', handleDownloadClick);
+    ui.uiElements.libraryBody()?.addEventListener('click', handleLibraryClick);
+    ui.uiElements.libraryBody()?.addEventListener('change', handleCompareSelectionChange);
+    ui.uiElements.comparePlayAButton()?.addEventListener('click', () => handleComparePlay('a'));
+    ui.uiElements.comparePlayBButton()?.addEventListener('click', () => handleComparePlay('b'));
+    ui.uiElements.compareStopButton()?.addEventListener('click', handleCompareStop);
+    ui.uiElements.matchLoudnessCheckbox()?.addEventListener('change', handleMatchLoudnessChange);
+    ui.uiElements.inspectorPlayButton()?.addEventListener('click', handleInspectorPlayClick);
+    ui.uiElements.inspectorZoomInButton()?.addEventListener('click', inspector.zoomIn);
+    ui.uiElements.inspectorZoomOutButton()?.addEventListener('click', inspector.zoomOut);
+    ui.uiElements.inspectorZoomSelectionButton()?.addEventListener('click', inspector.zoomToSelection);
+    ui.uiElements.inspectorShowAllButton()?.addEventListener('click', inspector.showAll);
     ui.uiElements.micSelect()?.addEventListener('change', handleMicChange);
+    ui.uiElements.micFallbackButton()?.addEventListener('click', handleMicFallbackClick);
+    ui.uiElements.autoStartCheckbox()?.addEventListener('change', handleAutoStartChange);
     ui.uiElements.themeToggleButton()?.addEventListener('click', theme.toggleTheme);
+    ui.uiElements.constraintInputs().forEach(input => input.addEventListener('change', handleConstraintChange));
+    ui.uiElements.ballisticsSelect()?.addEventListener('change', handleBallisticsChange);
+    ui.uiElements.meterTapSelect()?.addEventListener('change', handleMeterTapChange);
+    ui.uiElements.processingInputs().forEach(input => {
+        input.addEventListener(input.type === 'range' ? 'input' : 'change', handleProcessingInput);
+    });
+    ui.uiElements.listenToggle()?.addEventListener('change', handleListenChange);
+    ui.uiElements.clipIndicator()?.addEventListener('click', handleClipIndicatorClick);
+    ui.uiElements.loudnessPresetSelect()?.addEventListener('change', handleLoudnessPresetChange);
+    ui.uiElements.loudnessResetButton()?.addEventListener('click', handleLoudnessResetClick);
+    ui.uiElements.stabilityResetButton()?.addEventListener('click', handleStabilityResetClick);
+    ui.uiElements.stabilityExportButton()?.addEventListener('click', handleStabilityExportClick);
+    ui.uiElements.noiseTestButton()?.addEventListener('click', handleNoiseTestClick);
+    ui.uiElements.latencyTestButton()?.addEventListener('click', handleLatencyTestClick);
+    ui.uiElements.frequencyResponseButton()?.addEventListener('click', handleFrequencyResponseClick);
+    ui.uiElements.frequencyResponseSmoothingSelect()?.addEventListener('change', renderFrequencyResponse);
+    ui.uiElements.calibrationFileInput()?.addEventListener('change', handleCalibrationFileChange);
+    ui.uiElements.calibrationClearButton()?.addEventListener('click', handleCalibrationClear);
+    ui.uiElements.frequencyResponseCsvButton()?.addEventListener('click', handleFrequencyResponseCsvClick);
+    ui.uiElements.frequencyResponseImageButton()?.addEventListener('click', handleFrequencyResponseImageClick);
+    ui.uiElements.distortionTestButton()?.addEventListener('click', handleDistortionTestClick);
+    ui.uiElements.distortionSourceSelect()?.addEventListener('change', ui.updateDistortionSourceControls);
+    ui.uiElements.reportButton()?.addEventListener('click', handleReportClick);
+    ui.uiElements.wizardCheckButton()?.addEventListener('click', handleWizardCheckClick);
+    ui.uiElements.wizardYesButton()?.addEventListener('click', () => handleWizardAnswer(true));
+    ui.uiElements.wizardNoButton()?.addEventListener('click', () => handleWizardAnswer(false));
+    ui.uiElements.wizardBackButton()?.addEventListener('click', () => handleWizardNavigate(-1));
+    ui.uiElements.wizardNextButton()?.addEventListener('click', () => handleWizardNavigate(1));
+    ui.uiElements.wizardRestartButton()?.addEventListener('click', handleWizardRestart);
+    ui.uiElements.updateReloadButton()?.addEventListener('click', offline.applyUpdate);
+    ui.uiElements.updateDismissButton()?.addEventListener('click', () => ui.showUpdatePrompt(false));
+    ui.uiElements.dualStartButton()?.addEventListener('click', handleDualStartClick);
+    ui.uiElements.dualMicSelect()?.addEventListener('change', handleDualMicChange);
+    ui.uiElements.dualRecordButton()?.addEventListener('click', handleDualRecordClick);
+    ui.uiElements.dualDownloadAButton()?.addEventListener('click', () => handleDualDownload('a'));
+    ui.uiElements.dualDownloadBButton()?.addEventListener('click', () => handleDualDownload('b'));
+    ui.uiElements.spectrumGridSelect()?.addEventListener('change', handleSpectrumGridChange);
+    ui.uiElements.spectrumPeakHoldCheckbox()?.addEventListener('change', handleSpectrumPeakHoldChange);
+    ui.uiElements.spectrumAverageCheckbox()?.addEventListener('change', handleSpectrumAverageChange);
+    ui.uiElements.toneDetectionCheckbox()?.addEventListener('change', handleToneDetectionChange);
+    ui.uiElements.voiceAnalysisCheckbox()?.addEventListener('change', handleVoiceAnalysisChange);
+    ui.uiElements.colormapSelect()?.addEventListener('change', handleColormapChange);
+    ui.uiElements.spectrumFftSizeSelect()?.addEventListener('change', handleSpectrumSettingsInput);
+    ui.uiElements.spectrumWindowSelect()?.addEventListener('change', handleSpectrumSettingsInput);
+    ui.uiElements.spectrumSmoothingInput()?.addEventListener('input', handleSpectrumSettingsInput);
+    ui.uiElements.spectrumMinDbInput()?.addEventListener('input', handleSpectrumSettingsInput);
+    ui.uiElements.spectrumMaxDbInput()?.addEventListener('input', handleSpectrumSettingsInput);
+    ui.uiElements.spectrogramFloorInput()?.addEventListener('input', handleSpectrogramRangeInput);
+    ui.uiElements.spectrogramCeilingInput()?.addEventListener('input', handleSpectrogramRangeInput);
+    ui.uiElements.spectrogramPauseButton()?.addEventListener('click', handleSpectrogramPauseClick);
+    // Registered after the handlers above, so the saved settings include the change
+    ui.getViewSettingControls().forEach(({ element, eventType }) => element.addEventListener(eventType, saveDeviceSettings));
     // Language switcher listener is set up within i18n.initI18n
 }
 
@@ -110,6 +1483,10 @@ async function init() {
     console.log("Mic Analyzer Initializing...");
     theme.initTheme(); // Initialize theme first
     visualizer.initVisualizer(); // Initialize canvas contexts
+    spectrogram.initSpectrogram();
+    channels.initChannelViews();
+    voice.initVoiceView();
+    inspector.initInspector();
     visualizer.clearVisualizations(); // Clear initially
 
     // Initialize i18n - this loads translations and sets up the language switcher
@@ -117,11 +1494,34 @@ async function init() {
 
     // Now that translations are loaded, populate device list
     await audio.enumerateDevices(i18n.t); // Pass translation function
+    audio.watchDeviceChanges(i18n.t);
+    renderWizard();
+    showTroubleshooterForError();
 
     setupEventListeners(); // Setup listeners after elements are potentially translated
+    ui.showTrackSettings(null, constraints.getRequestedConstraints(), i18n.t);
+    ui.updateDistortionSourceControls(); // The browser may have restored the tone source on reload
+    handleSpectrumSettingsInput(); // Same for the spectrum controls
+    audio.setAnalysisFrameCallback(analyseFrame);
+    audio.setRecordingFinishedCallback(handleRecordingFinished);
+    audio.setDeviceLostCallback(handleDeviceLost);
+    dualMonitor.setSecondDeviceLostCallback(handleSecondDeviceLost);
+    inspector.setSelectionChangeCallback(showInspectorAnalysis);
+    inspector.setPlaybackChangeCallback(isPlaying => ui.updateInspectorPlayButton(isPlaying, i18n.t));
+    await initLibrary();
+
+    // The noise gate runs in an AudioWorklet
+    ui.uiElements.gateToggle().disabled = typeof window.AudioWorkletNode !== 'function';
+    restoreDeviceSettings(ui.uiElements.micSelect().value);
+    const autoStart = devicePrefs.getAutoStart();
+    ui.uiElements.autoStartCheckbox().checked = autoStart;
 
     // Update initial button states based on default (not monitoring, not recording)
     ui.updateButtonStates(false, false, ('MediaRecorder' in window), i18n.t);
+    if (autoStart) await autoStartMonitoring();
+
+    // Caches the app for offline use; runs last so it never delays the microphone
+    offline.registerServiceWorker(() => ui.showUpdatePrompt(true));
 
     console.log("Mic Analyzer Initialized.");
 }
@@ -0,0 +1,135 @@
+// js/metering.js
+import {
+    PEAK_HOLD_MS,
+    PEAK_HOLD_DECAY_DB_PER_SEC,
+    CLIP_THRESHOLD,
+    CLIP_MIN_CONSECUTIVE_SAMPLES,
+    DEFAULT_BALLISTICS,
+    METER_BALLISTICS
+} from './config.js';
+import { createTruePeakDetector } from './loudness.js';
+
+// --- State Variables ---
+let ballistics = DEFAULT_BALLISTICS;
+let meterLevel = 0; // Smoothed linear level driving the meter bar
+let peakHoldDb = -Infinity;
+let peakHoldTime = 0;
+let clipDetected = false; // Sticky until resetClip() is called
+let lastTimestamp = null;
+let truePeakDetector = null;
+let truePeakSampleRate = null; // The rate truePeakDetector was made for
+
+// --- Getters ---
+export const getBallistics = () => ballistics;
+export const getClipDetected = () => clipDetected;
+
+/**
+ * Converts a linear amplitude (1.0 = full scale) to dBFS.
+ * @param {number} value - Linear amplitude.
+ * @returns {number} Level in dBFS, or -Infinity for silence.
+ */
+export function linearToDbfs(value) {
+    return value > 0 ? 20 * Math.log10(value) : -Infinity;
+}
+
+/**
+ * Selects the meter ballistics.
+ * @param {string} mode - One of the keys of METER_BALLISTICS ('vu', 'ppm', 'fast').
+ */
+export function setBallistics(mode) {
+    if (!METER_BALLISTICS[mode]) {
+        console.warn(`Unknown meter ballistics: ${mode}`);
+        return;
+    }
+    ballistics = mode;
+    console.log(`Meter ballistics set to: ${mode}`);
+}
+
+/**
+ * Clears the sticky clip indicator.
+ */
+export function resetClip() {
+    clipDetected = false;
+}
+
+/**
+ * Resets all meter state (smoothing, peak hold and clip indicator).
+ */
+export function resetMeter() {
+    meterLevel = 0;
+    peakHoldDb = -Infinity;
+    peakHoldTime = 0;
+    clipDetected = false;
+    lastTimestamp = null;
+}
+
+/**
+ * Measures a block of float samples and advances the meter ballistics. The peak is the block's
+ * 4x-oversampled true peak (dBTP); the fast ballistics follow the sample peak.
+ * @param {Float32Array} samples - Time domain samples in the range -1..1.
+ * @param {number} timestamp - Current time in milliseconds (e.g. the rAF timestamp).
+ * @param {number} sampleRate - Sample rate of the samples, for the true-peak oversampling.
+ * @returns {{rmsDb: number, peakDb: number, meterDb: number, peakHoldDb: number, clipped: boolean}}
+ */
+export function processSamples(samples, timestamp, sampleRate) {
+    let sumSquares = 0;
+    let peak = 0;
+    let fullScaleRun = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        const value = samples[i];
+        const magnitude = Math.abs(value);
+        sumSquares += value * value;
+        if (magnitude > peak) {
+            peak = magnitude;
+        }
+        // A single full-scale sample can be legitimate; a run of them means the converter clipped
+        if (magnitude >= CLIP_THRESHOLD) {
+            fullScaleRun++;
+            if (fullScaleRun >= CLIP_MIN_CONSECUTIVE_SAMPLES) {
+                clipDetected = true;
+            }
+        } else {
+            fullScaleRun = 0;
+        }
+    }
+
+    const rms = samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0;
+    // Each block is measured on its own: the analysis frames overlap, or (without a sample
+    // stream) are not consecutive at all
+    if (sampleRate !== truePeakSampleRate) {
+        truePeakDetector = createTruePeakDetector(sampleRate);
+        truePeakSampleRate = sampleRate;
+    }
+    truePeakDetector.reset();
+    const truePeak = truePeakDetector.process(samples);
+    const elapsedMs = lastTimestamp === null ? 0 : Math.max(0, timestamp - lastTimestamp);
+    lastTimestamp = timestamp;
+
+    // Ballistics: one-pole smoothing towards the selected source level
+    const { source, attackMs, releaseMs } = METER_BALLISTICS[ballistics];
+    const target = source === 'peak' ? peak : rms;
+    const timeConstantMs = target > meterLevel ? attackMs : releaseMs;
+    if (timeConstantMs > 0) {
+        meterLevel += (target - meterLevel) * (1 - Math.exp(-elapsedMs / timeConstantMs));
+    } else {
+        meterLevel = target;
+    }
+
+    // Peak hold: latch new maxima, then decay once the hold time has passed
+    const peakDb = linearToDbfs(truePeak);
+    if (peakDb >= peakHoldDb) {
+        peakHoldDb = peakDb;
+        peakHoldTime = timestamp;
+    } else if (timestamp - peakHoldTime > PEAK_HOLD_MS) {
+        peakHoldDb = Math.max(peakDb, peakHoldDb - PEAK_HOLD_DECAY_DB_PER_SEC * elapsedMs / 1000);
+    }
+
+    return {
+        rmsDb: linearToDbfs(rms),
+        peakDb,
+        meterDb: linearToDbfs(meterLevel),
+        peakHoldDb,
+        clipped: clipDetected
+    };
+}
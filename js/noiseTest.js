@@ -0,0 +1,205 @@
+// js/noiseTest.js
+import { NOISE_TEST_FFT_SIZE, NOISE_TEST_SPEECH_GATE_DB } from './config.js';
+import { linearToDbfs } from './metering.js';
+
+// --- State Variables ---
+let isRunning = false;
+let cancelRequested = false;
+let timerId = null;
+
+// --- Getters ---
+export const getIsRunning = () => isRunning;
+
+/**
+ * A-weighting gain at a given frequency (IEC 61672-1).
+ * @param {number} frequency - Frequency in Hz.
+ * @returns {number} Gain in dB (0 dB at 1 kHz).
+ */
+export function aWeightingDb(frequency) {
+    const f2 = frequency * frequency;
+    const numerator = Math.pow(12194, 2) * f2 * f2;
+    const denominator = (f2 + Math.pow(20.6, 2)) *
+        Math.sqrt((f2 + Math.pow(107.7, 2)) * (f2 + Math.pow(737.9, 2))) *
+        (f2 + Math.pow(12194, 2));
+    return 20 * Math.log10(numerator / denominator) + 2.0;
+}
+
+/**
+ * Grades a measurement against pass/warn limits.
+ * @param {number} value - The measured value.
+ * @param {number} passLimit - Limit for a pass.
+ * @param {number} warnLimit - Limit for a warning; anything beyond fails.
+ * @param {boolean} higherIsBetter - True for SNR, false for noise levels.
+ * @returns {string} 'pass', 'warn' or 'fail'.
+ */
+export function gradeMeasurement(value, passLimit, warnLimit, higherIsBetter) {
+    if (!Number.isFinite(value)) {
+        // -Infinity: digital silence is a perfect noise floor but leaves no measurable SNR
+        const isBest = higherIsBetter ? value > 0 : value < 0;
+        return isBest ? 'pass' : 'fail';
+    }
+    if (higherIsBetter) {
+        if (value >= passLimit) return 'pass';
+        return value >= warnLimit ? 'warn' : 'fail';
+    }
+    if (value <= passLimit) return 'pass';
+    return value <= warnLimit ? 'warn' : 'fail';
+}
+
+/**
+ * Measures one analysis block.
+ * @param {AnalyserNode} analyser - The test analyser.
+ * @param {Float32Array} timeBuffer - Scratch buffer for time domain data.
+ * @param {Float32Array} freqBuffer - Scratch buffer for frequency data.
+ * @param {Float32Array} weights - Linear A-weighting power gain per bin.
+ * @returns {{power: number, spectralPower: number, weightedSpectralPower: number}}
+ */
+function measureBlock(analyser, timeBuffer, freqBuffer, weights) {
+    analyser.getFloatTimeDomainData(timeBuffer);
+    analyser.getFloatFrequencyData(freqBuffer);
+
+    let sumSquares = 0;
+    for (let i = 0; i < timeBuffer.length; i++) {
+        sumSquares += timeBuffer[i] * timeBuffer[i];
+    }
+
+    let spectralPower = 0;
+    let weightedSpectralPower = 0;
+    for (let bin = 0; bin < freqBuffer.length; bin++) {
+        const binPower = Math.pow(10, freqBuffer[bin] / 10);
+        spectralPower += binPower;
+        weightedSpectralPower += binPower * weights[bin];
+    }
+
+    return { power: sumSquares / timeBuffer.length, spectralPower, weightedSpectralPower };
+}
+
+/**
+ * Collects analysis blocks for a fixed time, reporting the seconds left.
+ * @param {AnalyserNode} analyser - The test analyser.
+ * @param {Float32Array} weights - Linear A-weighting power gain per bin.
+ * @param {number} durationSec - How long to capture.
+ * @param {string} phase - 'noise' or 'speech', passed to onProgress.
+ * @param {function} onProgress - Called with (phase, secondsLeft).
+ * @returns {Promise<object[]>} The measured blocks.
+ */
+function capturePhase(analyser, weights, durationSec, phase, onProgress) {
+    const timeBuffer = new Float32Array(analyser.fftSize);
+    const freqBuffer = new Float32Array(analyser.frequencyBinCount);
+    // One block per analyser window, so consecutive blocks barely overlap
+    const blockIntervalMs = analyser.fftSize / analyser.context.sampleRate * 1000;
+
+    return new Promise((resolve, reject) => {
+        const blocks = [];
+        const startTime = performance.now();
+        onProgress(phase, Math.ceil(durationSec));
+
+        timerId = setInterval(() => {
+            if (cancelRequested) {
+                clearInterval(timerId);
+                timerId = null;
+                reject(new DOMException('Noise test cancelled', 'AbortError'));
+                return;
+            }
+            blocks.push(measureBlock(analyser, timeBuffer, freqBuffer, weights));
+            const elapsedSec = (performance.now() - startTime) / 1000;
+            onProgress(phase, Math.max(0, Math.ceil(durationSec - elapsedSec)));
+            if (elapsedSec >= durationSec) {
+                clearInterval(timerId);
+                timerId = null;
+                resolve(blocks);
+            }
+        }, blockIntervalMs);
+    });
+}
+
+/**
+ * Power-averages a set of blocks.
+ * @param {object[]} blocks - Blocks from measureBlock().
+ * @returns {{levelDb: number, aWeightedDb: number}}
+ */
+function summarizeBlocks(blocks) {
+    let power = 0;
+    let spectralPower = 0;
+    let weightedSpectralPower = 0;
+    blocks.forEach(block => {
+        power += block.power;
+        spectralPower += block.spectralPower;
+        weightedSpectralPower += block.weightedSpectralPower;
+    });
+    const meanPower = blocks.length > 0 ? power / blocks.length : 0;
+    const levelDb = linearToDbfs(Math.sqrt(meanPower));
+    // The spectrum only supplies the weighting ratio, so the result keeps the time-domain calibration
+    const weightingDb = spectralPower > 0 ? 10 * Math.log10(weightedSpectralPower / spectralPower) : 0;
+    return { levelDb, aWeightedDb: levelDb + weightingDb };
+}
+
+/**
+ * Runs the two-phase noise floor and SNR test on the live input.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {MediaStreamAudioSourceNode} sourceNode - The microphone source.
+ * @param {{durationSec: number, thresholds: object}} settings - Phase length and grading limits.
+ * @param {function} onProgress - Called with (phase, secondsLeft) while capturing.
+ * @returns {Promise<object>} The measurements and their grades.
+ */
+export async function runNoiseTest(audioContext, sourceNode, settings, onProgress) {
+    if (isRunning) throw new Error('Noise test already running');
+    isRunning = true;
+    cancelRequested = false;
+
+    // A dedicated, unsmoothed analyser so the test does not depend on the display settings
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = NOISE_TEST_FFT_SIZE;
+    analyser.smoothingTimeConstant = 0;
+    sourceNode.connect(analyser);
+
+    const binWidth = audioContext.sampleRate / analyser.fftSize;
+    const weights = new Float32Array(analyser.frequencyBinCount);
+    for (let bin = 1; bin < weights.length; bin++) { // DC stays at zero weight
+        weights[bin] = Math.pow(10, aWeightingDb(bin * binWidth) / 10);
+    }
+
+    try {
+        const noiseBlocks = await capturePhase(analyser, weights, settings.durationSec, 'noise', onProgress);
+        const speechBlocks = await capturePhase(analyser, weights, settings.durationSec, 'speech', onProgress);
+
+        const noise = summarizeBlocks(noiseBlocks);
+        // Only count blocks that clearly rise above the noise as speech, so pauses don't drag the level down
+        const gatePower = Math.pow(10, (noise.levelDb + NOISE_TEST_SPEECH_GATE_DB) / 10);
+        const activeBlocks = speechBlocks.filter(block => block.power > gatePower);
+        const speech = summarizeBlocks(activeBlocks);
+        const speechDetected = activeBlocks.length > 0;
+        const snrDb = speechDetected ? speech.levelDb - noise.levelDb : -Infinity;
+
+        const { thresholds } = settings;
+        const noiseFloorGrade = gradeMeasurement(noise.levelDb, thresholds.noiseFloorPassDb, thresholds.noiseFloorWarnDb, false);
+        const snrGrade = gradeMeasurement(snrDb, thresholds.snrPassDb, thresholds.snrWarnDb, true);
+        const grades = ['pass', 'warn', 'fail'];
+        const overallGrade = grades[Math.max(grades.indexOf(noiseFloorGrade), grades.indexOf(snrGrade))];
+
+        const results = {
+            noiseFloorDb: noise.levelDb,
+            noiseAWeightedDb: noise.aWeightedDb,
+            speechLevelDb: speechDetected ? speech.levelDb : -Infinity,
+            snrDb,
+            speechDetected,
+            grades: { noiseFloor: noiseFloorGrade, snr: snrGrade, overall: overallGrade }
+        };
+        console.log("Noise test results:", results);
+        return results;
+    } finally {
+        try {
+            sourceNode.disconnect(analyser);
+        } catch (e) {
+            // Source may already be gone if monitoring stopped mid-test
+        }
+        isRunning = false;
+    }
+}
+
+/**
+ * Requests cancellation of a running test. runNoiseTest rejects with an AbortError.
+ */
+export function cancelNoiseTest() {
+    if (isRunning) cancelRequested = true;
+}
@@ -0,0 +1,75 @@
+// js/offline.js
+import { SERVICE_WORKER_UPDATE_CHECK_MS } from './config.js';
+
+// sw.js sits at the site root, one level above this module, whichever page loaded it
+const SERVICE_WORKER_URL = new URL('../sw.js', import.meta.url);
+
+// --- State Variables ---
+let registration = null;
+let updateRequested = false; // Reload once the new service worker takes over
+let updateCheckTimerId = null;
+
+// --- Getters ---
+export const isOfflineSupported = () => 'serviceWorker' in navigator;
+export const getIsUpdateWaiting = () => Boolean(registration && registration.waiting);
+
+/**
+ * Registers the service worker that caches the app for offline use, and watches for new versions.
+ * Not supported or not allowed (e.g. on file:// or plain http) simply means no offline support.
+ * @param {function()} onUpdateReady - Called when a new version is installed and waiting for a reload.
+ * @returns {Promise<void>}
+ */
+export async function registerServiceWorker(onUpdateReady) {
+    if (!isOfflineSupported()) {
+        console.log('Service workers not supported; offline use unavailable');
+        return;
+    }
+    try {
+        registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    } catch (err) {
+        console.warn('Service worker registration failed:', err);
+        return;
+    }
+    console.log(`Service worker registered for scope: ${registration.scope}`);
+
+    // A new version may have been installed on an earlier visit while this one was still open
+    if (registration.waiting && navigator.serviceWorker.controller) onUpdateReady();
+
+    registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.addEventListener('statechange', () => {
+            if (installing.state !== 'installed') return;
+            // Without a controller this is the first install: everything is cached, nothing to update
+            if (navigator.serviceWorker.controller) {
+                console.log('New version installed and waiting');
+                onUpdateReady();
+            } else {
+                console.log('App cached for offline use');
+            }
+        });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // The first install also claims the page; only reload when the user asked for the update
+        if (updateRequested) window.location.reload();
+    });
+
+    // Tabs left open for days would otherwise only notice a new version on the next navigation
+    clearInterval(updateCheckTimerId);
+    updateCheckTimerId = setInterval(() => {
+        registration.update().catch(err => console.log('Service worker update check failed:', err.name));
+    }, SERVICE_WORKER_UPDATE_CHECK_MS);
+}
+
+/**
+ * Switches to the waiting version; the page reloads once it has taken over.
+ */
+export function applyUpdate() {
+    if (!getIsUpdateWaiting()) {
+        window.location.reload();
+        return;
+    }
+    updateRequested = true;
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,129 @@
+// js/pcmRecorder.js
+import { PCM_CAPTURE_BLOCK_FRAMES } from './config.js';
+import { loadWorkletNode, connectSink } from './workletLoader.js';
+
+const PROCESSOR_URL = new URL('./worklets/pcmCaptureProcessor.js', import.meta.url);
+const FLUSH_TIMEOUT_MS = 1000; // Give up waiting for the processor (e.g. the context was suspended)
+
+// --- State Variables ---
+let recordingCapture = null; // Capture behind startPcmCapture()/stopPcmCapture()
+
+// --- Getters ---
+export const isPcmCaptureSupported = () => typeof window.AudioWorkletNode === 'function';
+export const getIsCapturing = () => recordingCapture !== null;
+
+/**
+ * Connects a new capture node to a source.
+ * @param {AudioContext} audioContext
+ * @param {AudioNode} sourceNode
+ * @param {number} channelCount
+ * @param {number} blockFrames - Frames collected before each post to the main thread.
+ * @returns {Promise<AudioWorkletNode>}
+ */
+async function createCaptureNode(audioContext, sourceNode, channelCount, blockFrames) {
+    const node = await loadWorkletNode(audioContext, PROCESSOR_URL, 'pcm-capture-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount,
+        channelCountMode: 'explicit', // Keep the channel layout as delivered, no up/down-mixing
+        channelInterpretation: 'discrete',
+        processorOptions: { channelCount, blockFrames }
+    });
+    connectSink(sourceNode, node);
+    return node;
+}
+
+/**
+ * Starts an independent capture of the raw samples of a source node.
+ * Several captures can run at once (e.g. a recording and a latency test).
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {AudioNode} sourceNode - The node to capture.
+ * @param {number} channelCount - Number of channels to capture.
+ * @returns {Promise<{stop: function(): Promise<{channels: Float32Array[], sampleRate: number} | null>}>}
+ *     A handle whose stop() resolves with everything captured, or null if nothing was.
+ */
+export async function createPcmCapture(audioContext, sourceNode, channelCount) {
+    const sampleRate = audioContext.sampleRate;
+    let blocks = []; // Arrays of per-channel Float32Array blocks, in arrival order
+    const node = await createCaptureNode(audioContext, sourceNode, channelCount, PCM_CAPTURE_BLOCK_FRAMES);
+    node.port.onmessage = (event) => {
+        if (event.data.type === 'samples') blocks.push(event.data.channels);
+    };
+    console.log(`PCM capture started: ${channelCount} channel(s) at ${sampleRate} Hz`);
+
+    let stopped = null;
+    const stop = () => {
+        if (stopped) return stopped;
+        stopped = new Promise(resolve => {
+            const finish = () => {
+                clearTimeout(timeoutId);
+                node.port.onmessage = null;
+                node.disconnect();
+                const channels = joinCapturedBlocks(blocks, channelCount);
+                blocks = [];
+                resolve(channels ? { channels, sampleRate } : null);
+            };
+            const timeoutId = setTimeout(() => {
+                console.warn('PCM capture did not flush in time; keeping the blocks received so far.');
+                finish();
+            }, FLUSH_TIMEOUT_MS);
+
+            node.port.onmessage = (event) => {
+                if (event.data.type === 'samples') {
+                    blocks.push(event.data.channels);
+                } else if (event.data.type === 'flushed') {
+                    finish();
+                }
+            };
+            node.port.postMessage('flush'); // The processor posts what it still holds, then 'flushed'
+        });
+        return stopped;
+    };
+    return { stop };
+}
+
+/**
+ * Starts capturing the raw samples of a source node for a recording.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {AudioNode} sourceNode - The node to capture (the microphone source).
+ * @param {number} channelCount - Number of channels to capture.
+ */
+export async function startPcmCapture(audioContext, sourceNode, channelCount) {
+    if (recordingCapture) throw new Error('PCM capture already running');
+    recordingCapture = await createPcmCapture(audioContext, sourceNode, channelCount);
+}
+
+/**
+ * Stops the recording capture and returns everything captured since startPcmCapture().
+ * @returns {Promise<{channels: Float32Array[], sampleRate: number} | null>} Null if nothing was captured.
+ */
+export function stopPcmCapture() {
+    if (!recordingCapture) return Promise.resolve(null);
+    const capture = recordingCapture;
+    recordingCapture = null;
+    return capture.stop();
+}
+
+/**
+ * Concatenates captured blocks into one array per channel.
+ * @param {Float32Array[][]} blocks - Per-channel blocks, in arrival order.
+ * @param {number} channelCount
+ * @returns {Float32Array[] | null} Null if nothing was captured.
+ */
+function joinCapturedBlocks(blocks, channelCount) {
+    const frameCount = blocks.reduce((sum, block) => sum + block[0].length, 0);
+    if (frameCount === 0) return null;
+
+    const channels = [];
+    for (let channel = 0; channel < channelCount; channel++) {
+        const joined = new Float32Array(frameCount);
+        let offset = 0;
+        blocks.forEach(block => {
+            joined.set(block[channel], offset);
+            offset += block[channel].length;
+        });
+        channels.push(joined);
+    }
+    console.log(`PCM capture stopped: ${frameCount} frames`);
+    return channels;
+}
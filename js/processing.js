@@ -0,0 +1,187 @@
+// js/processing.js
+import {
+    DEFAULT_PROCESSING_SETTINGS,
+    GATE_ATTACK_SEC,
+    GATE_RELEASE_SEC,
+    GATE_MAX_ATTENUATION_DB,
+    COMPRESSOR_KNEE_DB,
+    COMPRESSOR_ATTACK_SEC,
+    COMPRESSOR_RELEASE_SEC,
+    PARAM_SMOOTHING_SEC
+} from './config.js';
+import { loadWorkletNode } from './workletLoader.js';
+
+const GATE_PROCESSOR_URL = new URL('./worklets/noiseGateProcessor.js', import.meta.url);
+// Output device names that suggest headphones; anything else may feed back into the microphone
+const HEADPHONE_LABEL_PATTERN = /head ?(phone|set)|earphone|ear ?bud|airpods|buds|in-ear|kopfhörer|auricular|casque|écouteur|fone de ouvido|سماع/i;
+
+// --- State Variables ---
+let settings = { ...DEFAULT_PROCESSING_SETTINGS };
+let chain = null; // {audioContext, sourceNode, inputGain, highPass, gate, compressor, output} while monitoring
+let listening = false;
+
+// --- Getters ---
+export const getProcessingSettings = () => ({ ...settings });
+export const getIsListening = () => listening;
+export const getOutputNode = () => (chain ? chain.output : null);
+/** Current gain reduction of the compressor in dB (0 or negative). */
+export const getCompressorReductionDb = () => (chain && settings.compressorEnabled ? chain.compressor.reduction : 0);
+
+/**
+ * Builds the processing chain after a source: input gain, high-pass, noise gate, compressor.
+ * The source itself is left untouched, so the raw signal stays available to everything else.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {AudioNode} sourceNode - The microphone source.
+ * @param {number} channelCount - Number of input channels.
+ * @returns {Promise<AudioNode>} The chain's output node.
+ */
+export async function createProcessingChain(audioContext, sourceNode, channelCount) {
+    destroyProcessingChain();
+    const inputGain = audioContext.createGain();
+    const highPass = audioContext.createBiquadFilter();
+    highPass.type = 'highpass';
+    highPass.Q.value = Math.SQRT1_2; // Butterworth: flat passband
+
+    let gate = null;
+    if (typeof window.AudioWorkletNode === 'function') {
+        try {
+            gate = await loadWorkletNode(audioContext, GATE_PROCESSOR_URL, 'noise-gate-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [channelCount],
+                channelCount,
+                channelCountMode: 'explicit',
+                channelInterpretation: 'discrete',
+                processorOptions: { maxAttenuationDb: GATE_MAX_ATTENUATION_DB }
+            });
+            gate.parameters.get('attack').value = GATE_ATTACK_SEC;
+            gate.parameters.get('release').value = GATE_RELEASE_SEC;
+        } catch (err) {
+            console.warn('Noise gate unavailable:', err);
+            gate = null;
+        }
+    }
+
+    // Note: DynamicsCompressorNode handles at most two channels; larger layouts are mixed down to stereo
+    const compressor = audioContext.createDynamicsCompressor();
+    compressor.knee.value = COMPRESSOR_KNEE_DB;
+    compressor.attack.value = COMPRESSOR_ATTACK_SEC;
+    compressor.release.value = COMPRESSOR_RELEASE_SEC;
+    const output = audioContext.createGain();
+
+    chain = { audioContext, sourceNode, inputGain, highPass, gate, compressor, output };
+    sourceNode.connect(inputGain);
+    connectStages();
+    applyParameters(true);
+    if (listening) output.connect(audioContext.destination);
+    console.log(`Processing chain created (noise gate ${gate ? 'available' : 'unavailable'})`);
+    return output;
+}
+
+/**
+ * Disconnects and forgets the chain.
+ */
+export function destroyProcessingChain() {
+    if (!chain) return;
+    try {
+        chain.sourceNode.disconnect(chain.inputGain);
+    } catch (e) {
+        // Source already disconnected
+    }
+    [chain.inputGain, chain.highPass, chain.gate, chain.compressor, chain.output]
+        .forEach(node => node && node.disconnect());
+    chain = null;
+}
+
+/**
+ * Connects input gain -> enabled stages -> output. Disabled stages are left out of the path.
+ */
+function connectStages() {
+    const { inputGain, highPass, gate, compressor, output } = chain;
+    [inputGain, highPass, gate, compressor].forEach(node => node && node.disconnect());
+    const stages = [
+        inputGain,
+        settings.highPassEnabled ? highPass : null,
+        settings.gateEnabled ? gate : null,
+        settings.compressorEnabled ? compressor : null
+    ].filter(Boolean);
+    stages.push(output);
+    for (let i = 0; i < stages.length - 1; i++) stages[i].connect(stages[i + 1]);
+}
+
+/**
+ * Moves the node parameters to the current settings.
+ * @param {boolean} [immediate] - Jump instead of gliding (for a freshly built chain).
+ */
+function applyParameters(immediate = false) {
+    const { audioContext, inputGain, highPass, gate, compressor } = chain;
+    const now = audioContext.currentTime;
+    const glide = (param, value) => {
+        if (immediate) {
+            param.value = value;
+        } else {
+            param.setTargetAtTime(value, now, PARAM_SMOOTHING_SEC);
+        }
+    };
+    glide(inputGain.gain, Math.pow(10, settings.inputGainDb / 20));
+    glide(highPass.frequency, settings.highPassHz);
+    if (gate) {
+        gate.parameters.get('threshold').value = settings.gateThresholdDb;
+        gate.parameters.get('ratio').value = settings.gateRatio;
+    }
+    compressor.threshold.value = settings.compressorThresholdDb;
+    compressor.ratio.value = settings.compressorRatio;
+}
+
+/**
+ * Changes processing settings; takes effect at once while monitoring, otherwise on the next start.
+ * @param {object} changes - Any fields of DEFAULT_PROCESSING_SETTINGS.
+ */
+export function setProcessingSettings(changes) {
+    const previous = settings;
+    settings = { ...settings, ...changes };
+    if (!chain) return;
+    const stagesChanged = ['highPassEnabled', 'gateEnabled', 'compressorEnabled']
+        .some(name => previous[name] !== settings[name]);
+    if (stagesChanged) connectStages();
+    applyParameters();
+}
+
+/**
+ * Plays the processed signal through the default output, or stops doing so.
+ * @param {boolean} enabled
+ */
+export function setListening(enabled) {
+    listening = enabled;
+    console.log(`Listen ${enabled ? 'on' : 'off'}`);
+    if (!chain) return;
+    if (enabled) {
+        chain.output.connect(chain.audioContext.destination);
+    } else {
+        try {
+            chain.output.disconnect(chain.audioContext.destination);
+        } catch (e) {
+            // Was not connected
+        }
+    }
+}
+
+/**
+ * Guesses from the output device's name whether sound goes to headphones.
+ * @param {AudioContext | null} audioContext - Used for its output device (sinkId) where supported.
+ * @returns {Promise<{headphones: boolean | null, label: string}>} headphones is null when the
+ *     browser doesn't name its outputs.
+ */
+export async function detectHeadphones(audioContext) {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const outputs = devices.filter(device => device.kind === 'audiooutput');
+        const sinkId = audioContext && typeof audioContext.sinkId === 'string' ? audioContext.sinkId : '';
+        const active = outputs.find(device => device.deviceId === (sinkId || 'default')) || outputs[0];
+        if (!active || !active.label) return { headphones: null, label: '' };
+        return { headphones: HEADPHONE_LABEL_PATTERN.test(active.label), label: active.label };
+    } catch (err) {
+        console.warn('Could not list output devices:', err);
+        return { headphones: null, label: '' };
+    }
+}
@@ -0,0 +1,463 @@
+// js/report.js
+import {
+    REPORT_LEVEL_SAMPLE_INTERVAL_MS,
+    REPORT_MAX_LEVEL_SAMPLES,
+    REPORT_NOISE_FLOOR_PERCENTILE,
+    REPORT_QUIET_PEAK_DB,
+    REPORT_SPECTRUM_IMAGE_TYPE
+} from './config.js';
+import { describeDetection, gradeToKey } from './ui.js';
+
+const REPORT_VERSION = 1;
+// Persistent identifiers of the device; left out since the label already names it for the reader
+const PRIVATE_SETTINGS = ['deviceId', 'groupId'];
+const SEVERITY_KEYS = { info: 'reportSeverityInfo', warn: 'reportSeverityWarn', fail: 'reportSeverityFail' };
+
+// --- State Variables ---
+let sessionStart = null; // Timestamp of the first level sample
+let lastSampleTime = -Infinity;
+let levelSamples = []; // RMS levels in dBFS, oldest first
+let maxPeakDb = -Infinity;
+let clipped = false;
+let detections = new Map(); // Detection id -> {type, frequency, levelDb, harmonics}, loudest seen
+
+/**
+ * Forgets everything collected for the report; called when monitoring starts.
+ */
+export function resetReportSession() {
+    sessionStart = null;
+    lastSampleTime = -Infinity;
+    levelSamples = [];
+    maxPeakDb = -Infinity;
+    clipped = false;
+    detections = new Map();
+}
+
+/**
+ * Collects the live levels for the report's peak and noise floor estimate.
+ * @param {{rmsDb: number, peakDb: number, clipped: boolean}} levels - From metering.processSamples().
+ * @param {number} timestamp - Current time in milliseconds.
+ */
+export function noteLevels(levels, timestamp) {
+    if (levels.peakDb > maxPeakDb) maxPeakDb = levels.peakDb;
+    if (levels.clipped) clipped = true;
+    if (timestamp - lastSampleTime < REPORT_LEVEL_SAMPLE_INTERVAL_MS) return;
+    if (sessionStart === null) sessionStart = timestamp;
+    lastSampleTime = timestamp;
+    levelSamples.push(levels.rmsDb);
+    if (levelSamples.length > REPORT_MAX_LEVEL_SAMPLES) levelSamples.shift();
+}
+
+/**
+ * Remembers hum and tone detections for the report, keeping the loudest reading of each.
+ * @param {object[]} current - Detections from toneDetector.analyzeFrame().
+ */
+export function noteDetections(current) {
+    current.forEach(detection => {
+        const known = detections.get(detection.id);
+        if (!known || detection.levelDb > known.levelDb) {
+            const { type, frequency, levelDb, harmonics } = detection;
+            detections.set(detection.id, { type, frequency, levelDb, harmonics });
+        }
+    });
+}
+
+/**
+ * JSON has no infinities; silence and missing readings become null.
+ * @param {number} value
+ * @param {number} [digits] - Decimal places to keep.
+ * @returns {number | null}
+ */
+function finiteOrNull(value, digits = 1) {
+    return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+/**
+ * Estimates the noise floor from the quietest part of the session.
+ * @returns {number} dBFS, or -Infinity before any samples.
+ */
+function estimateNoiseFloor() {
+    const finite = levelSamples.filter(Number.isFinite);
+    if (finite.length === 0) return -Infinity;
+    finite.sort((a, b) => a - b);
+    const index = Math.floor((finite.length - 1) * REPORT_NOISE_FLOOR_PERCENTILE / 100);
+    return finite[index];
+}
+
+/**
+ * Builds the issue list: detections, clipping, low level, failed test grades and ignored constraints.
+ * @param {object} context - As passed to buildReport().
+ * @param {function} i18n_t - The translation function.
+ * @returns {object[]} Issues as {type, severity, message, details}.
+ */
+function collectIssues(context, i18n_t) {
+    const issues = [];
+    const addIssue = (type, severity, key, replacements, details = {}) => {
+        issues.push({ type, severity, message: i18n_t(key, replacements), details });
+    };
+
+    detections.forEach(detection => {
+        const { key, replacements } = describeDetection(detection);
+        addIssue(detection.type, detection.type === 'tone' ? 'info' : 'warn', key, replacements, {
+            frequencyHz: finiteOrNull(detection.frequency),
+            levelDb: finiteOrNull(detection.levelDb),
+            harmonics: detection.harmonics || 0
+        });
+    });
+    if (clipped) {
+        addIssue('clipping', 'fail', 'reportIssueClipping', {});
+    } else if (Number.isFinite(maxPeakDb) && maxPeakDb < REPORT_QUIET_PEAK_DB) {
+        addIssue('lowLevel', 'warn', 'reportIssueQuiet', { level: maxPeakDb.toFixed(1) }, { maxPeakDb: finiteOrNull(maxPeakDb) });
+    }
+
+    const { noiseTest } = context;
+    if (noiseTest) {
+        const { grades } = noiseTest;
+        if (grades.noiseFloor !== 'pass') {
+            addIssue('noiseFloor', grades.noiseFloor, 'reportIssueNoiseFloor', {
+                level: noiseTest.noiseFloorDb.toFixed(1),
+                verdict: i18n_t(gradeToKey(grades.noiseFloor))
+            }, { noiseFloorDb: finiteOrNull(noiseTest.noiseFloorDb) });
+        }
+        if (noiseTest.speechDetected && grades.snr !== 'pass') {
+            addIssue('snr', grades.snr, 'reportIssueSnr', {
+                snr: noiseTest.snrDb.toFixed(1),
+                verdict: i18n_t(gradeToKey(grades.snr))
+            }, { snrDb: finiteOrNull(noiseTest.snrDb) });
+        }
+    }
+
+    if (context.unappliedConstraints.length > 0) {
+        addIssue('constraints', 'warn', 'reportIssueConstraints', { names: context.unappliedConstraints.join(', ') },
+            { constraints: context.unappliedConstraints });
+    }
+    return issues;
+}
+
+/**
+ * Reads the spectrum canvas as an image.
+ * @param {HTMLCanvasElement | null} canvas
+ * @returns {string | null} A data URL, or null when the canvas can't be read.
+ */
+function captureSpectrum(canvas) {
+    if (!canvas || typeof canvas.toDataURL !== 'function') return null;
+    try {
+        return canvas.toDataURL(REPORT_SPECTRUM_IMAGE_TYPE);
+    } catch (err) {
+        console.warn('Could not capture the spectrum image:', err);
+        return null;
+    }
+}
+
+/**
+ * Collects everything known about the current session into one plain object.
+ * Nothing is sent anywhere: the result only leaves the browser if the user saves and shares it.
+ * @param {object} context - {deviceLabel, channelCount, audioContext, trackInfo, requestedConstraints,
+ *     unappliedConstraints, loudness, noiseTest, latencyTest, spectrumCanvas, timestamp}.
+ * @param {function} i18n_t - The translation function (issue messages are stored translated).
+ * @returns {object} The report, ready for JSON.stringify().
+ */
+export function buildReport(context, i18n_t) {
+    const { audioContext, trackInfo, loudness, noiseTest, latencyTest } = context;
+    const trackSettings = { ...(trackInfo ? trackInfo.settings : {}) };
+    PRIVATE_SETTINGS.forEach(name => delete trackSettings[name]);
+    const sessionSeconds = sessionStart === null ? 0 : (context.timestamp - sessionStart) / 1000;
+
+    return {
+        reportVersion: REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        browser: {
+            userAgent: navigator.userAgent,
+            language: navigator.language,
+            platform: navigator.userAgentData ? navigator.userAgentData.platform : navigator.platform,
+            secureContext: window.isSecureContext,
+            audioWorklet: typeof window.AudioWorkletNode === 'function',
+            mediaRecorder: typeof window.MediaRecorder === 'function'
+        },
+        device: {
+            label: context.deviceLabel,
+            channelCount: context.channelCount,
+            sampleRate: audioContext ? audioContext.sampleRate : null,
+            baseLatencyMs: audioContext ? finiteOrNull(audioContext.baseLatency * 1000) : null,
+            outputLatencyMs: audioContext ? finiteOrNull(audioContext.outputLatency * 1000) : null
+        },
+        trackSettings,
+        requestedConstraints: context.requestedConstraints,
+        levels: {
+            sessionSeconds: finiteOrNull(sessionSeconds),
+            maxPeakDb: finiteOrNull(maxPeakDb),
+            noiseFloorEstimateDb: finiteOrNull(estimateNoiseFloor()),
+            clipped
+        },
+        loudness: loudness ? {
+            integratedLufs: finiteOrNull(loudness.integratedLufs),
+            rangeLu: finiteOrNull(loudness.rangeLu),
+            truePeakDb: finiteOrNull(loudness.truePeakDb)
+        } : null,
+        noiseTest: noiseTest ? {
+            noiseFloorDb: finiteOrNull(noiseTest.noiseFloorDb),
+            noiseAWeightedDb: finiteOrNull(noiseTest.noiseAWeightedDb),
+            speechLevelDb: finiteOrNull(noiseTest.speechLevelDb),
+            snrDb: finiteOrNull(noiseTest.snrDb),
+            grades: noiseTest.grades
+        } : null,
+        latencyTest: latencyTest && latencyTest.validCount > 0 ? {
+            meanMs: finiteOrNull(latencyTest.meanMs),
+            jitterMs: finiteOrNull(latencyTest.jitterMs),
+            minMs: finiteOrNull(latencyTest.minMs),
+            maxMs: finiteOrNull(latencyTest.maxMs),
+            validCount: latencyTest.validCount,
+            repeats: latencyTest.repeats
+        } : null,
+        issues: collectIssues(context, i18n_t),
+        spectrumImage: captureSpectrum(context.spectrumCanvas)
+    };
+}
+
+// --- Report Sections ---
+
+/**
+ * Formats a report value for people; null reads as a dash.
+ * @param {number | null} value
+ * @param {string} [unit]
+ * @returns {string}
+ */
+function formatValue(value, unit = '') {
+    if (value === null || value === undefined) return '–';
+    return unit ? `${value} ${unit}` : String(value);
+}
+
+/**
+ * Turns the report into titled tables of label/value rows, shared by the Markdown and HTML output.
+ * @param {object} report - From buildReport().
+ * @param {function} i18n_t - The translation function.
+ * @returns {{title: string, rows: string[][]}[]}
+ */
+function buildSections(report, i18n_t) {
+    const yesNo = (value) => i18n_t(value ? 'reportYes' : 'reportNo');
+    const { device, browser, levels, loudness, noiseTest, latencyTest } = report;
+    const sections = [
+        {
+            title: i18n_t('reportDeviceSection'),
+            rows: [
+                [i18n_t('reportDeviceLabel'), device.label || i18n_t('reportUnnamedDevice')],
+                [i18n_t('resultsSampleRateLabel'), formatValue(device.sampleRate, 'Hz')],
+                [i18n_t('reportChannelsLabel'), formatValue(device.channelCount)],
+                [i18n_t('latencyBaseLabel'), formatValue(device.baseLatencyMs, 'ms')],
+                [i18n_t('latencyOutputLabel'), formatValue(device.outputLatencyMs, 'ms')]
+            ]
+        },
+        {
+            title: i18n_t('reportBrowserSection'),
+            rows: [
+                [i18n_t('reportUserAgentLabel'), browser.userAgent],
+                [i18n_t('reportLanguageLabel'), browser.language],
+                [i18n_t('reportPlatformLabel'), browser.platform || '–'],
+                ['AudioWorklet', yesNo(browser.audioWorklet)],
+                ['MediaRecorder', yesNo(browser.mediaRecorder)]
+            ]
+        },
+        {
+            title: i18n_t('reportTrackSettingsSection'),
+            rows: Object.entries(report.trackSettings).map(([name, value]) => [name, String(value)])
+        },
+        {
+            title: i18n_t('reportLevelsSection'),
+            rows: [
+                [i18n_t('reportSessionLengthLabel'), i18n_t('reportSessionLengthValue', { seconds: Math.round(levels.sessionSeconds) })],
+                [i18n_t('reportMaxPeakLabel'), formatValue(levels.maxPeakDb, 'dBTP')],
+                [i18n_t('reportNoiseFloorEstimateLabel'), formatValue(levels.noiseFloorEstimateDb, 'dBFS')],
+                [i18n_t('reportClippingLabel'), yesNo(levels.clipped)]
+            ]
+        }
+    ];
+    if (loudness) {
+        sections.push({
+            title: i18n_t('loudnessTitle'),
+            rows: [
+                [i18n_t('loudnessIntegratedLabel'), formatValue(loudness.integratedLufs, 'LUFS')],
+                [i18n_t('loudnessRangeLabel'), formatValue(loudness.rangeLu, 'LU')],
+                [i18n_t('loudnessTruePeakLabel'), formatValue(loudness.truePeakDb, 'dBTP')]
+            ]
+        });
+    }
+    if (noiseTest) {
+        sections.push({
+            title: i18n_t('noiseTestTitle'),
+            rows: [
+                [i18n_t('noiseFloorLabel'), formatValue(noiseTest.noiseFloorDb, 'dBFS')],
+                [i18n_t('noiseAWeightedLabel'), formatValue(noiseTest.noiseAWeightedDb, 'dBFS')],
+                [i18n_t('speechLevelLabel'), formatValue(noiseTest.speechLevelDb, 'dBFS')],
+                [i18n_t('snrLabel'), formatValue(noiseTest.snrDb, 'dB')]
+            ]
+        });
+    }
+    if (latencyTest) {
+        sections.push({
+            title: i18n_t('latencyTestTitle'),
+            rows: [
+                [i18n_t('latencyMeanLabel'), formatValue(latencyTest.meanMs, 'ms')],
+                [i18n_t('latencyJitterLabel'), formatValue(latencyTest.jitterMs, 'ms')],
+                [i18n_t('latencyRangeLabel'), `${formatValue(latencyTest.minMs)} – ${formatValue(latencyTest.maxMs, 'ms')}`],
+                [i18n_t('latencyValidRunsLabel'), i18n_t('latencyValidRunsValue', { valid: latencyTest.validCount, total: latencyTest.repeats })]
+            ]
+        });
+    }
+    return sections;
+}
+
+/**
+ * Translated "Severity: message" lines for the issue list.
+ * @param {object} report - From buildReport().
+ * @param {function} i18n_t - The translation function.
+ * @returns {{severity: string, label: string, message: string}[]}
+ */
+function describeIssues(report, i18n_t) {
+    return report.issues.map(issue => ({
+        severity: issue.severity,
+        label: i18n_t(SEVERITY_KEYS[issue.severity]),
+        message: issue.message
+    }));
+}
+
+// --- Output Formats ---
+
+/**
+ * Serializes the report as JSON.
+ * @param {object} report - From buildReport().
+ * @returns {string}
+ */
+export function buildJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Escapes a table cell for Markdown.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdownCell(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/\|/g, '\\|')
+        .replace(/</g, '&lt;') // Markdown renders inline HTML
+        .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Builds a Markdown summary. The spectrum image is left out to keep the file readable as text.
+ * @param {object} report - From buildReport().
+ * @param {function} i18n_t - The translation function.
+ * @returns {string}
+ */
+export function buildMarkdown(report, i18n_t) {
+    const lines = [
+        `# ${i18n_t('reportTitle')}`,
+        '',
+        `${i18n_t('reportGeneratedLabel')}: ${new Date(report.generatedAt).toLocaleString()}`,
+        ''
+    ];
+    buildSections(report, i18n_t).forEach(section => {
+        lines.push(`## ${section.title}`, '');
+        lines.push(`| ${i18n_t('resultsTableMeasurement')} | ${i18n_t('resultsTableValue')} |`, '| --- | --- |');
+        section.rows.forEach(([label, value]) => lines.push(`| ${escapeMarkdownCell(label)} | ${escapeMarkdownCell(value)} |`));
+        lines.push('');
+    });
+    lines.push(`## ${i18n_t('reportIssuesSection')}`, '');
+    const issues = describeIssues(report, i18n_t);
+    if (issues.length === 0) {
+        lines.push(i18n_t('reportNoIssues'));
+    } else {
+        issues.forEach(issue => lines.push(`- **${issue.label}:** ${issue.message}`));
+    }
+    lines.push('', '---', '', `_${i18n_t('reportPrivacyNote')}_`, '');
+    return lines.join('\n');
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const REPORT_PAGE_STYLE = `
+body { font-family: system-ui, sans-serif; color: #222; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.4; }
+h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+h2 { font-size: 1.15rem; margin: 1.6rem 0 0.5rem; border-bottom: 1px solid #ccc; padding-bottom: 0.2rem; }
+table { width: 100%; border-collapse: collapse; font-size: 0.95rem; }
+th, td { text-align: start; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e4e4e4; vertical-align: top; overflow-wrap: anywhere; }
+th { background: #f3f3f3; }
+td:first-child { width: 40%; }
+.meta, .privacy { color: #555; font-size: 0.9rem; }
+.issues { padding-inline-start: 1.2rem; }
+.severity-fail { color: #b00020; }
+.severity-warn { color: #8a5a00; }
+.severity-info { color: #1a5fb4; }
+img { max-width: 100%; border: 1px solid #ccc; background: #111; }
+@media print {
+    body { margin: 0; max-width: none; }
+    h2, table, img { break-inside: avoid; }
+}`;
+
+/**
+ * Builds a self-contained, print-friendly HTML page with the spectrum image inlined.
+ * @param {object} report - From buildReport().
+ * @param {function} i18n_t - The translation function.
+ * @returns {string}
+ */
+export function buildHtml(report, i18n_t) {
+    const title = escapeHtml(i18n_t('reportTitle'));
+    const sectionsHtml = buildSections(report, i18n_t).map(section => {
+        const rows = section.rows
+            .map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`)
+            .join('\n');
+        return `<h2>${escapeHtml(section.title)}</h2>
+<table>
+<thead><tr><th>${escapeHtml(i18n_t('resultsTableMeasurement'))}</th><th>${escapeHtml(i18n_t('resultsTableValue'))}</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+    }).join('\n');
+
+    const issues = describeIssues(report, i18n_t);
+    const issuesHtml = issues.length === 0
+        ? `<p>${escapeHtml(i18n_t('reportNoIssues'))}</p>`
+        : `<ul class="issues">\n${issues.map(issue =>
+            `<li><strong class="severity-${escapeHtml(issue.severity)}">${escapeHtml(issue.label)}:</strong> ${escapeHtml(issue.message)}</li>`
+        ).join('\n')}\n</ul>`;
+    const spectrumHtml = report.spectrumImage
+        ? `<h2>${escapeHtml(i18n_t('reportSpectrumSection'))}</h2>
+<img src="${escapeHtml(report.spectrumImage)}" alt="${escapeHtml(i18n_t('reportSpectrumSection'))}">`
+        : '';
+
+    const root = document.documentElement;
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(root.lang || 'en')}" dir="${escapeHtml(root.dir || 'ltr')}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${REPORT_PAGE_STYLE}
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">${escapeHtml(i18n_t('reportGeneratedLabel'))}: ${escapeHtml(new Date(report.generatedAt).toLocaleString())}</p>
+${sectionsHtml}
+<h2>${escapeHtml(i18n_t('reportIssuesSection'))}</h2>
+${issuesHtml}
+${spectrumHtml}
+<p class="privacy">${escapeHtml(i18n_t('reportPrivacyNote'))}</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,228 @@
+// js/sampleStream.js
+import {
+    FFT_SIZE,
+    SAMPLE_STREAM_BLOCK_FRAMES,
+    SAMPLE_STREAM_RING_FRAMES,
+    SAMPLE_STREAM_HOP_FRAMES
+} from './config.js';
+import { fft, blackmanWindow } from './fft.js';
+import { loadWorkletNode, connectSink } from './workletLoader.js';
+
+const PROCESSOR_URL = new URL('./worklets/sampleStreamProcessor.js', import.meta.url);
+const SPECTRUM_SMOOTHING = 0.8; // As on the session analyser, which the tone detection thresholds are tuned to
+
+export const isSampleStreamSupported = () => typeof window.AudioWorkletNode === 'function';
+
+/**
+ * SharedArrayBuffer is only available on cross-origin isolated pages.
+ * @returns {boolean}
+ */
+function isSharedMemoryAvailable() {
+    return typeof SharedArrayBuffer === 'function' && window.crossOriginIsolated === true;
+}
+
+/**
+ * Starts streaming every sample of every channel of a node to the main thread, through a
+ * SharedArrayBuffer ring where the page allows it, otherwise as posted blocks. Any number of
+ * consumers can subscribe, so each signal crosses to the main thread only once.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {AudioNode} sourceNode - The node to stream.
+ * @param {number} channelCount - Number of channels to deliver.
+ * @returns {Promise<object | null>} The stream, or null if AudioWorklet is unavailable:
+ *     {sampleRate, channelCount, transport ('shared' or 'message'), subscribe(consumer), stop()}.
+ *     subscribe() returns a function that unsubscribes again.
+ */
+export async function createSampleStream(audioContext, sourceNode, channelCount) {
+    if (!isSampleStreamSupported()) return null;
+    const ringFrames = SAMPLE_STREAM_RING_FRAMES;
+    const ringBuffer = isSharedMemoryAvailable()
+        ? new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT + channelCount * ringFrames * Float32Array.BYTES_PER_ELEMENT)
+        : null;
+    const node = await loadWorkletNode(audioContext, PROCESSOR_URL, 'sample-stream-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount,
+        channelCountMode: 'explicit', // Keep the channel layout as delivered, no up/down-mixing
+        channelInterpretation: 'discrete',
+        processorOptions: { channelCount, blockFrames: SAMPLE_STREAM_BLOCK_FRAMES, ringBuffer, ringFrames }
+    });
+
+    const transport = ringBuffer ? 'shared' : 'message';
+    const ringState = ringBuffer ? new Int32Array(ringBuffer, 0, 1) : null;
+    const rings = [];
+    if (ringBuffer) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const offset = Int32Array.BYTES_PER_ELEMENT + channel * ringFrames * Float32Array.BYTES_PER_ELEMENT;
+            rings.push(new Float32Array(ringBuffer, offset, ringFrames));
+        }
+    }
+    const consumers = new Set();
+    let stopped = false;
+    let readCount = 0; // Ring position read up to (wraps like the processor's write count)
+    let nextFrame = 0; // Stream frame of the next delivered sample, counting dropped ones
+    let streamedFrames = 0;
+    let droppedFrames = 0; // Frames overwritten in the ring before they were read
+
+    /**
+     * Hands consecutive samples to every consumer.
+     * @param {Float32Array[]} channels - Samples per channel, only valid during the call.
+     */
+    const deliver = (channels) => {
+        const startFrame = nextFrame;
+        nextFrame += channels[0].length;
+        streamedFrames += channels[0].length;
+        for (const consumer of consumers) {
+            if (stopped) return; // A consumer stopped the stream
+            consumer(channels, startFrame);
+        }
+    };
+
+    /**
+     * Reads everything the processor wrote to the shared ring since the last read.
+     */
+    const readRing = () => {
+        const written = Atomics.load(ringState, 0);
+        let available = (written - readCount) | 0;
+        if (available > ringFrames) {
+            // The page was too busy to keep up; skip to the oldest samples still in the ring
+            const lost = available - ringFrames;
+            droppedFrames += lost;
+            nextFrame += lost;
+            console.warn(`Sample stream fell behind: ${lost} frames dropped`);
+            readCount = (written - ringFrames) | 0;
+            available = ringFrames;
+        }
+        while (available > 0 && !stopped) {
+            const position = readCount & (ringFrames - 1);
+            const count = Math.min(available, ringFrames - position);
+            deliver(rings.map(ring => ring.subarray(position, position + count)));
+            readCount = (readCount + count) | 0;
+            available -= count;
+        }
+    };
+
+    node.port.onmessage = (event) => {
+        if (stopped) return;
+        if (event.data.type === 'samples') {
+            deliver(event.data.channels);
+        } else if (event.data.type === 'written') {
+            readRing();
+        }
+    };
+    connectSink(sourceNode, node);
+    console.log(`Sample stream started: ${channelCount} channel(s), ${ringBuffer ? 'shared ring buffer' : 'posted blocks'}`);
+
+    return {
+        sampleRate: audioContext.sampleRate,
+        channelCount,
+        transport,
+
+        /**
+         * Adds a consumer, called with each run of consecutive samples as it arrives.
+         * @param {function(Float32Array[], number)} consumer - Gets the samples per channel (only valid
+         *     during the call; copy anything kept) and the stream frame of the first one. A jump in
+         *     that frame means samples were dropped in between.
+         * @returns {function()} Removes the consumer again.
+         */
+        subscribe(consumer) {
+            consumers.add(consumer);
+            return () => consumers.delete(consumer);
+        },
+
+        /**
+         * Stops the stream and disconnects its node.
+         */
+        stop() {
+            if (stopped) return;
+            stopped = true;
+            consumers.clear();
+            node.port.onmessage = null;
+            node.port.postMessage('stop');
+            node.disconnect();
+            console.log(`Sample stream stopped (${streamedFrames} frames, ${droppedFrames} dropped)`);
+        }
+    };
+}
+
+/**
+ * Creates a stream consumer that cuts the samples into overlapping analysis frames of FFT_SIZE
+ * samples, mixed down to mono, each with its spectrum computed the way AnalyserNode does
+ * (Blackman window, 1/N scaling, smoothing over successive frames), so it reads like
+ * getFloatFrequencyData(). Multi-channel streams also get the same window per channel.
+ * @param {number} sampleRate
+ * @param {function({samples: Float32Array, frequencyData: Float32Array, channelSamples: Float32Array[] | null,
+ *     sampleRate: number, timestamp: number})} onFrame
+ *     Called every SAMPLE_STREAM_HOP_FRAMES frames; channelSamples is null for mono streams.
+ *     The arrays are reused, so copy anything kept.
+ * @returns {function(Float32Array[], number)} The consumer, for a stream's subscribe().
+ */
+export function createAnalysisFramer(sampleRate, onFrame) {
+    const analysisWindow = blackmanWindow(FFT_SIZE);
+    const real = new Float64Array(FFT_SIZE);
+    const imag = new Float64Array(FFT_SIZE);
+    const smoothedMagnitudes = new Float64Array(FFT_SIZE / 2);
+    const frequencyData = new Float32Array(FFT_SIZE / 2);
+    const frameSamples = new Float32Array(FFT_SIZE); // The latest FFT_SIZE samples, oldest first
+    let channelSamples = null; // The same per channel, once a multi-channel block arrives
+    const startTime = performance.now();
+    let sinceLastFrame = 0; // Frames received since the last analysis frame
+    let framesSeen = 0; // Frames of stream time covered, counting dropped ones
+    let nextFrame = 0; // Stream frame expected next
+
+    /**
+     * @returns {Float32Array} Level per bin of the current window in dB (analyser scale).
+     */
+    const computeFrequencyData = () => {
+        for (let i = 0; i < FFT_SIZE; i++) {
+            real[i] = frameSamples[i] * analysisWindow[i];
+            imag[i] = 0;
+        }
+        fft(real, imag);
+        for (let bin = 0; bin < frequencyData.length; bin++) {
+            const magnitude = Math.hypot(real[bin], imag[bin]) / FFT_SIZE;
+            smoothedMagnitudes[bin] = SPECTRUM_SMOOTHING * smoothedMagnitudes[bin] + (1 - SPECTRUM_SMOOTHING) * magnitude;
+            frequencyData[bin] = smoothedMagnitudes[bin] > 0 ? 20 * Math.log10(smoothedMagnitudes[bin]) : -Infinity;
+        }
+        return frequencyData;
+    };
+
+    return (channels, startFrame) => {
+        if (startFrame > nextFrame) framesSeen += startFrame - nextFrame; // Keep the timeline across dropped frames
+        const frames = channels[0].length;
+        nextFrame = startFrame + frames;
+        if (channels.length > 1 && !channelSamples) {
+            channelSamples = channels.map(() => new Float32Array(FFT_SIZE));
+        }
+        let offset = 0;
+        while (offset < frames) {
+            const count = Math.min(frames - offset, SAMPLE_STREAM_HOP_FRAMES - sinceLastFrame);
+            frameSamples.copyWithin(0, count);
+            // Mixed down by averaging, as the analyser's 'speakers' down-mix does for stereo
+            for (let i = 0; i < count; i++) {
+                let sum = 0;
+                for (let channel = 0; channel < channels.length; channel++) sum += channels[channel][offset + i];
+                frameSamples[FFT_SIZE - count + i] = sum / channels.length;
+            }
+            if (channelSamples) {
+                channelSamples.forEach((window, channel) => {
+                    window.copyWithin(0, count);
+                    window.set(channels[channel].subarray(offset, offset + count), FFT_SIZE - count);
+                });
+            }
+            offset += count;
+            sinceLastFrame += count;
+            framesSeen += count;
+            if (sinceLastFrame === SAMPLE_STREAM_HOP_FRAMES) {
+                sinceLastFrame = 0;
+                // Stream time rather than arrival time, so blocks delivered in a burst keep their spacing
+                onFrame({
+                    samples: frameSamples,
+                    frequencyData: computeFrequencyData(),
+                    channelSamples,
+                    sampleRate,
+                    timestamp: startTime + framesSeen / sampleRate * 1000
+                });
+            }
+        }
+    };
+}
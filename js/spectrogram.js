@@ -0,0 +1,254 @@
+// js/spectrogram.js
+import { uiElements } from './ui.js';
+import {
+    SPECTROGRAM_MIN_FREQ,
+    SPECTROGRAM_MAX_FREQ,
+    SPECTROGRAM_DEFAULT_FLOOR_DB,
+    SPECTROGRAM_DEFAULT_CEILING_DB,
+    SPECTROGRAM_MIN_RANGE_DB,
+    DEFAULT_COLORMAP,
+    COLORMAPS
+} from './config.js';
+import { fitCanvasToDisplay } from './visualizer.js';
+
+const AXIS_LABEL_FREQUENCIES = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+
+// --- State Variables ---
+let spectrogramCtx = null;
+let historyCanvas = null; // Offscreen canvas holding the scrolling image (without labels)
+let historyCtx = null;
+let colormapName = DEFAULT_COLORMAP;
+let colormapLut = buildColormapLut(DEFAULT_COLORMAP);
+let floorDb = SPECTROGRAM_DEFAULT_FLOOR_DB;
+let ceilingDb = SPECTROGRAM_DEFAULT_CEILING_DB;
+let isPaused = false;
+let rowBinRanges = null; // Per pixel row: [firstBin, lastBin] covered on the log axis
+let rowBinRangesKey = '';
+
+// --- Getters ---
+export const getIsPaused = () => isPaused;
+export const getDbRange = () => ({ floorDb, ceilingDb });
+export const getColormap = () => colormapName;
+
+/**
+ * Builds a 256-entry RGB lookup table from a colormap's gradient stops.
+ * @param {string} name - Key of COLORMAPS.
+ * @returns {Uint8ClampedArray} Packed RGB triplets.
+ */
+function buildColormapLut(name) {
+    const stops = COLORMAPS[name];
+    const lut = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const position = (i / 255) * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const fraction = position - index;
+        for (let c = 0; c < 3; c++) {
+            lut[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * fraction;
+        }
+    }
+    return lut;
+}
+
+/**
+ * Initializes the spectrogram canvas context.
+ */
+export function initSpectrogram() {
+    const canvas = uiElements.spectrogramCanvas();
+    if (!canvas) {
+        console.error("Could not get spectrogram canvas context.");
+        return;
+    }
+    spectrogramCtx = canvas.getContext('2d');
+    historyCanvas = document.createElement('canvas');
+    historyCtx = historyCanvas.getContext('2d');
+}
+
+/**
+ * Matches the canvas resolution to its displayed size. Resizing drops the history.
+ * @returns {boolean} True if the canvas has a usable size.
+ */
+function syncCanvasSize() {
+    const canvas = uiElements.spectrogramCanvas();
+    if (!fitCanvasToDisplay(canvas)) return false;
+    if (historyCanvas.width !== canvas.width || historyCanvas.height !== canvas.height) {
+        historyCanvas.width = canvas.width;
+        historyCanvas.height = canvas.height;
+        clearHistory();
+    }
+    return true;
+}
+
+/**
+ * Fills the history canvas with the colour of the floor level.
+ */
+function clearHistory() {
+    if (!historyCtx) return;
+    historyCtx.fillStyle = `rgb(${colormapLut[0]}, ${colormapLut[1]}, ${colormapLut[2]})`;
+    historyCtx.fillRect(0, 0, historyCanvas.width, historyCanvas.height);
+}
+
+/**
+ * Maps a frequency to a pixel row on the log axis (0 = top = highest frequency).
+ * @param {number} frequency - Frequency in Hz.
+ * @param {number} maxFrequency - Frequency at the top of the axis.
+ * @param {number} height - Canvas height in pixels.
+ * @returns {number}
+ */
+function frequencyToY(frequency, maxFrequency, height) {
+    const ratio = Math.log(frequency / SPECTROGRAM_MIN_FREQ) / Math.log(maxFrequency / SPECTROGRAM_MIN_FREQ);
+    return height - ratio * height;
+}
+
+/**
+ * Works out which FFT bins fall into each pixel row of the log-frequency axis.
+ * @param {number} height - Canvas height in pixels.
+ * @param {number} binCount - Number of frequency bins.
+ * @param {number} sampleRate - Sample rate in Hz.
+ */
+function updateRowBinRanges(height, binCount, sampleRate) {
+    const key = `${height}:${binCount}:${sampleRate}`;
+    if (key === rowBinRangesKey) return;
+
+    const nyquist = sampleRate / 2;
+    const maxFrequency = Math.min(SPECTROGRAM_MAX_FREQ, nyquist);
+    const binWidth = nyquist / binCount;
+    const logSpan = Math.log(maxFrequency / SPECTROGRAM_MIN_FREQ);
+
+    rowBinRanges = new Array(height);
+    for (let y = 0; y < height; y++) {
+        // Row y spans from the frequency at its bottom edge to the one at its top edge
+        const lowFrequency = SPECTROGRAM_MIN_FREQ * Math.exp(logSpan * (height - y - 1) / height);
+        const highFrequency = SPECTROGRAM_MIN_FREQ * Math.exp(logSpan * (height - y) / height);
+        const firstBin = Math.min(binCount - 1, Math.round(lowFrequency / binWidth));
+        const lastBin = Math.min(binCount - 1, Math.max(firstBin, Math.round(highFrequency / binWidth)));
+        rowBinRanges[y] = [firstBin, lastBin];
+    }
+    rowBinRangesKey = key;
+}
+
+/**
+ * Appends one column of spectral data at the right edge of the history canvas.
+ * @param {Float32Array} freqData - Frequency data in dB from getFloatFrequencyData.
+ */
+function pushColumn(freqData) {
+    const width = historyCanvas.width;
+    const height = historyCanvas.height;
+
+    // Scroll existing history one pixel to the left
+    historyCtx.drawImage(historyCanvas, -1, 0);
+
+    const column = historyCtx.createImageData(1, height);
+    const range = ceilingDb - floorDb;
+    for (let y = 0; y < height; y++) {
+        const [firstBin, lastBin] = rowBinRanges[y];
+        let maxDb = -Infinity;
+        for (let bin = firstBin; bin <= lastBin; bin++) {
+            if (freqData[bin] > maxDb) maxDb = freqData[bin];
+        }
+        const normalized = Math.min(1, Math.max(0, (maxDb - floorDb) / range));
+        const lutIndex = Math.round(normalized * 255) * 3;
+        const offset = y * 4;
+        column.data[offset] = colormapLut[lutIndex];
+        column.data[offset + 1] = colormapLut[lutIndex + 1];
+        column.data[offset + 2] = colormapLut[lutIndex + 2];
+        column.data[offset + 3] = 255;
+    }
+    historyCtx.putImageData(column, width - 1, 0);
+}
+
+/**
+ * Draws the frequency axis labels over the spectrogram.
+ * @param {number} maxFrequency - Frequency at the top of the axis.
+ * @param {number} height - Canvas height in pixels.
+ */
+function drawFrequencyAxis(maxFrequency, height) {
+    spectrogramCtx.font = '10px sans-serif';
+    spectrogramCtx.textBaseline = 'middle';
+    spectrogramCtx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    spectrogramCtx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    spectrogramCtx.lineWidth = 1;
+
+    AXIS_LABEL_FREQUENCIES.forEach(frequency => {
+        if (frequency > maxFrequency) return;
+        const y = Math.round(frequencyToY(frequency, maxFrequency, height)) + 0.5;
+        if (y < 6 || y > height - 6) return; // Keep labels inside the canvas
+        spectrogramCtx.beginPath();
+        spectrogramCtx.moveTo(0, y);
+        spectrogramCtx.lineTo(6, y);
+        spectrogramCtx.stroke();
+        const label = frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+        spectrogramCtx.fillText(label, 9, y);
+    });
+}
+
+/**
+ * Advances and draws the spectrogram. Called once per animation frame.
+ * @param {Float32Array} floatFrequencyData - Frequency data in dB, as from getFloatFrequencyData.
+ * @param {number} sampleRate - The AudioContext sample rate.
+ */
+export function drawSpectrogram(floatFrequencyData, sampleRate) {
+    if (!spectrogramCtx || !floatFrequencyData || !sampleRate) return;
+    if (!syncCanvasSize()) return;
+
+    const canvas = uiElements.spectrogramCanvas();
+    const height = canvas.height;
+    const maxFrequency = Math.min(SPECTROGRAM_MAX_FREQ, sampleRate / 2);
+
+    if (!isPaused) {
+        updateRowBinRanges(height, floatFrequencyData.length, sampleRate);
+        pushColumn(floatFrequencyData);
+    }
+
+    spectrogramCtx.drawImage(historyCanvas, 0, 0);
+    drawFrequencyAxis(maxFrequency, height);
+}
+
+/**
+ * Clears the spectrogram and its history.
+ */
+export function clearSpectrogram() {
+    if (!spectrogramCtx) {
+        initSpectrogram();
+        if (!spectrogramCtx) return;
+    }
+    const canvas = uiElements.spectrogramCanvas();
+    clearHistory();
+    const bgColor = getComputedStyle(document.documentElement).getPropertyValue('--canvas-bg').trim();
+    spectrogramCtx.fillStyle = bgColor;
+    spectrogramCtx.fillRect(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Selects the colormap used for new columns.
+ * @param {string} name - Key of COLORMAPS.
+ */
+export function setColormap(name) {
+    if (!COLORMAPS[name]) {
+        console.warn(`Unknown colormap: ${name}`);
+        return;
+    }
+    colormapName = name;
+    colormapLut = buildColormapLut(name);
+}
+
+/**
+ * Sets the dB levels mapped to the bottom and top of the colormap.
+ * The range is kept at least SPECTROGRAM_MIN_RANGE_DB wide.
+ * @param {number} newFloorDb
+ * @param {number} newCeilingDb
+ * @returns {{floorDb: number, ceilingDb: number}} The range actually applied.
+ */
+export function setDbRange(newFloorDb, newCeilingDb) {
+    floorDb = Math.min(newFloorDb, newCeilingDb - SPECTROGRAM_MIN_RANGE_DB);
+    ceilingDb = newCeilingDb;
+    return getDbRange();
+}
+
+/**
+ * Freezes or resumes scrolling. The frozen image stays on screen.
+ * @returns {boolean} The new paused state.
+ */
+export function togglePaused() {
+    isPaused = !isPaused;
+    return isPaused;
+}
@@ -0,0 +1,226 @@
+// js/spectrumAnalyser.js
+import {
+    SPECTRUM_MIN_DB,
+    SPECTRUM_MAX_DB,
+    SPECTRUM_DB_LIMITS,
+    SPECTRUM_MIN_RANGE_DB,
+    SPECTRUM_FFT_SIZES,
+    DEFAULT_SPECTRUM_FFT_SIZE,
+    DEFAULT_SPECTRUM_SMOOTHING,
+    SPECTRUM_MAX_SMOOTHING,
+    SPECTRUM_WINDOWS,
+    DEFAULT_SPECTRUM_WINDOW,
+    SPECTRUM_WORKLET_MIN_HOP,
+    SPECTRUM_WORKLET_WORK_PER_QUANTUM,
+    SPECTRUM_DBFS_OFFSET
+} from './config.js';
+import { loadWorkletNode, connectSink } from './workletLoader.js';
+
+const PROCESSOR_URL = new URL('./worklets/spectrumProcessor.js', import.meta.url);
+const ANALYSER_WINDOW = 'blackman'; // The only window the AnalyserNode applies
+
+// --- State Variables ---
+let settings = {
+    fftSize: DEFAULT_SPECTRUM_FFT_SIZE,
+    smoothing: DEFAULT_SPECTRUM_SMOOTHING,
+    minDb: SPECTRUM_MIN_DB,
+    maxDb: SPECTRUM_MAX_DB,
+    window: DEFAULT_SPECTRUM_WINDOW
+};
+let analyserNode = null; // The session's spectrum analyser while monitoring
+let workletNode = null; // Float FFT with a selectable window; only exists while such a window is chosen
+let workletPending = null; // Promise of the worklet node being created
+let workletFrameShown = false; // frequencyData holds the worklet's latest frame at the current size
+let frequencyData = new Float32Array(DEFAULT_SPECTRUM_FFT_SIZE / 2); // Levels handed to the displays
+
+// --- Getters ---
+export const getSpectrumSettings = () => ({ ...settings });
+export const isWorkletWindowSupported = () => typeof window.AudioWorkletNode === 'function';
+
+/**
+ * Brings requested settings into range. Windows other than the analyser's own need AudioWorklet.
+ * @param {object} requested - Any of {fftSize, smoothing, minDb, maxDb, window}.
+ * @returns {object} Complete, valid settings.
+ */
+function normalizeSettings(requested) {
+    const merged = { ...settings, ...requested };
+    const [lowestDb, highestDb] = SPECTRUM_DB_LIMITS;
+    const maxDb = Math.min(highestDb, Math.max(lowestDb + SPECTRUM_MIN_RANGE_DB, Number(merged.maxDb)));
+    let windowName = SPECTRUM_WINDOWS.includes(merged.window) ? merged.window : DEFAULT_SPECTRUM_WINDOW;
+    if (windowName !== ANALYSER_WINDOW && !isWorkletWindowSupported()) windowName = ANALYSER_WINDOW;
+    const fftSize = Number(merged.fftSize);
+    return {
+        fftSize: SPECTRUM_FFT_SIZES.includes(fftSize) ? fftSize : DEFAULT_SPECTRUM_FFT_SIZE,
+        smoothing: Math.min(SPECTRUM_MAX_SMOOTHING, Math.max(0, Number(merged.smoothing) || 0)),
+        minDb: Math.min(maxDb - SPECTRUM_MIN_RANGE_DB, Math.max(lowestDb, Number(merged.minDb))),
+        maxDb,
+        window: windowName
+    };
+}
+
+/**
+ * Sets the analyser's size, smoothing and byte-data range from the current settings.
+ */
+function configureAnalyser() {
+    analyserNode.fftSize = settings.fftSize;
+    analyserNode.smoothingTimeConstant = settings.smoothing;
+    // The analyser works on its own dB scale; min must stay below max at every step
+    const minDecibels = settings.minDb - SPECTRUM_DBFS_OFFSET;
+    const maxDecibels = settings.maxDb - SPECTRUM_DBFS_OFFSET;
+    if (minDecibels >= analyserNode.maxDecibels) {
+        analyserNode.maxDecibels = maxDecibels;
+        analyserNode.minDecibels = minDecibels;
+    } else {
+        analyserNode.minDecibels = minDecibels;
+        analyserNode.maxDecibels = maxDecibels;
+    }
+}
+
+/**
+ * Creates the worklet node behind the analyser, or reconfigures the existing one.
+ * @returns {Promise<void>}
+ */
+async function syncWorklet() {
+    const processorSettings = { fftSize: settings.fftSize, window: settings.window, smoothing: settings.smoothing };
+    if (workletNode) {
+        workletNode.port.postMessage({ type: 'configure', ...processorSettings });
+        return;
+    }
+    if (workletPending) {
+        await workletPending;
+        if (!analyserNode || settings.window === ANALYSER_WINDOW) return;
+        return syncWorklet(); // Passes on settings changed while the node was being created
+    }
+
+    const tappedNode = analyserNode;
+    const audioContext = tappedNode.context;
+    workletPending = (async () => {
+        const node = await loadWorkletNode(audioContext, PROCESSOR_URL, 'spectrum-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'speakers', // Mix down to mono like the analyser does
+            processorOptions: {
+                fftSize: settings.fftSize,
+                window: settings.window,
+                smoothing: settings.smoothing,
+                minHop: SPECTRUM_WORKLET_MIN_HOP,
+                workPerQuantum: SPECTRUM_WORKLET_WORK_PER_QUANTUM
+            }
+        });
+        // Monitoring stopped, or the analyser window was chosen again, while the module loaded
+        if (analyserNode !== tappedNode || settings.window === ANALYSER_WINDOW) {
+            node.port.postMessage({ type: 'stop' });
+            return;
+        }
+
+        workletNode = node;
+        workletNode.port.onmessage = (event) => {
+            if (event.data.type === 'spectrum') showWorkletFrame(event.data.levels);
+        };
+        // An analyser passes its input through unchanged, so the worklet sees the same signal
+        connectSink(tappedNode, workletNode);
+        console.log(`Spectrum worklet started (${settings.window} window)`);
+    })();
+    try {
+        await workletPending;
+    } finally {
+        workletPending = null;
+    }
+}
+
+/**
+ * Takes a frame posted by the worklet into the levels handed to the displays, on the analyser's
+ * dB scale, and hands the buffer back for the worklet to fill again.
+ * @param {Float32Array} levels - dBFS per bin.
+ */
+function showWorkletFrame(levels) {
+    if (levels.length === frequencyData.length) {
+        for (let bin = 0; bin < frequencyData.length; bin++) {
+            frequencyData[bin] = levels[bin] - SPECTRUM_DBFS_OFFSET;
+        }
+        workletFrameShown = true;
+    }
+    workletNode.port.postMessage({ type: 'return', levels }, [levels.buffer]);
+}
+
+/**
+ * Stops and disconnects the worklet node, if any.
+ */
+function destroyWorklet() {
+    if (!workletNode) return;
+    workletNode.port.onmessage = null;
+    workletNode.port.postMessage({ type: 'stop' });
+    workletNode.disconnect();
+    try {
+        analyserNode?.disconnect(workletNode);
+    } catch (e) {
+        // Analyser already disconnected
+    }
+    workletNode = null;
+    workletFrameShown = false;
+    console.log('Spectrum worklet stopped');
+}
+
+/**
+ * Applies the live settings to the current analyser and worklet.
+ */
+function applyToNodes() {
+    if (!analyserNode) return;
+    configureAnalyser();
+    if (settings.window === ANALYSER_WINDOW) {
+        destroyWorklet();
+        return;
+    }
+    syncWorklet().catch(err => {
+        console.warn('Spectrum worklet unavailable, using the analyser window:', err);
+        settings.window = ANALYSER_WINDOW;
+    });
+}
+
+/**
+ * Changes the spectrum resolution, window, smoothing or dB range. Takes effect immediately,
+ * also while monitoring; the frequency data buffer is resized to match.
+ * @param {object} requested - Any of {fftSize, smoothing, minDb, maxDb, window}.
+ * @returns {object} The settings actually applied.
+ */
+export function applySpectrumSettings(requested) {
+    settings = normalizeSettings(requested);
+    if (frequencyData.length !== settings.fftSize / 2) {
+        frequencyData = new Float32Array(settings.fftSize / 2);
+        workletFrameShown = false;
+    }
+    applyToNodes();
+    return getSpectrumSettings();
+}
+
+/**
+ * Starts feeding the displays from a session's spectrum analyser, with the current settings.
+ * @param {AnalyserNode} node - The session's spectrum analyser.
+ */
+export function attachSpectrumAnalyser(node) {
+    detachSpectrumAnalyser();
+    analyserNode = node;
+    applyToNodes();
+}
+
+/**
+ * Stops reading the analyser and releases the worklet.
+ */
+export function detachSpectrumAnalyser() {
+    destroyWorklet();
+    analyserNode = null;
+}
+
+/**
+ * Returns the latest spectrum on the analyser's dB scale (add SPECTRUM_DBFS_OFFSET for dBFS),
+ * so every window is drawn the same way. Frames of the worklet arrive finished; until the first
+ * one at the current size, the analyser fills in.
+ * @returns {Float32Array | null} Level per bin (fftSize / 2 bins), or null when not monitoring.
+ */
+export function readFrequencyData() {
+    if (!analyserNode) return null;
+    if (!workletNode || !workletFrameShown) analyserNode.getFloatFrequencyData(frequencyData);
+    return frequencyData;
+}
@@ -0,0 +1,500 @@
+// js/stabilityMonitor.js
+// Watches the raw input for the stutters of unstable devices (Bluetooth headsets, overloaded USB hubs):
+// gaps of digital silence, sudden discontinuities, repeated buffers and a drifting sample clock.
+import {
+    STABILITY_SILENCE_MIN_MS,
+    STABILITY_DISCONTINUITY_RATIO,
+    STABILITY_DISCONTINUITY_MIN,
+    STABILITY_DISCONTINUITY_TIME_MS,
+    STABILITY_DISCONTINUITY_CHECK_MS,
+    STABILITY_DISCONTINUITY_SETTLE_RATIO,
+    STABILITY_REPEAT_LAGS_MS,
+    STABILITY_REPEAT_LAG_FRAMES,
+    STABILITY_REPEAT_MIN_FRAMES,
+    STABILITY_EVENT_MERGE_MS,
+    STABILITY_DRIFT_WINDOW_SEC,
+    STABILITY_DRIFT_MIN_SEC,
+    STABILITY_DRIFT_WARN_PPM,
+    STABILITY_SCORE_HALF_RATE,
+    STABILITY_SCORE_GOOD,
+    STABILITY_SCORE_FAIR,
+    STABILITY_MAX_EVENTS
+} from './config.js';
+import { linearToDbfs } from './metering.js';
+
+const EVENT_TYPES = ['silence', 'discontinuity', 'repeat', 'drift'];
+const REPEAT_HISTORY_FRAMES = 16384; // A power of two above the longest lag checked (20 ms at 384 kHz)
+const DRIFT_POLL_MS = 1000; // Between readings of the device's frame counter
+
+// --- State Variables ---
+let liveDetector = null;
+let unsubscribeLive = null; // Detaches the live detector from the session's sample stream
+let liveStartedAt = null; // Wall-clock start of the live monitor, for the times in the exported log
+let liveTransport = null; // How the samples reach the page ('shared' or 'message'), for the exported log
+let driftTimerId = null; // Polls the track's frame counter for the drift measurement
+let liveDriftMeasurable = false; // The browser reports the track's frame counter (track.stats)
+
+// --- Getters ---
+export const isStabilityMonitorRunning = () => unsubscribeLive !== null;
+
+/**
+ * Grades a stability score.
+ * @param {number | null} score - 0-100, from a detector's getSummary().
+ * @returns {string | null} 'pass', 'warn', 'fail', or null while there is nothing to grade yet.
+ */
+export function gradeStability(score) {
+    if (score === null) return null;
+    if (score >= STABILITY_SCORE_GOOD) return 'pass';
+    return score >= STABILITY_SCORE_FAIR ? 'warn' : 'fail';
+}
+
+/**
+ * Slope of a least-squares line through points.
+ * @param {{x: number, y: number}[]} points
+ * @returns {number}
+ */
+function regressionSlope(points) {
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(point => {
+        covariance += (point.x - meanX) * (point.y - meanY);
+        variance += (point.x - meanX) ** 2;
+    });
+    return variance > 0 ? covariance / variance : NaN;
+}
+
+/**
+ * Creates a stability detector that consumes blocks of samples of any length.
+ * @param {number} sampleRate
+ * @param {number} channelCount
+ * @returns {object} The detector: process(channels), skip(frames), addClockReading(deviceMs, pageMs),
+ *     resetClock(), reset(), getSummary(), getEvents().
+ */
+export function createStabilityDetector(sampleRate, channelCount) {
+    const silenceMinFrames = Math.max(1, Math.round(sampleRate * STABILITY_SILENCE_MIN_MS / 1000));
+    const mergeFrames = Math.round(sampleRate * STABILITY_EVENT_MERGE_MS / 1000);
+    const warmUpFrames = Math.round(sampleRate * STABILITY_DISCONTINUITY_TIME_MS / 1000);
+    const rmsCoefficient = 1 - Math.exp(-1 / warmUpFrames);
+    const ratioSquared = STABILITY_DISCONTINUITY_RATIO ** 2;
+    const checkFrames = Math.max(1, Math.round(sampleRate * STABILITY_DISCONTINUITY_CHECK_MS / 1000));
+    const settleSquared = STABILITY_DISCONTINUITY_SETTLE_RATIO ** 2;
+    // Below this mean square the signal counts as quiet, so a jump out of near-silence is judged against it
+    const quietSquare = (STABILITY_DISCONTINUITY_MIN / STABILITY_DISCONTINUITY_RATIO) ** 2;
+    const historyMask = REPEAT_HISTORY_FRAMES - 1;
+    const repeatLags = [...new Set([
+        ...STABILITY_REPEAT_LAGS_MS.map(ms => Math.round(sampleRate * ms / 1000)),
+        ...STABILITY_REPEAT_LAG_FRAMES
+    ])].filter(lag => lag < REPEAT_HISTORY_FRAMES).sort((a, b) => a - b);
+
+    let framesSeen, skippedFrames, events, counts, lastEvents, version;
+    let silenceRun, silenceEvent, silentFrames, settleFrames;
+    let previous1, previous2, meanSquare, levelSquare, jumpCandidate;
+    let history, repeatRuns, repeatChanges, repeatEvents;
+    let driftPoints, driftPpm;
+
+    function reset() {
+        framesSeen = 0;
+        skippedFrames = 0; // Of framesSeen, never analysed (see skip())
+        events = []; // {type, frame, endFrame, ...details}, oldest first
+        counts = Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+        lastEvents = {}; // Latest event of each type, for merging
+        version = 0; // Changes whenever the log does
+        silenceRun = 0;
+        silenceEvent = null;
+        silentFrames = 0;
+        settleFrames = warmUpFrames; // Let the running RMS settle before judging jumps
+        previous1 = new Float64Array(channelCount);
+        previous2 = new Float64Array(channelCount);
+        meanSquare = new Float64Array(channelCount);
+        levelSquare = new Float64Array(channelCount); // Running mean square of the samples themselves
+        jumpCandidate = null; // A jump waiting to see what follows it (see judgeJumpCandidate())
+        history = new Float32Array(REPEAT_HISTORY_FRAMES); // First channel, to look for repeats
+        repeatRuns = new Int32Array(repeatLags.length); // Current run of exact repeats per lag...
+        repeatChanges = new Int32Array(repeatLags.length); // ...and how many of those samples changed value
+        repeatEvents = new Array(repeatLags.length).fill(null); // Event of a run already logged
+        driftPoints = [];
+        driftPpm = null; // Stays null where the browser does not count the device's frames
+    }
+    reset();
+
+    /**
+     * Logs an event, or extends the previous one of its type if it ended just before.
+     * @param {string} type
+     * @param {number} frame - First frame of the event.
+     * @param {number} endFrame - Frame after its last one.
+     * @param {object} details - Type-specific fields.
+     * @returns {object} The new or extended event.
+     */
+    function addEvent(type, frame, endFrame, details) {
+        version++;
+        const last = lastEvents[type];
+        if (last && frame - last.endFrame <= mergeFrames) {
+            last.endFrame = Math.max(last.endFrame, endFrame);
+            last.merged++;
+            return last;
+        }
+        const event = { type, frame, endFrame, merged: 1, ...details };
+        events.push(event);
+        if (events.length > STABILITY_MAX_EVENTS) events.shift();
+        counts[type]++;
+        lastEvents[type] = event;
+        return event;
+    }
+
+    /**
+     * Compares the device's sample clock with the page's. The samples themselves cannot tell: the
+     * browser resamples them to the AudioContext clock, so they always arrive at its nominal rate.
+     * @param {number} deviceMs - Audio the device has captured so far, in milliseconds of its own
+     *     frames (MediaStreamTrack.stats.totalFramesDuration).
+     * @param {number} pageMs - performance.now() when it was read.
+     */
+    function addClockReading(deviceMs, pageMs) {
+        driftPoints.push({ x: pageMs, y: deviceMs });
+        while (driftPoints.length > 2 && pageMs - driftPoints[0].x > STABILITY_DRIFT_WINDOW_SEC * 1000) driftPoints.shift();
+        if (pageMs - driftPoints[0].x < STABILITY_DRIFT_MIN_SEC * 1000) return;
+
+        // A line through all points evens out the steps in which the counter advances
+        const rate = regressionSlope(driftPoints);
+        if (!Number.isFinite(rate)) return;
+        driftPpm = (rate - 1) * 1e6;
+        const lastDrift = lastEvents.drift;
+        const windowFrames = STABILITY_DRIFT_WINDOW_SEC * sampleRate;
+        if (Math.abs(driftPpm) > STABILITY_DRIFT_WARN_PPM && (!lastDrift || framesSeen - lastDrift.frame > windowFrames)) {
+            // Logged at most once per window; the same shortfall would otherwise repeat every second
+            addEvent('drift', framesSeen, framesSeen, { ppm: driftPpm });
+        }
+    }
+
+    /**
+     * Starts the clock comparison afresh, e.g. after the device stopped counting frames for a while.
+     * The last drift measured stays on show until a new one is complete.
+     */
+    function resetClock() {
+        driftPoints = [];
+    }
+
+    /**
+     * Accounts for samples that never reached the detector, e.g. dropped by a busy page rather than
+     * by the device: their time passes, but the step across the gap is not judged.
+     * @param {number} frames
+     */
+    function skip(frames) {
+        if (silenceEvent) {
+            silenceEvent.endFrame = framesSeen;
+            silenceEvent.ongoing = false;
+            silenceEvent = null;
+            version++;
+        }
+        framesSeen += frames;
+        skippedFrames += frames;
+        silenceRun = 0;
+        jumpCandidate = null;
+        settleFrames = Math.max(settleFrames, 2);
+        repeatRuns.fill(0);
+        repeatChanges.fill(0);
+        repeatEvents.fill(null);
+    }
+
+    /**
+     * Logs the pending jump if the signal carried on after it as before: a splice or a lost buffer
+     * is one step in otherwise continuous audio. Sounds that start with a bang (claps, plosives,
+     * a word after a pause) are followed by more of themselves, louder or brighter than before.
+     */
+    function judgeJumpCandidate() {
+        const { frame, jump, channels: jumpChannels, changesBefore, levelsBefore, changeSums, levelSums, judged } = jumpCandidate;
+        jumpCandidate = null;
+        for (let channel = 0; channel < channelCount; channel++) {
+            if (!(jumpChannels & (1 << channel))) continue;
+            const brighter = changeSums[channel] / judged > settleSquared * Math.max(changesBefore[channel], quietSquare);
+            const louder = levelSums[channel] / judged > settleSquared * Math.max(levelsBefore[channel], quietSquare);
+            if (!brighter && !louder) {
+                const event = addEvent('discontinuity', frame, frame + 1, { jump });
+                event.jump = Math.max(event.jump, jump);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Analyses the next block of samples.
+     * @param {Float32Array[]} channels - One block per channel, all the same length.
+     */
+    function process(channels) {
+        const frames = channels[0].length;
+        const first = channels[0];
+        for (let i = 0; i < frames; i++) {
+            const frame = framesSeen + i;
+            const sample = first[i];
+            const previousSample = history[(frame - 1) & historyMask];
+            history[frame & historyMask] = sample;
+
+            // Digital silence: every channel exactly zero, which a live microphone never delivers for long
+            let silent = true;
+            for (let channel = 0; channel < channelCount && silent; channel++) {
+                if (channels[channel][i] !== 0) silent = false;
+            }
+            if (silent) {
+                silenceRun++;
+                if (silenceRun === silenceMinFrames) {
+                    silenceEvent = addEvent('silence', frame + 1 - silenceRun, frame + 1, {});
+                    silenceEvent.ongoing = true; // Also when it continues the previous gap
+                    silentFrames += silenceRun;
+                } else if (silenceRun > silenceMinFrames) {
+                    silentFrames++;
+                }
+                jumpCandidate = null; // The gap is logged as such
+                repeatRuns.fill(0); // Zeros repeat trivially
+                repeatChanges.fill(0);
+                repeatEvents.fill(null);
+                continue;
+            }
+            if (silenceRun > 0) {
+                if (silenceEvent) {
+                    silenceEvent.endFrame = frame;
+                    silenceEvent.ongoing = false;
+                    silenceEvent = null;
+                    version++;
+                }
+                silenceRun = 0;
+                settleFrames = Math.max(settleFrames, 2); // The step out of the gap is part of the gap
+            }
+
+            // Discontinuities: a second difference far above its running level. Band-limited audio
+            // changes slope gradually; a splice or a lost buffer does not.
+            let jump = 0;
+            let jumpChannels = 0; // Bit per channel that jumped
+            // The step itself shows as two opposite spikes; what follows starts after the second
+            const judging = jumpCandidate !== null && frame > jumpCandidate.frame + 1;
+            for (let channel = 0; channel < channelCount; channel++) {
+                const value = channels[channel][i];
+                const secondDifference = value - 2 * previous1[channel] + previous2[channel];
+                const squared = secondDifference * secondDifference;
+                if (settleFrames === 0 && jumpCandidate === null && Math.abs(secondDifference) >= STABILITY_DISCONTINUITY_MIN &&
+                    squared > ratioSquared * meanSquare[channel]) {
+                    jump = Math.max(jump, Math.abs(secondDifference));
+                    jumpChannels |= 1 << channel;
+                }
+                if (judging) {
+                    jumpCandidate.changeSums[channel] += squared;
+                    jumpCandidate.levelSums[channel] += value * value;
+                }
+                meanSquare[channel] += rmsCoefficient * (squared - meanSquare[channel]);
+                levelSquare[channel] += rmsCoefficient * (value * value - levelSquare[channel]);
+                previous2[channel] = previous1[channel];
+                previous1[channel] = value;
+            }
+            if (settleFrames > 0) settleFrames--;
+            if (jump > 0) {
+                jumpCandidate = {
+                    frame,
+                    jump,
+                    channels: jumpChannels,
+                    changesBefore: Float64Array.from(meanSquare),
+                    levelsBefore: Float64Array.from(levelSquare),
+                    changeSums: new Float64Array(channelCount),
+                    levelSums: new Float64Array(channelCount),
+                    judged: 0
+                };
+            } else if (judging && ++jumpCandidate.judged === checkFrames) {
+                judgeJumpCandidate();
+            }
+
+            // Repeated buffers: a stretch that equals the one a buffer length earlier, sample for sample
+            for (let index = 0; index < repeatLags.length; index++) {
+                const lag = repeatLags[index];
+                if (frame < lag || sample !== history[(frame - lag) & historyMask]) {
+                    repeatRuns[index] = 0;
+                    repeatChanges[index] = 0;
+                    repeatEvents[index] = null;
+                    continue;
+                }
+                repeatRuns[index]++;
+                if (sample !== previousSample) repeatChanges[index]++;
+                if (repeatEvents[index]) {
+                    repeatEvents[index].endFrame = frame + 1;
+                } else if (repeatRuns[index] >= STABILITY_REPEAT_MIN_FRAMES &&
+                    repeatChanges[index] * 2 >= STABILITY_REPEAT_MIN_FRAMES) {
+                    // Held values (clipping, DC) repeat too; only a changing signal counts
+                    repeatEvents[index] = addEvent('repeat', frame + 1 - repeatRuns[index], frame + 1,
+                        { lagMs: lag / sampleRate * 1000 });
+                }
+            }
+        }
+        framesSeen += frames;
+        if (silenceEvent) {
+            silenceEvent.endFrame = framesSeen;
+            version++;
+        }
+    }
+
+    return {
+        process,
+        skip,
+        addClockReading,
+        resetClock,
+        reset,
+
+        /**
+         * Summary of everything seen since the start or the last reset.
+         * @returns {{elapsedSec: number, score: number | null, counts: object, silentSec: number,
+         *     skippedFrames: number, skippedSec: number, driftPpm: number | null, version: number}} version changes whenever
+         *     the event log does.
+         */
+        getSummary() {
+            const elapsedSec = framesSeen / sampleRate;
+            const eventCount = EVENT_TYPES.reduce((sum, type) => sum + counts[type], 0);
+            // Events per minute, counted over at least a minute so one early glitch does not sink the score
+            const perMinute = eventCount / Math.max(1, elapsedSec / 60);
+            const silentFraction = framesSeen > 0 ? silentFrames / framesSeen : 0;
+            return {
+                elapsedSec,
+                score: framesSeen > 0 ? Math.round(100 * (1 - silentFraction) / (1 + perMinute / STABILITY_SCORE_HALF_RATE)) : null,
+                counts: { ...counts },
+                silentSec: silentFrames / sampleRate,
+                skippedFrames,
+                skippedSec: skippedFrames / sampleRate,
+                driftPpm,
+                version
+            };
+        },
+
+        /**
+         * The event log, oldest first (at most STABILITY_MAX_EVENTS).
+         * @returns {object[]} {type, timeSec, durationMs} plus ongoing (silence), jumpDb and count
+         *     (discontinuity), lagMs (repeat) or ppm (drift).
+         */
+        getEvents() {
+            return events.map(event => {
+                const entry = {
+                    type: event.type,
+                    timeSec: event.frame / sampleRate,
+                    durationMs: (event.endFrame - event.frame) / sampleRate * 1000
+                };
+                if (event.type === 'silence') entry.ongoing = event.ongoing;
+                if (event.type === 'discontinuity') {
+                    entry.jumpDb = linearToDbfs(event.jump);
+                    entry.count = event.merged;
+                }
+                if (event.type === 'repeat') entry.lagMs = event.lagMs;
+                if (event.type === 'drift') entry.ppm = event.ppm;
+                return entry;
+            });
+        }
+    };
+}
+
+/**
+ * Starts watching the live input for dropouts and glitches.
+ * @param {object | null} stream - The session's sample stream of the raw input (see sampleStream.js);
+ *     processing could add silence of its own.
+ * @param {MediaStreamTrack} track - The input's track; its frame counter (track.stats, not in every
+ *     browser) measures the drift.
+ * @returns {boolean} False if there is no sample stream (no AudioWorklet).
+ */
+export function startStabilityMonitor(stream, track) {
+    stopStabilityMonitor();
+    if (!stream) return false;
+    const detector = createStabilityDetector(stream.sampleRate, stream.channelCount);
+    let expectedFrame = 0;
+    unsubscribeLive = stream.subscribe((channels, startFrame) => {
+        // Samples the page was too busy to read are a gap in the analysis, not in the device's audio
+        if (startFrame > expectedFrame) detector.skip(startFrame - expectedFrame);
+        expectedFrame = startFrame + channels[0].length;
+        detector.process(channels);
+    });
+    liveDriftMeasurable = Boolean(track && track.stats);
+    if (liveDriftMeasurable) {
+        driftTimerId = setInterval(() => {
+            // A muted track delivers no frames, which would read as the device's clock stopping
+            if (track.muted) {
+                detector.resetClock();
+                return;
+            }
+            detector.addClockReading(track.stats.totalFramesDuration, performance.now());
+        }, DRIFT_POLL_MS);
+    }
+    liveDetector = detector;
+    liveStartedAt = new Date();
+    liveTransport = stream.transport;
+    console.log(`Stability monitor started (${stream.channelCount} channel(s), drift ${liveDriftMeasurable ? 'measured' : 'not measurable'})`);
+    return true;
+}
+
+/**
+ * Stops the live stability monitor.
+ */
+export function stopStabilityMonitor() {
+    if (unsubscribeLive) unsubscribeLive();
+    unsubscribeLive = null;
+    clearInterval(driftTimerId);
+    driftTimerId = null;
+    liveDriftMeasurable = false;
+    liveDetector = null;
+    liveStartedAt = null;
+    liveTransport = null;
+}
+
+/**
+ * Clears the event log and score of the live monitor.
+ */
+export function resetStabilityMonitor() {
+    if (!liveDetector) return;
+    liveDetector.reset();
+    liveStartedAt = new Date();
+}
+
+/**
+ * Current summary of the live monitor.
+ * @returns {object | null} From the detector's getSummary(), plus driftMeasurable (false where the
+ *     browser does not report the track's frame counter); null when not running.
+ */
+export function getLiveStability() {
+    return liveDetector ? { ...liveDetector.getSummary(), driftMeasurable: liveDriftMeasurable } : null;
+}
+
+/**
+ * The live monitor's event log.
+ * @returns {object[]} From the detector's getEvents(); empty when not running.
+ */
+export function getLiveStabilityEvents() {
+    return liveDetector ? liveDetector.getEvents() : [];
+}
+
+/**
+ * Builds the exportable log of the live monitor, for attaching to a bug report.
+ * @param {{deviceLabel: string, sampleRate: number, channelCount: number}} context
+ * @returns {object | null} Ready for JSON.stringify(); null when not running.
+ */
+export function buildStabilityLog(context) {
+    if (!liveDetector) return null;
+    const summary = liveDetector.getSummary();
+    const finite = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+    return {
+        generatedAt: new Date().toISOString(),
+        startedAt: liveStartedAt.toISOString(),
+        userAgent: navigator.userAgent,
+        device: { label: context.deviceLabel, sampleRate: context.sampleRate, channelCount: context.channelCount },
+        transport: liveTransport,
+        summary: {
+            elapsedSec: finite(summary.elapsedSec, 1),
+            score: summary.score,
+            grade: gradeStability(summary.score),
+            counts: summary.counts,
+            silentSec: finite(summary.silentSec, 3),
+            skippedFrames: summary.skippedFrames,
+            driftMeasurable: liveDriftMeasurable,
+            driftPpm: finite(summary.driftPpm, 0)
+        },
+        events: liveDetector.getEvents().map(event => ({
+            ...event,
+            at: new Date(liveStartedAt.getTime() + event.timeSec * 1000).toISOString(),
+            timeSec: finite(event.timeSec, 4),
+            durationMs: finite(event.durationMs, 2),
+            ...(event.jumpDb !== undefined ? { jumpDb: finite(event.jumpDb, 1) } : {}),
+            ...(event.lagMs !== undefined ? { lagMs: finite(event.lagMs, 2) } : {}),
+            ...(event.ppm !== undefined ? { ppm: finite(event.ppm, 0) } : {})
+        }))
+    };
+}
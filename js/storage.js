@@ -29,3 +29,125 @@ export function getFromLocalStorage(key, defaultValue = null) {
         return defaultValue; // Return default on error
     }
 }
+
+// --- IndexedDB (Recordings Library) ---
+const DB_NAME = 'mic-analyzer';
+const DB_VERSION = 1;
+const RECORDINGS_STORE = 'recordings';
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Returns true if this browser offers IndexedDB (it can be missing or blocked, e.g. in some private modes).
+ * @returns {boolean}
+ */
+export function isDatabaseAvailable() {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (e) {
+        return false; // Accessing indexedDB can throw when storage is blocked
+    }
+}
+
+/**
+ * Opens (and on first use creates) the database. The connection is shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+                const store = db.createObjectStore(RECORDINGS_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('IndexedDB upgrade blocked by another open tab.');
+    });
+    dbPromise.catch(() => { dbPromise = null; }); // Allow a retry after a failure
+    return dbPromise;
+}
+
+/**
+ * Runs a function against the recordings store inside a transaction.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation
+ * @returns {Promise<*>} The operation's result, once the transaction has completed.
+ */
+async function withRecordingsStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(RECORDINGS_STORE, mode);
+        let result;
+        requestToPromise(operation(transaction.objectStore(RECORDINGS_STORE))).then(value => { result = value; }, reject);
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Stores a new recording.
+ * @param {object} entry - Recording fields (without an id).
+ * @returns {Promise<number>} The new entry's id.
+ */
+export function addRecording(entry) {
+    return withRecordingsStore('readwrite', store => store.add(entry));
+}
+
+/**
+ * Lists all stored recordings, newest first.
+ * @returns {Promise<object[]>}
+ */
+export async function getAllRecordings() {
+    const entries = await withRecordingsStore('readonly', store => store.index('createdAt').getAll());
+    return entries.reverse();
+}
+
+/**
+ * Fetches one recording.
+ * @param {number} id
+ * @returns {Promise<object | undefined>}
+ */
+export function getRecording(id) {
+    return withRecordingsStore('readonly', store => store.get(id));
+}
+
+/**
+ * Changes fields of a stored recording.
+ * @param {number} id
+ * @param {object} changes - Fields to overwrite.
+ * @returns {Promise<object>} The updated entry.
+ */
+export async function updateRecording(id, changes) {
+    const entry = await getRecording(id);
+    if (!entry) throw new Error(`Recording ${id} not found`);
+    const updated = { ...entry, ...changes, id };
+    await withRecordingsStore('readwrite', store => store.put(updated));
+    return updated;
+}
+
+/**
+ * Removes a recording.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteRecording(id) {
+    return withRecordingsStore('readwrite', store => store.delete(id));
+}
@@ -0,0 +1,125 @@
+// js/testSignals.js
+import { createPcmCapture } from './pcmRecorder.js';
+
+const FADE_SEC = 0.005; // Raised-cosine fade at both ends, avoids clicks
+const WAIT_POLL_MS = 50;
+
+/**
+ * Applies a raised-cosine fade-in and fade-out in place.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ */
+function applyFades(samples, sampleRate) {
+    const fadeLength = Math.min(Math.round(FADE_SEC * sampleRate), Math.floor(samples.length / 2));
+    for (let i = 0; i < fadeLength; i++) {
+        const fade = 0.5 - 0.5 * Math.cos(Math.PI * i / fadeLength);
+        samples[i] *= fade;
+        samples[samples.length - 1 - i] *= fade;
+    }
+}
+
+/**
+ * Logarithmic (exponential) sine sweep with short fades at both ends. Its frequency rises by
+ * the same number of octaves every second, so each octave gets the same energy.
+ * @param {number} sampleRate
+ * @param {number} durationSec
+ * @param {number} startFrequency - Hz.
+ * @param {number} endFrequency - Hz; must be below Nyquist.
+ * @returns {Float32Array} Samples at full scale.
+ */
+export function createLogSweep(sampleRate, durationSec, startFrequency, endFrequency) {
+    const length = Math.round(durationSec * sampleRate);
+    const rate = Math.log(endFrequency / startFrequency);
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const t = i / sampleRate;
+        const phase = 2 * Math.PI * startFrequency * durationSec / rate * (Math.exp(t / durationSec * rate) - 1);
+        samples[i] = Math.sin(phase);
+    }
+    applyFades(samples, sampleRate);
+    return samples;
+}
+
+// --- Loopback Measurements ---
+/**
+ * Starts a two-channel capture for a loopback measurement. Channel 0 gets the test signal straight
+ * from the graph, channel 1 the microphone, so both arrive in the capture on the same clock.
+ * @param {AudioContext} audioContext
+ * @param {AudioNode} sourceNode - The microphone source.
+ * @returns {Promise<{connectSignal: function(AudioNode), stop: function(): Promise<object | null>, close: function(): Promise<void>}>}
+ *     connectSignal() routes a player into the reference channel; stop() resolves with the capture
+ *     (see createPcmCapture()); close() stops it and releases the microphone.
+ */
+export async function startLoopbackCapture(audioContext, sourceNode) {
+    const merger = audioContext.createChannelMerger(2);
+    sourceNode.connect(merger, 0, 1);
+    const disconnectSource = () => {
+        try {
+            sourceNode.disconnect(merger);
+        } catch (e) {
+            // Source may already be gone if monitoring stopped mid-measurement
+        }
+    };
+
+    let capture = null;
+    try {
+        capture = await createPcmCapture(audioContext, merger, 2);
+    } catch (err) {
+        disconnectSource();
+        throw err;
+    }
+    return {
+        connectSignal: (node) => node.connect(merger, 0, 0),
+        stop: () => capture.stop(),
+        async close() {
+            await capture.stop();
+            disconnectSource();
+        }
+    };
+}
+
+/**
+ * Finds where a test signal starts in the reference channel of a loopback capture. The reference
+ * is digital silence between signals, so the first non-zero sample marks each start.
+ * @param {Float32Array} reference - Channel 0 of the capture.
+ * @param {Float32Array} signal - The test signal as played.
+ * @param {number} [from] - Index to search from.
+ * @returns {number} Index where the signal starts, or -1 if it is not there.
+ */
+export function findSignalStart(reference, signal, from = 0) {
+    let signalLead = 0;
+    while (signalLead < signal.length && signal[signalLead] === 0) signalLead++;
+    let position = from;
+    while (position < reference.length && reference[position] === 0) position++;
+    const start = position - signalLead;
+    return position >= reference.length || start < 0 ? -1 : start;
+}
+
+/**
+ * Waits until the AudioContext clock reaches a time, reporting the seconds left, unless cancelled.
+ * @param {AudioContext} audioContext
+ * @param {number} time - Context time in seconds.
+ * @param {{isCancelled: function(): boolean, cancelMessage: string, onProgress?: function(number)}} options -
+ *     isCancelled is polled while waiting; onProgress gets the whole seconds left whenever that changes.
+ * @returns {Promise<void>} Rejects with an AbortError on cancellation.
+ */
+export function waitForContextTime(audioContext, time, { isCancelled, cancelMessage, onProgress }) {
+    let lastReported = null;
+    return new Promise((resolve, reject) => {
+        const timerId = setInterval(() => {
+            if (isCancelled()) {
+                clearInterval(timerId);
+                reject(new DOMException(cancelMessage, 'AbortError'));
+            } else if (audioContext.currentTime >= time) {
+                clearInterval(timerId);
+                resolve();
+            } else if (onProgress) {
+                const secondsLeft = Math.ceil(time - audioContext.currentTime);
+                if (secondsLeft !== lastReported) {
+                    lastReported = secondsLeft;
+                    onProgress(secondsLeft);
+                }
+            }
+        }, WAIT_POLL_MS);
+    });
+}
@@ -0,0 +1,237 @@
+// js/toneDetector.js
+import {
+    SPECTRUM_DBFS_OFFSET,
+    MAINS_FREQUENCIES,
+    HUM_MAX_HARMONIC,
+    HUM_MIN_MATCHED_HARMONICS,
+    TONE_MIN_PROMINENCE_DB,
+    TONE_MIN_LEVEL_DB,
+    TONE_STABILITY_TIME_MS,
+    WHINE_MIN_FREQ,
+    DC_OFFSET_THRESHOLD_DB,
+    DETECTION_ANNOUNCE_INTERVAL_MS
+} from './config.js';
+import { linearToDbfs } from './metering.js';
+
+const MEDIAN_HALF_WIDTH = 8; // Bins either side used to estimate the local noise level
+const STABLE_ENTER = 0.6; // Persistence needed for a peak to count as stable...
+const STABLE_EXIT = 0.3; // ...and the level it must fall below to stop counting
+
+// --- State Variables ---
+let persistence = null; // Per-bin smoothed "a peak was here" score (0-1)
+let stableBins = null; // Per-bin stable flag with hysteresis
+let peakFrequency = null; // Last interpolated frequency seen at each bin
+let peakLevelDb = null; // Last peak level (dBFS) seen at each bin
+let dcMean = 0; // Smoothed mean sample value
+let lastTimestamp = null;
+let activeIds = new Set();
+let announceQueue = [];
+let lastAnnounceTime = -Infinity;
+
+/**
+ * Clears all tracking state. Call when monitoring (re)starts or the FFT size changes.
+ */
+export function resetDetector() {
+    persistence = null;
+    stableBins = null;
+    peakFrequency = null;
+    peakLevelDb = null;
+    dcMean = 0;
+    lastTimestamp = null;
+    activeIds = new Set();
+    announceQueue = [];
+    lastAnnounceTime = -Infinity;
+}
+
+/**
+ * Median of a spectrum neighbourhood, skipping the peak and its immediate neighbours.
+ * @param {Float32Array} freqData - Frequency data in dB.
+ * @param {number} bin - Centre bin.
+ * @returns {number}
+ */
+function localMedianDb(freqData, bin) {
+    const values = [];
+    const first = Math.max(0, bin - MEDIAN_HALF_WIDTH);
+    const last = Math.min(freqData.length - 1, bin + MEDIAN_HALF_WIDTH);
+    for (let i = first; i <= last; i++) {
+        if (Math.abs(i - bin) > 1) values.push(freqData[i]);
+    }
+    values.sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+}
+
+/**
+ * Finds narrowband peaks in the current frame.
+ * @param {Float32Array} freqData - Frequency data in dB.
+ * @param {number} binWidth - Width of one bin in Hz.
+ * @returns {{bin: number, frequency: number, levelDb: number}[]}
+ */
+function findPeaks(freqData, binWidth) {
+    const peaks = [];
+    for (let bin = 2; bin < freqData.length - 1; bin++) { // Bins 0-1 are DC leakage
+        const level = freqData[bin];
+        if (level + SPECTRUM_DBFS_OFFSET < TONE_MIN_LEVEL_DB) continue;
+        if (level <= freqData[bin - 1] || level < freqData[bin + 1]) continue;
+        if (level - localMedianDb(freqData, bin) < TONE_MIN_PROMINENCE_DB) continue;
+
+        // Parabolic interpolation between neighbouring bins for a sub-bin frequency estimate
+        const left = freqData[bin - 1];
+        const right = freqData[bin + 1];
+        const denominator = left - 2 * level + right;
+        const offset = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+        peaks.push({
+            bin,
+            frequency: (bin + offset) * binWidth,
+            levelDb: level - 0.25 * (left - right) * offset + SPECTRUM_DBFS_OFFSET
+        });
+    }
+    return peaks;
+}
+
+/**
+ * Updates per-bin persistence and returns the currently stable tones.
+ * @param {object[]} peaks - Peaks from findPeaks().
+ * @param {number} decay - Per-frame persistence decay factor.
+ * @returns {{bin: number, frequency: number, levelDb: number}[]}
+ */
+function updateStableTones(peaks, decay) {
+    const hit = new Uint8Array(persistence.length);
+    peaks.forEach(peak => {
+        hit[peak.bin] = 1;
+        peakFrequency[peak.bin] = peak.frequency;
+        peakLevelDb[peak.bin] = peak.levelDb;
+    });
+
+    for (let bin = 0; bin < persistence.length; bin++) {
+        persistence[bin] = persistence[bin] * decay + (hit[bin] ? 1 - decay : 0);
+    }
+
+    const tones = [];
+    for (let bin = 1; bin < persistence.length - 1; bin++) {
+        // A tone drifting by one bin should still count as the same tone
+        const score = Math.max(persistence[bin - 1], persistence[bin], persistence[bin + 1]);
+        stableBins[bin] = stableBins[bin] ? score >= STABLE_EXIT : score >= STABLE_ENTER;
+        if (!stableBins[bin] || !Number.isFinite(peakLevelDb[bin])) continue;
+
+        // Merge with a stable neighbour, keeping the louder one
+        const previous = tones[tones.length - 1];
+        const tone = { bin, frequency: peakFrequency[bin], levelDb: peakLevelDb[bin] };
+        if (previous && bin - previous.bin <= 1) {
+            if (tone.levelDb > previous.levelDb) tones[tones.length - 1] = tone;
+        } else {
+            tones.push(tone);
+        }
+    }
+    return tones;
+}
+
+/**
+ * Looks for a 50/60 Hz harmonic series among the stable tones.
+ * @param {object[]} tones - Stable tones.
+ * @param {number} binWidth - Width of one bin in Hz.
+ * @returns {object | null} The hum detection and the tones it explains, or null.
+ */
+function matchMainsHum(tones, binWidth) {
+    const tolerance = Math.max(2, binWidth * 0.75);
+    let best = null;
+
+    MAINS_FREQUENCIES.forEach(mains => {
+        const matched = [];
+        let errorSum = 0;
+        tones.forEach(tone => {
+            const harmonic = Math.round(tone.frequency / mains);
+            if (harmonic < 1 || harmonic > HUM_MAX_HARMONIC) return;
+            const error = Math.abs(tone.frequency - harmonic * mains);
+            if (error <= tolerance) {
+                matched.push({ tone, harmonic });
+                errorSum += error;
+            }
+        });
+        if (matched.length < HUM_MIN_MATCHED_HARMONICS) return;
+        const meanError = errorSum / matched.length;
+        if (!best || matched.length > best.matched.length ||
+            (matched.length === best.matched.length && meanError < best.meanError)) {
+            best = { mains, matched, meanError };
+        }
+    });
+
+    if (!best) return null;
+
+    // Estimate the actual mains frequency from every matched harmonic
+    const fundamental = best.matched.reduce((sum, m) => sum + m.tone.frequency / m.harmonic, 0) / best.matched.length;
+    const strongest = best.matched.reduce((a, b) => (b.tone.levelDb > a.tone.levelDb ? b : a));
+    return {
+        detection: {
+            id: `hum-${best.mains}`,
+            type: 'hum',
+            frequency: fundamental,
+            levelDb: strongest.tone.levelDb,
+            harmonics: best.matched.length
+        },
+        tones: best.matched.map(m => m.tone)
+    };
+}
+
+/**
+ * Analyses one frame for hum, DC offset, whine and other steady tones.
+ * @param {Float32Array} freqData - Frequency data in dB from getFloatFrequencyData.
+ * @param {Float32Array} timeData - Float time domain data (used for the DC offset).
+ * @param {number} sampleRate - The AudioContext sample rate.
+ * @param {number} timestamp - Current time in milliseconds.
+ * @returns {{detections: object[], announcement: object | null, cleared: boolean}}
+ *     Current detections, a newly found one to announce (rate limited), and whether
+ *     everything cleared up this frame.
+ */
+export function analyzeFrame(freqData, timeData, sampleRate, timestamp) {
+    if (!persistence || persistence.length !== freqData.length) {
+        resetDetector();
+        persistence = new Float32Array(freqData.length);
+        stableBins = new Uint8Array(freqData.length);
+        peakFrequency = new Float32Array(freqData.length);
+        peakLevelDb = new Float32Array(freqData.length).fill(-Infinity);
+    }
+
+    const elapsedMs = lastTimestamp === null ? 0 : Math.max(0, timestamp - lastTimestamp);
+    lastTimestamp = timestamp;
+    const decay = Math.exp(-elapsedMs / TONE_STABILITY_TIME_MS);
+    const binWidth = sampleRate / 2 / freqData.length;
+
+    const detections = [];
+
+    // DC offset from the smoothed mean of the waveform
+    let sum = 0;
+    for (let i = 0; i < timeData.length; i++) sum += timeData[i];
+    dcMean = dcMean * decay + (sum / timeData.length) * (1 - decay);
+    const dcLevelDb = linearToDbfs(Math.abs(dcMean));
+    if (dcLevelDb >= DC_OFFSET_THRESHOLD_DB) {
+        detections.push({ id: 'dc', type: 'dc', frequency: 0, levelDb: dcLevelDb });
+    }
+
+    const tones = updateStableTones(findPeaks(freqData, binWidth), decay);
+    const hum = matchMainsHum(tones, binWidth);
+    if (hum) detections.push(hum.detection);
+
+    tones.forEach(tone => {
+        if (hum && hum.tones.includes(tone)) return;
+        const type = tone.frequency >= WHINE_MIN_FREQ ? 'whine' : 'tone';
+        detections.push({ id: `${type}-${tone.bin}`, type, frequency: tone.frequency, levelDb: tone.levelDb });
+    });
+
+    // Queue detections that weren't active last frame
+    const currentIds = new Set(detections.map(d => d.id));
+    detections.forEach(d => {
+        if (!activeIds.has(d.id)) announceQueue.push(d.id);
+    });
+    const cleared = activeIds.size > 0 && currentIds.size === 0;
+    activeIds = currentIds;
+
+    let announcement = null;
+    announceQueue = announceQueue.filter(id => currentIds.has(id)); // Drop ones that already went away
+    if (announceQueue.length > 0 && timestamp - lastAnnounceTime >= DETECTION_ANNOUNCE_INTERVAL_MS) {
+        const id = announceQueue.shift();
+        announcement = detections.find(d => d.id === id);
+        lastAnnounceTime = timestamp;
+    }
+
+    return { detections, announcement, cleared };
+}
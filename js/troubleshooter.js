@@ -0,0 +1,353 @@
+// js/troubleshooter.js
+import {
+    WIZARD_MEASURE_SECONDS,
+    WIZARD_PLAYBACK_SECONDS,
+    WIZARD_SILENCE_DB,
+    WIZARD_LEVEL_LOW_DB,
+    WIZARD_LEVEL_QUIET_DB,
+    WIZARD_CLIP_DB
+} from './config.js';
+import { linearToDbfs } from './metering.js';
+import { createPcmCapture, isPcmCaptureSupported } from './pcmRecorder.js';
+
+export const WIZARD_STEPS = ['permission', 'device', 'signal', 'level', 'noise', 'playback'];
+// Suffixes of the browser-specific keys, e.g. 'wizardPermissionFixFirefox'
+const BROWSER_KEY_SUFFIXES = { chromium: 'Chromium', firefox: 'Firefox', safari: 'Safari', other: 'Other' };
+
+// Errors from getUserMedia/enumerateDevices: the step that deals with them and the message explaining them
+const ERROR_DIAGNOSES = {
+    NotAllowedError: { step: 'permission', key: 'statusPermissionDenied' },
+    PermissionDeniedError: { step: 'permission', key: 'statusPermissionDenied' },
+    SecurityError: { step: 'permission', key: 'wizardInsecureContext' },
+    NotSupportedError: { step: 'permission', key: 'statusErrorNoDeviceEnum' },
+    NotFoundError: { step: 'device', key: 'statusMicNotFoundOnStart' },
+    DevicesNotFoundError: { step: 'device', key: 'statusMicNotFoundOnStart' },
+    NotReadableError: { step: 'device', key: 'statusMicInUse' },
+    TrackStartError: { step: 'device', key: 'statusMicInUse' },
+    AbortError: { step: 'device', key: 'statusMicInUse' },
+    OverconstrainedError: { step: 'device', key: 'statusMicConstraint' }
+};
+
+// --- State Variables ---
+let stepIndex = 0;
+let results = {}; // Step -> {status: 'pass' | 'warn' | 'fail', key, replacements}
+let isRunning = false;
+let cancelRequested = false;
+let timerId = null;
+let playbackSample = null; // AudioBuffer recorded by the playback check
+let playbackSource = null;
+
+// --- Getters ---
+export const getCurrentStep = () => WIZARD_STEPS[stepIndex];
+export const getStepIndex = () => stepIndex;
+export const getResults = () => ({ ...results });
+export const getIsRunning = () => isRunning;
+
+/**
+ * Tells the browser family apart by its user agent, for the remedy texts.
+ * Edge, Opera, Brave and the other Chromium browsers share Chrome's settings pages.
+ * @param {string} userAgent
+ * @returns {string} 'chromium', 'firefox', 'safari' or 'other'.
+ */
+export function detectBrowser(userAgent) {
+    if (/Firefox\/|FxiOS\//.test(userAgent)) return 'firefox';
+    if (/Chrome\/|Chromium\/|CriOS\/|Edg\//.test(userAgent)) return 'chromium';
+    if (/Safari\//.test(userAgent)) return 'safari';
+    return 'other';
+}
+
+/**
+ * i18n keys for a step: its name, what to do, and the remedy and browser name for the given browser.
+ * @param {string} step - One of WIZARD_STEPS.
+ * @param {string} browser - From detectBrowser().
+ * @returns {{titleKey: string, instructionsKey: string, remedyKey: string, browserKey: string}}
+ */
+export function getStepKeys(step, browser) {
+    const stepName = step.charAt(0).toUpperCase() + step.slice(1);
+    const browserName = BROWSER_KEY_SUFFIXES[browser] || BROWSER_KEY_SUFFIXES.other;
+    return {
+        titleKey: `wizardStep${stepName}`,
+        instructionsKey: `wizard${stepName}Instructions`,
+        remedyKey: `wizard${stepName}Fix${browserName}`,
+        browserKey: `wizardBrowser${browserName}`
+    };
+}
+
+/**
+ * Moves the wizard to a step.
+ * @param {number} index - Position in WIZARD_STEPS; clamped to the valid range.
+ */
+export function goToStep(index) {
+    stepIndex = Math.min(WIZARD_STEPS.length - 1, Math.max(0, index));
+}
+
+/**
+ * Records the outcome of a step.
+ * @param {string} step - One of WIZARD_STEPS.
+ * @param {'pass' | 'warn' | 'fail'} status
+ * @param {string} key - i18n key of the message.
+ * @param {object} [replacements]
+ */
+export function setResult(step, status, key, replacements = {}) {
+    results[step] = { status, key, replacements };
+}
+
+/**
+ * Forgets all results and returns to the first step.
+ */
+export function resetWizard() {
+    cancelCheck();
+    stopPlayback();
+    stepIndex = 0;
+    results = {};
+    playbackSample = null;
+}
+
+/**
+ * Jumps to the step that deals with an error from listing or opening a microphone, with the
+ * error as that step's result, so the wizard starts where the problem is.
+ * @param {{stage: string, name: string}} error - From audio.getLastError().
+ */
+export function applyError(error) {
+    const diagnosis = ERROR_DIAGNOSES[error.name] || { step: 'device', key: 'statusErrorStartingMic' };
+    // No microphone at all is a different story from the selected one going missing
+    const key = error.stage !== 'start' && diagnosis.key === 'statusMicNotFoundOnStart' ? 'statusNoMicFound' : diagnosis.key;
+    setResult(diagnosis.step, 'fail', key, { errorName: error.name });
+    goToStep(WIZARD_STEPS.indexOf(diagnosis.step));
+    console.log(`Troubleshooter: ${error.name} during ${error.stage} -> ${diagnosis.step} step`);
+}
+
+// --- Checks ---
+
+/**
+ * Checks that the page may use the microphone at all, asking for access if it hasn't been decided.
+ * @returns {Promise<{status: string, key: string, replacements?: object}>}
+ */
+export async function checkPermission() {
+    if (!window.isSecureContext) return { status: 'fail', key: 'wizardInsecureContext' };
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        return { status: 'fail', key: 'statusErrorNoDeviceEnum' };
+    }
+    try {
+        // Not supported for 'microphone' everywhere (e.g. older Firefox and Safari)
+        const permission = await navigator.permissions.query({ name: 'microphone' });
+        // A blocked site gets no prompt, so asking again would only fail silently
+        if (permission.state === 'denied') return { status: 'fail', key: 'wizardPermissionBlocked' };
+    } catch (err) {
+        console.log('Permission state unavailable, asking directly:', err.name);
+    }
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+        stream.getTracks().forEach(track => track.stop());
+        return { status: 'pass', key: 'wizardPermissionGranted' };
+    } catch (err) {
+        const diagnosis = ERROR_DIAGNOSES[err.name];
+        if (diagnosis && diagnosis.step === 'permission') return { status: 'fail', key: diagnosis.key, replacements: { errorName: err.name } };
+        // Access was granted, but opening the default device failed; that is the next step's business
+        return { status: 'warn', key: 'wizardPermissionDeviceError', replacements: { errorName: err.name } };
+    }
+}
+
+/**
+ * Checks that a microphone is present and could be opened.
+ * @param {{devices: MediaDeviceInfo[], isMonitoring: boolean, lastError: object | null, label: string}} state
+ * @returns {{status: string, key: string, replacements?: object}}
+ */
+export function checkDevice({ devices, isMonitoring, lastError, label }) {
+    if (isMonitoring) return { status: 'pass', key: 'wizardDevicePass', replacements: { micName: label } };
+    if (lastError) {
+        const diagnosis = ERROR_DIAGNOSES[lastError.name];
+        return { status: 'fail', key: diagnosis ? diagnosis.key : 'statusErrorStartingMic', replacements: { errorName: lastError.name } };
+    }
+    if (devices.length === 0) return { status: 'fail', key: 'statusNoMicFound' };
+    return { status: 'fail', key: 'wizardDeviceNotStarted' };
+}
+
+/**
+ * Measures the peak and RMS level of the live input for a while.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {AudioNode} sourceNode - The microphone source.
+ * @param {function(number)} onProgress - Called with the seconds left.
+ * @returns {Promise<{peakDb: number, rmsDb: number}>} Rejects with an AbortError when cancelled.
+ */
+export async function measureInput(audioContext, sourceNode, onProgress) {
+    if (isRunning) throw new Error('Troubleshooter check already running');
+    isRunning = true;
+    cancelRequested = false;
+
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    sourceNode.connect(analyser);
+    const buffer = new Float32Array(analyser.fftSize);
+    const blockIntervalMs = analyser.fftSize / audioContext.sampleRate * 1000;
+
+    try {
+        return await new Promise((resolve, reject) => {
+            let peak = 0;
+            let sumSquares = 0;
+            let sampleCount = 0;
+            const startTime = performance.now();
+            onProgress(WIZARD_MEASURE_SECONDS);
+
+            timerId = setInterval(() => {
+                if (cancelRequested) {
+                    clearInterval(timerId);
+                    timerId = null;
+                    reject(new DOMException('Troubleshooter check cancelled', 'AbortError'));
+                    return;
+                }
+                analyser.getFloatTimeDomainData(buffer);
+                for (let i = 0; i < buffer.length; i++) {
+                    const magnitude = Math.abs(buffer[i]);
+                    if (magnitude > peak) peak = magnitude;
+                    sumSquares += buffer[i] * buffer[i];
+                }
+                sampleCount += buffer.length;
+                const elapsedSec = (performance.now() - startTime) / 1000;
+                onProgress(Math.max(0, Math.ceil(WIZARD_MEASURE_SECONDS - elapsedSec)));
+                if (elapsedSec >= WIZARD_MEASURE_SECONDS) {
+                    clearInterval(timerId);
+                    timerId = null;
+                    resolve({ peakDb: linearToDbfs(peak), rmsDb: linearToDbfs(Math.sqrt(sumSquares / Math.max(1, sampleCount))) });
+                }
+            }, blockIntervalMs);
+        });
+    } finally {
+        try {
+            sourceNode.disconnect(analyser);
+        } catch (e) {
+            // Source may already be gone if monitoring stopped mid-check
+        }
+        isRunning = false;
+    }
+}
+
+/**
+ * Grades whether any signal arrives at all.
+ * @param {{peakDb: number, rmsDb: number}} measurement - From measureInput().
+ * @param {boolean} trackMuted - The track's muted flag (set by the system or another app).
+ * @returns {{status: string, key: string, replacements?: object}}
+ */
+export function gradeSignal(measurement, trackMuted) {
+    if (trackMuted) return { status: 'fail', key: 'wizardSignalMuted' };
+    if (measurement.peakDb < WIZARD_SILENCE_DB) return { status: 'fail', key: 'wizardSignalSilent' };
+    return { status: 'pass', key: 'wizardSignalPass', replacements: { level: measurement.rmsDb.toFixed(1) } };
+}
+
+/**
+ * Grades the speech level.
+ * @param {{peakDb: number, rmsDb: number}} measurement - From measureInput(), taken while speaking.
+ * @returns {{status: string, key: string, replacements: object}}
+ */
+export function gradeLevel(measurement) {
+    const replacements = { peak: measurement.peakDb.toFixed(1) };
+    if (measurement.peakDb >= WIZARD_CLIP_DB) return { status: 'fail', key: 'wizardLevelClipping', replacements };
+    if (measurement.peakDb < WIZARD_LEVEL_LOW_DB) return { status: 'fail', key: 'wizardLevelLow', replacements };
+    if (measurement.peakDb < WIZARD_LEVEL_QUIET_DB) return { status: 'warn', key: 'wizardLevelQuiet', replacements };
+    return { status: 'pass', key: 'wizardLevelPass', replacements };
+}
+
+/**
+ * Grades the background noise against the noise test's thresholds.
+ * @param {{peakDb: number, rmsDb: number}} measurement - From measureInput(), taken in silence.
+ * @param {{noiseFloorPassDb: number, noiseFloorWarnDb: number}} thresholds
+ * @returns {{status: string, key: string, replacements: object}}
+ */
+export function gradeNoise(measurement, thresholds) {
+    const replacements = { level: measurement.rmsDb.toFixed(1) };
+    if (measurement.rmsDb <= thresholds.noiseFloorPassDb) return { status: 'pass', key: 'wizardNoisePass', replacements };
+    if (measurement.rmsDb <= thresholds.noiseFloorWarnDb) return { status: 'warn', key: 'wizardNoiseHigh', replacements };
+    return { status: 'fail', key: 'wizardNoiseHigh', replacements };
+}
+
+/**
+ * Records a short sample of the live input for the playback check.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @param {AudioNode} sourceNode - The microphone source.
+ * @param {number} channelCount - Number of input channels.
+ * @param {function(number)} onProgress - Called with the seconds left.
+ * @returns {Promise<boolean>} False when nothing could be recorded.
+ */
+export async function recordPlaybackSample(audioContext, sourceNode, channelCount, onProgress) {
+    if (!isPcmCaptureSupported()) return false;
+    if (isRunning) throw new Error('Troubleshooter check already running');
+    isRunning = true;
+    cancelRequested = false;
+    stopPlayback();
+    playbackSample = null;
+
+    let capture = null;
+    try {
+        capture = await createPcmCapture(audioContext, sourceNode, channelCount);
+        await new Promise((resolve, reject) => {
+            const startTime = performance.now();
+            onProgress(WIZARD_PLAYBACK_SECONDS);
+            timerId = setInterval(() => {
+                const elapsedSec = (performance.now() - startTime) / 1000;
+                if (cancelRequested) {
+                    clearInterval(timerId);
+                    timerId = null;
+                    reject(new DOMException('Troubleshooter check cancelled', 'AbortError'));
+                } else if (elapsedSec >= WIZARD_PLAYBACK_SECONDS) {
+                    clearInterval(timerId);
+                    timerId = null;
+                    resolve();
+                } else {
+                    onProgress(Math.ceil(WIZARD_PLAYBACK_SECONDS - elapsedSec));
+                }
+            }, 250);
+        });
+    } finally {
+        const captured = capture ? await capture.stop() : null;
+        if (captured && !cancelRequested) {
+            const { channels, sampleRate } = captured;
+            playbackSample = audioContext.createBuffer(channels.length, channels[0].length, sampleRate);
+            channels.forEach((samples, channel) => playbackSample.copyToChannel(samples, channel));
+        }
+        isRunning = false;
+    }
+    return playbackSample !== null;
+}
+
+/**
+ * Plays the recorded sample through the default output.
+ * @param {AudioContext} audioContext - The running AudioContext.
+ * @returns {Promise<void>} Resolves when playback ends or is stopped.
+ */
+export function playPlaybackSample(audioContext) {
+    stopPlayback();
+    if (!playbackSample) return Promise.resolve();
+    const source = audioContext.createBufferSource();
+    source.buffer = playbackSample;
+    source.connect(audioContext.destination);
+    playbackSource = source;
+    return new Promise(resolve => {
+        source.onended = () => {
+            if (playbackSource === source) playbackSource = null;
+            source.disconnect();
+            resolve();
+        };
+        source.start();
+    });
+}
+
+/**
+ * Stops the sample playing back, if any.
+ */
+export function stopPlayback() {
+    if (!playbackSource) return;
+    try {
+        playbackSource.stop();
+    } catch (e) {
+        // Already ended
+    }
+    playbackSource = null;
+}
+
+/**
+ * Requests cancellation of a running check; it rejects with an AbortError.
+ */
+export function cancelCheck() {
+    if (isRunning) cancelRequested = true;
+    stopPlayback();
+}
@@ -1,5 +1,27 @@
 // js/ui.js
-import { SUPPORTED_LANGUAGES } from './config.js';
+import {
+    SUPPORTED_LANGUAGES,
+    METER_MIN_DB,
+    NOISE_TEST_DEFAULT_DURATION_SEC,
+    NOISE_TEST_DEFAULT_THRESHOLDS,
+    CORRELATION_WARN_BELOW,
+    LATENCY_TEST_DEFAULT_REPEATS,
+    LATENCY_TEST_MAX_REPEATS,
+    LATENCY_TEST_DEFAULT_SIGNAL,
+    FREQUENCY_RESPONSE_SWEEP_DURATIONS,
+    FREQUENCY_RESPONSE_DEFAULT_DURATION,
+    FREQUENCY_RESPONSE_SMOOTHING_OPTIONS,
+    FREQUENCY_RESPONSE_DEFAULT_SMOOTHING,
+    DISTORTION_TEST_DURATIONS,
+    DISTORTION_TEST_DEFAULT_DURATION,
+    DISTORTION_TEST_DEFAULT_FREQUENCY,
+    DISTORTION_TEST_FREQUENCY_RANGE,
+    DISTORTION_TEST_DEFAULT_LEVEL_DB,
+    DISTORTION_TEST_LEVEL_RANGE,
+    DISTORTION_TEST_CLIP_EVENTS_SHOWN,
+    VOICE_IN_TUNE_CENTS,
+    STABILITY_EVENTS_SHOWN
+} from './config.js';
 
 // --- DOM Element References ---
 // Using a getter function avoids issues with script loading order if elements aren't ready immediately,
@@ -9,20 +31,211 @@ export const getElement = (id) => document.getElementById(id);
 export const uiElements = {
     micSelect: () => getElement('micSelect'),
     startStopButton: () => getElement('startStopButton'),
+    micFallbackButton: () => getElement('micFallbackButton'),
+    updateBanner: () => getElement('updateBanner'),
+    updateReloadButton: () => getElement('updateReloadButton'),
+    updateDismissButton: () => getElement('updateDismissButton'),
+    autoStartCheckbox: () => getElement('autoStartToggle'),
     recordButton: () => getElement('recordButton'),
     statusP: () => getElement('status'),
     volumeMeter: () => getElement('volumeMeter'),
+    peakHoldMarker: () => getElement('peakHoldMarker'),
+    ballisticsSelect: () => getElement('ballisticsSelect'),
+    clipIndicator: () => getElement('clipIndicator'),
     waveformCanvas: () => getElement('waveformCanvas'),
     frequencyCanvas: () => getElement('frequencyCanvas'),
+    spectrumGridSelect: () => getElement('spectrumGridSelect'),
+    spectrumPeakHoldCheckbox: () => getElement('spectrumPeakHold'),
+    spectrumAverageCheckbox: () => getElement('spectrumAverage'),
+    spectrumFftSizeSelect: () => getElement('spectrumFftSizeSelect'),
+    spectrumWindowSelect: () => getElement('spectrumWindowSelect'),
+    spectrumSmoothingInput: () => getElement('spectrumSmoothing'),
+    spectrumSmoothingValue: () => getElement('spectrumSmoothingValue'),
+    spectrumMinDbInput: () => getElement('spectrumMinDb'),
+    spectrumMinDbValue: () => getElement('spectrumMinDbValue'),
+    spectrumMaxDbInput: () => getElement('spectrumMaxDb'),
+    spectrumMaxDbValue: () => getElement('spectrumMaxDbValue'),
+    spectrumResolution: () => getElement('spectrumResolution'),
+    toneDetectionCheckbox: () => getElement('toneDetectionToggle'),
+    voiceAnalysisCheckbox: () => getElement('voiceAnalysisToggle'),
+    voicePitchCanvas: () => getElement('voicePitchCanvas'),
+    voicePitchValue: () => getElement('voicePitchValue'),
+    voiceNoteValue: () => getElement('voiceNoteValue'),
+    voiceFormantValues: () => document.querySelectorAll('[data-formant]'),
+    voiceVoicedValue: () => getElement('voiceVoicedValue'),
+    spectrogramCanvas: () => getElement('spectrogramCanvas'),
+    colormapSelect: () => getElement('colormapSelect'),
+    spectrogramFloorInput: () => getElement('spectrogramFloor'),
+    spectrogramFloorValue: () => getElement('spectrogramFloorValue'),
+    spectrogramCeilingInput: () => getElement('spectrogramCeiling'),
+    spectrogramCeilingValue: () => getElement('spectrogramCeilingValue'),
+    spectrogramPauseButton: () => getElement('spectrogramPauseButton'),
+    channelPanel: () => getElement('channelPanel'),
+    channelMeters: () => getElement('channelMeters'),
+    channelWaveformCanvas: () => getElement('channelWaveformCanvas'),
+    stereoView: () => getElement('stereoView'),
+    correlationMarker: () => getElement('correlationMarker'),
+    correlationValue: () => getElement('correlationValue'),
+    goniometerCanvas: () => getElement('goniometerCanvas'),
     audioPlayback: () => getElement('audioPlayback'),
+    exportControls: () => getElement('exportControls'),
+    exportFormatSelect: () => getElement('exportFormatSelect'),
+    downloadRecordingButton: () => getElement('downloadRecordingButton'),
+    librarySection: () => getElement('librarySection'),
+    libraryStatusP: () => getElement('libraryStatus'),
+    libraryBody: () => getElement('libraryBody'),
+    libraryPlayback: () => getElement('libraryPlayback'),
+    comparePlayAButton: () => getElement('comparePlayAButton'),
+    comparePlayBButton: () => getElement('comparePlayBButton'),
+    compareStopButton: () => getElement('compareStopButton'),
+    matchLoudnessCheckbox: () => getElement('matchLoudnessToggle'),
+    comparisonInfo: () => getElement('comparisonInfo'),
+    inspectorPanel: () => getElement('inspectorPanel'),
+    inspectorOverviewCanvas: () => getElement('inspectorOverviewCanvas'),
+    inspectorDetailCanvas: () => getElement('inspectorDetailCanvas'),
+    inspectorSpectrumCanvas: () => getElement('inspectorSpectrumCanvas'),
+    inspectorPlayButton: () => getElement('inspectorPlayButton'),
+    inspectorZoomInButton: () => getElement('inspectorZoomInButton'),
+    inspectorZoomOutButton: () => getElement('inspectorZoomOutButton'),
+    inspectorZoomSelectionButton: () => getElement('inspectorZoomSelectionButton'),
+    inspectorShowAllButton: () => getElement('inspectorShowAllButton'),
+    inspectorSelectionInfo: () => getElement('inspectorSelectionInfo'),
+    inspectorDurationValue: () => getElement('inspectorDurationValue'),
+    inspectorRmsValue: () => getElement('inspectorRmsValue'),
+    inspectorPeakValue: () => getElement('inspectorPeakValue'),
+    inspectorCrestValue: () => getElement('inspectorCrestValue'),
+    inspectorClippedValue: () => getElement('inspectorClippedValue'),
+    inspectorLoudnessValue: () => getElement('inspectorLoudnessValue'),
+    inspectorLoudnessRangeValue: () => getElement('inspectorLoudnessRangeValue'),
+    inspectorTruePeakValue: () => getElement('inspectorTruePeakValue'),
+    meterTapSelect: () => getElement('meterTapSelect'),
+    processingInputs: () => document.querySelectorAll('[data-processing]'),
+    inputGainInput: () => getElement('inputGainInput'),
+    inputGainValue: () => getElement('inputGainValue'),
+    highPassToggle: () => getElement('highPassToggle'),
+    highPassFreqInput: () => getElement('highPassFreqInput'),
+    highPassFreqValue: () => getElement('highPassFreqValue'),
+    gateToggle: () => getElement('gateToggle'),
+    gateThresholdInput: () => getElement('gateThresholdInput'),
+    gateThresholdValue: () => getElement('gateThresholdValue'),
+    gateRatioSelect: () => getElement('gateRatioSelect'),
+    compressorToggle: () => getElement('compressorToggle'),
+    compressorThresholdInput: () => getElement('compressorThresholdInput'),
+    compressorThresholdValue: () => getElement('compressorThresholdValue'),
+    compressorRatioInput: () => getElement('compressorRatioInput'),
+    compressorRatioValue: () => getElement('compressorRatioValue'),
+    compressorReductionValue: () => getElement('compressorReductionValue'),
+    listenToggle: () => getElement('listenToggle'),
+    listenWarning: () => getElement('listenWarning'),
+    dualMicSelect: () => getElement('dualMicSelect'),
+    dualStartButton: () => getElement('dualStartButton'),
+    dualRecordButton: () => getElement('dualRecordButton'),
+    dualStatusP: () => getElement('dualStatus'),
+    dualView: () => getElement('dualView'),
+    dualMeterRowA: () => getElement('dualMeterRowA'),
+    dualMeterRowB: () => getElement('dualMeterRowB'),
+    dualSpectrumCanvas: () => getElement('dualSpectrumCanvas'),
+    dualDownloads: () => getElement('dualDownloads'),
+    dualDownloadAButton: () => getElement('dualDownloadAButton'),
+    dualDownloadBButton: () => getElement('dualDownloadBButton'),
+    troubleshooterPanel: () => getElement('troubleshooterPanel'),
+    wizardStepItems: () => document.querySelectorAll('#wizardStepList [data-wizard-step]'),
+    wizardStepTitle: () => getElement('wizardStepTitle'),
+    wizardStepInstructions: () => getElement('wizardStepInstructions'),
+    wizardStepResultP: () => getElement('wizardStepResult'),
+    wizardRemedy: () => getElement('wizardRemedy'),
+    wizardRemedyTitle: () => getElement('wizardRemedyTitle'),
+    wizardRemedyText: () => getElement('wizardRemedyText'),
+    wizardBackButton: () => getElement('wizardBackButton'),
+    wizardCheckButton: () => getElement('wizardCheckButton'),
+    wizardYesButton: () => getElement('wizardYesButton'),
+    wizardNoButton: () => getElement('wizardNoButton'),
+    wizardNextButton: () => getElement('wizardNextButton'),
+    wizardRestartButton: () => getElement('wizardRestartButton'),
+    loudnessPanel: () => getElement('loudnessPanel'),
+    loudnessPresetSelect: () => getElement('loudnessPresetSelect'),
+    loudnessResetButton: () => getElement('loudnessResetButton'),
+    loudnessMomentaryValue: () => getElement('loudnessMomentaryValue'),
+    loudnessShortTermValue: () => getElement('loudnessShortTermValue'),
+    loudnessIntegratedValue: () => getElement('loudnessIntegratedValue'),
+    loudnessRangeValue: () => getElement('loudnessRangeValue'),
+    loudnessTruePeakValue: () => getElement('loudnessTruePeakValue'),
+    loudnessTargetInfo: () => getElement('loudnessTargetInfo'),
     recordingStatusP: () => getElement('recordingStatus'),
     analysisSection: () => getElement('analysisSection'),
     recordingSection: () => getElement('recordingSection'),
     themeToggleButton: () => getElement('themeToggleButton'),
     resultsBar: () => getElement('resultsBar'),
-    resultsVolume: () => getElement('resultsVolume'),
+    resultsRms: () => getElement('resultsRms'),
+    resultsPeak: () => getElement('resultsPeak'),
     resultsSampleRate: () => getElement('resultsSampleRate'),
     langSelect: () => getElement('langSelect'),
+    constraintInputs: () => document.querySelectorAll('[data-constraint]'),
+    trackSettingsBody: () => getElement('trackSettingsBody'),
+    noiseTestButton: () => getElement('noiseTestButton'),
+    noiseTestStatusP: () => getElement('noiseTestStatus'),
+    noiseTestResults: () => getElement('noiseTestResults'),
+    noiseTestDurationInput: () => getElement('noiseTestDuration'),
+    noiseFloorPassInput: () => getElement('noiseFloorPassInput'),
+    noiseFloorWarnInput: () => getElement('noiseFloorWarnInput'),
+    snrPassInput: () => getElement('snrPassInput'),
+    snrWarnInput: () => getElement('snrWarnInput'),
+    noiseFloorValue: () => getElement('noiseFloorValue'),
+    noiseFloorGrade: () => getElement('noiseFloorGrade'),
+    noiseAWeightedValue: () => getElement('noiseAWeightedValue'),
+    speechLevelValue: () => getElement('speechLevelValue'),
+    snrValue: () => getElement('snrValue'),
+    snrGrade: () => getElement('snrGrade'),
+    latencyTestButton: () => getElement('latencyTestButton'),
+    latencyTestStatusP: () => getElement('latencyTestStatus'),
+    reportFormatSelect: () => getElement('reportFormatSelect'),
+    reportButton: () => getElement('reportButton'),
+    reportStatusP: () => getElement('reportStatus'),
+    latencyTestResults: () => getElement('latencyTestResults'),
+    latencySignalSelect: () => getElement('latencySignalSelect'),
+    latencyRepeatsInput: () => getElement('latencyRepeatsInput'),
+    latencyMeanValue: () => getElement('latencyMeanValue'),
+    latencyJitterValue: () => getElement('latencyJitterValue'),
+    latencyRangeValue: () => getElement('latencyRangeValue'),
+    latencyValidRunsValue: () => getElement('latencyValidRunsValue'),
+    latencyRunsValue: () => getElement('latencyRunsValue'),
+    latencyBaseValue: () => getElement('latencyBaseValue'),
+    latencyOutputValue: () => getElement('latencyOutputValue'),
+    frequencyResponseButton: () => getElement('frequencyResponseButton'),
+    frequencyResponseStatusP: () => getElement('frequencyResponseStatus'),
+    frequencyResponseDurationSelect: () => getElement('frequencyResponseDurationSelect'),
+    frequencyResponseSmoothingSelect: () => getElement('frequencyResponseSmoothingSelect'),
+    frequencyResponseCanvas: () => getElement('frequencyResponseCanvas'),
+    frequencyResponseCsvButton: () => getElement('frequencyResponseCsvButton'),
+    frequencyResponseImageButton: () => getElement('frequencyResponseImageButton'),
+    calibrationFileInput: () => getElement('calibrationFileInput'),
+    calibrationInfo: () => getElement('calibrationInfo'),
+    calibrationClearButton: () => getElement('calibrationClearButton'),
+    distortionTestButton: () => getElement('distortionTestButton'),
+    distortionTestStatusP: () => getElement('distortionTestStatus'),
+    distortionSourceSelect: () => getElement('distortionSourceSelect'),
+    distortionFrequencyInput: () => getElement('distortionFrequencyInput'),
+    distortionLevelInput: () => getElement('distortionLevelInput'),
+    distortionDurationSelect: () => getElement('distortionDurationSelect'),
+    distortionTestResults: () => getElement('distortionTestResults'),
+    distortionFundamentalValue: () => getElement('distortionFundamentalValue'),
+    distortionThdValue: () => getElement('distortionThdValue'),
+    distortionThdnValue: () => getElement('distortionThdnValue'),
+    distortionHarmonicsValue: () => getElement('distortionHarmonicsValue'),
+    distortionPeakValue: () => getElement('distortionPeakValue'),
+    distortionClippingValue: () => getElement('distortionClippingValue'),
+    clippingEventList: () => getElement('clippingEventList'),
+    distortionSpectrumCanvas: () => getElement('distortionSpectrumCanvas'),
+    stabilityPanel: () => getElement('stabilityPanel'),
+    stabilityResetButton: () => getElement('stabilityResetButton'),
+    stabilityExportButton: () => getElement('stabilityExportButton'),
+    stabilityScoreValue: () => getElement('stabilityScoreValue'),
+    stabilitySilenceValue: () => getElement('stabilitySilenceValue'),
+    stabilityDiscontinuityValue: () => getElement('stabilityDiscontinuityValue'),
+    stabilityRepeatValue: () => getElement('stabilityRepeatValue'),
+    stabilityDriftValue: () => getElement('stabilityDriftValue'),
+    stabilitySkippedValue: () => getElement('stabilitySkippedValue'),
+    stabilityEventList: () => getElement('stabilityEventList'),
     // Add other elements as needed
 };
 
@@ -59,6 +272,152 @@ export function setRecordingStatus(messageKey, type = 'info', replacements = {},
     console.log(`Recording Status (${type}): ${message}`);
 }
 
+/**
+ * Updates the noise test status message.
+ * @param {string} messageKey - The i18n key for the message.
+ * @param {string} type - 'info', 'success', 'warning', 'error'.
+ * @param {object} [replacements] - Optional key-value pairs for placeholder replacement.
+ * @param {function} i18n_t - The translation function.
+ */
+export function setNoiseTestStatus(messageKey, type = 'info', replacements = {}, i18n_t) {
+    const noiseTestStatusP = uiElements.noiseTestStatusP();
+    if (!noiseTestStatusP) return;
+    const message = i18n_t(messageKey, replacements); // Translate
+    noiseTestStatusP.textContent = message;
+    noiseTestStatusP.className = `panel-status status-${type}`;
+    console.log(`Noise Test Status (${type}): ${message}`);
+}
+
+/**
+ * Updates the report panel's status message.
+ * @param {string} messageKey - The i18n key for the message.
+ * @param {string} type - 'info', 'success', 'warning', 'error'.
+ * @param {object} [replacements] - Optional key-value pairs for placeholder replacement.
+ * @param {function} i18n_t - The translation function.
+ */
+export function setReportStatus(messageKey, type = 'info', replacements = {}, i18n_t) {
+    const reportStatusP = uiElements.reportStatusP();
+    if (!reportStatusP) return;
+    const message = i18n_t(messageKey, replacements);
+    reportStatusP.textContent = message;
+    reportStatusP.className = `panel-status status-${type}`;
+    console.log(`Report Status (${type}): ${message}`);
+}
+
+/**
+ * Updates the frequency response panel's status message.
+ * @param {string} messageKey - The i18n key for the message.
+ * @param {string} type - 'info', 'success', 'warning', 'error'.
+ * @param {object} [replacements] - Optional key-value pairs for placeholder replacement.
+ * @param {function} i18n_t - The translation function.
+ */
+export function setFrequencyResponseStatus(messageKey, type = 'info', replacements = {}, i18n_t) {
+    const statusP = uiElements.frequencyResponseStatusP();
+    if (!statusP) return;
+    const message = i18n_t(messageKey, replacements);
+    statusP.textContent = message;
+    statusP.className = `panel-status status-${type}`;
+    console.log(`Frequency Response Status (${type}): ${message}`);
+}
+
+/**
+ * Updates the distortion test status message.
+ * @param {string} messageKey - The i18n key for the message.
+ * @param {string} type - 'info', 'success', 'warning', 'error'.
+ * @param {object} [replacements] - Optional key-value pairs for placeholder replacement.
+ * @param {function} i18n_t - The translation function.
+ */
+export function setDistortionTestStatus(messageKey, type = 'info', replacements = {}, i18n_t) {
+    const statusP = uiElements.distortionTestStatusP();
+    if (!statusP) return;
+    const message = i18n_t(messageKey, replacements);
+    statusP.textContent = message;
+    statusP.className = `panel-status status-${type}`;
+    console.log(`Distortion Test Status (${type}): ${message}`);
+}
+
+/**
+ * Updates the latency test status message.
+ * @param {string} messageKey - The i18n key for the message.
+ * @param {string} type - 'info', 'success', 'warning', 'error'.
+ * @param {object} [replacements] - Optional key-value pairs for placeholder replacement.
+ * @param {function} i18n_t - The translation function.
+ */
+export function setLatencyTestStatus(messageKey, type = 'info', replacements = {}, i18n_t) {
+    const latencyTestStatusP = uiElements.latencyTestStatusP();
+    if (!latencyTestStatusP) return;
+    const message = i18n_t(messageKey, replacements); // Translate
+    latencyTestStatusP.textContent = message;
+    latencyTestStatusP.className = `panel-status status-${type}`;
+    console.log(`Latency Test Status (${type}): ${message}`);
+}
+
+/**
+ * Updates the dual-microphone comparison status message.
+ * @param {string} messageKey - The i18n key for the message.
+ * @param {string} type - 'info', 'success', 'warning', 'error'.
+ * @param {object} [replacements] - Optional key-value pairs for placeholder replacement.
+ * @param {function} i18n_t - The translation function.
+ */
+export function setDualStatus(messageKey, type = 'info', replacements = {}, i18n_t) {
+    const dualStatusP = uiElements.dualStatusP();
+    if (!dualStatusP) return;
+    const message = i18n_t(messageKey, replacements); // Translate
+    dualStatusP.textContent = message;
+    dualStatusP.className = `panel-status status-${type}`;
+    console.log(`Dual Status (${type}): ${message}`);
+}
+
+/**
+ * Updates the recordings library status message.
+ * @param {string} messageKey - The i18n key for the message.
+ * @param {string} type - 'info', 'success', 'warning', 'error'.
+ * @param {object} [replacements] - Optional key-value pairs for placeholder replacement.
+ * @param {function} i18n_t - The translation function.
+ */
+export function setLibraryStatus(messageKey, type = 'info', replacements = {}, i18n_t) {
+    const libraryStatusP = uiElements.libraryStatusP();
+    if (!libraryStatusP) return;
+    const message = i18n_t(messageKey, replacements); // Translate
+    libraryStatusP.textContent = message;
+    libraryStatusP.className = `panel-status status-${type}`;
+    console.log(`Library Status (${type}): ${message}`);
+}
+
+// Status message keys for each kind of hum/tone detection
+const DETECTION_STATUS_KEYS = {
+    hum: 'statusHumDetected',
+    dc: 'statusDcOffsetDetected',
+    whine: 'statusWhineDetected',
+    tone: 'statusToneDetected'
+};
+
+/**
+ * Message key and placeholder values describing a hum/tone detection.
+ * @param {object} detection - A detection from toneDetector.analyzeFrame().
+ * @returns {{key: string, replacements: object}}
+ */
+export function describeDetection(detection) {
+    return {
+        key: DETECTION_STATUS_KEYS[detection.type],
+        replacements: {
+            frequency: detection.frequency.toFixed(1),
+            level: detection.levelDb.toFixed(1),
+            harmonics: detection.harmonics || 0
+        }
+    };
+}
+
+/**
+ * Shows a hum/tone detection in the main status area.
+ * @param {object} detection - A detection from toneDetector.analyzeFrame().
+ * @param {function} i18n_t - The translation function.
+ */
+export function announceDetection(detection, i18n_t) {
+    const { key, replacements } = describeDetection(detection);
+    setStatus(key, detection.type === 'tone' ? 'info' : 'warning', replacements, i18n_t);
+}
+
 // --- Control States ---
 export function disableAllControls() {
     uiElements.micSelect().disabled = true;
@@ -107,6 +466,20 @@ export function updateButtonStates(isMonitoring, isRecording, mediaRecorderSuppo
 
     // Mic Select
     micSelect.disabled = isMonitoring; // Disable while monitoring/recording
+
+    // Analysis tools need a live input
+    const noiseTestBtn = uiElements.noiseTestButton();
+    if (noiseTestBtn) noiseTestBtn.disabled = !isMonitoring;
+    const latencyTestBtn = uiElements.latencyTestButton();
+    if (latencyTestBtn) latencyTestBtn.disabled = !isMonitoring;
+    const frequencyResponseBtn = uiElements.frequencyResponseButton();
+    if (frequencyResponseBtn) frequencyResponseBtn.disabled = !isMonitoring;
+    const distortionTestBtn = uiElements.distortionTestButton();
+    if (distortionTestBtn) distortionTestBtn.disabled = !isMonitoring;
+    const reportBtn = uiElements.reportButton();
+    if (reportBtn) reportBtn.disabled = !isMonitoring;
+    const dualStartBtn = uiElements.dualStartButton();
+    if (dualStartBtn) dualStartBtn.disabled = !isMonitoring;
 }
 
 
@@ -120,14 +493,113 @@ export function showRecordingSection(show = true) {
     uiElements.recordingSection().style.display = show ? 'block' : 'none';
 }
 
+// --- Channel Meters ---
+/**
+ * Returns the display label of a channel ("Left"/"Right" for stereo, numbered otherwise).
+ * @param {number} index - Zero-based channel index.
+ * @param {number} channelCount - Total number of channels.
+ * @param {function} i18n_t - The translation function.
+ * @returns {string}
+ */
+export function getChannelLabel(index, channelCount, i18n_t) {
+    if (channelCount === 2) return i18n_t(index === 0 ? 'channelLeft' : 'channelRight');
+    return i18n_t('channelNumber', { number: index + 1 });
+}
+
+/**
+ * Shows the per-channel panel and builds one meter per channel.
+ * Mono inputs hide the panel, since the main meter already covers them.
+ * @param {number} channelCount - Number of input channels (0 when stopped).
+ * @param {function} i18n_t - The translation function.
+ */
+export function showChannelPanel(channelCount, i18n_t) {
+    const panel = uiElements.channelPanel();
+    const meters = uiElements.channelMeters();
+    if (!panel || !meters) return;
+    meters.innerHTML = ''; // Clear existing meters
+    panel.style.display = channelCount > 1 ? 'block' : 'none';
+    uiElements.stereoView().style.display = channelCount === 2 ? 'flex' : 'none';
+    updateCorrelationMeter(null);
+
+    for (let channel = 0; channel < channelCount && channelCount > 1; channel++) {
+        const row = document.createElement('div');
+        row.className = 'channel-meter-row';
+        row.innerHTML = `
+            <span class="channel-label"></span>
+            <div class="channel-meter"><div class="channel-meter-bar"></div><div class="channel-peak-marker"></div></div>
+            <span class="channel-value"></span>`;
+        row.querySelector('.channel-label').textContent = getChannelLabel(channel, channelCount, i18n_t);
+        meters.appendChild(row);
+    }
+}
+
+/**
+ * Updates the per-channel meters.
+ * @param {{rmsDb: number, peakDb: number, silent: boolean}[]} channelLevels - From channels.measureChannel().
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateChannelMeters(channelLevels, i18n_t) {
+    const rows = uiElements.channelMeters()?.children;
+    if (!rows) return;
+    channelLevels.forEach((levels, channel) => {
+        const row = rows[channel];
+        if (!row) return;
+        row.querySelector('.channel-meter-bar').style.width = `${dbToMeterPercent(levels.rmsDb)}%`;
+        row.querySelector('.channel-peak-marker').style.left = `${dbToMeterPercent(levels.peakDb)}%`;
+        row.querySelector('.channel-value').textContent = levels.silent ? i18n_t('channelNoSignal') : formatDbfs(levels.rmsDb);
+        row.classList.toggle('channel-silent', levels.silent);
+    });
+}
+
+/**
+ * Updates the phase correlation meter.
+ * @param {number | null} correlation - -1..+1, or null when there is nothing to compare.
+ */
+export function updateCorrelationMeter(correlation) {
+    const marker = uiElements.correlationMarker();
+    const valueSpan = uiElements.correlationValue();
+    if (!marker || !valueSpan) return;
+    if (correlation === null) {
+        marker.style.display = 'none';
+        valueSpan.textContent = '--';
+        valueSpan.classList.remove('correlation-warning');
+        return;
+    }
+    marker.style.display = 'block';
+    marker.style.left = `${(correlation + 1) * 50}%`;
+    valueSpan.textContent = `${correlation >= 0 ? '+' : ''}${correlation.toFixed(2)}`;
+    valueSpan.classList.toggle('correlation-warning', correlation < CORRELATION_WARN_BELOW);
+}
+
 // --- Microphone List ---
 /**
  * Populates the microphone selection dropdown.
  * @param {MediaDeviceInfo[]} devices - Array of audio input devices.
  * @param {function} i18n_t - The translation function.
+ * @param {string | null} [selectedDeviceId] - Device to keep selected, if it is still in the list.
+ */
+export function populateMicListOptions(devices, i18n_t, selectedDeviceId = null) {
+    fillMicSelect(uiElements.micSelect(), devices, i18n_t, selectedDeviceId);
+}
+
+/**
+ * Populates the second microphone dropdown of the comparison panel, keeping its selection.
+ * @param {MediaDeviceInfo[]} devices - Array of audio input devices.
+ * @param {function} i18n_t - The translation function.
+ */
+export function populateDualMicOptions(devices, i18n_t) {
+    const select = uiElements.dualMicSelect();
+    if (select) fillMicSelect(select, devices, i18n_t, select.value);
+}
+
+/**
+ * Fills a microphone dropdown.
+ * @param {HTMLSelectElement} select
+ * @param {MediaDeviceInfo[]} devices - Array of audio input devices.
+ * @param {function} i18n_t - The translation function.
+ * @param {string | null} selectedDeviceId - Device to keep selected, if it is still in the list.
  */
-export function populateMicListOptions(devices, i18n_t) {
-    const select = uiElements.micSelect();
+function fillMicSelect(select, devices, i18n_t, selectedDeviceId) {
     select.innerHTML = ''; // Clear existing options
 
     if (devices.length === 0) {
@@ -148,34 +620,1243 @@ export function populateMicListOptions(devices, i18n_t) {
         option.title = `${label} (ID: ${device.deviceId.substring(0, 8)}...)`;
         select.appendChild(option);
     });
+    if (selectedDeviceId && devices.some(device => device.deviceId === selectedDeviceId)) {
+        select.value = selectedDeviceId;
+    }
     select.disabled = false; // Enable selection
 }
 
+/**
+ * Shows or hides the button that switches to the fallback microphone after the active one was lost.
+ * @param {boolean} show
+ */
+export function showMicFallbackButton(show) {
+    const button = uiElements.micFallbackButton();
+    if (button) button.style.display = show ? 'inline-block' : 'none';
+}
+
+/**
+ * Shows or hides the notice that a new version of the app is ready.
+ * @param {boolean} show
+ */
+export function showUpdatePrompt(show) {
+    const banner = uiElements.updateBanner();
+    if (banner) banner.style.display = show ? 'flex' : 'none';
+}
+
+// --- Remembered Settings ---
+// Display and processing controls saved per device: setting name -> [uiElements getter, event its handler listens to].
+// Listen is deliberately left out, so a visit never starts by playing the microphone to speakers.
+const VIEW_SETTING_CONTROLS = {
+    ballistics: ['ballisticsSelect', 'change'],
+    meterTap: ['meterTapSelect', 'change'],
+    inputGain: ['inputGainInput', 'input'],
+    highPass: ['highPassToggle', 'change'],
+    highPassFreq: ['highPassFreqInput', 'input'],
+    gate: ['gateToggle', 'change'],
+    gateThreshold: ['gateThresholdInput', 'input'],
+    gateRatio: ['gateRatioSelect', 'change'],
+    compressor: ['compressorToggle', 'change'],
+    compressorThreshold: ['compressorThresholdInput', 'input'],
+    compressorRatio: ['compressorRatioInput', 'input'],
+    loudnessPreset: ['loudnessPresetSelect', 'change'],
+    spectrumGrid: ['spectrumGridSelect', 'change'],
+    spectrumPeakHold: ['spectrumPeakHoldCheckbox', 'change'],
+    spectrumAverage: ['spectrumAverageCheckbox', 'change'],
+    spectrumFftSize: ['spectrumFftSizeSelect', 'change'],
+    spectrumWindow: ['spectrumWindowSelect', 'change'],
+    spectrumSmoothing: ['spectrumSmoothingInput', 'input'],
+    spectrumMinDb: ['spectrumMinDbInput', 'input'],
+    spectrumMaxDb: ['spectrumMaxDbInput', 'input'],
+    toneDetection: ['toneDetectionCheckbox', 'change'],
+    voiceAnalysis: ['voiceAnalysisCheckbox', 'change'],
+    colormap: ['colormapSelect', 'change'],
+    spectrogramFloor: ['spectrogramFloorInput', 'input'],
+    spectrogramCeiling: ['spectrogramCeilingInput', 'input']
+};
+
+/**
+ * Lists the view controls whose values are remembered per device.
+ * @returns {{element: HTMLElement, eventType: string}[]}
+ */
+export function getViewSettingControls() {
+    return Object.values(VIEW_SETTING_CONTROLS)
+        .map(([getter, eventType]) => ({ element: uiElements[getter](), eventType }))
+        .filter(control => control.element);
+}
+
+/**
+ * Reads the current values of the remembered view controls.
+ * @returns {object} Setting name -> value (boolean for checkboxes, string otherwise).
+ */
+export function getViewSettings() {
+    const settings = {};
+    Object.entries(VIEW_SETTING_CONTROLS).forEach(([name, [getter]]) => {
+        const element = uiElements[getter]();
+        if (element) settings[name] = element.type === 'checkbox' ? element.checked : element.value;
+    });
+    return settings;
+}
+
+/**
+ * Sets the view controls to saved values. Each changed control fires its usual event,
+ * so its own handler applies the value.
+ * @param {object} settings - From getViewSettings().
+ */
+export function applyViewSettings(settings) {
+    Object.entries(VIEW_SETTING_CONTROLS).forEach(([name, [getter, eventType]]) => {
+        const element = uiElements[getter]();
+        if (!element || settings[name] === undefined) return;
+        if (element.type === 'checkbox') {
+            if (element.checked === settings[name]) return;
+            element.checked = settings[name];
+        } else {
+            if (element.value === settings[name]) return;
+            element.value = settings[name];
+            if (element.value !== settings[name]) return; // Option no longer offered
+        }
+        element.dispatchEvent(new Event(eventType, { bubbles: true }));
+    });
+}
+
+// --- Input Settings (Constraints) ---
+/**
+ * Sets the input settings form to the requested constraints.
+ * @param {object} requested - From constraints.getRequestedConstraints().
+ */
+export function setConstraintInputs(requested) {
+    uiElements.constraintInputs().forEach(input => {
+        const value = requested[input.dataset.constraint];
+        if (input.type === 'checkbox') {
+            input.checked = Boolean(value);
+        } else {
+            input.value = value === null || value === undefined ? '' : String(value);
+        }
+    });
+}
+
+// Label keys for the rows of the track settings table, in display order
+const TRACK_SETTING_LABEL_KEYS = {
+    echoCancellation: 'constraintEchoCancellation',
+    noiseSuppression: 'constraintNoiseSuppression',
+    autoGainControl: 'constraintAutoGainControl',
+    sampleRate: 'constraintSampleRate',
+    channelCount: 'constraintChannelCount',
+    latency: 'constraintLatency'
+};
+
+/**
+ * Formats a track setting or requested constraint value for display.
+ * @param {string} name - Constraint name.
+ * @param {*} value
+ * @param {function} i18n_t - The translation function.
+ * @returns {string}
+ */
+function formatTrackSetting(name, value, i18n_t) {
+    if (value === undefined || value === null) return '--';
+    if (typeof value === 'boolean') return i18n_t(value ? 'valueOn' : 'valueOff');
+    if (name === 'sampleRate') return `${value} Hz`;
+    if (name === 'latency') return `${(value * 1000).toFixed(1)} ms`;
+    return `${value}`;
+}
+
+/**
+ * Formats a capability (range or list of values) for display.
+ * @param {string} name - Constraint name.
+ * @param {*} capability - Entry from getCapabilities().
+ * @param {function} i18n_t - The translation function.
+ * @returns {string}
+ */
+function formatCapability(name, capability, i18n_t) {
+    if (capability === undefined || capability === null) return '--';
+    if (Array.isArray(capability)) {
+        return capability.length > 0 ? capability.map(value => formatTrackSetting(name, value, i18n_t)).join(' / ') : '--';
+    }
+    if (typeof capability === 'object') {
+        const min = formatTrackSetting(name, capability.min, i18n_t);
+        const max = formatTrackSetting(name, capability.max, i18n_t);
+        return min === max ? min : `${min} – ${max}`;
+    }
+    return formatTrackSetting(name, capability, i18n_t);
+}
+
+/**
+ * Fills the track settings table with requested, actual and supported values.
+ * @param {{settings: object, capabilities: object} | null} trackInfo - From audio.getTrackInfo(), or null when stopped.
+ * @param {object} requested - The requested constraints.
+ * @param {function} i18n_t - The translation function.
+ */
+export function showTrackSettings(trackInfo, requested, i18n_t) {
+    const tbody = uiElements.trackSettingsBody();
+    if (!tbody) return;
+    tbody.innerHTML = ''; // Clear existing rows
+    const settings = trackInfo ? trackInfo.settings : {};
+    const capabilities = trackInfo ? trackInfo.capabilities : {};
+
+    for (const [name, labelKey] of Object.entries(TRACK_SETTING_LABEL_KEYS)) {
+        const row = document.createElement('tr');
+        const requestedText = requested[name] === null ? i18n_t('valueBrowserDefault') : formatTrackSetting(name, requested[name], i18n_t);
+        [i18n_t(labelKey), requestedText, formatTrackSetting(name, settings[name], i18n_t), formatCapability(name, capabilities[name], i18n_t)]
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        tbody.appendChild(row);
+    }
+}
+
 // --- Volume Meter & Results Bar ---
-export function updateVolumeMeter(level) {
-    const percentage = Math.min(100, Math.max(0, level * 100));
-    uiElements.volumeMeter().style.width = percentage + '%';
+/**
+ * Maps a dBFS level onto the meter scale (METER_MIN_DB..0 dBFS).
+ * @param {number} db - Level in dBFS.
+ * @returns {number} Position on the meter in percent (0-100).
+ */
+function dbToMeterPercent(db) {
+    if (!Number.isFinite(db)) return 0;
+    const percentage = (db - METER_MIN_DB) / -METER_MIN_DB * 100;
+    return Math.min(100, Math.max(0, percentage));
 }
 
-export function updateResultsBar(volumePercent, sampleRate) {
-    uiElements.resultsVolume().textContent = `${volumePercent}%`;
+/**
+ * Formats a dBFS level for display.
+ * @param {number} db - Level in dBFS.
+ * @param {string} [unit] - Unit suffix, e.g. 'dBFS(A)' for weighted levels.
+ * @returns {string}
+ */
+export function formatDbfs(db, unit = 'dBFS') {
+    return Number.isFinite(db) ? `${db.toFixed(1)} ${unit}` : `-∞ ${unit}`;
+}
+
+/**
+ * Updates the level meter bar and peak-hold marker.
+ * @param {object | null} levels - Levels from metering.processSamples(), or null to reset.
+ */
+export function updateVolumeMeter(levels) {
+    const marker = uiElements.peakHoldMarker();
+    if (!levels) {
+        uiElements.volumeMeter().style.width = '0%';
+        marker.style.display = 'none';
+        return;
+    }
+    uiElements.volumeMeter().style.width = dbToMeterPercent(levels.meterDb) + '%';
+    const holdPercent = dbToMeterPercent(levels.peakHoldDb);
+    marker.style.display = holdPercent > 0 ? 'block' : 'none';
+    marker.style.left = holdPercent + '%';
+}
+
+/**
+ * Updates the level readouts and sample rate in the results bar.
+ * @param {object | null} levels - Levels from metering.processSamples(), or null to reset.
+ * @param {number | null} sampleRate - Sample rate in Hz; left unchanged when null.
+ */
+export function updateResultsBar(levels, sampleRate) {
+    uiElements.resultsRms().textContent = levels ? formatDbfs(levels.rmsDb) : '-- dBFS';
+    uiElements.resultsPeak().textContent = levels ? formatDbfs(levels.peakDb, 'dBTP') : '-- dBTP';
     if (sampleRate !== null) { // Only update sample rate if provided
         uiElements.resultsSampleRate().textContent = `${sampleRate} Hz`;
     }
 }
 
+/**
+ * Lights or clears the sticky clip indicator.
+ * @param {boolean} clipped
+ */
+export function setClipIndicator(clipped) {
+    const indicator = uiElements.clipIndicator();
+    if (!indicator) return;
+    indicator.classList.toggle('clipped', clipped);
+}
+
+// --- Loudness ---
+/**
+ * Formats a loudness value for display.
+ * @param {number} value
+ * @param {string} unit - 'LUFS', 'LU' or 'dBTP'.
+ * @returns {string}
+ */
+export function formatLoudness(value, unit) {
+    return Number.isFinite(value) ? `${value.toFixed(1)} ${unit}` : `-- ${unit}`;
+}
+
+/**
+ * Shows or hides the live loudness panel.
+ * @param {boolean} show
+ */
+export function showLoudnessPanel(show) {
+    const panel = uiElements.loudnessPanel();
+    if (panel) panel.style.display = show ? 'block' : 'none';
+}
+
+/**
+ * Fills a loudness readout and colours it by its grade.
+ * @param {HTMLElement} cell
+ * @param {string} text
+ * @param {string | null} grade - 'pass', 'warn', 'fail', or null for no colour.
+ */
+function setLoudnessCell(cell, text, grade) {
+    cell.textContent = text;
+    ['pass', 'warn', 'fail'].forEach(name => cell.classList.toggle(`grade-${name}`, grade === name));
+}
+
+/**
+ * Describes how far the integrated loudness is from the target.
+ * @param {object} grades - From loudness.gradeLoudness().
+ * @param {function} i18n_t - The translation function.
+ * @returns {string}
+ */
+function describeLoudnessTarget(grades, i18n_t) {
+    const target = formatLoudness(grades.targetLufs, 'LUFS');
+    if (grades.loudness === null) return i18n_t('loudnessTargetWaiting', { target });
+    const offset = `${grades.offsetLu > 0 ? '+' : ''}${grades.offsetLu.toFixed(1)} LU`;
+    return i18n_t('loudnessTargetOffset', { offset, target, maxPeak: formatLoudness(grades.maxTruePeakDb, 'dBTP') });
+}
+
+/**
+ * Updates the live loudness readouts.
+ * @param {object} readings - From loudness.getLiveLoudness().
+ * @param {object} grades - From loudness.gradeLoudness() for the integrated loudness and true peak.
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateLoudnessDisplay(readings, grades, i18n_t) {
+    uiElements.loudnessMomentaryValue().textContent = formatLoudness(readings.momentaryLufs, 'LUFS');
+    uiElements.loudnessShortTermValue().textContent = formatLoudness(readings.shortTermLufs, 'LUFS');
+    setLoudnessCell(uiElements.loudnessIntegratedValue(), formatLoudness(readings.integratedLufs, 'LUFS'), grades.loudness);
+    uiElements.loudnessRangeValue().textContent = formatLoudness(readings.rangeLu, 'LU');
+    setLoudnessCell(uiElements.loudnessTruePeakValue(), formatLoudness(readings.truePeakDb, 'dBTP'), grades.truePeak);
+    uiElements.loudnessTargetInfo().textContent = describeLoudnessTarget(grades, i18n_t);
+}
+
+// --- Stream Stability ---
+/**
+ * Shows or hides the dropout and glitch monitor.
+ * @param {boolean} show
+ */
+export function showStabilityPanel(show) {
+    const panel = uiElements.stabilityPanel();
+    if (panel) panel.style.display = show ? 'block' : 'none';
+}
+
+/**
+ * Formats a clock drift in parts per million.
+ * @param {number | null} ppm
+ * @returns {string}
+ */
+function formatDriftPpm(ppm) {
+    return Number.isFinite(ppm) ? `${ppm > 0 ? '+' : ''}${Math.round(ppm)} ppm` : '-- ppm';
+}
+
+/**
+ * Updates the stability score and event counts.
+ * @param {object} summary - From stabilityMonitor.getLiveStability().
+ * @param {string | null} grade - From stabilityMonitor.gradeStability() for the score.
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateStabilityDisplay(summary, grade, i18n_t) {
+    setLoudnessCell(uiElements.stabilityScoreValue(), summary.score === null ? '--' : `${summary.score} / 100`, grade);
+    uiElements.stabilitySilenceValue().textContent = i18n_t('stabilitySilenceValue', {
+        count: summary.counts.silence,
+        seconds: summary.silentSec.toFixed(2)
+    });
+    uiElements.stabilityDiscontinuityValue().textContent = summary.counts.discontinuity;
+    uiElements.stabilityRepeatValue().textContent = summary.counts.repeat;
+    setLoudnessCell(uiElements.stabilityDriftValue(),
+        summary.driftMeasurable ? formatDriftPpm(summary.driftPpm) : i18n_t('stabilityDriftUnavailable'),
+        summary.counts.drift > 0 ? 'warn' : null);
+    setLoudnessCell(uiElements.stabilitySkippedValue(), i18n_t('stabilitySkippedValue', {
+        frames: summary.skippedFrames,
+        duration: (summary.skippedSec * 1000).toFixed(1)
+    }), summary.skippedFrames > 0 ? 'warn' : null);
+}
+
+/**
+ * Describes one stability event.
+ * @param {object} event - From stabilityMonitor.getLiveStabilityEvents().
+ * @param {function} i18n_t - The translation function.
+ * @returns {string}
+ */
+function describeStabilityEvent(event, i18n_t) {
+    const time = formatTime(event.timeSec);
+    switch (event.type) {
+        case 'silence':
+            return i18n_t(event.ongoing ? 'stabilityEventSilenceOngoing' : 'stabilityEventSilence',
+                { time, duration: event.durationMs.toFixed(1) });
+        case 'discontinuity':
+            return i18n_t('stabilityEventDiscontinuity', {
+                time,
+                jump: Number.isFinite(event.jumpDb) ? event.jumpDb.toFixed(1) : '--',
+                count: event.count
+            });
+        case 'repeat':
+            return i18n_t('stabilityEventRepeat', { time, duration: event.durationMs.toFixed(1), lag: event.lagMs.toFixed(1) });
+        default:
+            return i18n_t('stabilityEventDrift', { time, drift: formatDriftPpm(event.ppm) });
+    }
+}
+
+/**
+ * Lists the newest stability events first.
+ * @param {object[]} events - From stabilityMonitor.getLiveStabilityEvents(), oldest first.
+ * @param {function} i18n_t - The translation function.
+ */
+export function showStabilityEvents(events, i18n_t) {
+    const list = uiElements.stabilityEventList();
+    if (!list) return;
+    list.innerHTML = '';
+    events.slice(-STABILITY_EVENTS_SHOWN).reverse().forEach(event => {
+        const item = document.createElement('li');
+        item.textContent = describeStabilityEvent(event, i18n_t);
+        list.appendChild(item);
+    });
+    if (events.length > STABILITY_EVENTS_SHOWN) {
+        const item = document.createElement('li');
+        item.textContent = i18n_t('stabilityEventsMore', { count: events.length - STABILITY_EVENTS_SHOWN });
+        list.appendChild(item);
+    }
+    list.style.display = events.length > 0 ? 'block' : 'none';
+}
+
+// --- Processing & Listen ---
+/**
+ * Reads the processing chain settings from its form.
+ * @returns {object} Fields of DEFAULT_PROCESSING_SETTINGS.
+ */
+export function getProcessingSettings() {
+    const settings = {};
+    uiElements.processingInputs().forEach(input => {
+        settings[input.dataset.processing] = input.type === 'checkbox' ? input.checked : Number(input.value);
+    });
+    return settings;
+}
+
+/**
+ * Shows the values next to the processing sliders.
+ * @param {object} settings - From getProcessingSettings().
+ */
+export function updateProcessingReadouts(settings) {
+    uiElements.inputGainValue().textContent = `${settings.inputGainDb > 0 ? '+' : ''}${settings.inputGainDb} dB`;
+    uiElements.highPassFreqValue().textContent = `${settings.highPassHz} Hz`;
+    uiElements.gateThresholdValue().textContent = `${settings.gateThresholdDb} dB`;
+    uiElements.compressorThresholdValue().textContent = `${settings.compressorThresholdDb} dB`;
+    uiElements.compressorRatioValue().textContent = `${settings.compressorRatio}:1`;
+}
+
+/**
+ * Shows how much the compressor is turning the signal down.
+ * @param {number} reductionDb - From processing.getCompressorReductionDb() (0 or negative).
+ */
+export function updateCompressorReduction(reductionDb) {
+    const cell = uiElements.compressorReductionValue();
+    if (cell) cell.textContent = `${reductionDb.toFixed(1)} dB`;
+}
+
+/**
+ * Shows a feedback warning under the Listen toggle, or hides it when messageKey is null.
+ * @param {string | null} messageKey - The i18n key.
+ * @param {object} replacements - Placeholders for the message.
+ * @param {function} i18n_t - The translation function.
+ */
+export function showListenWarning(messageKey, replacements, i18n_t) {
+    const warning = uiElements.listenWarning();
+    if (!warning) return;
+    warning.style.display = messageKey ? 'block' : 'none';
+    warning.textContent = messageKey ? i18n_t(messageKey, replacements) : '';
+}
+
+// --- Voice Analysis ---
+/**
+ * Updates the voice readouts: pitch, note and cents, formants and voiced ratio.
+ * Readouts keep their last value through silence, so a sung note can be read after it ends.
+ * @param {object | null} result - From voice.analyzeVoiceFrame(), or null to reset.
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateVoiceDisplay(result, i18n_t) {
+    const pitchCell = uiElements.voicePitchValue();
+    const noteCell = uiElements.voiceNoteValue();
+    if (!pitchCell || !noteCell) return;
+    const formantCells = uiElements.voiceFormantValues();
+    if (!result) {
+        pitchCell.textContent = '-- Hz';
+        noteCell.textContent = '--';
+        noteCell.classList.remove('grade-pass');
+        formantCells.forEach(cell => { cell.textContent = '-- Hz'; });
+        uiElements.voiceVoicedValue().textContent = '--';
+        return;
+    }
+
+    if (result.state === 'voiced') {
+        const { name, cents } = result.note;
+        pitchCell.textContent = `${result.frequency.toFixed(1)} Hz`;
+        noteCell.textContent = i18n_t('voiceNoteCents', { note: name, cents: `${cents > 0 ? '+' : ''}${cents}` });
+        noteCell.classList.toggle('grade-pass', Math.abs(cents) <= VOICE_IN_TUNE_CENTS);
+        formantCells.forEach(cell => {
+            const formant = result.formants[Number(cell.dataset.formant) - 1];
+            cell.textContent = formant ? `${Math.round(formant)} Hz` : '-- Hz';
+        });
+    } else if (result.state === 'unvoiced') {
+        pitchCell.textContent = i18n_t('voiceUnvoiced');
+        noteCell.textContent = '--';
+        noteCell.classList.remove('grade-pass');
+    }
+    uiElements.voiceVoicedValue().textContent = result.voicedRatio === null ? '--' : `${Math.round(result.voicedRatio * 100)} %`;
+}
+
+// --- Dual Microphone Comparison ---
+/**
+ * Updates the comparison panel's buttons.
+ * @param {boolean} isActive - Whether the second microphone is running.
+ * @param {boolean} isRecording - Whether both are being recorded.
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateDualControls(isActive, isRecording, i18n_t) {
+    const startBtn = uiElements.dualStartButton();
+    const recordBtn = uiElements.dualRecordButton();
+    if (!startBtn || !recordBtn) return;
+    startBtn.textContent = i18n_t(isActive ? 'dualStopBtn' : 'dualStartBtn');
+    recordBtn.disabled = !isActive;
+    recordBtn.textContent = i18n_t(isRecording ? 'dualStopRecordingBtn' : 'dualRecordBtn');
+    recordBtn.classList.toggle('recording', isRecording);
+}
+
+/**
+ * Shows the meters and spectrum of both microphones, or hides them.
+ * @param {{a: string, b: string} | null} labels - Device labels, or null to hide.
+ * @param {function} i18n_t - The translation function.
+ */
+export function showDualView(labels, i18n_t) {
+    const view = uiElements.dualView();
+    if (!view) return;
+    view.style.display = labels ? 'block' : 'none';
+    if (!labels) return;
+    [['a', uiElements.dualMeterRowA()], ['b', uiElements.dualMeterRowB()]].forEach(([side, row]) => {
+        row.querySelector('.channel-label').textContent = i18n_t('dualMeterLabel', {
+            side: side.toUpperCase(),
+            micName: labels[side] || i18n_t('dualUnnamedMic')
+        });
+    });
+}
+
+/**
+ * Updates the level meters of both microphones.
+ * @param {{a: {levels: object}, b: {levels: object}}} comparison - From dualMonitor.readComparison().
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateDualMeters(comparison, i18n_t) {
+    [[comparison.a, uiElements.dualMeterRowA()], [comparison.b, uiElements.dualMeterRowB()]].forEach(([side, row]) => {
+        const { levels } = side;
+        row.querySelector('.channel-meter-bar').style.width = `${dbToMeterPercent(levels.rmsDb)}%`;
+        row.querySelector('.channel-peak-marker').style.left = `${dbToMeterPercent(levels.peakDb)}%`;
+        row.querySelector('.channel-value').textContent = levels.silent ? i18n_t('channelNoSignal') : formatDbfs(levels.rmsDb);
+        row.classList.toggle('channel-silent', levels.silent);
+    });
+}
+
+/**
+ * Shows the download buttons for the last dual recording, or hides them.
+ * @param {{a: string, b: string} | null} labels - Device labels of the recording, or null to hide.
+ * @param {function} i18n_t - The translation function.
+ */
+export function showDualDownloads(labels, i18n_t) {
+    const downloads = uiElements.dualDownloads();
+    if (!downloads) return;
+    downloads.style.display = labels ? 'flex' : 'none';
+    if (!labels) return;
+    uiElements.dualDownloadAButton().textContent = i18n_t('dualDownloadBtn', { side: 'A', micName: labels.a || i18n_t('dualUnnamedMic') });
+    uiElements.dualDownloadBButton().textContent = i18n_t('dualDownloadBtn', { side: 'B', micName: labels.b || i18n_t('dualUnnamedMic') });
+}
+
+// --- Troubleshooting Wizard ---
+
+/**
+ * Shows the wizard's current step, its result and the remedy for the user's browser.
+ * @param {object} view - {stepIndex, stepCount, results, titleKey, instructionsKey, remedyKey, browserKey,
+ *     progress: {key, replacements} | null, running, awaitingAnswer}; results maps steps to
+ *     {status, key, replacements}.
+ * @param {function} i18n_t - The translation function.
+ */
+export function renderWizard(view, i18n_t) {
+    const titleEl = uiElements.wizardStepTitle();
+    if (!titleEl) return;
+    uiElements.wizardStepItems().forEach((item, index) => {
+        const result = view.results[item.dataset.wizardStep];
+        item.className = result ? `wizard-step-${result.status}` : '';
+        item.classList.toggle('wizard-step-current', index === view.stepIndex);
+    });
+    titleEl.textContent = i18n_t('wizardStepHeading', {
+        number: view.stepIndex + 1,
+        total: view.stepCount,
+        name: i18n_t(view.titleKey)
+    });
+    uiElements.wizardStepInstructions().textContent = i18n_t(view.instructionsKey);
+
+    const result = view.results[view.step];
+    const resultP = uiElements.wizardStepResultP();
+    if (view.progress) {
+        resultP.textContent = i18n_t(view.progress.key, view.progress.replacements);
+        resultP.className = 'panel-status status-info';
+    } else if (result) {
+        resultP.textContent = i18n_t(result.key, result.replacements);
+        resultP.className = `panel-status status-${gradeToStatusType(result.status)}`;
+    } else {
+        resultP.textContent = i18n_t('wizardNotChecked');
+        resultP.className = 'panel-status';
+    }
+
+    const showRemedy = Boolean(result) && result.status !== 'pass' && !view.progress;
+    uiElements.wizardRemedy().style.display = showRemedy ? 'block' : 'none';
+    if (showRemedy) {
+        uiElements.wizardRemedyTitle().textContent = i18n_t('wizardRemedyTitle', { browser: i18n_t(view.browserKey) });
+        uiElements.wizardRemedyText().textContent = i18n_t(view.remedyKey);
+    }
+
+    const checkButton = uiElements.wizardCheckButton();
+    checkButton.textContent = i18n_t(result ? 'wizardCheckAgainBtn' : 'wizardCheckBtn');
+    checkButton.disabled = view.running;
+    checkButton.style.display = view.awaitingAnswer ? 'none' : '';
+    uiElements.wizardYesButton().style.display = view.awaitingAnswer ? '' : 'none';
+    uiElements.wizardNoButton().style.display = view.awaitingAnswer ? '' : 'none';
+    uiElements.wizardBackButton().disabled = view.running || view.stepIndex === 0;
+    uiElements.wizardNextButton().disabled = view.running || view.stepIndex === view.stepCount - 1;
+}
+
+/**
+ * Opens the troubleshooting wizard, e.g. after an error it can help with.
+ */
+export function openTroubleshooter() {
+    const panel = uiElements.troubleshooterPanel();
+    if (panel) panel.open = true;
+}
+
+// --- Noise Test ---
+// Maps a measurement grade onto the status colour classes
+const GRADE_STATUS_TYPES = { pass: 'success', warn: 'warning', fail: 'error' };
+const GRADE_KEYS = { pass: 'gradePass', warn: 'gradeWarn', fail: 'gradeFail' };
+
+export const gradeToStatusType = (grade) => GRADE_STATUS_TYPES[grade] || 'info';
+export const gradeToKey = (grade) => GRADE_KEYS[grade];
+
+/**
+ * Reads a number input, falling back to a default when it is empty or invalid.
+ * @param {HTMLInputElement} input
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readNumberInput(input, fallback) {
+    const value = input ? parseFloat(input.value) : NaN;
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Collects the noise test duration and grading thresholds from the settings form.
+ * @returns {{durationSec: number, thresholds: object}}
+ */
+export function getNoiseTestSettings() {
+    const defaults = NOISE_TEST_DEFAULT_THRESHOLDS;
+    return {
+        durationSec: Math.max(1, readNumberInput(uiElements.noiseTestDurationInput(), NOISE_TEST_DEFAULT_DURATION_SEC)),
+        thresholds: {
+            noiseFloorPassDb: readNumberInput(uiElements.noiseFloorPassInput(), defaults.noiseFloorPassDb),
+            noiseFloorWarnDb: readNumberInput(uiElements.noiseFloorWarnInput(), defaults.noiseFloorWarnDb),
+            snrPassDb: readNumberInput(uiElements.snrPassInput(), defaults.snrPassDb),
+            snrWarnDb: readNumberInput(uiElements.snrWarnInput(), defaults.snrWarnDb)
+        }
+    };
+}
+
+/**
+ * Switches the noise test button between Run and Cancel.
+ * @param {boolean} isRunning
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateNoiseTestButton(isRunning, i18n_t) {
+    const button = uiElements.noiseTestButton();
+    button.textContent = i18n_t(isRunning ? 'cancelNoiseTestBtn' : 'runNoiseTestBtn');
+    button.classList.toggle('recording', isRunning); // Reuse the "active" red style
+}
+
+/**
+ * Fills a grade cell with a translated, colour-coded grade.
+ * @param {HTMLElement} cell
+ * @param {string} grade - 'pass', 'warn' or 'fail'.
+ * @param {function} i18n_t - The translation function.
+ */
+function setGradeCell(cell, grade, i18n_t) {
+    cell.textContent = i18n_t(gradeToKey(grade));
+    cell.className = `grade-${grade}`;
+}
+
+/**
+ * Shows the noise test results table, or hides it when results is null.
+ * @param {object | null} results - Results from noiseTest.runNoiseTest().
+ * @param {function} i18n_t - The translation function.
+ */
+export function showNoiseTestResults(results, i18n_t) {
+    const table = uiElements.noiseTestResults();
+    if (!results) {
+        table.style.display = 'none';
+        return;
+    }
+    uiElements.noiseFloorValue().textContent = formatDbfs(results.noiseFloorDb);
+    uiElements.noiseAWeightedValue().textContent = formatDbfs(results.noiseAWeightedDb, 'dBFS(A)');
+    uiElements.speechLevelValue().textContent = formatDbfs(results.speechLevelDb);
+    uiElements.snrValue().textContent = Number.isFinite(results.snrDb) ? `${results.snrDb.toFixed(1)} dB` : '--';
+    setGradeCell(uiElements.noiseFloorGrade(), results.grades.noiseFloor, i18n_t);
+    setGradeCell(uiElements.snrGrade(), results.grades.snr, i18n_t);
+    table.style.display = 'table';
+}
+
+// --- Latency Test ---
+/**
+ * Formats a time in milliseconds for display.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatMs(ms) {
+    return Number.isFinite(ms) ? `${ms.toFixed(1)} ms` : '--';
+}
+
+/**
+ * Collects the latency test signal type and repetition count from the settings form.
+ * @returns {{signalType: string, repeats: number}}
+ */
+export function getLatencyTestSettings() {
+    const repeats = Math.round(readNumberInput(uiElements.latencyRepeatsInput(), LATENCY_TEST_DEFAULT_REPEATS));
+    return {
+        signalType: uiElements.latencySignalSelect()?.value || LATENCY_TEST_DEFAULT_SIGNAL,
+        repeats: Math.min(LATENCY_TEST_MAX_REPEATS, Math.max(1, repeats))
+    };
+}
+
+/**
+ * Switches the latency test button between Run and Cancel.
+ * @param {boolean} isRunning
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateLatencyTestButton(isRunning, i18n_t) {
+    const button = uiElements.latencyTestButton();
+    button.textContent = i18n_t(isRunning ? 'cancelLatencyTestBtn' : 'runLatencyTestBtn');
+    button.classList.toggle('recording', isRunning); // Reuse the "active" red style
+}
+
+/**
+ * Shows the latency test results table, or hides it when results is null.
+ * @param {object | null} results - Results from latencyTest.runLatencyTest().
+ * @param {function} i18n_t - The translation function.
+ */
+export function showLatencyTestResults(results, i18n_t) {
+    const table = uiElements.latencyTestResults();
+    if (!results) {
+        table.style.display = 'none';
+        return;
+    }
+    uiElements.latencyMeanValue().textContent = formatMs(results.meanMs);
+    uiElements.latencyJitterValue().textContent = formatMs(results.jitterMs);
+    uiElements.latencyRangeValue().textContent = results.validCount > 0
+        ? `${formatMs(results.minMs)} – ${formatMs(results.maxMs)}`
+        : '--';
+    uiElements.latencyValidRunsValue().textContent = i18n_t('latencyValidRunsValue', { valid: results.validCount, total: results.repeats });
+    uiElements.latencyRunsValue().textContent = results.runs
+        .map(run => (run.valid ? run.latencyMs.toFixed(1) : i18n_t('latencyRunMissed')))
+        .join(', ');
+    uiElements.latencyBaseValue().textContent = formatMs(results.baseLatencyMs);
+    uiElements.latencyOutputValue().textContent = formatMs(results.outputLatencyMs);
+    table.style.display = 'table';
+}
+
+// --- Frequency Response ---
+/**
+ * Collects the sweep length and smoothing from the settings form.
+ * @returns {{durationSec: number, smoothing: number}}
+ */
+export function getFrequencyResponseSettings() {
+    const durationSec = Number(uiElements.frequencyResponseDurationSelect()?.value);
+    const smoothing = Number(uiElements.frequencyResponseSmoothingSelect()?.value);
+    return {
+        durationSec: FREQUENCY_RESPONSE_SWEEP_DURATIONS.includes(durationSec) ? durationSec : FREQUENCY_RESPONSE_DEFAULT_DURATION,
+        smoothing: FREQUENCY_RESPONSE_SMOOTHING_OPTIONS.includes(smoothing) ? smoothing : FREQUENCY_RESPONSE_DEFAULT_SMOOTHING
+    };
+}
+
+/**
+ * Switches the frequency response button between Measure and Cancel.
+ * @param {boolean} isRunning
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateFrequencyResponseButton(isRunning, i18n_t) {
+    const button = uiElements.frequencyResponseButton();
+    button.textContent = i18n_t(isRunning ? 'cancelFrequencyResponseBtn' : 'runFrequencyResponseBtn');
+    button.classList.toggle('recording', isRunning); // Reuse the "active" red style
+}
+
+/**
+ * Shows or hides the frequency response plot and enables its export buttons.
+ * @param {boolean} show
+ */
+export function showFrequencyResponsePlot(show) {
+    uiElements.frequencyResponseCanvas().style.display = show ? 'block' : 'none';
+    uiElements.frequencyResponseCsvButton().disabled = !show;
+    uiElements.frequencyResponseImageButton().disabled = !show;
+}
+
+/**
+ * Describes the loaded calibration file, or says that none is loaded.
+ * @param {{fileName: string, points: object[]} | null} calibration
+ * @param {function} i18n_t - The translation function.
+ */
+export function showCalibrationInfo(calibration, i18n_t) {
+    uiElements.calibrationInfo().textContent = calibration
+        ? i18n_t('calibrationLoaded', {
+            fileName: calibration.fileName,
+            count: calibration.points.length,
+            low: Math.round(calibration.points[0].frequency),
+            high: Math.round(calibration.points[calibration.points.length - 1].frequency)
+        })
+        : i18n_t('calibrationNone');
+    uiElements.calibrationClearButton().disabled = !calibration;
+}
+
+// --- Distortion Test ---
+/**
+ * Collects the tone source, frequency, level and duration from the settings form,
+ * clamped to the supported ranges.
+ * @returns {{source: string, frequency: number, levelDb: number, durationSec: number}}
+ */
+export function getDistortionTestSettings() {
+    const [minFrequency, maxFrequency] = DISTORTION_TEST_FREQUENCY_RANGE;
+    const [minLevel, maxLevel] = DISTORTION_TEST_LEVEL_RANGE;
+    const frequency = readNumberInput(uiElements.distortionFrequencyInput(), DISTORTION_TEST_DEFAULT_FREQUENCY);
+    const levelDb = readNumberInput(uiElements.distortionLevelInput(), DISTORTION_TEST_DEFAULT_LEVEL_DB);
+    const durationSec = Number(uiElements.distortionDurationSelect()?.value);
+    return {
+        source: uiElements.distortionSourceSelect()?.value === 'external' ? 'external' : 'generated',
+        frequency: Math.min(maxFrequency, Math.max(minFrequency, frequency)),
+        levelDb: Math.min(maxLevel, Math.max(minLevel, levelDb)),
+        durationSec: DISTORTION_TEST_DURATIONS.includes(durationSec) ? durationSec : DISTORTION_TEST_DEFAULT_DURATION
+    };
+}
+
+/**
+ * Enables the tone frequency and level inputs only when the test generates the tone.
+ */
+export function updateDistortionSourceControls() {
+    const generated = getDistortionTestSettings().source === 'generated';
+    uiElements.distortionFrequencyInput().disabled = !generated;
+    uiElements.distortionLevelInput().disabled = !generated;
+}
+
+/**
+ * Switches the distortion test button between Run and Cancel.
+ * @param {boolean} isRunning
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateDistortionTestButton(isRunning, i18n_t) {
+    const button = uiElements.distortionTestButton();
+    button.textContent = i18n_t(isRunning ? 'cancelDistortionTestBtn' : 'runDistortionTestBtn');
+    button.classList.toggle('recording', isRunning); // Reuse the "active" red style
+}
+
+/**
+ * Formats a distortion ratio as a percentage and in dB.
+ * @param {number} ratio - Distortion amplitude relative to the fundamental.
+ * @returns {string}
+ */
+function formatDistortion(ratio) {
+    if (!Number.isFinite(ratio)) return '--';
+    if (ratio <= 0) return '0 %';
+    return `${(ratio * 100).toPrecision(3)} % (${(20 * Math.log10(ratio)).toFixed(1)} dB)`;
+}
+
+/**
+ * Shows the distortion test results and the clipping event list, or hides them when results is null.
+ * @param {object | null} results - Results from distortionTest.runDistortionTest().
+ * @param {function} i18n_t - The translation function.
+ */
+export function showDistortionTestResults(results, i18n_t) {
+    const table = uiElements.distortionTestResults();
+    const list = uiElements.clippingEventList();
+    const canvas = uiElements.distortionSpectrumCanvas();
+    if (!results) {
+        table.style.display = 'none';
+        list.style.display = 'none';
+        canvas.style.display = 'none';
+        return;
+    }
+    uiElements.distortionFundamentalValue().textContent = i18n_t('distortionFundamentalValue', {
+        frequency: results.fundamentalFrequency.toFixed(1),
+        level: formatDbfs(results.fundamentalDb)
+    });
+    uiElements.distortionThdValue().textContent = formatDistortion(results.thdRatio);
+    uiElements.distortionThdnValue().textContent = formatDistortion(results.thdnRatio);
+    uiElements.distortionHarmonicsValue().textContent = results.harmonics.length > 0
+        ? results.harmonics
+            .map(harmonic => `H${harmonic.order} ${Number.isFinite(harmonic.levelDb) ? harmonic.levelDb.toFixed(1) : '--'} dB`)
+            .join(', ')
+        : '--';
+    uiElements.distortionPeakValue().textContent = formatDbfs(results.peakDb);
+
+    const events = results.clippingEvents;
+    uiElements.distortionClippingValue().textContent = events.length > 0
+        ? i18n_t('distortionClippingCount', { count: events.length })
+        : i18n_t('distortionClippingNone');
+    uiElements.distortionClippingValue().className = events.length > 0 ? 'grade-fail' : 'grade-pass';
+    list.innerHTML = '';
+    events.slice(0, DISTORTION_TEST_CLIP_EVENTS_SHOWN).forEach(event => {
+        const item = document.createElement('li');
+        item.textContent = i18n_t('clippingEventItem', {
+            time: formatTime(event.timeSec),
+            duration: event.durationMs.toFixed(1),
+            samples: event.clippedSamples
+        });
+        list.appendChild(item);
+    });
+    if (events.length > DISTORTION_TEST_CLIP_EVENTS_SHOWN) {
+        const item = document.createElement('li');
+        item.textContent = i18n_t('clippingEventsMore', { count: events.length - DISTORTION_TEST_CLIP_EVENTS_SHOWN });
+        list.appendChild(item);
+    }
+    list.style.display = events.length > 0 ? 'block' : 'none';
+    table.style.display = 'table';
+    canvas.style.display = 'block';
+}
+
+// --- Spectrum Controls ---
+/**
+ * Reads the spectrum resolution, window, smoothing and range controls.
+ * @returns {{fftSize: number, window: string, smoothing: number, minDb: number, maxDb: number}}
+ */
+export function getSpectrumSettings() {
+    return {
+        fftSize: Number(uiElements.spectrumFftSizeSelect().value),
+        window: uiElements.spectrumWindowSelect().value,
+        smoothing: Number(uiElements.spectrumSmoothingInput().value),
+        minDb: Number(uiElements.spectrumMinDbInput().value),
+        maxDb: Number(uiElements.spectrumMaxDbInput().value)
+    };
+}
+
+/**
+ * Shows the applied spectrum settings next to their controls, with the resulting bin width
+ * and window length.
+ * @param {object} applied - From spectrumAnalyser.applySpectrumSettings().
+ * @param {number | null} sampleRate - Null while not monitoring (no resolution shown).
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateSpectrumControls(applied, sampleRate, i18n_t) {
+    uiElements.spectrumFftSizeSelect().value = String(applied.fftSize);
+    uiElements.spectrumWindowSelect().value = applied.window;
+    uiElements.spectrumSmoothingInput().value = applied.smoothing;
+    uiElements.spectrumMinDbInput().value = applied.minDb;
+    uiElements.spectrumMaxDbInput().value = applied.maxDb;
+    uiElements.spectrumSmoothingValue().textContent = applied.smoothing.toFixed(2);
+    uiElements.spectrumMinDbValue().textContent = `${applied.minDb} dB`;
+    uiElements.spectrumMaxDbValue().textContent = `${applied.maxDb} dB`;
+    uiElements.spectrumResolution().textContent = sampleRate
+        ? i18n_t('spectrumResolutionValue', {
+            binWidth: (sampleRate / applied.fftSize).toFixed(sampleRate / applied.fftSize < 10 ? 2 : 1),
+            windowMs: Math.round(applied.fftSize / sampleRate * 1000)
+        })
+        : '';
+}
+
+// --- Spectrogram Controls ---
+/**
+ * Shows the applied spectrogram dB range next to its sliders.
+ * @param {number} floorDb
+ * @param {number} ceilingDb
+ */
+export function updateSpectrogramRange(floorDb, ceilingDb) {
+    uiElements.spectrogramFloorInput().value = floorDb;
+    uiElements.spectrogramCeilingInput().value = ceilingDb;
+    uiElements.spectrogramFloorValue().textContent = `${floorDb} dB`;
+    uiElements.spectrogramCeilingValue().textContent = `${ceilingDb} dB`;
+}
+
+/**
+ * Updates the spectrogram Pause/Resume button text.
+ * @param {boolean} isPaused
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateSpectrogramPauseButton(isPaused, i18n_t) {
+    const button = uiElements.spectrogramPauseButton();
+    button.textContent = i18n_t(isPaused ? 'spectrogramResumeBtn' : 'spectrogramPauseBtn');
+    button.classList.toggle('paused', isPaused);
+}
+
 // --- Playback ---
 export function displayPlayback(audioUrl, blob) {
     const player = uiElements.audioPlayback();
     player.src = audioUrl;
     player.style.display = 'block';
     // Optionally display blob info (size, type) in recording status
+    const inspectorPanel = uiElements.inspectorPanel();
+    if (inspectorPanel) inspectorPanel.style.display = 'block';
 }
 
 export function hidePlayback() {
      const player = uiElements.audioPlayback();
     player.style.display = 'none';
     player.src = ''; // Clear source
+    const exportControls = uiElements.exportControls();
+    if (exportControls) exportControls.style.display = 'none';
+    const inspectorPanel = uiElements.inspectorPanel();
+    if (inspectorPanel) inspectorPanel.style.display = 'none';
+}
+
+/**
+ * Formats seconds as m:ss.mmm.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds - minutes * 60;
+    return `${minutes}:${rest.toFixed(3).padStart(6, '0')}`;
+}
+
+/**
+ * Shows the level statistics of the inspected region.
+ * @param {object | null} analysis - From the inspector's selection analysis, or null to clear.
+ * @param {object | null} loudnessGrades - loudness.gradeLoudness() for the analysis, or null.
+ * @param {function} i18n_t - The translation function.
+ */
+export function showInspectorStats(analysis, loudnessGrades, i18n_t) {
+    const info = uiElements.inspectorSelectionInfo();
+    if (!analysis) {
+        info.textContent = '';
+        ['inspectorDurationValue', 'inspectorRmsValue', 'inspectorPeakValue', 'inspectorCrestValue', 'inspectorClippedValue',
+            'inspectorLoudnessValue', 'inspectorLoudnessRangeValue', 'inspectorTruePeakValue']
+            .forEach(name => { setLoudnessCell(uiElements[name](), '--', null); });
+        return;
+    }
+    info.textContent = analysis.isSelection
+        ? i18n_t('inspectorSelectionRange', {
+            start: formatTime(analysis.startSec),
+            end: formatTime(analysis.startSec + analysis.durationSec)
+        })
+        : i18n_t('inspectorWholeRecording');
+    uiElements.inspectorDurationValue().textContent = `${analysis.durationSec.toFixed(3)} s`;
+    uiElements.inspectorRmsValue().textContent = formatDbfs(analysis.rmsDb);
+    uiElements.inspectorPeakValue().textContent = formatDbfs(analysis.peakDb);
+    uiElements.inspectorCrestValue().textContent = Number.isFinite(analysis.crestDb) ? `${analysis.crestDb.toFixed(1)} dB` : '--';
+    const clipped = uiElements.inspectorClippedValue();
+    clipped.textContent = String(analysis.clippedSamples);
+    clipped.classList.toggle('grade-fail', analysis.clippedSamples > 0);
+    setLoudnessCell(uiElements.inspectorLoudnessValue(), formatLoudness(analysis.loudness.integratedLufs, 'LUFS'), loudnessGrades.loudness);
+    uiElements.inspectorLoudnessRangeValue().textContent = formatLoudness(analysis.loudness.rangeLu, 'LU');
+    setLoudnessCell(uiElements.inspectorTruePeakValue(), formatLoudness(analysis.loudness.truePeakDb, 'dBTP'), loudnessGrades.truePeak);
+    uiElements.inspectorZoomSelectionButton().disabled = !analysis.isSelection;
+}
+
+/**
+ * Switches the inspector's play button between Play and Stop.
+ * @param {boolean} isPlaying
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateInspectorPlayButton(isPlaying, i18n_t) {
+    const button = uiElements.inspectorPlayButton();
+    if (button) button.textContent = i18n_t(isPlaying ? 'inspectorStopBtn' : 'inspectorPlayBtn');
+}
+
+/**
+ * Shows the export format selector and download button for a finished recording.
+ * @param {boolean} losslessAvailable - False if no PCM was captured (only the compressed file can be saved).
+ * @param {function} i18n_t - The translation function.
+ */
+export function showExportControls(losslessAvailable, i18n_t) {
+    const exportControls = uiElements.exportControls();
+    const select = uiElements.exportFormatSelect();
+    if (!exportControls || !select) return;
+    Array.from(select.options).forEach(option => {
+        option.disabled = option.value !== 'original' && !losslessAvailable;
+    });
+    if (select.selectedOptions[0]?.disabled) select.value = 'original';
+    select.title = losslessAvailable ? '' : i18n_t('exportLosslessUnavailableTitle');
+    exportControls.style.display = 'flex';
+}
+
+/**
+ * Offers a blob to the user as a file download.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the browser time to start the download
+}
+
+// --- Recordings Library ---
+/**
+ * Summarizes the track settings a recording was made with (shown as a tooltip).
+ * @param {object} trackSettings - MediaTrackSettings stored with the entry.
+ * @param {function} i18n_t - The translation function.
+ * @returns {string}
+ */
+function describeTrackSettings(trackSettings, i18n_t) {
+    if (!trackSettings) return '';
+    return Object.entries(TRACK_SETTING_LABEL_KEYS)
+        .filter(([name]) => trackSettings[name] !== undefined)
+        .map(([name, labelKey]) => `${i18n_t(labelKey)}: ${formatTrackSetting(name, trackSettings[name], i18n_t)}`)
+        .join('\n');
+}
+
+/**
+ * Builds a table cell with a text value.
+ * @param {string} text
+ * @param {string} [title] - Optional tooltip.
+ * @returns {HTMLTableCellElement}
+ */
+function createTextCell(text, title = '') {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (title) cell.title = title;
+    return cell;
+}
+
+/**
+ * Renders the recordings library table.
+ * @param {object[]} entries - Library entries, newest first.
+ * @param {{a: number | null, b: number | null}} selection - Ids chosen for A/B comparison.
+ * @param {function} i18n_t - The translation function.
+ */
+export function renderLibrary(entries, selection, i18n_t) {
+    const section = uiElements.librarySection();
+    const tbody = uiElements.libraryBody();
+    if (!section || !tbody) return;
+    section.style.display = entries.length > 0 ? 'block' : 'none';
+    tbody.innerHTML = ''; // Clear existing rows
+
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.dataset.id = entry.id;
+
+        ['a', 'b'].forEach(side => {
+            const cell = document.createElement('td');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `compare-${side}`;
+            radio.value = entry.id;
+            radio.dataset.side = side;
+            radio.checked = selection[side] === entry.id;
+            radio.title = i18n_t(side === 'a' ? 'compareSelectATitle' : 'compareSelectBTitle');
+            cell.appendChild(radio);
+            row.appendChild(cell);
+        });
+
+        const nameCell = createTextCell(entry.name);
+        nameCell.className = 'library-name';
+        row.appendChild(nameCell);
+        row.appendChild(createTextCell(entry.deviceLabel || i18n_t('libraryUnknownDevice'), describeTrackSettings(entry.trackSettings, i18n_t)));
+        row.appendChild(createTextCell(new Date(entry.createdAt).toLocaleString(document.documentElement.lang)));
+        row.appendChild(createTextCell(`${entry.durationSec.toFixed(1)} s`));
+        row.appendChild(createTextCell(entry.sampleRate ? `${entry.sampleRate} Hz` : '--'));
+        row.appendChild(createTextCell(formatDbfs(entry.levels.rmsDb)));
+        row.appendChild(createTextCell(formatDbfs(entry.levels.peakDb)));
+
+        const actionsCell = document.createElement('td');
+        [['play', 'libraryPlayBtn'], ['rename', 'libraryRenameBtn'], ['delete', 'libraryDeleteBtn']].forEach(([action, labelKey]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action;
+            button.textContent = i18n_t(labelKey);
+            actionsCell.appendChild(button);
+        });
+        row.appendChild(actionsCell);
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Replaces an entry's name with a text field. Enter or leaving the field commits, Escape cancels.
+ * @param {number} id - The entry id.
+ * @param {function(string | null)} onDone - Called with the new name, or null if cancelled/unchanged.
+ */
+export function startRenameEntry(id, onDone) {
+    const nameCell = uiElements.libraryBody()?.querySelector(`tr[data-id="${id}"] .library-name`);
+    if (!nameCell || nameCell.querySelector('input')) return;
+    const originalName = nameCell.textContent;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = originalName;
+    nameCell.textContent = '';
+    nameCell.appendChild(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = (commit) => {
+        if (finished) return;
+        finished = true;
+        const newName = input.value.trim();
+        nameCell.textContent = commit && newName ? newName : originalName;
+        onDone(commit && newName && newName !== originalName ? newName : null);
+    };
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') finish(true);
+        if (event.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+let libraryPlaybackUrl = null;
+
+/**
+ * Plays a library entry in the library's audio player.
+ * @param {Blob} blob - The recording.
+ */
+export function playLibraryEntry(blob) {
+    const player = uiElements.libraryPlayback();
+    if (libraryPlaybackUrl) URL.revokeObjectURL(libraryPlaybackUrl);
+    libraryPlaybackUrl = URL.createObjectURL(blob);
+    player.src = libraryPlaybackUrl;
+    player.style.display = 'block';
+    player.play().catch(err => console.warn('Library playback failed:', err));
+}
+
+/**
+ * Stops and hides the library's audio player.
+ */
+export function hideLibraryPlayback() {
+    const player = uiElements.libraryPlayback();
+    player.pause();
+    player.style.display = 'none';
+    player.removeAttribute('src');
+    if (libraryPlaybackUrl) {
+        URL.revokeObjectURL(libraryPlaybackUrl);
+        libraryPlaybackUrl = null;
+    }
+}
+
+/**
+ * Updates the A/B comparison buttons and the applied gain read-out.
+ * @param {{a: number | null, b: number | null}} selection - Ids chosen for A/B comparison.
+ * @param {string | null} activeSide - 'a', 'b', or null when stopped.
+ * @param {{gainDbA: number, gainDbB: number} | null} gains - Gains applied by loudness matching.
+ * @param {function} i18n_t - The translation function.
+ */
+export function updateComparisonControls(selection, activeSide, gains, i18n_t) {
+    const ready = selection.a !== null && selection.b !== null && selection.a !== selection.b;
+    const playA = uiElements.comparePlayAButton();
+    const playB = uiElements.comparePlayBButton();
+    playA.disabled = !ready;
+    playB.disabled = !ready;
+    uiElements.compareStopButton().disabled = activeSide === null;
+    playA.classList.toggle('active', activeSide === 'a');
+    playB.classList.toggle('active', activeSide === 'b');
+
+    const info = uiElements.comparisonInfo();
+    if (!ready) {
+        info.textContent = i18n_t('compareSelectHint');
+    } else if (gains) {
+        info.textContent = i18n_t('compareGainInfo', { gainA: gains.gainDbA.toFixed(1), gainB: gains.gainDbB.toFixed(1) });
+    } else {
+        info.textContent = '';
+    }
 }
 
 // --- Theme Button ---
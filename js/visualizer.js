@@ -1,9 +1,44 @@
 // js/visualizer.js
 import { uiElements } from './ui.js';
+import { clearSpectrogram } from './spectrogram.js';
+import { clearChannelViews } from './channels.js';
+import { clearVoiceView } from './voice.js';
+import {
+    SPECTRUM_MIN_FREQ,
+    SPECTRUM_MAX_FREQ,
+    SPECTRUM_MIN_DB,
+    SPECTRUM_MAX_DB,
+    SPECTRUM_DBFS_OFFSET,
+    SPECTRUM_PEAK_DECAY_DB_PER_SEC,
+    DEFAULT_SPECTRUM_GRID,
+    DUAL_DIFFERENCE_RANGE_DB,
+    FREQUENCY_RESPONSE_PLOT_RANGE_DB,
+    OCTAVE_BANDS,
+    THIRD_OCTAVE_BANDS
+} from './config.js';
+
+const SPECTRUM_MARGIN = { left: 34, right: 6, top: 6, bottom: 16 }; // Room for axis labels
+const SPECTRUM_DB_GRID_STEP = 20;
+const RESPONSE_DB_GRID_STEP = 10;
+const DIFFERENCE_STRIP_RATIO = 0.35; // Share of the dual spectrum canvas given to the difference strip
 
 let waveformCtx = null;
 let frequencyCtx = null;
 
+// --- Spectrum State ---
+let spectrumGrid = DEFAULT_SPECTRUM_GRID; // 'octave' or 'third'
+let showPeakHold = false;
+let showAverage = false;
+let peakHoldDb = null; // Per-bin decaying maximum (dBFS)
+let averagePowerSum = null; // Per-bin sum of linear power since the average was reset
+let averageFrameCount = 0;
+let averageDb = null;
+let lastSpectrumTime = null;
+let columnBins = null; // Per plot column: fractional bin range covered on the log axis
+let columnBinsKey = '';
+let spectrumMinDb = SPECTRUM_MIN_DB; // Bottom of the dBFS axis
+let spectrumMaxDb = SPECTRUM_MAX_DB; // Top of the dBFS axis
+
 /**
  * Initializes the canvas contexts.
  */
@@ -19,7 +54,7 @@ export function initVisualizer() {
 }
 
 /**
- * Clears both visualization canvases.
+ * Clears all visualization canvases, including the spectrogram history, channel views and pitch trace.
  */
 export function clearVisualizations() {
     if (!waveformCtx || !frequencyCtx) {
@@ -35,6 +70,10 @@ export function clearVisualizations() {
     waveformCtx.fillRect(0, 0, waveformCanvas.width, waveformCanvas.height);
     frequencyCtx.fillStyle = bgColor;
     frequencyCtx.fillRect(0, 0, frequencyCanvas.width, frequencyCanvas.height);
+    resetSpectrumTraces();
+    clearSpectrogram();
+    clearChannelViews();
+    clearVoiceView();
 }
 
 /**
@@ -77,66 +116,605 @@ function drawWaveform(timeData, bufferLength) {
 }
 
 /**
- * Draws the frequency spectrum visualization.
- * @param {Uint8Array} freqData - The frequency data from the AnalyserNode.
- * @param {number} bufferLength - The length of the data buffer.
+ * Matches a canvas's drawing buffer to its displayed size so labels stay sharp.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {boolean} True if the canvas has a usable size.
+ */
+export function fitCanvasToDisplay(canvas) {
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (width === 0 || height === 0) return false;
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    return true;
+}
+
+/**
+ * Maps a frequency to an x position on the log-frequency axis.
+ * @param {number} frequency - Frequency in Hz.
+ * @param {number} maxFrequency - Frequency at the right edge of the plot.
+ * @param {object} plot - Plot area {left, right, top, bottom}.
+ * @returns {number}
+ */
+function frequencyToX(frequency, maxFrequency, plot) {
+    const ratio = Math.log(frequency / SPECTRUM_MIN_FREQ) / Math.log(maxFrequency / SPECTRUM_MIN_FREQ);
+    return plot.left + ratio * (plot.right - plot.left);
+}
+
+/**
+ * Maps a dBFS level to a y position, clamped to the plot area.
+ * @param {number} db - Level in dBFS.
+ * @param {object} plot - Plot area {left, right, top, bottom}.
+ * @returns {number}
+ */
+function dbToY(db, plot) {
+    const clamped = Math.min(spectrumMaxDb, Math.max(spectrumMinDb, db));
+    const ratio = (clamped - spectrumMinDb) / (spectrumMaxDb - spectrumMinDb);
+    return plot.bottom - ratio * (plot.bottom - plot.top);
+}
+
+/**
+ * Works out which (fractional) FFT bins fall under each pixel column of the plot.
+ * @param {object} plot - Plot area {left, right, top, bottom}.
+ * @param {number} binCount - Number of frequency bins.
+ * @param {number} sampleRate - Sample rate in Hz.
+ * @param {number} maxFrequency - Frequency at the right edge of the plot.
+ * @returns {{low: number, high: number}[]} Fractional bin range per column.
+ */
+function computeColumnBins(plot, binCount, sampleRate, maxFrequency) {
+    const binWidth = (sampleRate / 2) / binCount;
+    const plotWidth = plot.right - plot.left;
+    const logSpan = Math.log(maxFrequency / SPECTRUM_MIN_FREQ);
+
+    const columns = [];
+    for (let column = 0; column <= plotWidth; column++) {
+        const lowFrequency = SPECTRUM_MIN_FREQ * Math.exp(logSpan * (column - 0.5) / plotWidth);
+        const highFrequency = SPECTRUM_MIN_FREQ * Math.exp(logSpan * (column + 0.5) / plotWidth);
+        columns.push({
+            low: Math.min(binCount - 1, lowFrequency / binWidth),
+            high: Math.min(binCount - 1, highFrequency / binWidth)
+        });
+    }
+    return columns;
+}
+
+/**
+ * Updates the cached column bins of the live spectrum when the layout or FFT size changes.
+ * @param {object} plot - Plot area {left, right, top, bottom}.
+ * @param {number} binCount - Number of frequency bins.
+ * @param {number} sampleRate - Sample rate in Hz.
+ * @param {number} maxFrequency - Frequency at the right edge of the plot.
+ */
+function updateColumnBins(plot, binCount, sampleRate, maxFrequency) {
+    const key = `${plot.left}:${plot.right}:${binCount}:${sampleRate}`;
+    if (key === columnBinsKey) return;
+    columnBins = computeColumnBins(plot, binCount, sampleRate, maxFrequency);
+    columnBinsKey = key;
+}
+
+/**
+ * Reads a spectrum at one plot column: interpolated where a column is narrower than
+ * a bin (low frequencies), the maximum over the covered bins otherwise.
+ * @param {ArrayLike<number>} spectrumDb - Per-bin levels.
+ * @param {{low: number, high: number}} range - Fractional bin range for the column.
+ * @returns {number}
  */
-function drawFrequencySpectrum(freqData, bufferLength) {
+function sampleSpectrumColumn(spectrumDb, range) {
+    const firstBin = Math.ceil(range.low);
+    const lastBin = Math.floor(range.high);
+    if (lastBin < firstBin) {
+        const position = (range.low + range.high) / 2;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, spectrumDb.length - 1);
+        const fraction = position - index;
+        if (!Number.isFinite(spectrumDb[index]) || !Number.isFinite(spectrumDb[next])) {
+            return Math.max(spectrumDb[index], spectrumDb[next]); // Silent bins are -Infinity
+        }
+        return spectrumDb[index] + (spectrumDb[next] - spectrumDb[index]) * fraction;
+    }
+    let maxDb = -Infinity;
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+        if (spectrumDb[bin] > maxDb) maxDb = spectrumDb[bin];
+    }
+    return maxDb;
+}
+
+/**
+ * Updates the peak-hold and long-term average traces from the latest frame.
+ * @param {Float32Array} freqData - Frequency data in dB from getFloatFrequencyData.
+ */
+function updateSpectrumTraces(freqData) {
+    const now = performance.now();
+    const elapsedSec = lastSpectrumTime === null ? 0 : (now - lastSpectrumTime) / 1000;
+    lastSpectrumTime = now;
+
+    if (!peakHoldDb || peakHoldDb.length !== freqData.length) {
+        // First frame or the FFT size changed
+        peakHoldDb = new Float32Array(freqData.length).fill(-Infinity);
+        averagePowerSum = new Float64Array(freqData.length);
+        averageDb = new Float32Array(freqData.length);
+        averageFrameCount = 0;
+    }
+
+    if (showPeakHold) {
+        const decay = SPECTRUM_PEAK_DECAY_DB_PER_SEC * elapsedSec;
+        for (let i = 0; i < freqData.length; i++) {
+            peakHoldDb[i] = Math.max(freqData[i], peakHoldDb[i] - decay);
+        }
+    }
+
+    if (showAverage) {
+        // Average in the power domain so quiet frames don't dominate
+        averageFrameCount++;
+        for (let i = 0; i < freqData.length; i++) {
+            averagePowerSum[i] += Math.pow(10, freqData[i] / 10);
+            averageDb[i] = 10 * Math.log10(averagePowerSum[i] / averageFrameCount);
+        }
+    }
+}
+
+/**
+ * Draws the frequency and level grid with Hz and dBFS labels.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on.
+ * @param {object} plot - Plot area {left, right, top, bottom}.
+ * @param {number} maxFrequency - Frequency at the right edge of the plot.
+ * @param {string} gridColor
+ * @param {string} labelColor
+ */
+function drawSpectrumGrid(ctx, plot, maxFrequency, gridColor, labelColor) {
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = gridColor;
+    ctx.fillStyle = labelColor;
+    ctx.font = '10px sans-serif';
+
+    // Level grid, labelled on every multiple of SPECTRUM_DB_GRID_STEP dB within the range
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const topGridDb = Math.floor(spectrumMaxDb / SPECTRUM_DB_GRID_STEP) * SPECTRUM_DB_GRID_STEP;
+    for (let db = topGridDb; db >= spectrumMinDb; db -= SPECTRUM_DB_GRID_STEP) {
+        const y = Math.round(dbToY(db, plot)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y);
+        ctx.lineTo(plot.right, y);
+        ctx.stroke();
+        ctx.fillText(`${db}`, plot.left - 4, y);
+    }
+    drawFrequencyGrid(ctx, plot, maxFrequency);
+}
+
+/**
+ * Draws the frequency grid with Hz labels: octave or third-octave lines, labels on octave centres only.
+ * Expects the grid's stroke and label styles to be set.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on.
+ * @param {object} plot - Plot area {left, right, top, bottom}.
+ * @param {number} maxFrequency - Frequency at the right edge of the plot.
+ */
+function drawFrequencyGrid(ctx, plot, maxFrequency) {
+    const bands = spectrumGrid === 'third' ? THIRD_OCTAVE_BANDS : OCTAVE_BANDS;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    bands.forEach(frequency => {
+        if (frequency < SPECTRUM_MIN_FREQ || frequency > maxFrequency) return;
+        const x = Math.round(frequencyToX(frequency, maxFrequency, plot)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, plot.top);
+        ctx.lineTo(x, plot.bottom);
+        ctx.stroke();
+        if (OCTAVE_BANDS.includes(frequency)) {
+            const label = frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+            ctx.fillText(label, x, plot.bottom + 3);
+        }
+    });
+}
+
+/**
+ * Draws one spectrum trace across the plot.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on.
+ * @param {ArrayLike<number>} spectrumDb - Per-bin levels.
+ * @param {{low: number, high: number}[]} columns - Bin range per plot column.
+ * @param {number} offsetDb - Added to every level to get dBFS (SPECTRUM_DBFS_OFFSET for analyser data).
+ * @param {object} plot - Plot area {left, right, top, bottom}.
+ * @param {string} color
+ * @param {boolean} fill - Fill the area under the trace instead of stroking it.
+ */
+function drawSpectrumTrace(ctx, spectrumDb, columns, offsetDb, plot, color, fill) {
+    ctx.beginPath();
+    columns.forEach((range, column) => {
+        const db = sampleSpectrumColumn(spectrumDb, range) + offsetDb;
+        const x = plot.left + column;
+        const y = dbToY(db, plot);
+        if (column === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+
+    if (fill) {
+        ctx.lineTo(plot.right, plot.bottom);
+        ctx.lineTo(plot.left, plot.bottom);
+        ctx.closePath();
+        ctx.globalAlpha = 0.6;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    } else {
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = color;
+        ctx.stroke();
+    }
+}
+
+/**
+ * Draws the frequency spectrum on a log-frequency axis with a dBFS scale.
+ * @param {Float32Array} freqData - Frequency data in dB, as from getFloatFrequencyData.
+ * @param {number} sampleRate - The AudioContext sample rate.
+ */
+function drawFrequencySpectrum(freqData, sampleRate) {
     if (!frequencyCtx) return;
     const canvas = uiElements.frequencyCanvas();
+    if (!fitCanvasToDisplay(canvas)) return;
     const width = canvas.width;
     const height = canvas.height;
 
-    const bgColor = getComputedStyle(document.documentElement).getPropertyValue('--canvas-bg').trim();
-    const barColor = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim();
+    const styles = getComputedStyle(document.documentElement);
+    const bgColor = styles.getPropertyValue('--canvas-bg').trim();
+    const traceColor = styles.getPropertyValue('--primary-color').trim();
+    const gridColor = styles.getPropertyValue('--border-color').trim();
+    const labelColor = styles.getPropertyValue('--footer-text-color').trim();
+    const peakColor = styles.getPropertyValue('--warning-color').trim();
+    const averageColor = styles.getPropertyValue('--success-color').trim();
+
+    const plot = {
+        left: SPECTRUM_MARGIN.left,
+        right: width - SPECTRUM_MARGIN.right,
+        top: SPECTRUM_MARGIN.top,
+        bottom: height - SPECTRUM_MARGIN.bottom
+    };
+    const maxFrequency = Math.min(SPECTRUM_MAX_FREQ, sampleRate / 2);
+
+    updateColumnBins(plot, freqData.length, sampleRate, maxFrequency);
+    updateSpectrumTraces(freqData);
 
     frequencyCtx.fillStyle = bgColor;
     frequencyCtx.fillRect(0, 0, width, height);
+    drawSpectrumGrid(frequencyCtx, plot, maxFrequency, gridColor, labelColor);
 
-    const barWidth = (width / bufferLength) * 1.5; // Adjust multiplier for bar thickness/spacing
-    let barHeight;
-    let x = 0;
+    if (showAverage && averageFrameCount > 0) {
+        drawSpectrumTrace(frequencyCtx, averageDb, columnBins, SPECTRUM_DBFS_OFFSET, plot, averageColor, false);
+    }
+    drawSpectrumTrace(frequencyCtx, freqData, columnBins, SPECTRUM_DBFS_OFFSET, plot, traceColor, true);
+    if (showPeakHold) {
+        drawSpectrumTrace(frequencyCtx, peakHoldDb, columnBins, SPECTRUM_DBFS_OFFSET, plot, peakColor, false);
+    }
+}
 
-    frequencyCtx.fillStyle = barColor;
+/**
+ * Draws a static spectrum (e.g. of a recording) with the same axes as the live spectrum.
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on.
+ * @param {Float32Array} spectrumDb - Level per bin in dBFS.
+ * @param {number} sampleRate - Sample rate the spectrum was computed at.
+ * @param {{frequency: number, label: string}[]} [markers] - Frequencies to point out (e.g. harmonics).
+ */
+export function drawSpectrumPlot(canvas, spectrumDb, sampleRate, markers = []) {
+    if (!fitCanvasToDisplay(canvas)) return;
+    const ctx = canvas.getContext('2d');
+    const styles = getComputedStyle(document.documentElement);
+    const plot = {
+        left: SPECTRUM_MARGIN.left,
+        right: canvas.width - SPECTRUM_MARGIN.right,
+        top: SPECTRUM_MARGIN.top,
+        bottom: canvas.height - SPECTRUM_MARGIN.bottom
+    };
+    const maxFrequency = Math.min(SPECTRUM_MAX_FREQ, sampleRate / 2);
 
-    for (let i = 0; i < bufferLength; i++) {
-        barHeight = freqData[i] * (height / 255.0); // Scale height based on max value 255
+    ctx.fillStyle = styles.getPropertyValue('--canvas-bg').trim();
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawSpectrumGrid(ctx, plot, maxFrequency, styles.getPropertyValue('--border-color').trim(),
+        styles.getPropertyValue('--footer-text-color').trim());
+    const columns = computeColumnBins(plot, spectrumDb.length, sampleRate, maxFrequency);
+    drawSpectrumTrace(ctx, spectrumDb, columns, 0, plot, styles.getPropertyValue('--primary-color').trim(), true);
+
+    // Markers: a tick at the top of the plot with its label beside it
+    ctx.strokeStyle = styles.getPropertyValue('--warning-color').trim();
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    markers.forEach(marker => {
+        if (marker.frequency < SPECTRUM_MIN_FREQ || marker.frequency > maxFrequency) return;
+        const x = Math.round(frequencyToX(marker.frequency, maxFrequency, plot)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, plot.top);
+        ctx.lineTo(x, plot.top + 8);
+        ctx.stroke();
+        ctx.fillText(marker.label, x + 2, plot.top);
+    });
+}
+
+/**
+ * Draws the spectra of two microphones over each other, with their difference (B - A)
+ * in a strip underneath.
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on.
+ * @param {Float32Array} spectrumDbA - Frequency data in dB from getFloatFrequencyData (first microphone).
+ * @param {Float32Array} spectrumDbB - Same for the second microphone.
+ * @param {number} sampleRate - The AudioContext sample rate.
+ */
+export function drawComparisonSpectrum(canvas, spectrumDbA, spectrumDbB, sampleRate) {
+    if (!fitCanvasToDisplay(canvas)) return;
+    const ctx = canvas.getContext('2d');
+    const styles = getComputedStyle(document.documentElement);
+    const gridColor = styles.getPropertyValue('--border-color').trim();
+    const labelColor = styles.getPropertyValue('--footer-text-color').trim();
+    const colorA = styles.getPropertyValue('--primary-color').trim();
+    const colorB = styles.getPropertyValue('--warning-color').trim();
+    const stripHeight = Math.round(canvas.height * DIFFERENCE_STRIP_RATIO);
+    const plot = {
+        left: SPECTRUM_MARGIN.left,
+        right: canvas.width - SPECTRUM_MARGIN.right,
+        top: SPECTRUM_MARGIN.top,
+        bottom: canvas.height - stripHeight - SPECTRUM_MARGIN.bottom
+    };
+    const strip = { ...plot, top: canvas.height - stripHeight + SPECTRUM_MARGIN.top, bottom: canvas.height - SPECTRUM_MARGIN.top };
+    const maxFrequency = Math.min(SPECTRUM_MAX_FREQ, sampleRate / 2);
+    const columns = computeColumnBins(plot, spectrumDbA.length, sampleRate, maxFrequency);
+
+    ctx.fillStyle = styles.getPropertyValue('--canvas-bg').trim();
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawSpectrumGrid(ctx, plot, maxFrequency, gridColor, labelColor);
+    drawSpectrumTrace(ctx, spectrumDbA, columns, SPECTRUM_DBFS_OFFSET, plot, colorA, false);
+    drawSpectrumTrace(ctx, spectrumDbB, columns, SPECTRUM_DBFS_OFFSET, plot, colorB, false);
+
+    // Difference strip: 0 dB in the middle, ±DUAL_DIFFERENCE_RANGE_DB at the edges
+    const differenceToY = (db) => {
+        const clamped = Math.min(DUAL_DIFFERENCE_RANGE_DB, Math.max(-DUAL_DIFFERENCE_RANGE_DB, db));
+        return strip.bottom - (clamped + DUAL_DIFFERENCE_RANGE_DB) / (2 * DUAL_DIFFERENCE_RANGE_DB) * (strip.bottom - strip.top);
+    };
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = gridColor;
+    ctx.fillStyle = labelColor;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    [DUAL_DIFFERENCE_RANGE_DB, 0, -DUAL_DIFFERENCE_RANGE_DB].forEach(db => {
+        const y = Math.round(differenceToY(db)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(strip.left, y);
+        ctx.lineTo(strip.right, y);
+        ctx.stroke();
+        ctx.fillText(db > 0 ? `+${db}` : `${db}`, strip.left - 4, y);
+    });
+
+    ctx.beginPath();
+    let drawing = false;
+    columns.forEach((range, column) => {
+        const difference = sampleSpectrumColumn(spectrumDbB, range) - sampleSpectrumColumn(spectrumDbA, range);
+        if (!Number.isFinite(difference)) {
+            drawing = false; // Gap where either side is silent
+            return;
+        }
+        const x = plot.left + column;
+        const y = differenceToY(difference);
+        if (drawing) {
+            ctx.lineTo(x, y);
+        } else {
+            ctx.moveTo(x, y);
+            drawing = true;
+        }
+    });
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = labelColor;
+    ctx.stroke();
+}
 
-        // Draw bars from the bottom up
-        frequencyCtx.fillRect(x, height - barHeight, barWidth, barHeight);
+/**
+ * Makes a result plot's canvas visible. This has to come before drawing: a hidden canvas has no size to draw at.
+ * @param {HTMLCanvasElement} canvas
+ */
+function revealPlot(canvas) {
+    canvas.style.display = 'block';
+}
 
-        x += barWidth + 1; // Add 1 for spacing between bars
+/**
+ * Shows a result canvas and draws a static spectrum into it (see drawSpectrumPlot()).
+ * @param {HTMLCanvasElement} canvas - Canvas to show and draw on.
+ * @param {Float32Array} spectrumDb - Level per bin in dBFS.
+ * @param {number} sampleRate - Sample rate the spectrum was computed at.
+ * @param {{frequency: number, label: string}[]} [markers] - Frequencies to point out (e.g. harmonics).
+ */
+export function showSpectrumPlot(canvas, spectrumDb, sampleRate, markers = []) {
+    revealPlot(canvas);
+    drawSpectrumPlot(canvas, spectrumDb, sampleRate, markers);
+}
+
+/**
+ * Shows and draws a measured frequency response on the log-frequency axis, in dB relative to the midrange.
+ * @param {HTMLCanvasElement} canvas - Canvas to show and draw on.
+ * @param {{frequency: number, db: number, uncalibratedDb: number, calibrationDb: number | null}[]} points
+ *     From frequencyResponse.computeResponseCurve().
+ * @param {number} sampleRate - Sample rate of the measurement.
+ */
+export function drawFrequencyResponse(canvas, points, sampleRate) {
+    revealPlot(canvas);
+    if (!fitCanvasToDisplay(canvas)) return;
+    const ctx = canvas.getContext('2d');
+    const styles = getComputedStyle(document.documentElement);
+    const gridColor = styles.getPropertyValue('--border-color').trim();
+    const labelColor = styles.getPropertyValue('--footer-text-color').trim();
+    const plot = {
+        left: SPECTRUM_MARGIN.left,
+        right: canvas.width - SPECTRUM_MARGIN.right,
+        top: SPECTRUM_MARGIN.top,
+        bottom: canvas.height - SPECTRUM_MARGIN.bottom
+    };
+    const maxFrequency = Math.min(SPECTRUM_MAX_FREQ, sampleRate / 2);
+    const responseToY = (db) => {
+        const clamped = Math.min(FREQUENCY_RESPONSE_PLOT_RANGE_DB, Math.max(-FREQUENCY_RESPONSE_PLOT_RANGE_DB, db));
+        return plot.bottom - (clamped + FREQUENCY_RESPONSE_PLOT_RANGE_DB) / (2 * FREQUENCY_RESPONSE_PLOT_RANGE_DB) * (plot.bottom - plot.top);
+    };
+
+    ctx.fillStyle = styles.getPropertyValue('--canvas-bg').trim();
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = gridColor;
+    ctx.fillStyle = labelColor;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let db = FREQUENCY_RESPONSE_PLOT_RANGE_DB; db >= -FREQUENCY_RESPONSE_PLOT_RANGE_DB; db -= RESPONSE_DB_GRID_STEP) {
+        const y = Math.round(responseToY(db)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y);
+        ctx.lineTo(plot.right, y);
+        ctx.stroke();
+        ctx.fillText(db > 0 ? `+${db}` : `${db}`, plot.left - 4, y);
+    }
+    drawFrequencyGrid(ctx, plot, maxFrequency);
+
+    const drawCurve = (field, color, lineWidth) => {
+        ctx.beginPath();
+        let drawing = false;
+        points.forEach(point => {
+            if (!Number.isFinite(point[field]) || point.frequency > maxFrequency) {
+                drawing = false;
+                return;
+            }
+            const x = frequencyToX(point.frequency, maxFrequency, plot);
+            const y = responseToY(point[field]);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        });
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = color;
+        ctx.stroke();
+    };
+    // With a calibration applied, the uncorrected measurement stays visible underneath
+    if (points.length > 0 && points[0].calibrationDb !== null) drawCurve('uncalibratedDb', labelColor, 1);
+    drawCurve('db', styles.getPropertyValue('--primary-color').trim(), 2);
+}
+
+/**
+ * Draws a stretch of samples as a min/max envelope (one bar per pixel column),
+ * or as a line through the samples when zoomed in further than one sample per pixel.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on.
+ * @param {Float32Array} samples - Samples in the range -1..1.
+ * @param {number} startSample - First sample shown (may be fractional).
+ * @param {number} endSample - Sample at the right edge.
+ * @param {{left: number, top: number, width: number, height: number}} area - Where to draw.
+ * @param {string} color
+ */
+export function drawWaveformEnvelope(ctx, samples, startSample, endSample, area, color) {
+    const samplesPerPixel = (endSample - startSample) / area.width;
+    const centre = area.top + area.height / 2;
+    const halfHeight = area.height / 2;
+
+    if (samplesPerPixel < 1) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        const first = Math.max(0, Math.floor(startSample));
+        const last = Math.min(samples.length - 1, Math.ceil(endSample));
+        for (let i = first; i <= last; i++) {
+            const x = area.left + (i - startSample) / samplesPerPixel;
+            const y = centre - samples[i] * halfHeight;
+            if (i === first) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+        return;
+    }
+
+    ctx.fillStyle = color;
+    for (let column = 0; column < area.width; column++) {
+        const first = Math.max(0, Math.floor(startSample + column * samplesPerPixel));
+        const last = Math.min(samples.length, Math.floor(startSample + (column + 1) * samplesPerPixel));
+        if (first >= last) continue;
+        let min = 1;
+        let max = -1;
+        for (let i = first; i < last; i++) {
+            if (samples[i] < min) min = samples[i];
+            if (samples[i] > max) max = samples[i];
+        }
+        const top = centre - max * halfHeight;
+        ctx.fillRect(area.left + column, top, 1, Math.max(1, (max - min) * halfHeight));
+    }
+}
+
+/**
+ * Clears the peak-hold and long-term average traces.
+ */
+export function resetSpectrumTraces() {
+    peakHoldDb = null;
+    averagePowerSum = null;
+    averageDb = null;
+    averageFrameCount = 0;
+    lastSpectrumTime = null;
+}
+
+/**
+ * Sets the dBFS range of the spectrum axes (live and static plots alike).
+ * @param {number} minDb - Bottom of the axis.
+ * @param {number} maxDb - Top of the axis; above minDb.
+ */
+export function setSpectrumDbRange(minDb, maxDb) {
+    spectrumMinDb = minDb;
+    spectrumMaxDb = maxDb;
+}
+
+/**
+ * Selects the frequency grid density.
+ * @param {string} grid - 'octave' or 'third'.
+ */
+export function setSpectrumGrid(grid) {
+    spectrumGrid = grid === 'third' ? 'third' : 'octave';
+}
+
+/**
+ * Shows or hides the peak-hold trace. Enabling it starts a fresh hold.
+ * @param {boolean} enabled
+ */
+export function setSpectrumPeakHold(enabled) {
+    showPeakHold = enabled;
+    if (enabled && peakHoldDb) peakHoldDb.fill(-Infinity);
+}
+
+/**
+ * Shows or hides the long-term average trace. Enabling it starts a fresh average.
+ * @param {boolean} enabled
+ */
+export function setSpectrumAverage(enabled) {
+    showAverage = enabled;
+    if (enabled && averagePowerSum) {
+        averagePowerSum.fill(0);
+        averageFrameCount = 0;
     }
 }
 
 /**
  * Main drawing function called in the animation loop.
- * @param {AnalyserNode} analyserNode - The audio analyser node.
+ * Level metering is handled separately by metering.js on float samples.
+ * @param {AnalyserNode} analyserNode - The audio analyser node (waveform).
  * @param {Uint8Array} timeDomainData - Array to hold time domain data.
- * @param {Uint8Array} frequencyData - Array to hold frequency data.
- * @returns {number} The calculated peak volume level (0-1).
+ * @param {Float32Array} frequencyData - Frequency data in dB, from spectrumAnalyser.readFrequencyData().
+ * @param {number} sampleRate - The AudioContext sample rate.
  */
-export function draw(analyserNode, timeDomainData, frequencyData) {
-    if (!analyserNode || !timeDomainData || !frequencyData) return 0;
+export function draw(analyserNode, timeDomainData, frequencyData, sampleRate) {
+    if (!analyserNode || !timeDomainData || !frequencyData || !sampleRate) return;
 
     const bufferLength = analyserNode.frequencyBinCount;
 
     // Get data
     analyserNode.getByteTimeDomainData(timeDomainData);
-    analyserNode.getByteFrequencyData(frequencyData);
-
-    // Calculate Volume (simple peak calculation)
-    let peak = 0;
-    for (let i = 0; i < bufferLength; i++) {
-        const value = Math.abs(timeDomainData[i] / 128.0 - 1.0); // Normalize to 0-1 range
-        if (value > peak) {
-            peak = value;
-        }
-    }
 
     // Draw visualizations
     drawWaveform(timeDomainData, bufferLength);
-    drawFrequencySpectrum(frequencyData, bufferLength);
-
-    return peak; // Return volume level for UI update
+    drawFrequencySpectrum(frequencyData, sampleRate);
 }
@@ -0,0 +1,349 @@
+// js/voice.js
+import { uiElements } from './ui.js';
+import {
+    VOICE_MIN_F0,
+    VOICE_MAX_F0,
+    VOICE_YIN_THRESHOLD,
+    VOICE_MIN_LEVEL_DB,
+    VOICE_ANALYSIS_INTERVAL_MS,
+    VOICE_TRACE_SECONDS,
+    VOICE_ANALYSIS_RATE,
+    VOICE_FORMANT_COUNT,
+    VOICE_MIN_FORMANT_HZ,
+    VOICE_A4_HZ
+} from './config.js';
+import { linearToDbfs } from './metering.js';
+import { fitCanvasToDisplay } from './visualizer.js';
+import { fft } from './fft.js';
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+const PRE_EMPHASIS = 0.97; // Lifts the spectral tilt of voiced speech before LPC
+const LPC_MAX_ORDER = 16;
+const ENVELOPE_FFT_SIZE = 512; // Resolution of the LPC envelope searched for formants
+const DECIMATION_TAPS_PER_FACTOR = 8; // Low-pass filter length per decimation step
+
+// --- State Variables ---
+let pitchTraceCtx = null;
+let trace = []; // {time, state, frequency} per analysed frame, oldest first
+let lastAnalysisTime = null;
+const lowPassCache = new Map(); // Decimation factor -> FIR taps
+
+/**
+ * Initializes the pitch trace canvas context.
+ */
+export function initVoiceView() {
+    const canvas = uiElements.voicePitchCanvas();
+    if (!canvas) {
+        console.error("Could not get pitch trace canvas context.");
+        return;
+    }
+    pitchTraceCtx = canvas.getContext('2d');
+}
+
+/**
+ * Forgets the pitch trace and voiced ratio. Call when monitoring (re)starts.
+ */
+export function resetVoiceAnalysis() {
+    trace = [];
+    lastAnalysisTime = null;
+}
+
+// --- Signal Processing ---
+
+/**
+ * Windowed-sinc low-pass filter for decimating by an integer factor.
+ * @param {number} factor
+ * @returns {Float64Array} Taps with unity gain at DC.
+ */
+function getLowPassTaps(factor) {
+    if (!lowPassCache.has(factor)) {
+        const length = DECIMATION_TAPS_PER_FACTOR * factor + 1;
+        const centre = (length - 1) / 2;
+        const cutoff = 0.45 / factor; // Just under the new Nyquist, relative to the input rate
+        const taps = new Float64Array(length);
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            const x = i - centre;
+            const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+            taps[i] = sinc * (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (length - 1)));
+            sum += taps[i];
+        }
+        for (let i = 0; i < length; i++) taps[i] /= sum;
+        lowPassCache.set(factor, taps);
+    }
+    return lowPassCache.get(factor);
+}
+
+/**
+ * Low-pass filters and decimates samples towards VOICE_ANALYSIS_RATE.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{samples: Float64Array, sampleRate: number}}
+ */
+export function decimate(samples, sampleRate) {
+    const factor = Math.max(1, Math.floor(sampleRate / VOICE_ANALYSIS_RATE));
+    if (factor === 1) return { samples: Float64Array.from(samples), sampleRate };
+    const taps = getLowPassTaps(factor);
+    const length = Math.floor((samples.length - taps.length) / factor) + 1;
+    const output = new Float64Array(Math.max(0, length));
+    for (let i = 0; i < output.length; i++) {
+        const start = i * factor;
+        let sum = 0;
+        for (let k = 0; k < taps.length; k++) sum += samples[start + k] * taps[k];
+        output[i] = sum;
+    }
+    return { samples: output, sampleRate: sampleRate / factor };
+}
+
+/**
+ * Estimates the fundamental frequency with the YIN algorithm
+ * (de Cheveigné & Kawahara, 2002).
+ * @param {Float64Array} samples
+ * @param {number} sampleRate
+ * @returns {{frequency: number, clarity: number} | null} Null when no period is found (unvoiced).
+ */
+export function detectPitch(samples, sampleRate) {
+    const tauMin = Math.max(2, Math.floor(sampleRate / VOICE_MAX_F0));
+    // Keep the integration window at least half the frame, even if that raises the lowest F0
+    const tauMax = Math.min(Math.ceil(sampleRate / VOICE_MIN_F0), Math.floor(samples.length / 2));
+    if (tauMax <= tauMin + 1) return null;
+    const windowLength = samples.length - tauMax;
+
+    // Difference function and its cumulative mean normalisation
+    const normalized = new Float64Array(tauMax + 1);
+    normalized[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau <= tauMax; tau++) {
+        let difference = 0;
+        for (let j = 0; j < windowLength; j++) {
+            const delta = samples[j] - samples[j + tau];
+            difference += delta * delta;
+        }
+        runningSum += difference;
+        normalized[tau] = runningSum > 0 ? difference * tau / runningSum : 1;
+    }
+
+    // First dip under the threshold, followed down to its minimum
+    let tau = tauMin;
+    while (tau < tauMax && normalized[tau] >= VOICE_YIN_THRESHOLD) tau++;
+    if (tau >= tauMax) return null;
+    while (tau + 1 < tauMax && normalized[tau + 1] < normalized[tau]) tau++;
+
+    // Parabolic interpolation for a sub-sample period
+    let period = tau;
+    const left = normalized[tau - 1];
+    const right = normalized[tau + 1];
+    const denominator = left - 2 * normalized[tau] + right;
+    if (denominator !== 0) period += 0.5 * (left - right) / denominator;
+    return { frequency: sampleRate / period, clarity: 1 - normalized[tau] };
+}
+
+/**
+ * Linear prediction coefficients by the autocorrelation method (Levinson-Durbin).
+ * @param {Float64Array} samples - Pre-emphasised, windowed frame.
+ * @param {number} order
+ * @returns {Float64Array | null} a[0..order] with a[0] = 1, or null for a silent frame.
+ */
+export function computeLpc(samples, order) {
+    const autocorrelation = new Float64Array(order + 1);
+    for (let lag = 0; lag <= order; lag++) {
+        let sum = 0;
+        for (let i = lag; i < samples.length; i++) sum += samples[i] * samples[i - lag];
+        autocorrelation[lag] = sum;
+    }
+    if (autocorrelation[0] <= 0) return null;
+
+    const coefficients = new Float64Array(order + 1);
+    coefficients[0] = 1;
+    let error = autocorrelation[0];
+    for (let i = 1; i <= order; i++) {
+        let acc = autocorrelation[i];
+        for (let j = 1; j < i; j++) acc += coefficients[j] * autocorrelation[i - j];
+        const reflection = -acc / error;
+        const previous = coefficients.slice();
+        for (let j = 1; j < i; j++) coefficients[j] = previous[j] + reflection * previous[i - j];
+        coefficients[i] = reflection;
+        error *= 1 - reflection * reflection;
+        if (error <= 0) break;
+    }
+    return coefficients;
+}
+
+/**
+ * Estimates the first formants from the peaks of the LPC spectral envelope.
+ * @param {Float64Array} samples - Frame at the analysis rate.
+ * @param {number} sampleRate
+ * @returns {number[]} Up to VOICE_FORMANT_COUNT formant frequencies in Hz, lowest first.
+ */
+export function estimateFormants(samples, sampleRate) {
+    const order = Math.min(LPC_MAX_ORDER, Math.round(sampleRate / 1000) + 2);
+    const frame = new Float64Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const emphasized = samples[i] - (i > 0 ? PRE_EMPHASIS * samples[i - 1] : 0);
+        frame[i] = emphasized * (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (samples.length - 1)));
+    }
+    const coefficients = computeLpc(frame, order);
+    if (!coefficients) return [];
+
+    // Envelope = 1 / |A(f)|, evaluated with a zero-padded FFT of the coefficients
+    const real = new Float64Array(ENVELOPE_FFT_SIZE);
+    const imag = new Float64Array(ENVELOPE_FFT_SIZE);
+    real.set(coefficients);
+    fft(real, imag);
+    const binCount = ENVELOPE_FFT_SIZE / 2;
+    const envelopeDb = new Float64Array(binCount);
+    for (let bin = 0; bin < binCount; bin++) {
+        envelopeDb[bin] = -10 * Math.log10(real[bin] * real[bin] + imag[bin] * imag[bin] + 1e-20);
+    }
+
+    const binWidth = sampleRate / ENVELOPE_FFT_SIZE;
+    const formants = [];
+    for (let bin = 1; bin < binCount - 1 && formants.length < VOICE_FORMANT_COUNT; bin++) {
+        if (envelopeDb[bin] <= envelopeDb[bin - 1] || envelopeDb[bin] < envelopeDb[bin + 1]) continue;
+        const left = envelopeDb[bin - 1];
+        const right = envelopeDb[bin + 1];
+        const denominator = left - 2 * envelopeDb[bin] + right;
+        const offset = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+        const frequency = (bin + offset) * binWidth;
+        if (frequency >= VOICE_MIN_FORMANT_HZ) formants.push(frequency);
+    }
+    return formants;
+}
+
+/**
+ * Names the nearest equal-tempered note.
+ * @param {number} frequency - In Hz.
+ * @returns {{name: string, cents: number}} E.g. {name: 'A4', cents: -12}.
+ */
+export function frequencyToNote(frequency) {
+    const midi = 69 + 12 * Math.log2(frequency / VOICE_A4_HZ);
+    const nearest = Math.round(midi);
+    const pitchClass = ((nearest % 12) + 12) % 12;
+    return {
+        name: `${NOTE_NAMES[pitchClass]}${Math.floor(nearest / 12) - 1}`,
+        cents: Math.round((midi - nearest) * 100) || 0 // Avoid -0
+    };
+}
+
+/**
+ * Analyses one frame of the live input, at most every VOICE_ANALYSIS_INTERVAL_MS.
+ * @param {Float32Array} samples - Float time domain samples.
+ * @param {number} sampleRate
+ * @param {number} timestamp - Frame time in milliseconds.
+ * @returns {object | null} {state, frequency, note, formants, voicedRatio}, where state is 'voiced',
+ *     'unvoiced' or 'silent'; null when the frame was skipped.
+ */
+export function analyzeVoiceFrame(samples, sampleRate, timestamp) {
+    if (lastAnalysisTime !== null && timestamp - lastAnalysisTime < VOICE_ANALYSIS_INTERVAL_MS) return null;
+    lastAnalysisTime = timestamp;
+
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+    const levelDb = linearToDbfs(Math.sqrt(sumSquares / samples.length));
+
+    let state = 'silent';
+    let pitch = null;
+    let formants = [];
+    if (levelDb >= VOICE_MIN_LEVEL_DB) {
+        const decimated = decimate(samples, sampleRate);
+        pitch = detectPitch(decimated.samples, decimated.sampleRate);
+        state = pitch ? 'voiced' : 'unvoiced';
+        // Formants are only meaningful while the vocal folds are vibrating
+        if (pitch) formants = estimateFormants(decimated.samples, decimated.sampleRate);
+    }
+
+    trace.push({ time: timestamp, state, frequency: pitch ? pitch.frequency : null });
+    const oldest = timestamp - VOICE_TRACE_SECONDS * 1000;
+    while (trace.length > 0 && trace[0].time < oldest) trace.shift();
+
+    const voicedCount = trace.filter(entry => entry.state === 'voiced').length;
+    const soundCount = trace.filter(entry => entry.state !== 'silent').length;
+    return {
+        state,
+        frequency: pitch ? pitch.frequency : null,
+        note: pitch ? frequencyToNote(pitch.frequency) : null,
+        formants,
+        voicedRatio: soundCount > 0 ? voicedCount / soundCount : null
+    };
+}
+
+// --- Pitch Trace ---
+
+/**
+ * Maps a frequency to a y position on the trace's logarithmic axis.
+ * @param {number} frequency
+ * @param {number} height - Canvas height.
+ * @returns {number}
+ */
+function frequencyToY(frequency, height) {
+    const ratio = Math.log(frequency / VOICE_MIN_F0) / Math.log(VOICE_MAX_F0 / VOICE_MIN_F0);
+    return height - ratio * height;
+}
+
+/**
+ * Draws the scrolling pitch trace, newest on the right, with a line at every C.
+ * @param {number} timestamp - Current frame time in milliseconds.
+ */
+export function drawPitchTrace(timestamp) {
+    if (!pitchTraceCtx) return;
+    const canvas = uiElements.voicePitchCanvas();
+    if (!fitCanvasToDisplay(canvas)) return;
+    const { width, height } = canvas;
+
+    const style = getComputedStyle(document.documentElement);
+    pitchTraceCtx.fillStyle = style.getPropertyValue('--canvas-bg').trim();
+    pitchTraceCtx.fillRect(0, 0, width, height);
+
+    // Note grid: C2 (65 Hz) up to C6 (1047 Hz)
+    pitchTraceCtx.lineWidth = 1;
+    pitchTraceCtx.strokeStyle = style.getPropertyValue('--border-color').trim();
+    pitchTraceCtx.fillStyle = style.getPropertyValue('--footer-text-color').trim();
+    pitchTraceCtx.font = '10px sans-serif';
+    pitchTraceCtx.textAlign = 'left';
+    pitchTraceCtx.textBaseline = 'bottom';
+    for (let octave = 2; octave <= 6; octave++) {
+        const frequency = VOICE_A4_HZ * Math.pow(2, (12 * (octave + 1) - 69) / 12);
+        if (frequency < VOICE_MIN_F0 || frequency > VOICE_MAX_F0) continue;
+        const y = Math.round(frequencyToY(frequency, height)) + 0.5;
+        pitchTraceCtx.beginPath();
+        pitchTraceCtx.moveTo(0, y);
+        pitchTraceCtx.lineTo(width, y);
+        pitchTraceCtx.stroke();
+        pitchTraceCtx.fillText(`C${octave}`, 3, y - 1);
+    }
+
+    // Trace: connected while consecutive frames are voiced
+    const spanMs = VOICE_TRACE_SECONDS * 1000;
+    pitchTraceCtx.strokeStyle = style.getPropertyValue('--primary-color').trim();
+    pitchTraceCtx.lineWidth = 2;
+    pitchTraceCtx.beginPath();
+    let previousVoiced = false;
+    trace.forEach(entry => {
+        if (entry.state !== 'voiced') {
+            previousVoiced = false;
+            return;
+        }
+        const x = width - (timestamp - entry.time) / spanMs * width;
+        const y = frequencyToY(Math.min(VOICE_MAX_F0, Math.max(VOICE_MIN_F0, entry.frequency)), height);
+        if (previousVoiced) {
+            pitchTraceCtx.lineTo(x, y);
+        } else {
+            pitchTraceCtx.moveTo(x, y);
+            pitchTraceCtx.lineTo(x + 1, y); // Lone voiced frames still show as a dot
+        }
+        previousVoiced = true;
+    });
+    pitchTraceCtx.stroke();
+}
+
+/**
+ * Clears the pitch trace canvas.
+ */
+export function clearVoiceView() {
+    if (!pitchTraceCtx) {
+        initVoiceView();
+        if (!pitchTraceCtx) return;
+    }
+    pitchTraceCtx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--canvas-bg').trim();
+    pitchTraceCtx.fillRect(0, 0, pitchTraceCtx.canvas.width, pitchTraceCtx.canvas.height);
+}
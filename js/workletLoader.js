@@ -0,0 +1,36 @@
+// js/workletLoader.js
+
+// --- State Variables ---
+const loadedModules = new WeakMap(); // AudioContext -> Set of processor module URLs it has already added
+
+/**
+ * Creates an AudioWorkletNode, adding its processor module to the context first if that has not happened yet.
+ * @param {BaseAudioContext} audioContext
+ * @param {URL} url - The processor module.
+ * @param {string} name - Name the module registers the processor under.
+ * @param {AudioWorkletNodeOptions} options
+ * @returns {Promise<AudioWorkletNode>}
+ */
+export async function loadWorkletNode(audioContext, url, name, options) {
+    let modules = loadedModules.get(audioContext);
+    if (!modules) {
+        modules = new Set();
+        loadedModules.set(audioContext, modules);
+    }
+    if (!modules.has(url.href)) {
+        await audioContext.audioWorklet.addModule(url);
+        modules.add(url.href);
+    }
+    return new AudioWorkletNode(audioContext, name, options);
+}
+
+/**
+ * Feeds a source into a node whose processor only reads its input.
+ * @param {AudioNode} sourceNode
+ * @param {AudioWorkletNode} node
+ */
+export function connectSink(sourceNode, node) {
+    sourceNode.connect(node);
+    // The processor writes nothing, so this stays silent; it only keeps the node being rendered
+    node.connect(node.context.destination);
+}
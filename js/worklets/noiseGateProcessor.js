@@ -0,0 +1,55 @@
+// js/worklets/noiseGateProcessor.js
+// Runs on the audio rendering thread: a downward expander that acts as a noise gate at high ratios.
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'threshold', defaultValue: -50, minValue: -120, maxValue: 0, automationRate: 'k-rate' }, // dBFS
+            { name: 'ratio', defaultValue: 4, minValue: 1, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'attack', defaultValue: 0.002, minValue: 0.0001, maxValue: 1, automationRate: 'k-rate' }, // Seconds to open
+            { name: 'release', defaultValue: 0.15, minValue: 0.001, maxValue: 5, automationRate: 'k-rate' } // Seconds to close
+        ];
+    }
+
+    constructor(options) {
+        super();
+        this.maxAttenuationDb = options.processorOptions.maxAttenuationDb;
+        this.envelope = 0; // Peak envelope of the input, linear
+        this.gainDb = 0; // Smoothed gain currently applied
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input || input.length === 0) return true; // Input not connected yet; the output stays silent
+
+        const threshold = parameters.threshold[0];
+        const ratio = parameters.ratio[0];
+        const attackCoeff = Math.exp(-1 / (parameters.attack[0] * sampleRate));
+        const releaseCoeff = Math.exp(-1 / (parameters.release[0] * sampleRate));
+        const frames = input[0].length;
+
+        for (let i = 0; i < frames; i++) {
+            let peak = 0;
+            for (let channel = 0; channel < input.length; channel++) {
+                peak = Math.max(peak, Math.abs(input[channel][i]));
+            }
+            // Follows peaks at once and falls with the release time, so the gate doesn't chatter within a cycle
+            this.envelope = peak > this.envelope ? peak : this.envelope * releaseCoeff;
+            const levelDb = 20 * Math.log10(this.envelope + 1e-12);
+            const targetDb = levelDb < threshold
+                ? Math.max(-this.maxAttenuationDb, (levelDb - threshold) * (ratio - 1))
+                : 0;
+            const coeff = targetDb > this.gainDb ? attackCoeff : releaseCoeff;
+            this.gainDb = targetDb + (this.gainDb - targetDb) * coeff;
+            const gain = Math.pow(10, this.gainDb / 20);
+            for (let channel = 0; channel < output.length; channel++) {
+                const samples = input[channel];
+                output[channel][i] = samples ? samples[i] * gain : 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('noise-gate-processor', NoiseGateProcessor);
@@ -0,0 +1,64 @@
+// js/worklets/pcmCaptureProcessor.js
+// Runs on the audio rendering thread: copies the raw input samples and posts them to the main thread.
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { channelCount, blockFrames } = options.processorOptions;
+        this.channelCount = channelCount;
+        this.blockFrames = blockFrames;
+        this.filled = 0;
+        this.buffers = this.allocateBuffers();
+        this.stopped = false;
+
+        this.port.onmessage = (event) => {
+            if (event.data === 'flush') {
+                this.postBuffers();
+                this.stopped = true;
+                this.port.postMessage({ type: 'flushed' });
+            }
+        };
+    }
+
+    allocateBuffers() {
+        const buffers = [];
+        for (let channel = 0; channel < this.channelCount; channel++) {
+            buffers.push(new Float32Array(this.blockFrames));
+        }
+        return buffers;
+    }
+
+    /**
+     * Posts the filled part of the buffers (transferring them) and starts new ones.
+     */
+    postBuffers() {
+        if (this.filled === 0) return;
+        const channels = this.buffers.map(buffer => (this.filled === buffer.length ? buffer : buffer.slice(0, this.filled)));
+        this.port.postMessage({ type: 'samples', channels }, channels.map(buffer => buffer.buffer));
+        this.buffers = this.allocateBuffers();
+        this.filled = 0;
+    }
+
+    process(inputs) {
+        if (this.stopped) return false; // Let the node be collected
+        const input = inputs[0];
+        if (!input || input.length === 0) return true; // Input not connected yet
+
+        const frames = input[0].length;
+        let offset = 0;
+        while (offset < frames) {
+            const count = Math.min(frames - offset, this.blockFrames - this.filled);
+            for (let channel = 0; channel < this.channelCount; channel++) {
+                // A missing channel (e.g. the source dropped to mono) stays silent: new buffers start zeroed
+                const samples = input[channel];
+                if (samples) this.buffers[channel].set(samples.subarray(offset, offset + count), this.filled);
+            }
+            this.filled += count;
+            offset += count;
+            if (this.filled === this.blockFrames) this.postBuffers();
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
@@ -0,0 +1,107 @@
+// js/worklets/sampleStreamProcessor.js
+// Runs on the audio rendering thread: hands every input sample of every channel to the main thread,
+// either through a shared ring buffer or by posting blocks.
+
+class SampleStreamProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { channelCount, blockFrames, ringBuffer, ringFrames } = options.processorOptions;
+        this.channelCount = channelCount;
+        this.blockFrames = blockFrames;
+        this.sinceWake = 0;
+        this.stopped = false;
+        if (ringBuffer) {
+            // Shared layout: [frames written (int32, wraps)] then one ring of ringFrames floats per channel
+            this.ringState = new Int32Array(ringBuffer, 0, 1);
+            this.rings = [];
+            for (let channel = 0; channel < channelCount; channel++) {
+                const offset = Int32Array.BYTES_PER_ELEMENT + channel * ringFrames * Float32Array.BYTES_PER_ELEMENT;
+                this.rings.push(new Float32Array(ringBuffer, offset, ringFrames));
+            }
+            this.written = Atomics.load(this.ringState, 0);
+        } else {
+            this.blocks = this.createBlocks();
+            this.filled = 0;
+        }
+
+        this.port.onmessage = (event) => {
+            if (event.data === 'stop') this.stopped = true;
+        };
+    }
+
+    /**
+     * @returns {Float32Array[]} One empty block per channel.
+     */
+    createBlocks() {
+        return Array.from({ length: this.channelCount }, () => new Float32Array(this.blockFrames));
+    }
+
+    /**
+     * Copies one render quantum into the rings and publishes the new write position.
+     * @param {Float32Array[]} input - Samples per channel.
+     */
+    writeRing(input) {
+        const frames = input[0].length;
+        const ringFrames = this.rings[0].length;
+        const start = this.written & (ringFrames - 1); // ringFrames is a power of two
+        for (let channel = 0; channel < this.channelCount; channel++) {
+            const ring = this.rings[channel];
+            const samples = input[channel];
+            let position = start;
+            let offset = 0;
+            while (offset < frames) {
+                const count = Math.min(frames - offset, ringFrames - position);
+                ring.set(samples.subarray(offset, offset + count), position);
+                offset += count;
+                position = (position + count) & (ringFrames - 1);
+            }
+        }
+        this.written = (this.written + frames) | 0;
+        Atomics.store(this.ringState, 0, this.written);
+
+        // The reader sleeps until told; one small message per block keeps it going
+        this.sinceWake += frames;
+        if (this.sinceWake >= this.blockFrames) {
+            this.sinceWake = 0;
+            this.port.postMessage({ type: 'written' });
+        }
+    }
+
+    /**
+     * Collects one render quantum into blocks and posts each full block (transferring it).
+     * @param {Float32Array[]} input - Samples per channel.
+     */
+    postBlocks(input) {
+        const frames = input[0].length;
+        let offset = 0;
+        while (offset < frames) {
+            const count = Math.min(frames - offset, this.blockFrames - this.filled);
+            for (let channel = 0; channel < this.channelCount; channel++) {
+                this.blocks[channel].set(input[channel].subarray(offset, offset + count), this.filled);
+            }
+            this.filled += count;
+            offset += count;
+            if (this.filled === this.blockFrames) {
+                this.port.postMessage({ type: 'samples', channels: this.blocks }, this.blocks.map(block => block.buffer));
+                this.blocks = this.createBlocks();
+                this.filled = 0;
+            }
+        }
+    }
+
+    process(inputs) {
+        if (this.stopped) return false; // Let the node be collected
+        const input = inputs[0];
+        if (!input || input.length === 0) return true; // Input not connected yet
+
+        // channelCountMode 'explicit' delivers exactly channelCount channels while connected
+        if (this.rings) {
+            this.writeRing(input);
+        } else {
+            this.postBlocks(input);
+        }
+        return true;
+    }
+}
+
+registerProcessor('sample-stream-processor', SampleStreamProcessor);
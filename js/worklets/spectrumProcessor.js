@@ -0,0 +1,131 @@
+// js/worklets/spectrumProcessor.js
+// Runs on the audio rendering thread: a windowed float FFT of the input, posted to the main thread
+// as dBFS per bin. Unlike the AnalyserNode, whose window is always Blackman, the window can be chosen.
+// Each transform is spread over as many render quanta as it needs, a bounded amount of work per quantum.
+import { createSteppedFft, hannWindow, blackmanHarrisWindow, flatTopWindow } from '../fft.js';
+
+const WINDOW_FUNCTIONS = { hann: hannWindow, blackmanHarris: blackmanHarrisWindow, flatTop: flatTopWindow };
+// Twice the largest FFT size (a power of two, so indices wrap with a mask): new input never
+// overwrites the window of a transform still being loaded
+const HISTORY_LENGTH = 65536;
+
+class SpectrumProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.minHop = options.processorOptions.minHop;
+        this.workPerQuantum = options.processorOptions.workPerQuantum;
+        this.history = new Float32Array(HISTORY_LENGTH); // The most recent input samples, as a ring buffer
+        this.writeIndex = 0;
+        this.stopped = false;
+        this.configure(options.processorOptions);
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'configure') {
+                this.configure(event.data);
+            } else if (event.data.type === 'return') {
+                // The main thread has read a posted frame; its buffer takes the next one
+                if (event.data.levels.length === this.fftSize / 2) this.spareLevels = event.data.levels;
+            } else if (event.data.type === 'stop') {
+                this.stopped = true;
+            }
+        };
+    }
+
+    /**
+     * Sets the FFT size, window and smoothing. A new size starts the smoothing afresh; a transform
+     * in progress is dropped.
+     * @param {{fftSize: number, window: string, smoothing: number}} settings
+     */
+    configure({ fftSize, window, smoothing }) {
+        this.smoothing = smoothing;
+        this.window = (WINDOW_FUNCTIONS[window] || hannWindow)(fftSize);
+        let windowSum = 0;
+        for (let i = 0; i < fftSize; i++) windowSum += this.window[i];
+        this.scale = 2 / windowSum; // A full-scale sine reads 0 dBFS whatever the window
+        if (fftSize !== this.fftSize) {
+            this.fftSize = fftSize;
+            this.transform = createSteppedFft(fftSize);
+            this.magnitudes = new Float64Array(fftSize / 2);
+            // Two buffers take turns: one is filled here while the main thread reads the other
+            this.levels = new Float32Array(fftSize / 2);
+            this.spareLevels = new Float32Array(fftSize / 2);
+        }
+        // Large transforms run less often
+        this.hop = Math.max(this.minHop, fftSize / 4);
+        this.sinceLastFrame = 0;
+        this.stage = 'idle'; // Then 'load', 'transform', 'levels'
+    }
+
+    /**
+     * Starts a transform of the latest fftSize samples.
+     */
+    beginFrame() {
+        this.frameStart = (this.writeIndex - this.fftSize) & (HISTORY_LENGTH - 1);
+        this.position = 0;
+        this.stage = 'load';
+    }
+
+    /**
+     * Carries the current transform on by at most workPerQuantum steps.
+     */
+    continueFrame() {
+        const { fftSize, history, window, transform, magnitudes, levels, smoothing, scale } = this;
+        let work = this.workPerQuantum;
+        if (this.stage === 'load') {
+            const end = Math.min(fftSize, this.position + work);
+            work -= end - this.position;
+            for (let i = this.position; i < end; i++) {
+                transform.real[i] = history[(this.frameStart + i) & (HISTORY_LENGTH - 1)] * window[i];
+                transform.imag[i] = 0;
+            }
+            this.position = end;
+            if (end < fftSize) return;
+            transform.begin();
+            this.stage = 'transform';
+        }
+        if (this.stage === 'transform') {
+            if (transform.step(work)) {
+                this.position = 0;
+                this.stage = 'levels'; // From the next quantum on
+            }
+            return;
+        }
+        // Same smoothing as the AnalyserNode: a running average of magnitudes, then dB
+        const end = Math.min(levels.length, this.position + work);
+        for (let bin = this.position; bin < end; bin++) {
+            const magnitude = Math.hypot(transform.real[bin], transform.imag[bin]) * scale;
+            magnitudes[bin] = smoothing * magnitudes[bin] + (1 - smoothing) * magnitude;
+            levels[bin] = magnitudes[bin] > 0 ? 20 * Math.log10(magnitudes[bin]) : -Infinity;
+        }
+        this.position = end;
+        if (end < levels.length) return;
+        this.stage = 'idle';
+        // Without a buffer back from the main thread it is still reading; this frame is skipped
+        if (this.spareLevels) {
+            this.port.postMessage({ type: 'spectrum', levels }, [levels.buffer]);
+            this.levels = this.spareLevels;
+            this.spareLevels = null;
+        }
+    }
+
+    process(inputs) {
+        if (this.stopped) return false; // Let the node be collected
+        const input = inputs[0];
+        if (!input || input.length === 0) return true; // Input not connected yet
+
+        const samples = input[0]; // The node mixes its input down to mono
+        for (let i = 0; i < samples.length; i++) {
+            this.history[this.writeIndex] = samples[i];
+            this.writeIndex = (this.writeIndex + 1) & (HISTORY_LENGTH - 1);
+        }
+        this.sinceLastFrame += samples.length;
+        if (this.stage === 'idle' && this.sinceLastFrame >= this.hop) {
+            this.sinceLastFrame = 0;
+            this.beginFrame();
+        }
+        if (this.stage !== 'idle') this.continueFrame();
+        return true;
+    }
+}
+
+registerProcessor('spectrum-processor', SpectrumProcessor);
@@ -0,0 +1,119 @@
+// sw.js
+// Service worker: keeps a copy of every file the app needs, so the mic test also works offline.
+// It lives at the site root so that its scope covers the language pages in the subdirectories.
+//
+// Every release must change CACHE_VERSION (and PRECACHE_URLS when files are added or removed):
+// the browser only installs a new service worker when this file changes, and the page then
+// offers to reload into the new version.
+
+const CACHE_VERSION = 'v9';
+const CACHE_PREFIX = 'mic-analyzer-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Relative to this file. Pages are listed by directory, the way they are linked and navigated to.
+const PRECACHE_URLS = [
+    './',
+    'es/',
+    'pt/',
+    'fr/',
+    'de/',
+    'ar/',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png',
+    'css/style.css',
+    'js/audio.js',
+    'js/channels.js',
+    'js/comparison.js',
+    'js/config.js',
+    'js/constraints.js',
+    'js/devicePrefs.js',
+    'js/distortionTest.js',
+    'js/dualMonitor.js',
+    'js/encoders.js',
+    'js/fft.js',
+    'js/frequencyResponse.js',
+    'js/i18n.js',
+    'js/inputSession.js',
+    'js/inspector.js',
+    'js/latencyTest.js',
+    'js/library.js',
+    'js/loudness.js',
+    'js/main.js',
+    'js/metering.js',
+    'js/noiseTest.js',
+    'js/offline.js',
+    'js/pcmRecorder.js',
+    'js/processing.js',
+    'js/report.js',
+    'js/sampleStream.js',
+    'js/spectrogram.js',
+    'js/spectrumAnalyser.js',
+    'js/stabilityMonitor.js',
+    'js/storage.js',
+    'js/testSignals.js',
+    'js/theme.js',
+    'js/toneDetector.js',
+    'js/troubleshooter.js',
+    'js/ui.js',
+    'js/visualizer.js',
+    'js/voice.js',
+    'js/workletLoader.js',
+    'js/worklets/noiseGateProcessor.js',
+    'js/worklets/pcmCaptureProcessor.js',
+    'js/worklets/sampleStreamProcessor.js',
+    'js/worklets/spectrumProcessor.js',
+    'locales/en.json',
+    'locales/es.json',
+    'locales/pt.json',
+    'locales/fr.json',
+    'locales/de.json',
+    'locales/ar.json'
+];
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache, so a new version never gets stored with files left over from the old one
+    const requests = PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }));
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(requests)));
+    // No skipWaiting() here: an update waits until the page asks for it (see js/offline.js)
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        // '/es/index.html' is the same page as '/es/'
+        if (url.pathname.endsWith('/index.html')) url.pathname = url.pathname.slice(0, -'index.html'.length);
+        event.respondWith(
+            caches.match(url.href, { ignoreSearch: true })
+                .then(cached => cached || fetch(request))
+                // Offline on a page we don't have: the English page is better than the browser's error
+                .catch(() => caches.match(new URL('./', self.location.href).href))
+        );
+        return;
+    }
+
+    // Cache first: every file comes from the same release until the user accepts an update
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});